@@ -13,6 +13,8 @@ const { program } = require('commander');
 const { createLogger } = require('../shared/logger');
 const config = require('../shared/config').default;
 const { REDIS_CHANNELS } = require('../shared/constants');
+const { openTradeLedger } = require('../shared/ledger');
+const { createFilterDecisionStore } = require('../shared/ledger/filter-decisions');
 
 // Initialize logger
 const logger = createLogger('performance-analyzer');
@@ -228,6 +230,111 @@ async function analyzePoolDetection(options) {
   return metrics;
 }
 
+/**
+ * Scores each filter rule's precision against what rejected tokens did next
+ * A rejection is correct when the token did not go on to gain winThreshold%
+ * over its price at the decision by any follow-up checkpoint. Tokens whose
+ * pool could not be priced at any checkpoint count as dead.
+ * @param {Object} options - Analysis options
+ * @param {Date} options.startDate - Start date for analysis
+ * @param {Date} options.endDate - End date for analysis
+ * @param {string} [options.ledgerPath] - Trade ledger file
+ * @param {number} [options.winThreshold] - Gain in % that makes a token a winner
+ * @returns {Promise<Object>} Filter precision metrics
+ */
+async function analyzeFilterPrecision(options) {
+  const { startDate, endDate } = options;
+  const winThreshold = options.winThreshold || 100;
+  logger.info(`Analyzing filter precision from ${startDate.toISOString()} to ${endDate.toISOString()}`);
+  
+  const metrics = {
+    winThreshold,
+    totalDecisions: 0,
+    passed: 0,
+    rejected: 0,
+    scoredDecisions: 0,
+    winnersPassed: 0,
+    winnersRejected: 0,
+    baselineLoserRate: null,
+    rules: {}
+  };
+  
+  let ledger;
+  let decisions;
+  try {
+    ledger = openTradeLedger({ path: options.ledgerPath || config.LEDGER_PATH, readonly: true });
+    decisions = createFilterDecisionStore(ledger.db).listDecisions({
+      since: startDate.getTime(),
+      until: endDate.getTime()
+    });
+  } catch (error) {
+    logger.warn(`Filter decisions unavailable: ${error.message}`);
+    return metrics;
+  } finally {
+    if (ledger) {
+      ledger.close();
+    }
+  }
+  
+  for (const decision of decisions) {
+    metrics.totalDecisions++;
+    metrics[decision.passed ? 'passed' : 'rejected']++;
+    
+    // Only decisions priced at the time and followed up can be scored
+    const scorable = decision.priceAtDecision > 0 && decision.prices.length > 0;
+    let winner = false;
+    
+    if (scorable) {
+      const changes = decision.prices
+        .filter(sample => sample.price !== null)
+        .map(sample => (sample.price / decision.priceAtDecision - 1) * 100);
+      const peakChange = changes.length > 0 ? Math.max(...changes) : -100;
+      
+      winner = peakChange >= winThreshold;
+      metrics.scoredDecisions++;
+      
+      if (winner) {
+        metrics[decision.passed ? 'winnersPassed' : 'winnersRejected']++;
+      }
+    }
+    
+    for (const rule of decision.rules) {
+      if (rule.verdict !== 'fail') {
+        continue;
+      }
+      
+      const stats = metrics.rules[rule.name] || (metrics.rules[rule.name] = {
+        failed: 0,
+        scored: 0,
+        missedWinners: 0,
+        precision: null
+      });
+      
+      stats.failed++;
+      
+      if (scorable) {
+        stats.scored++;
+        stats.missedWinners += winner ? 1 : 0;
+      }
+    }
+  }
+  
+  for (const stats of Object.values(metrics.rules)) {
+    if (stats.scored > 0) {
+      stats.precision = ((stats.scored - stats.missedWinners) / stats.scored) * 100;
+    }
+  }
+  
+  // Share of all scored tokens that did not pump; a rule is only useful if
+  // its precision beats this
+  if (metrics.scoredDecisions > 0) {
+    const winners = metrics.winnersPassed + metrics.winnersRejected;
+    metrics.baselineLoserRate = ((metrics.scoredDecisions - winners) / metrics.scoredDecisions) * 100;
+  }
+  
+  return metrics;
+}
+
 /**
  * Analyzes slippage in transactions
  * @param {Object} options - Analysis options
@@ -632,6 +739,23 @@ function identifyBottlenecks(analysisResults) {
     });
   }
   
+  // Check filter rules rejecting no more losers than chance
+  const { filterPrecision } = analysisResults;
+  for (const [rule, stats] of Object.entries(filterPrecision.rules)) {
+    if (stats.scored >= 10 && filterPrecision.baselineLoserRate !== null &&
+        stats.precision < filterPrecision.baselineLoserRate) {
+      bottlenecks.push({
+        component: 'filterRule',
+        metric: `Precision of filter rule ${rule}`,
+        rule,
+        value: stats.precision,
+        threshold: filterPrecision.baselineLoserRate,
+        severity: stats.precision < filterPrecision.baselineLoserRate - 20 ? 'high' : 'medium',
+        impact: `Rejected ${stats.missedWinners} of ${stats.scored} tokens that went on to gain ${filterPrecision.winThreshold}%+`
+      });
+    }
+  }
+  
   return bottlenecks;
 }
 
@@ -686,6 +810,14 @@ function generateRecommendations(analysisResults, bottlenecks) {
           details: `Current avg slippage: ${bottleneck.value.toFixed(2)}%, expected: ${bottleneck.expected.toFixed(2)}%`
         });
         break;
+        
+      case 'filterRule':
+        recommendations.push({
+          issue: `Filter rule ${bottleneck.rule} rejects winners`,
+          recommendation: `Loosen the ${bottleneck.rule} thresholds or make it a non-required rule in the filter config`,
+          details: `Precision: ${bottleneck.value.toFixed(2)}%, baseline loser rate: ${bottleneck.threshold.toFixed(2)}%`
+        });
+        break;
     }
   }
   
@@ -742,13 +874,15 @@ async function performAnalysis(options) {
       const poolDetection = await analyzePoolDetection(options);
       const slippage = await analyzeSlippage(options);
       const dryRunVsActual = await compareDryRunVsActual(options);
+      const filterPrecision = await analyzeFilterPrecision(options);
       
       // Combine results
       const results = {
         execution: executionPerformance,
         poolDetection: poolDetection,
         slippage: slippage,
-        dryRunVsActual: dryRunVsActual
+        dryRunVsActual: dryRunVsActual,
+        filterPrecision: filterPrecision
       };
       
       // Identify bottlenecks
@@ -841,6 +975,18 @@ function formatConsoleOutput(results) {
   output.push(`    Actual avg P/L: ${results.metrics.dryRunVsActual.actual.avgProfitLoss?.toFixed(2) || '0.00'}%`);
   output.push('');
   
+  // Filter precision
+  const filterPrecision = results.metrics.filterPrecision;
+  output.push(chalk.bold.yellow('Filter Rule Precision:'));
+  output.push(`  Decisions: ${filterPrecision.totalDecisions} (${filterPrecision.passed} passed, ${filterPrecision.rejected} rejected), ${filterPrecision.scoredDecisions} with price action`);
+  output.push(`  Winners (+${filterPrecision.winThreshold}%): ${filterPrecision.winnersPassed} passed, ${filterPrecision.winnersRejected} rejected`);
+  output.push(`  Baseline loser rate: ${filterPrecision.baselineLoserRate !== null ? filterPrecision.baselineLoserRate.toFixed(2) + '%' : 'N/A'}`);
+  for (const [rule, stats] of Object.entries(filterPrecision.rules)) {
+    const precision = stats.precision !== null ? `${stats.precision.toFixed(2)}%` : 'N/A';
+    output.push(`  ${rule}: ${stats.failed} rejected, precision ${precision} (${stats.missedWinners}/${stats.scored} scored were winners)`);
+  }
+  output.push('');
+  
   // Bottlenecks
   output.push(chalk.bold.yellow('Identified Bottlenecks:'));
   if (results.bottlenecks.length === 0) {
@@ -874,9 +1020,11 @@ program
   .option('-d, --days <number>', 'Number of days to analyze (default: 1)', parseInt, 1)
   .option('-s, --start <date>', 'Start date (YYYY-MM-DD), overrides days option')
   .option('-e, --end <date>', 'End date (YYYY-MM-DD), defaults to now')
-  .option('-m, --metrics <metrics>', 'Specific metrics to analyze (comma-separated): execution,poolDetection,slippage,dryRunComparison')
+  .option('-m, --metrics <metrics>', 'Specific metrics to analyze (comma-separated): execution,poolDetection,slippage,dryRunComparison,filterPrecision')
   .option('-f, --format <format>', 'Output format: console or json', 'console')
   .option('-o, --output <file>', 'Output file for results')
+  .option('-l, --ledger <path>', 'Trade ledger file holding the filter decisions (default: LEDGER_PATH)')
+  .option('-w, --win-threshold <percent>', 'Gain in % after a decision that makes a token a winner', parseFloat, 100)
   .parse(process.argv);
 
 // Main entry point
@@ -909,7 +1057,12 @@ async function main() {
     }
     
     // Perform analysis
-    const results = await performAnalysis({ startDate, endDate });
+    const results = await performAnalysis({
+      startDate,
+      endDate,
+      ledgerPath: options.ledger,
+      winThreshold: options.winThreshold
+    });
     
     // Output results
     if (options.format === 'json') {
@@ -1,19 +1,17 @@
 /**
  * @fileoverview Profit Tracker for Solana Memecoin Sniping Bot
- * Analyzes trading performance by retrieving historical transaction data,
- * calculating profit/loss metrics, and generating summary statistics.
+ * Analyzes trading performance by retrieving trade history from the trade
+ * ledger, calculating profit/loss metrics, and generating summary statistics.
  * 
  * Usage: node profit-tracker.js [options]
  * Docker: docker exec -it sell_manager_sniper node /usr/src/app/scripts/profit-tracker.js [options]
  */
 
-const Redis = require('ioredis');
 const fs = require('fs');
-const path = require('path');
 const chalk = require('chalk');
 const { createLogger } = require('../shared/logger');
 const config = require('../shared/config').default;
-const { REDIS_CHANNELS } = require('../shared/constants');
+const { openTradeLedger } = require('../shared/ledger');
 const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
 
 // Initialize logger
@@ -28,29 +26,18 @@ async function main() {
     logger.info('Starting profit tracker analysis', { args });
     console.log(chalk.bold.blue('\n===== SOLANA MEMECOIN SNIPING BOT PROFIT TRACKER =====\n'));
     
-    // Connect to Redis
-    const redis = new Redis({
-      host: config.REDIS_HOST,
-      port: config.REDIS_PORT,
-      password: config.REDIS_PASSWORD || '',
-      retryStrategy: times => {
-        const delay = Math.min(times * 50, 2000);
-        logger.warn(`Redis connection attempt ${times} failed. Retrying in ${delay}ms`);
-        return delay;
-      }
-    });
-
-    // Check Redis connection
+    // Open the trade ledger
+    let ledger;
     try {
-      await redis.ping();
+      ledger = openTradeLedger({ path: args.ledger || config.LEDGER_PATH, readonly: true });
     } catch (error) {
-      logger.error(`Failed to connect to Redis: ${error.message}`);
-      console.error(chalk.red(`Error: Could not connect to Redis at ${config.REDIS_HOST}:${config.REDIS_PORT}`));
+      logger.error(`Failed to open trade ledger: ${error.message}`);
+      console.error(chalk.red(`Error: Could not open trade ledger at ${args.ledger || config.LEDGER_PATH}`));
       process.exit(1);
     }
 
     // Retrieve transaction data
-    const { transactions, buys, sells } = await retrieveTransactionData(redis, args);
+    const { transactions } = retrieveTransactionData(ledger, args);
     
     // Calculate metrics and generate reports
     const metrics = calculateMetrics(transactions);
@@ -64,8 +51,8 @@ async function main() {
       outputJSON(transactions, metrics, timeAnalysis, args.output);
     }
     
-    // Close Redis connection
-    await redis.quit();
+    // Close the ledger
+    ledger.close();
     
     logger.info('Profit tracker analysis complete');
   } catch (error) {
@@ -85,12 +72,14 @@ function parseCommandLineArgs(args) {
     startDate: null,
     endDate: null,
     token: null,
+    strategy: null,
     profitable: false,
     loss: false,
     output: null,
     days: 7,
     includeDryRun: false,
     detailed: false,
+    ledger: null,
     help: false
   };
 
@@ -111,6 +100,9 @@ function parseCommandLineArgs(args) {
       case '-t':
         options.token = args[++i];
         break;
+      case '--strategy':
+        options.strategy = args[++i];
+        break;
       case '--profitable':
       case '-p':
         options.profitable = true;
@@ -133,6 +125,9 @@ function parseCommandLineArgs(args) {
       case '--detailed':
         options.detailed = true;
         break;
+      case '--ledger':
+        options.ledger = args[++i];
+        break;
       case '--help':
       case '-h':
         options.help = true;
@@ -169,206 +164,109 @@ ${chalk.cyan('Options:')}
   -e, --end-date <date>     End date (YYYY-MM-DD)
   -d, --days <number>       Number of days to analyze (default: 7)
   -t, --token <address>     Filter by token address
+  --strategy <id>           Filter by sell strategy (name or name@version)
   -p, --profitable          Show only profitable trades
   -l, --loss                Show only unprofitable trades
   -o, --output <path>       Output path for JSON report
   --include-dry-run         Include dry run transactions in analysis
   --detailed                Show detailed trade information
+  --ledger <path>           Trade ledger file (default: LEDGER_PATH)
   -h, --help                Display this help information
   `);
 }
 
 /**
- * Retrieves transaction data from Redis and logs
- * @param {Redis} redis - Redis client
+ * Retrieves positions and their exits from the trade ledger
+ * Each filled buy opens a position; partial sells (take-profit ladder rungs)
+ * realize part of it and a filled sell closes it. Failed attempts only
+ * contribute their fees.
+ * @param {Object} ledger - Trade ledger
  * @param {Object} args - Command line arguments
- * @returns {Promise<{transactions: Array, buys: Array, sells: Array}>} - Transaction data
+ * @returns {{transactions: Array, buys: Array, sells: Array}} - Transaction data
  */
-async function retrieveTransactionData(redis, args) {
+function retrieveTransactionData(ledger, args) {
   logger.info(`Retrieving transactions from ${args.startDate.toISOString()} to ${args.endDate.toISOString()}`);
   
   const transactions = [];
-  const buys = [];
   const sells = [];
   
-  // 1. Get all position keys from Redis
-  const positionKeys = await redis.keys('positions:*');
-  logger.info(`Found ${positionKeys.length} position keys in Redis`);
+  // 1. Buys opened in the date range
+  const buys = ledger.queryTrades({
+    side: 'buy',
+    status: ['filled', 'partial'],
+    baseMint: args.token || undefined,
+    isDryRun: args.includeDryRun ? undefined : false,
+    since: args.startDate.getTime(),
+    until: args.endDate.getTime()
+  }, { limit: 10000, order: 'asc' });
   
-  // 2. Process each position
-  for (const key of positionKeys) {
-    try {
-      const position = await redis.hgetall(key);
-      
-      // Skip if not valid position data
-      if (!position.baseMint || !position.buyTimestamp) {
-        continue;
-      }
-      
-      // Skip dry run transactions if not included
-      if (position.isDryRun === 'true' && !args.includeDryRun) {
-        continue;
-      }
-      
-      // Skip if outside date range
-      const timestamp = parseInt(position.buyTimestamp, 10);
-      const date = new Date(timestamp);
-      
-      if (date < args.startDate || date > args.endDate) {
-        continue;
-      }
-      
-      // Skip if filtering by token and not matching
-      if (args.token && position.baseMint !== args.token) {
-        continue;
-      }
-      
-      // Process position data
-      const buyData = {
-        baseMint: position.baseMint,
-        lpAddress: position.lpAddress || 'unknown',
-        timestamp,
-        signature: position.signature || 'unknown',
-        amountInSol: parseFloat(position.amountInSol || '0'),
-        tokenAmount: position.tokenAmount ? BigInt(position.tokenAmount) : 0n,
-        buyPrice: parseFloat(position.buyPrice || '0'),
-        isDryRun: position.isDryRun === 'true'
-      };
-      
-      buys.push(buyData);
-      
-      // Check if there is a matching sell
-      let sellData = null;
-      
-      // Try to find a matching sell from Redis
-      // This would be more robust in a production system with a proper database
-      const sellKey = `sell:${position.baseMint}`;
-      const sellExists = await redis.exists(sellKey);
-      
-      if (sellExists) {
-        const sell = await redis.hgetall(sellKey);
-        
-        if (sell.timestamp && sell.soldForSol) {
-          sellData = {
-            baseMint: position.baseMint,
-            timestamp: parseInt(sell.timestamp, 10),
-            signature: sell.signature || 'unknown',
-            soldForSol: parseFloat(sell.soldForSol || '0'),
-            boughtForSol: parseFloat(sell.boughtForSol || position.amountInSol || '0'),
-            profitLossSol: parseFloat(sell.profitLossSol || '0'),
-            profitLossPercent: parseFloat(sell.profitLossPercent || '0'),
-            isDryRun: (sell.isDryRun === 'true') || (position.isDryRun === 'true')
-          };
-          
-          sells.push(sellData);
-        }
-      }
-      
-      // Create transaction object
-      const transaction = {
-        baseMint: position.baseMint,
-        lpAddress: position.lpAddress || 'unknown',
-        buyTimestamp: timestamp,
-        buySignature: position.signature || 'unknown',
-        amountInSol: parseFloat(position.amountInSol || '0'),
-        tokenAmount: position.tokenAmount ? position.tokenAmount.toString() : '0',
-        isDryRun: position.isDryRun === 'true'
-      };
-      
-      if (sellData) {
-        // Closed position
-        transaction.sellTimestamp = sellData.timestamp;
-        transaction.sellSignature = sellData.signature;
-        transaction.soldForSol = sellData.soldForSol;
-        transaction.profitLossSol = sellData.profitLossSol;
-        transaction.profitLossPercent = sellData.profitLossPercent;
-        transaction.holdTimeMs = sellData.timestamp - timestamp;
-        transaction.isOpen = false;
-      } else {
-        // Open position
-        transaction.isOpen = true;
-      }
-      
-      // Apply profitability filters
-      if ((args.profitable && !transaction.isOpen && transaction.profitLossSol <= 0) ||
-          (args.loss && !transaction.isOpen && transaction.profitLossSol > 0)) {
-        continue;
-      }
-      
-      transactions.push(transaction);
-    } catch (error) {
-      logger.warn(`Error processing position ${key}: ${error.message}`);
-    }
-  }
+  logger.info(`Found ${buys.length} buys in the trade ledger`);
   
-  // 3. Look for transaction logs to supplement Redis data
-  // This is a simplified approach - in production, you would have a more robust system
-  try {
-    const logsPath = path.join(process.cwd(), 'logs', 'transactions');
+  // 2. Pair each buy with the sells of its position
+  for (const buy of buys) {
+    const positionTrades = buy.positionId ? ledger.getPositionTrades(buy.positionId) : [buy];
+    const positionSells = positionTrades.filter(trade => trade.side === 'sell' && trade.status !== 'failed');
+    const feesSol = positionTrades.reduce((sum, trade) => sum + (trade.feeSol || 0), 0);
     
-    if (fs.existsSync(logsPath)) {
-      // Read sell manager transaction logs
-      const sellManagerLogsPath = path.join(logsPath, 'sell-manager-transactions.log');
-      
-      if (fs.existsSync(sellManagerLogsPath)) {
-        const logs = fs.readFileSync(sellManagerLogsPath, 'utf8').split('\n').filter(Boolean);
-        
-        for (const log of logs) {
-          try {
-            const logData = JSON.parse(log);
-            
-            // Look for successful sells
-            if (logData.message && logData.message.includes('Sell completed with P/L')) {
-              // Extract data from log
-              const baseMint = logData.baseMint;
-              const sellTimestamp = logData.timestamp || logData.time;
-              const sellDate = new Date(sellTimestamp);
-              
-              // Skip if outside date range
-              if (sellDate < args.startDate || sellDate > args.endDate) {
-                continue;
-              }
-              
-              // Skip if filtering by token
-              if (args.token && baseMint !== args.token) {
-                continue;
-              }
-              
-              // Skip dry run if not included
-              if (logData.isDryRun && !args.includeDryRun) {
-                continue;
-              }
-              
-              // Look for matching transaction
-              const matchingIndex = transactions.findIndex(t => 
-                t.baseMint === baseMint && t.isOpen && !t.sellTimestamp);
-              
-              if (matchingIndex >= 0) {
-                // Update existing transaction
-                const tx = transactions[matchingIndex];
-                tx.isOpen = false;
-                tx.sellTimestamp = sellTimestamp;
-                tx.sellSignature = logData.signature || 'unknown';
-                tx.soldForSol = logData.soldForSol || 0;
-                tx.profitLossSol = logData.profitLossSol || 0;
-                tx.profitLossPercent = logData.profitLossPercent || 0;
-                tx.holdTimeMs = sellTimestamp - tx.buyTimestamp;
-                
-                // Apply profitability filters
-                if ((args.profitable && tx.profitLossSol <= 0) ||
-                    (args.loss && tx.profitLossSol > 0)) {
-                  transactions.splice(matchingIndex, 1);
-                }
-              }
-            }
-          } catch (error) {
-            // Skip invalid log entries
-          }
-        }
-      }
+    // Fees of filled trades are already inside their SOL amounts and P/L
+    const unfilledFeesSol = positionTrades
+      .filter(trade => trade.status === 'failed')
+      .reduce((sum, trade) => sum + (trade.feeSol || 0), 0);
+    
+    sells.push(...positionSells);
+    
+    const transaction = {
+      baseMint: buy.baseMint,
+      positionId: buy.positionId,
+      lpAddress: buy.lpAddress || 'unknown',
+      buyTimestamp: buy.timestamp,
+      buySignature: buy.signature || 'unknown',
+      amountInSol: buy.solAmount || 0,
+      tokenAmount: String(buy.tokenAmount || 0),
+      feesSol,
+      unfilledFeesSol,
+      isDryRun: buy.isDryRun
+    };
+    
+    const partialSells = positionSells.filter(trade => trade.status === 'partial');
+    const closingSell = positionSells.find(trade => trade.status === 'filled');
+    
+    // Realized figures cover partial exits too, so open positions report them
+    transaction.partialExits = partialSells.length;
+    transaction.soldTokens = positionSells.reduce((sum, trade) => sum + (trade.tokenAmount || 0), 0);
+    transaction.soldForSol = positionSells.reduce((sum, trade) => sum + (trade.solAmount || 0), 0);
+    transaction.profitLossSol = positionSells.reduce((sum, trade) => sum + (trade.profitLossSol || 0), 0);
+    transaction.profitLossPercent = transaction.amountInSol > 0
+      ? (transaction.profitLossSol / transaction.amountInSol) * 100
+      : 0;
+    
+    // Strategy the position was entered under, as stamped on its exits
+    const lastSell = positionSells[positionSells.length - 1];
+    transaction.strategy = (lastSell && lastSell.metadata && lastSell.metadata.strategy) || 'unknown';
+    
+    if (closingSell) {
+      // Closed position
+      transaction.sellTimestamp = closingSell.timestamp;
+      transaction.sellSignature = closingSell.signature || 'unknown';
+      transaction.holdTimeMs = closingSell.timestamp - buy.timestamp;
+      transaction.isOpen = false;
+    } else {
+      // Open position, possibly partially realized
+      transaction.isOpen = true;
     }
-  } catch (error) {
-    logger.warn(`Error processing transaction logs: ${error.message}`);
+    
+    if (args.strategy && transaction.strategy !== args.strategy &&
+        transaction.strategy.split('@')[0] !== args.strategy) {
+      continue;
+    }
+    
+    // Apply profitability filters
+    if ((args.profitable && !transaction.isOpen && transaction.profitLossSol <= 0) ||
+        (args.loss && !transaction.isOpen && transaction.profitLossSol > 0)) {
+      continue;
+    }
+    
+    transactions.push(transaction);
   }
   
   logger.info(`Retrieved ${transactions.length} transactions (${transactions.filter(t => !t.isOpen).length} closed, ${transactions.filter(t => t.isOpen).length} open)`);
@@ -387,7 +285,11 @@ function calculateMetrics(transactions) {
   
   const totalInvested = transactions.reduce((sum, tx) => sum + tx.amountInSol, 0);
   const totalProfit = closedTxs.reduce((sum, tx) => sum + tx.profitLossSol, 0);
-  const totalFees = closedTxs.length * 0.001; // Example fee calculation - adjust for actual fee structure
+  const partialProfit = transactions
+    .filter(tx => tx.isOpen)
+    .reduce((sum, tx) => sum + tx.profitLossSol, 0);
+  const totalFees = transactions.reduce((sum, tx) => sum + tx.feesSol, 0);
+  const unfilledFees = transactions.reduce((sum, tx) => sum + tx.unfilledFeesSol, 0);
   
   const metrics = {
     totalTxs: transactions.length,
@@ -398,9 +300,11 @@ function calculateMetrics(transactions) {
     winRate: closedTxs.length > 0 ? (profitableTxs.length / closedTxs.length) * 100 : 0,
     totalInvested,
     totalProfit,
+    partialExits: transactions.reduce((sum, tx) => sum + tx.partialExits, 0),
+    partialProfit,
     totalFees,
-    netProfit: totalProfit - totalFees,
-    roi: totalInvested > 0 ? (totalProfit / totalInvested) * 100 : 0,
+    netProfit: totalProfit + partialProfit - unfilledFees,
+    roi: totalInvested > 0 ? ((totalProfit + partialProfit) / totalInvested) * 100 : 0,
     avgProfitPercent: profitableTxs.length > 0 
       ? profitableTxs.reduce((sum, tx) => sum + tx.profitLossPercent, 0) / profitableTxs.length 
       : 0,
@@ -419,9 +323,32 @@ function calculateMetrics(transactions) {
       : 0,
     largestLoss: closedTxs.filter(tx => tx.profitLossSol < 0).length > 0
       ? Math.min(...closedTxs.filter(tx => tx.profitLossSol < 0).map(tx => tx.profitLossSol))
-      : 0
+      : 0,
+    byStrategy: {}
   };
   
+  // Realized results per sell strategy, so strategy versions can be compared
+  transactions.forEach(tx => {
+    const entry = metrics.byStrategy[tx.strategy] || (metrics.byStrategy[tx.strategy] = {
+      count: 0,
+      closed: 0,
+      wins: 0,
+      invested: 0,
+      profit: 0
+    });
+    
+    entry.count++;
+    entry.invested += tx.amountInSol;
+    entry.profit += tx.profitLossSol;
+    
+    if (!tx.isOpen) {
+      entry.closed++;
+      if (tx.profitLossSol > 0) {
+        entry.wins++;
+      }
+    }
+  });
+  
   return metrics;
 }
 
@@ -523,6 +450,7 @@ function displayResults(transactions, metrics, timeAnalysis, args) {
   console.log(`Total Transactions: ${chalk.bold(metrics.totalTxs)}`);
   console.log(`Closed Transactions: ${chalk.bold(metrics.closedTxs)}`);
   console.log(`Open Positions: ${chalk.bold(metrics.openPositions)}`);
+  console.log(`Partial Exits: ${chalk.bold(metrics.partialExits)} (${metrics.partialProfit.toFixed(4)} SOL realized on open positions)`);
   console.log(`Profitable Trades: ${chalk.bold.green(metrics.profitableTxs)}`);
   console.log(`Unprofitable Trades: ${chalk.bold.red(metrics.unprofitableTxs)}`);
   console.log(`Win Rate: ${chalk.bold(metrics.winRate.toFixed(2))}%`);
@@ -548,6 +476,19 @@ function displayResults(transactions, metrics, timeAnalysis, args) {
     console.log(`Dry Run Transactions: ${chalk.bold(metrics.dryRunCount)}`);
   }
   
+  // Strategy breakdown
+  const strategies = Object.keys(metrics.byStrategy).sort();
+  if (strategies.length > 1 || (strategies.length === 1 && strategies[0] !== 'unknown')) {
+    console.log(`\n${chalk.cyan('Strategy Breakdown:')}`);
+    strategies.forEach(strategy => {
+      const data = metrics.byStrategy[strategy];
+      const roi = data.invested > 0 ? (data.profit / data.invested) * 100 : 0;
+      const winRate = data.closed > 0 ? (data.wins / data.closed) * 100 : 0;
+      const roiColor = roi >= 0 ? chalk.green : chalk.red;
+      console.log(`${chalk.bold(strategy)}: ${data.count} trades, Win Rate: ${winRate.toFixed(2)}%, Profit: ${roiColor(data.profit.toFixed(4))} SOL (${roiColor(roi.toFixed(2))}%)`);
+    });
+  }
+  
   // 2. Time-based analysis
   if (Object.keys(timeAnalysis.daily).length > 0) {
     console.log(chalk.yellow('\n▶ TIME-BASED ANALYSIS'));
@@ -595,7 +536,7 @@ function displayResults(transactions, metrics, timeAnalysis, args) {
       const mintShort = `${tx.baseMint.substring(0, 6)}...${tx.baseMint.substring(tx.baseMint.length - 4)}`;
       
       if (tx.isOpen) {
-        console.log(`${chalk.dim(buyDate)} ${chalk.yellow(mintShort)} ${chalk.blue('OPEN')} - ${chalk.dim(tx.amountInSol.toFixed(4))} SOL${tx.isDryRun ? ' ' + chalk.dim('(DRY RUN)') : ''}`);
+        console.log(`${chalk.dim(buyDate)} ${chalk.yellow(mintShort)} ${chalk.blue('OPEN')} - ${chalk.dim(tx.amountInSol.toFixed(4))} SOL${formatPartialExits(tx)}${tx.isDryRun ? ' ' + chalk.dim('(DRY RUN)') : ''}`);
       } else {
         const sellDate = new Date(tx.sellTimestamp).toISOString().replace('T', ' ').substring(0, 19);
         const holdTime = formatHoldTime(tx.holdTimeMs);
@@ -620,7 +561,7 @@ function displayResults(transactions, metrics, timeAnalysis, args) {
       const mintShort = `${tx.baseMint.substring(0, 6)}...${tx.baseMint.substring(tx.baseMint.length - 4)}`;
       
       if (tx.isOpen) {
-        console.log(`${chalk.dim(buyDate)} ${chalk.yellow(mintShort)} ${chalk.blue('OPEN')} - ${chalk.dim(tx.amountInSol.toFixed(4))} SOL${tx.isDryRun ? ' ' + chalk.dim('(DRY RUN)') : ''}`);
+        console.log(`${chalk.dim(buyDate)} ${chalk.yellow(mintShort)} ${chalk.blue('OPEN')} - ${chalk.dim(tx.amountInSol.toFixed(4))} SOL${formatPartialExits(tx)}${tx.isDryRun ? ' ' + chalk.dim('(DRY RUN)') : ''}`);
       } else {
         const sellDate = new Date(tx.sellTimestamp).toISOString().replace('T', ' ').substring(0, 19);
         const holdTime = formatHoldTime(tx.holdTimeMs);
@@ -639,6 +580,10 @@ function displayResults(transactions, metrics, timeAnalysis, args) {
     console.log(chalk.dim(`\nFiltering by token: ${args.token}`));
   }
   
+  if (args.strategy) {
+    console.log(chalk.dim(`\nFiltering by strategy: ${args.strategy}`));
+  }
+  
   if (args.profitable) {
     console.log(chalk.dim('\nShowing only profitable trades'));
   } else if (args.loss) {
@@ -652,6 +597,20 @@ function displayResults(transactions, metrics, timeAnalysis, args) {
   console.log(chalk.bold.blue('\n=====================================================\n'));
 }
 
+/**
+ * Formats the partial exits already taken on an open position
+ * @param {Object} tx - Transaction
+ * @returns {string} - Suffix for the transaction line (empty without partial exits)
+ */
+function formatPartialExits(tx) {
+  if (!tx.partialExits) {
+    return '';
+  }
+  
+  const profitColor = tx.profitLossSol >= 0 ? chalk.green : chalk.red;
+  return ` ${chalk.dim(`${tx.partialExits} partial exit${tx.partialExits > 1 ? 's' : ''}, realized`)} ${profitColor(tx.profitLossSol.toFixed(4))} SOL`;
+}
+
 /**
  * Formats hold time in a human-readable format
  * @param {number} ms - Hold time in milliseconds
@@ -8,12 +8,15 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const Redis = require('ioredis');
-const { createSubscriber, createPublisher } = require('shared/redis-helper');
+const { createSubscriber, createPublisher, createStreamConsumer } = require('shared/redis-helper');
 const fs = require('fs');
 const path = require('path');
 const { createLogger } = require('shared/logger');
 const config = require('shared/config').default;
-const { REDIS_CHANNELS } = require('shared/constants');
+const { REDIS_CHANNELS, REGEX_PATTERNS, SERVICE_NAMES, COMMAND_TYPES } = require('shared/constants');
+const { validateCommandArgs, createCommandListener, createCommandClient } = require('shared/command-bus');
+const { getTradeLedger } = require('shared/ledger');
+const { getDeployerReputation } = require('shared/ledger/deployer-reputation');
 const portChecker = require('./port-checker');
 
 // Initialize logger
@@ -30,6 +33,8 @@ let server;
 // Initialize Redis client for subscribing to events
 const redisSubscriber = createSubscriber('api-server');
 const redisPublisher = createPublisher('api-server');
+const commandClient = createCommandClient({ context: 'api-server' });
+let commandListener;
 
 // Middleware
 app.use(express.json());
@@ -47,6 +52,17 @@ const authenticate = (req, res, next) => {
   next();
 };
 
+// Commands can sell positions and stop services, and blocklist changes decide
+// which deployers are traded, so unlike the read-only endpoints these stay
+// disabled until an API key is configured
+const authenticateChange = (req, res, next) => {
+  if (!process.env.API_KEY) {
+    return res.status(403).json({ error: 'This endpoint is disabled until API_KEY is set' });
+  }
+  
+  authenticate(req, res, next);
+};
+
 // Routes
 app.get('/api/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -74,6 +90,14 @@ app.get('/api/status', authenticate, async (req, res) => {
       };
     }
     
+    // Candidate queue depth and counters, refreshed with each token-filter heartbeat
+    const queueStats = await redisClient.hgetall('stats:token-filter:queue');
+    if (Object.keys(queueStats).length > 0) {
+      serviceStatus['token-filter'].queue = Object.fromEntries(
+        Object.entries(queueStats).map(([key, value]) => [key, Number(value)])
+      );
+    }
+    
     // Get trading stats (optional, if implemented)
     const buyCount = await redisClient.get('stats:buy_count') || '0';
     const sellCount = await redisClient.get('stats:sell_count') || '0';
@@ -157,28 +181,200 @@ app.get('/api/transactions', authenticate, (req, res) => {
   }
 });
 
-// Socket.io configuration will be set once server is created
-let io;
+/**
+ * Builds trade ledger filters from query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} - Ledger filters
+ */
+function parseTradeFilters(query) {
+  return {
+    baseMint: query.baseMint,
+    positionId: query.positionId,
+    side: query.side,
+    status: query.status ? query.status.split(',') : undefined,
+    isDryRun: query.dryRun === undefined ? undefined : query.dryRun === 'true',
+    since: query.since ? Date.parse(query.since) || parseInt(query.since, 10) : undefined,
+    until: query.until ? Date.parse(query.until) || parseInt(query.until, 10) : undefined
+  };
+}
 
-// Redis subscription setup for Socket.io forwarding
-redisSubscriber.on('ready', () => {
-  logger.info('Redis subscriber connected successfully');
+// Trade ledger endpoints
+app.get('/api/trades', authenticate, (req, res) => {
+  try {
+    const trades = getTradeLedger().queryTrades(parseTradeFilters(req.query), {
+      limit: req.query.limit,
+      offset: req.query.offset,
+      order: req.query.order
+    });
+    
+    res.status(200).json(trades);
+  } catch (error) {
+    logger.error(`Trades endpoint error: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch trades' });
+  }
+});
+
+app.get('/api/trades/summary', authenticate, (req, res) => {
+  try {
+    res.status(200).json(getTradeLedger().getSummary(parseTradeFilters(req.query)));
+  } catch (error) {
+    logger.error(`Trade summary endpoint error: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch trade summary' });
+  }
+});
+
+app.get('/api/positions/open', authenticate, (req, res) => {
+  try {
+    const isDryRun = req.query.dryRun === undefined ? undefined : req.query.dryRun === 'true';
+    res.status(200).json(getTradeLedger().getOpenPositions({ isDryRun }));
+  } catch (error) {
+    logger.error(`Open positions endpoint error: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch open positions' });
+  }
+});
+
+app.get('/api/positions/by-mint', authenticate, (req, res) => {
+  try {
+    const isDryRun = req.query.dryRun === undefined ? undefined : req.query.dryRun === 'true';
+    res.status(200).json(getTradeLedger().getMintAggregates({ isDryRun }));
+  } catch (error) {
+    logger.error(`Mint aggregates endpoint error: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch mint aggregates' });
+  }
+});
+
+app.get('/api/positions/:positionId/trades', authenticate, (req, res) => {
+  try {
+    const trades = getTradeLedger().getPositionTrades(req.params.positionId);
+    
+    if (trades.length === 0) {
+      return res.status(404).json({ error: `No trades found for position: ${req.params.positionId}` });
+    }
+    
+    res.status(200).json(trades);
+  } catch (error) {
+    logger.error(`Position trades endpoint error: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch position trades' });
+  }
+});
+
+// Deployer reputation and blocklist endpoints
+app.get('/api/deployers/blocklist', authenticate, (req, res) => {
+  try {
+    res.status(200).json(getDeployerReputation().listBlocklist());
+  } catch (error) {
+    logger.error(`Blocklist endpoint error: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch blocklist' });
+  }
+});
+
+app.post('/api/deployers/blocklist', authenticateChange, (req, res) => {
+  const { address, reason } = req.body || {};
   
-  // Subscribe to relevant Redis channels
-  redisSubscriber.subscribe(REDIS_CHANNELS.LOGS);
-  redisSubscriber.subscribe(REDIS_CHANNELS.NEW_POOLS);
-  redisSubscriber.subscribe(REDIS_CHANNELS.SUCCESSFUL_BUYS);
-  redisSubscriber.subscribe(REDIS_CHANNELS.SUCCESSFUL_SELLS);
+  if (!address || !REGEX_PATTERNS.SOLANA_ADDRESS.test(address)) {
+    return res.status(400).json({ error: 'A valid Solana address is required' });
+  }
   
-  logger.info('Subscribed to Redis channels');
+  try {
+    const entry = getDeployerReputation().block(address, reason || null, 'manual');
+    res.status(201).json(entry);
+  } catch (error) {
+    logger.error(`Blocklist add error: ${error.message}`);
+    res.status(500).json({ error: 'Failed to add blocklist entry' });
+  }
 });
 
-// Handle Redis messages and forward to Socket.io
-redisSubscriber.on('message', (channel, message) => {
+app.delete('/api/deployers/blocklist/:address', authenticateChange, (req, res) => {
+  try {
+    if (!getDeployerReputation().unblock(req.params.address)) {
+      return res.status(404).json({ error: `Not blocklisted: ${req.params.address}` });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Blocklist remove error: ${error.message}`);
+    res.status(500).json({ error: 'Failed to remove blocklist entry' });
+  }
+});
+
+// Control-plane command endpoints
+// POST /api/commands/<command> with { target, args, reason, timeoutMs } publishes
+// the command and answers with the acks received within timeoutMs (202 if
+// a targeted service has not acked yet; GET the commandId later for the rest)
+app.post('/api/commands/:command', authenticateChange, async (req, res) => {
+  const { command } = req.params;
+  const { target = 'all', args = {}, reason, timeoutMs } = req.body || {};
+  
+  if (!COMMAND_TYPES.includes(command)) {
+    return res.status(400).json({ error: `Unknown command ${command} (${COMMAND_TYPES.join(', ')})` });
+  }
+  
+  if (target !== 'all' && !SERVICE_NAMES.includes(target)) {
+    return res.status(400).json({ error: `Unknown target ${target} (${SERVICE_NAMES.join(', ')} or all)` });
+  }
+  
+  if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+    return res.status(400).json({ error: 'args must be an object' });
+  }
+  
+  const errors = validateCommandArgs(command, args);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+  
+  try {
+    const outcome = await commandClient.send(command, {
+      target,
+      args,
+      reason,
+      issuedBy: `api-server ${req.ip}`,
+      timeoutMs: Math.min(parseInt(timeoutMs || 5000, 10), 30000)
+    });
+    
+    res.status(outcome.missing.length > 0 ? 202 : 200).json(outcome);
+  } catch (error) {
+    logger.error(`Command endpoint error: ${error.message}`);
+    res.status(500).json({ error: 'Failed to issue command' });
+  }
+});
+
+app.get('/api/commands/:commandId', authenticateChange, async (req, res) => {
+  try {
+    const record = await commandClient.getCommand(req.params.commandId);
+    
+    if (!record) {
+      return res.status(404).json({ error: `Unknown or expired command: ${req.params.commandId}` });
+    }
+    
+    res.status(200).json(record);
+  } catch (error) {
+    logger.error(`Command lookup error: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch command' });
+  }
+});
+
+app.get('/api/deployers/:address', authenticate, (req, res) => {
+  try {
+    res.status(200).json(getDeployerReputation().getReputation(req.params.address));
+  } catch (error) {
+    logger.error(`Deployer reputation endpoint error: ${error.message}`);
+    res.status(500).json({ error: 'Failed to fetch deployer reputation' });
+  }
+});
+
+// Socket.io configuration will be set once server is created
+let io;
+
+/**
+ * Forwards a Redis message to the matching Socket.io room
+ * @param {string} channel - Pub/sub channel or stream key
+ * @param {Object|string} message - Validated stream message or raw JSON string
+ */
+function forwardToSocket(channel, message) {
   if (!io) return; // Skip if Socket.io isn't initialized yet
   
   try {
-    const data = JSON.parse(message);
+    const data = typeof message === 'string' ? JSON.parse(message) : message;
     
     // Forward to appropriate Socket.io rooms based on channel
     switch (channel) {
@@ -190,6 +386,14 @@ redisSubscriber.on('message', (channel, message) => {
         io.to('pools').emit('new_pool', data);
         break;
       
+      case REDIS_CHANNELS.POOL_MIGRATIONS:
+        io.to('pools').emit('pool_migration', data);
+        break;
+      
+      case REDIS_CHANNELS.FILTER_DECISIONS:
+        io.to('pools').emit('filter_decision', data);
+        break;
+      
       case REDIS_CHANNELS.SUCCESSFUL_BUYS:
         io.to('transactions').emit('buy', data);
         break;
@@ -204,6 +408,38 @@ redisSubscriber.on('message', (channel, message) => {
   } catch (error) {
     logger.error(`Error processing Redis message: ${error.message}`);
   }
+}
+
+// Logs stay on pub/sub; pipeline events are read from their streams through
+// the api-server's own consumer group, so forwarding never steals entries
+// from the services consuming them
+redisSubscriber.on('ready', () => {
+  logger.info('Redis subscriber connected successfully');
+  
+  redisSubscriber.subscribe(REDIS_CHANNELS.LOGS);
+  
+  logger.info('Subscribed to Redis channels');
+});
+
+redisSubscriber.on('message', forwardToSocket);
+
+const eventStreamConsumer = createStreamConsumer({
+  context: 'api-server',
+  group: 'api-server',
+  streams: [
+    REDIS_CHANNELS.NEW_POOLS,
+    REDIS_CHANNELS.POOL_MIGRATIONS,
+    REDIS_CHANNELS.FILTER_DECISIONS,
+    REDIS_CHANNELS.SUCCESSFUL_BUYS,
+    REDIS_CHANNELS.SUCCESSFUL_SELLS
+  ],
+  // Sockets only want live events, not the history before the group existed
+  startId: '$',
+  handler: async (message, { stream }) => forwardToSocket(stream, message)
+});
+
+eventStreamConsumer.start().catch(error => {
+  logger.error(`Failed to start event stream consumer: ${error.message}`);
 });
 
 // Handle Redis connection errors
@@ -313,8 +549,8 @@ async function startServer() {
     });
     
     // Handle graceful shutdown
-    const shutdown = async () => {
-      logger.info('SIGTERM received, shutting down gracefully');
+    const shutdown = async (reason) => {
+      logger.info(`${reason} received, shutting down gracefully`);
       
       // Close the health check server
       if (healthServer) {
@@ -330,6 +566,9 @@ async function startServer() {
       
       // Close Redis connections
       redisSubscriber.quit();
+      eventStreamConsumer.stop();
+      commandListener.stop();
+      commandClient.stop();
       
       // Give everything 5 seconds to close, then exit
       setTimeout(() => {
@@ -341,6 +580,14 @@ async function startServer() {
     process.on('SIGTERM', shutdown);
     process.on('SIGINT', shutdown);
     
+    // Only the built-in commands apply here; a drain is a plain shutdown
+    // since requests in flight are finished by closing the server
+    commandListener = createCommandListener({
+      service: 'api-server',
+      onShutdown: drain => shutdown(drain ? 'drain command' : 'shutdown command')
+    });
+    commandListener.start();
+    
   } catch (error) {
     logger.error(`Failed to start server: ${error.message}`);
     process.exit(1);
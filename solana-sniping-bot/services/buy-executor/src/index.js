@@ -1,6 +1,6 @@
 /**
  * @fileoverview Buy Executor Service for Solana Memecoin Sniping Bot
- * Subscribes to potential buy opportunities from Redis, constructs and executes
+ * Consumes potential buy opportunities from Redis, constructs and executes
  * swap transactions with high priority fees and custom slippage settings.
  * Includes DryRun mode for transaction simulation.
  */
@@ -11,30 +11,72 @@ const {
   TransactionMessage,
   VersionedTransaction,
   ComputeBudgetProgram,
-  SystemProgram,
   LAMPORTS_PER_SOL
 } = require('@solana/web3.js');
-const { 
-  getAssociatedTokenAddress, 
-  createAssociatedTokenAccountInstruction,
-  getAccount
-} = require('@solana/spl-token');
 const { getConnection } = require('shared/connection');
 const { loadWallet } = require('shared/wallet');
 const { createLogger, createTransactionLogger } = require('shared/logger');
-const { createSubscriber, createPublisher } = require('shared/redis-helper');
-const config = require('shared/config');
-const { REDIS_CHANNELS, SOLANA_ADDRESSES } = require('shared/constants');
+const { createPublisher, createStreamConsumer, publishToStream, publishToChannel } = require('shared/redis-helper');
+const { createCommandListener } = require('shared/command-bus');
+const config = require('shared/config').default;
+const { REDIS_CHANNELS, SOLANA_ADDRESSES, PERFORMANCE_SETTINGS } = require('shared/constants');
+const {
+  POOL_TYPES,
+  quoteRaydiumSwap,
+  quotePumpfunSwap,
+  buildSwapInstructions
+} = require('shared/utils/dex-pool');
+const { fetchRaydiumPoolKeys } = require('shared/utils/raydium-amm');
+const { PUMPFUN_TOKEN_DECIMALS } = require('shared/utils/pumpfun');
+const { fetchConfirmedTransaction, parseSwapFill, summarizeFill } = require('shared/utils/fill-parser');
+const { getTradeLedger } = require('shared/ledger');
 const { v4: uuidv4 } = require('uuid');
+const { createRiskGate } = require('./risk-gate');
 
 // Initialize loggers
 const logger = createLogger('buy-executor');
 const txLogger = createTransactionLogger('buy-executor');
 
 // Initialize Redis clients
-// Initialize Redis client for subscribing to events
-const redisSubscriber = createSubscriber('buy-executor');
 const redisPublisher = createPublisher('buy-executor');
+// A buy opportunity published before the group existed is stale, so a new
+// group only reads entries published from then on
+const potentialBuysConsumer = createStreamConsumer({
+  context: 'buy-executor',
+  group: 'buy-executor',
+  streams: [REDIS_CHANNELS.POTENTIAL_BUYS],
+  startId: '$',
+  handler: (tokenData, { id }) => processPotentialBuy(tokenData, id)
+});
+
+/**
+ * Reads the risk limits from config
+ * @returns {Object} - Risk gate limits
+ */
+function riskLimitsFromConfig() {
+  return {
+    maxOpenPositions: config.MAX_OPEN_POSITIONS,
+    maxDeployedSol: config.MAX_DEPLOYED_SOL,
+    maxDailyLossSol: config.MAX_DAILY_LOSS_SOL,
+    maxDrawdownSol: config.MAX_DRAWDOWN_SOL,
+    maxBuysPerMinute: config.MAX_BUYS_PER_MINUTE
+  };
+}
+
+// Limits every buy is checked against before its swap is sent; updated in
+// place when the config is reloaded
+const riskLimits = riskLimitsFromConfig();
+const riskGate = createRiskGate({
+  redis: redisPublisher,
+  getLedger: getTradeLedger,
+  isDryRun: config.DRY_RUN,
+  limits: riskLimits
+});
+
+/**
+ * Venues buildSwapInstructions can trade
+ */
+const TRADEABLE_POOL_TYPES = [POOL_TYPES.RAYDIUM_V4, POOL_TYPES.PUMPFUN_BONDING_CURVE];
 
 /**
  * Creates a unique transaction ID for tracking purposes
@@ -54,125 +96,6 @@ function generateSimulatedSignature() {
   return randomBytes + 'DryRunSim';
 }
 
-/**
- * Checks if the Associated Token Account exists for a given mint
- * If not, creates an instruction to create it
- * @param {Connection} connection - Solana connection
- * @param {PublicKey} ownerPubkey - Owner's public key
- * @param {PublicKey} mintPubkey - Token mint public key
- * @returns {Promise<{exists: boolean, address: PublicKey, createInstruction: TransactionInstruction|null}>}
- */
-async function checkAndCreateATA(connection, ownerPubkey, mintPubkey) {
-  // In DryRun mode, simulate the ATA check
-  if (config.DRY_RUN) {
-    const ataAddress = await getAssociatedTokenAddress(
-      mintPubkey,
-      ownerPubkey,
-      false
-    );
-    
-    // Simulate a 70% chance the ATA already exists
-    const exists = Math.random() > 0.3;
-    
-    logger.debug(`DryRun: Simulating ATA check for ${mintPubkey.toString()}, exists=${exists}`);
-    
-    if (exists) {
-      return {
-        exists: true,
-        address: ataAddress,
-        createInstruction: null
-      };
-    } else {
-      const createInstruction = createAssociatedTokenAccountInstruction(
-        ownerPubkey,
-        ataAddress,
-        ownerPubkey,
-        mintPubkey
-      );
-      
-      return {
-        exists: false,
-        address: ataAddress,
-        createInstruction
-      };
-    }
-  }
-  
-  // Normal mode - actual ATA check
-  const ataAddress = await getAssociatedTokenAddress(
-    mintPubkey,
-    ownerPubkey,
-    false // allowOwnerOffCurve
-  );
-  
-  try {
-    // Check if the ATA already exists
-    await getAccount(connection, ataAddress);
-    return {
-      exists: true,
-      address: ataAddress,
-      createInstruction: null
-    };
-  } catch (error) {
-    // If error is account not found, create instruction to create ATA
-    if (error.name === 'TokenAccountNotFoundError') {
-      const createInstruction = createAssociatedTokenAccountInstruction(
-        ownerPubkey, // payer
-        ataAddress, // associatedToken
-        ownerPubkey, // owner
-        mintPubkey  // mint
-      );
-      
-      return {
-        exists: false,
-        address: ataAddress,
-        createInstruction
-      };
-    }
-    
-    // Re-throw unexpected errors
-    throw error;
-  }
-}
-
-/**
- * Builds swap instructions for Raydium DEX
- * This is a simplified implementation - in production, use DEX-specific SDKs
- * @param {PublicKey} ownerPubkey - Owner's public key
- * @param {PublicKey} poolPubkey - Liquidity pool public key
- * @param {PublicKey} baseMintPubkey - Base token mint public key
- * @param {PublicKey} quoteMintPubkey - Quote token mint public key
- * @param {PublicKey} baseTokenAccount - Base token associated account
- * @param {PublicKey} quoteTokenAccount - Quote token associated account
- * @param {number} amountIn - Input amount in lamports
- * @param {number} minAmountOut - Minimum output amount with slippage
- * @returns {TransactionInstruction} Swap instruction
- */
-function buildRaydiumSwapInstruction(
-  ownerPubkey,
-  poolPubkey,
-  baseMintPubkey,
-  quoteMintPubkey,
-  baseTokenAccount,
-  quoteTokenAccount,
-  amountIn,
-  minAmountOut
-) {
-  // In a real implementation, you would use Raydium's SDK or construct the
-  // raw instruction with the proper accounts and data
-  // This is simplified for this example
-  
-  // Log what would be built in real scenario
-  logger.info(`Would build Raydium swap with: Amount In=${amountIn}, Min Out=${minAmountOut}`);
-  
-  // In production, replace with actual instruction building
-  return SystemProgram.transfer({
-    fromPubkey: ownerPubkey,
-    toPubkey: ownerPubkey,
-    lamports: 0 // Dummy instruction
-  });
-}
-
 /**
  * Simulates a transaction for DryRun mode
  * @param {string} txId - Transaction ID
@@ -231,16 +154,22 @@ async function simulateTransaction(txId, tokenData, amountInSol) {
   });
   
   // Prepare buy data for Redis
+  const timestamp = Date.now();
   const buyData = {
     txId,
+    positionId: txId,
     signature,
     baseMint,
     quoteMint,
     lpAddress,
+    poolType: tokenData.poolType || POOL_TYPES.RAYDIUM_V4,
     amountInSol,
     tokenAmount,
-    estimatedPrice,
-    timestamp: Date.now(),
+    buyPrice: estimatedPrice,
+    exitRules: tokenData.exitRules || null,
+    baseVault: tokenData.baseVault || null,
+    buyTimestamp: timestamp,
+    timestamp,
     isDryRun: true
   };
   
@@ -251,6 +180,149 @@ async function simulateTransaction(txId, tokenData, amountInSol) {
   };
 }
 
+/**
+ * Reads what a confirmed buy actually filled
+ * Falls back to the pre-trade quote when the transaction cannot be fetched or
+ * parsed, so a confirmed buy is never dropped; the fill source says which.
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string} signature - Confirmed transaction signature
+ * @param {Object} params - Fill parameters
+ * @param {string} params.txId - Transaction ID for logging
+ * @param {string} params.owner - Wallet address
+ * @param {string} params.baseMint - Token mint bought
+ * @param {number} params.amountInSol - SOL sent into the swap
+ * @param {Object} params.quote - Pre-trade swap quote
+ * @param {number} params.tokenDecimals - Decimals of the token bought
+ * @returns {Promise<Object>} - Fill ({ tokenAmount, tokenDecimals, solAmount, feeSol, rentSol, price, source })
+ */
+async function readBuyFill(connection, signature, { txId, owner, baseMint, amountInSol, quote, tokenDecimals }) {
+  try {
+    const transaction = await fetchConfirmedTransaction(connection, signature);
+    
+    if (!transaction) {
+      throw new Error('transaction not available from RPC');
+    }
+    
+    const fill = summarizeFill(parseSwapFill(transaction, { owner, mint: baseMint }), true);
+    
+    if (fill.tokenAmount <= 0) {
+      throw new Error('no tokens received by the wallet');
+    }
+    
+    txLogger.info(`Buy filled`, { txId, signature, ...fill });
+    
+    return { ...fill, source: 'transaction' };
+  } catch (error) {
+    txLogger.warn(`Could not read buy fill, using the quote instead: ${error.message}`, { txId, signature });
+    
+    const tokenAmount = Number(quote.expectedAmountOut);
+    
+    return {
+      tokenAmount,
+      tokenDecimals,
+      solAmount: amountInSol,
+      feeSol: null,
+      rentSol: null,
+      price: tokenAmount > 0 ? amountInSol / (tokenAmount / Math.pow(10, tokenDecimals)) : 0,
+      source: 'quote'
+    };
+  }
+}
+
+/**
+ * Builds the positions:<positionId> hash from a SUCCESSFUL_BUYS message so both
+ * carry the same fields and values
+ * @param {Object} buyData - SUCCESSFUL_BUYS payload
+ * @returns {Object} - Position hash fields
+ */
+function toPositionHash(buyData) {
+  return {
+    positionId: buyData.positionId,
+    baseMint: buyData.baseMint,
+    quoteMint: buyData.quoteMint,
+    lpAddress: buyData.lpAddress,
+    poolType: buyData.poolType,
+    buyPrice: buyData.buyPrice,
+    amountInSol: buyData.amountInSol,
+    tokenAmount: buyData.tokenAmount,
+    buyTimestamp: buyData.buyTimestamp,
+    signature: buyData.signature,
+    exitRules: buyData.exitRules ? JSON.stringify(buyData.exitRules) : '',
+    baseVault: buyData.baseVault || '',
+    isDryRun: buyData.isDryRun ? 'true' : 'false'
+  };
+}
+
+/**
+ * Records a buy attempt in the trade ledger
+ * Ledger failures are logged, never allowed to fail the buy itself
+ * @param {Object} tokenData - POTENTIAL_BUYS payload that was acted on
+ * @param {Object} result - executeSwap result
+ */
+function recordBuyAttempt(tokenData, result) {
+  try {
+    const buyData = result.buyData;
+    
+    if (result.success) {
+      getTradeLedger().recordTrade({
+        tradeId: buyData.txId,
+        positionId: buyData.positionId,
+        side: 'buy',
+        status: 'filled',
+        baseMint: buyData.baseMint,
+        quoteMint: buyData.quoteMint,
+        lpAddress: buyData.lpAddress,
+        poolType: buyData.poolType,
+        signature: buyData.signature,
+        tokenAmount: buyData.tokenAmount,
+        solAmount: buyData.amountInSol,
+        price: buyData.buyPrice || null,
+        feeSol: buyData.feeSol,
+        isDryRun: buyData.isDryRun,
+        timestamp: buyData.buyTimestamp,
+        metadata: {
+          fillSource: buyData.fillSource,
+          tokenDecimals: buyData.tokenDecimals,
+          rentSol: buyData.rentSol,
+          exitRules: buyData.exitRules,
+          baseVault: buyData.baseVault || undefined,
+          // Concentration at entry, kept for filter tuning
+          holderDistribution: tokenData.holderDistribution ? {
+            topHolderShare: tokenData.holderDistribution.topHolderShare,
+            creatorShare: tokenData.holderDistribution.creatorShare
+          } : undefined,
+          lpLock: tokenData.lpLock ? {
+            securedPercent: tokenData.lpLock.securedPercent,
+            deployerPercent: tokenData.lpLock.deployerPercent
+          } : undefined,
+          sellSimulation: tokenData.sellSimulation || undefined,
+          filter: tokenData.filterVerdict ? {
+            config: tokenData.filterVerdict.config,
+            score: tokenData.filterVerdict.score
+          } : undefined
+        }
+      });
+      return;
+    }
+    
+    getTradeLedger().recordTrade({
+      tradeId: createTransactionId(),
+      side: 'buy',
+      status: 'failed',
+      baseMint: tokenData.baseMint,
+      quoteMint: tokenData.quoteMint,
+      lpAddress: tokenData.lpAddress,
+      poolType: tokenData.poolType,
+      signature: result.signature || null,
+      solAmount: config.BUY_AMOUNT_SOL,
+      error: result.error,
+      isDryRun: config.DRY_RUN
+    });
+  } catch (error) {
+    logger.error(`Failed to record buy of ${tokenData.baseMint} in trade ledger: ${error.message}`);
+  }
+}
+
 /**
  * Executes a swap transaction to buy a token
  * @param {Object} tokenData - Data about the token to buy
@@ -259,12 +331,14 @@ async function simulateTransaction(txId, tokenData, amountInSol) {
 async function executeSwap(tokenData) {
   const txId = createTransactionId();
   const { baseMint, quoteMint, lpAddress } = tokenData;
+  const poolType = tokenData.poolType || POOL_TYPES.RAYDIUM_V4;
   
   txLogger.info(`Starting swap transaction`, { 
     txId, 
     baseMint, 
     quoteMint, 
     lpAddress,
+    poolType,
     dryRun: config.DRY_RUN
   });
   
@@ -281,7 +355,7 @@ async function executeSwap(tokenData) {
     
     // Calculate amount in SOL to spend
     const amountInSol = config.BUY_AMOUNT_SOL;
-    const amountInLamports = amountInSol * LAMPORTS_PER_SOL;
+    const amountInLamports = Math.floor(amountInSol * LAMPORTS_PER_SOL);
     
     txLogger.info(`Transaction parameters prepared`, { 
       txId, 
@@ -296,21 +370,10 @@ async function executeSwap(tokenData) {
       
       // If successful simulation, publish to Redis
       if (result.success) {
-        await redisPublisher.publish(
-          REDIS_CHANNELS.SUCCESSFUL_BUYS,
-          JSON.stringify(result.buyData)
-        );
+        await publishToStream(redisPublisher, REDIS_CHANNELS.SUCCESSFUL_BUYS, result.buyData);
         
         // Store in Redis for the sell-manager
-        await redisPublisher.hset(`positions:${baseMint}`, {
-          baseMint,
-          buyPrice: result.buyData.estimatedPrice || 0,
-          amountInSol,
-          tokenAmount: result.buyData.tokenAmount || 0,
-          buyTimestamp: Date.now(),
-          signature: result.signature,
-          isDryRun: true
-        });
+        await redisPublisher.hset(`positions:${result.buyData.positionId}`, toPositionHash(result.buyData));
         
         // Increment buy stats counter
         await redisPublisher.incr('stats:buy_count');
@@ -321,16 +384,50 @@ async function executeSwap(tokenData) {
     
     // Normal execution mode from here
 
-    // Check if we need to create Associated Token Accounts
-    txLogger.debug(`Checking token accounts`, { txId });
+    // Resolve the pool accounts and quote the buy against live reserves
+    txLogger.debug(`Resolving pool accounts`, { txId, poolType });
+    
+    let quote;
+    let poolKeys;
+    let curveState;
+    let tokenDecimals;
+    
+    if (poolType === POOL_TYPES.PUMPFUN_BONDING_CURVE) {
+      // Curve-state pricing: virtual reserves of the bonding curve
+      quote = await quotePumpfunSwap({
+        connection,
+        lpAddress,
+        isBuyingTokens: true,
+        amountIn: amountInLamports,
+        slippageBps: config.SLIPPAGE_TOLERANCE_BPS
+      });
+      curveState = { curve: quote.curve, global: quote.global };
+      tokenDecimals = PUMPFUN_TOKEN_DECIMALS;
+    } else {
+      const pool = await fetchRaydiumPoolKeys(connection, lpAddressPubkey);
+      poolKeys = pool.poolKeys;
+      
+      quote = await quoteRaydiumSwap({
+        connection,
+        lpAddress,
+        inputMint: quoteMint,
+        amountIn: amountInLamports,
+        slippageBps: config.SLIPPAGE_TOLERANCE_BPS,
+        poolState: pool.poolState
+      });
+      tokenDecimals = quote.reserves.baseMint === baseMint ?
+        quote.reserves.baseDecimals : quote.reserves.quoteDecimals;
+    }
     
-    const baseATA = await checkAndCreateATA(connection, walletPubkey, baseMintPubkey);
-    const quoteATA = await checkAndCreateATA(connection, walletPubkey, quoteMintPubkey);
+    if (quote.minAmountOut === 0n) {
+      txLogger.error(`Pool quote returned no output`, { txId, lpAddress });
+      return { success: false, error: 'Pool quote returned no output' };
+    }
     
-    txLogger.debug(`Token account status`, { 
-      txId, 
-      baseATA: baseATA.exists ? 'exists' : 'needs creation',
-      quoteATA: quoteATA.exists ? 'exists' : 'needs creation'
+    txLogger.debug(`Swap quote`, {
+      txId,
+      expectedAmountOut: quote.expectedAmountOut.toString(),
+      minAmountOut: quote.minAmountOut.toString()
     });
     
     // Prepare transaction instructions
@@ -347,36 +444,23 @@ async function executeSwap(tokenData) {
       })
     );
     
-    // Create ATAs if needed
-    if (baseATA.createInstruction) {
-      instructions.push(baseATA.createInstruction);
-      txLogger.debug(`Adding instruction to create base token ATA`, { txId });
-    }
-    
-    if (quoteATA.createInstruction) {
-      instructions.push(quoteATA.createInstruction);
-      txLogger.debug(`Adding instruction to create quote token ATA`, { txId });
-    }
-    
-    // Calculate minimum output amount with slippage
-    // In a real implementation, this would involve querying the pool for the current price
-    // and applying the slippage percentage
-    const minAmountOut = 1; // Dummy value for this example
-    
-    // Build swap instruction (would use DEX SDK in production)
-    const swapInstruction = buildRaydiumSwapInstruction(
-      walletPubkey,
-      lpAddressPubkey,
-      baseMintPubkey,
-      quoteMintPubkey,
-      baseATA.address,
-      quoteATA.address,
-      amountInLamports,
-      minAmountOut
-    );
+    // Build swap instructions (ATA creation, SOL wrapping and the venue's swap)
+    const swap = await buildSwapInstructions({
+      connection,
+      poolType,
+      poolKeys,
+      curveState,
+      lpAddress,
+      baseMint,
+      quoteMint,
+      owner: walletPubkey,
+      amountIn: amountInLamports,
+      minAmountOut: quote.minAmountOut,
+      isBuyingTokens: true
+    });
     
-    instructions.push(swapInstruction);
-    txLogger.debug(`Added swap instruction`, { txId });
+    instructions.push(...swap.instructions);
+    txLogger.debug(`Added swap instructions`, { txId, count: swap.instructions.length });
     
     // Check if we should simulate the transaction
     if (config.SIMULATE_TRANSACTIONS) {
@@ -464,38 +548,44 @@ async function executeSwap(tokenData) {
     
     txLogger.info(`Transaction confirmed successfully`, { txId, signature });
     
-    // Fetch the actual tokens received (simplified - in production would query token balance)
-    // This is a placeholder - in a real implementation you'd query the token account
-    const tokenAmount = 1000000; // Placeholder
+    // Read the actual fill from the confirmed transaction's balance changes
+    const fill = await readBuyFill(connection, signature, {
+      txId,
+      owner: walletPubkey.toString(),
+      baseMint,
+      amountInSol,
+      quote,
+      tokenDecimals
+    });
     
     // Publish successful buy to Redis
+    const timestamp = Date.now();
     const buyData = {
       txId,
+      positionId: txId,
       signature,
       baseMint,
       quoteMint,
       lpAddress,
-      amountInSol,
-      timestamp: Date.now(),
-      tokenAmount,
+      poolType,
+      amountInSol: fill.solAmount,
+      tokenAmount: fill.tokenAmount,
+      buyPrice: fill.price,
+      tokenDecimals: fill.tokenDecimals,
+      feeSol: fill.feeSol,
+      rentSol: fill.rentSol,
+      fillSource: fill.source,
+      exitRules: tokenData.exitRules || null,
+      baseVault: tokenData.baseVault || null,
+      buyTimestamp: timestamp,
+      timestamp,
       isDryRun: false
     };
     
-    await redisPublisher.publish(
-      REDIS_CHANNELS.SUCCESSFUL_BUYS,
-      JSON.stringify(buyData)
-    );
+    await publishToStream(redisPublisher, REDIS_CHANNELS.SUCCESSFUL_BUYS, buyData);
     
     // Also store in Redis for the sell-manager to pick up
-    await redisPublisher.hset(`positions:${baseMint}`, {
-      baseMint,
-      buyPrice: 0, // Would calculate actual price in production
-      amountInSol,
-      tokenAmount,
-      buyTimestamp: Date.now(),
-      signature,
-      isDryRun: false
-    });
+    await redisPublisher.hset(`positions:${buyData.positionId}`, toPositionHash(buyData));
     
     // Increment buy stats counter
     await redisPublisher.incr('stats:buy_count');
@@ -520,16 +610,42 @@ async function executeSwap(tokenData) {
 }
 
 /**
- * Processes a potential buy notification from Redis
- * @param {string} message - JSON string containing token data
+ * Claims a pool for buying across buy-executor instances and deliveries
+ * Unlike token-filter's candidate claim, a redelivery of the claiming entry
+ * cannot claim it again: its first run may have sent the swap before the
+ * process died, so an interrupted buy is never retried.
+ * @param {string} lpAddress - Pool address
+ * @param {string} entryId - POTENTIAL_BUYS entry ID, stored as the claim
+ * @returns {Promise<boolean>} - True if this entry may buy the pool
+ */
+async function claimBuy(lpAddress, entryId) {
+  const claimed = await redisPublisher.set(
+    `buy-executor:buy:${lpAddress}`, entryId, 'PX', PERFORMANCE_SETTINGS.BUY_IDEMPOTENCY_TTL_MS, 'NX'
+  );
+  
+  return claimed === 'OK';
+}
+
+/**
+ * Processes a potential buy entry from the POTENTIAL_BUYS stream
+ * Errors are deliberately not rethrown: a redelivered entry could buy the
+ * same token twice, so each opportunity is attempted at most once
+ * @param {Object} tokenData - Validated POTENTIAL_BUYS message
+ * @param {string} entryId - Stream entry ID
  */
-async function processPotentialBuy(message) {
+async function processPotentialBuy(tokenData, entryId) {
   try {
-    const tokenData = JSON.parse(message);
     logger.info(`Processing potential buy: ${tokenData.baseMint}`, {
       dryRun: config.DRY_RUN
     });
     
+    // A backlog read after downtime is no longer an entry at launch price
+    const ageMs = Date.now() - tokenData.timestamp;
+    if (config.BUY_OPPORTUNITY_MAX_AGE_SECONDS > 0 && ageMs > config.BUY_OPPORTUNITY_MAX_AGE_SECONDS * 1000) {
+      logger.warn(`Skipping stale potential buy of ${tokenData.baseMint}: published ${Math.round(ageMs / 1000)}s ago`);
+      return;
+    }
+    
     // Check quote token - we usually only want SOL pairs for simplicity
     const isSOLPair = tokenData.quoteMint === SOLANA_ADDRESSES.SOL_MINT.toString();
     if (!isSOLPair) {
@@ -537,8 +653,35 @@ async function processPotentialBuy(message) {
       return;
     }
     
-    // Execute the swap
-    const result = await executeSwap(tokenData);
+    // Only venues with a swap builder can be traded; pools from older publishers default to v4
+    const poolType = tokenData.poolType || POOL_TYPES.RAYDIUM_V4;
+    if (!config.DRY_RUN && !TRADEABLE_POOL_TYPES.includes(poolType)) {
+      logger.warn(`Skipping unsupported pool type: ${poolType} (${tokenData.lpAddress})`);
+      return;
+    }
+    
+    // Another entry for the pool (or an earlier delivery of this one) already tried it
+    if (!(await claimBuy(tokenData.lpAddress, entryId))) {
+      logger.warn(`Skipping duplicate potential buy of ${tokenData.baseMint} (${tokenData.lpAddress})`);
+      return;
+    }
+    
+    // Hold the buy back if it would breach a risk limit
+    const risk = await riskGate.check(config.BUY_AMOUNT_SOL);
+    if (!risk.allowed) {
+      logger.warn(`Skipping buy of ${tokenData.baseMint}: ${risk.reason}`, { limit: risk.limit });
+      return;
+    }
+    
+    // Execute the swap; the reservation holds its exposure until the ledger does
+    riskGate.recordBuy();
+    let result;
+    try {
+      result = await executeSwap(tokenData);
+      recordBuyAttempt(tokenData, result);
+    } finally {
+      riskGate.release(risk.reservationId);
+    }
     
     if (result.success) {
       logger.info(`Successfully bought ${tokenData.baseMint}`, { 
@@ -556,20 +699,37 @@ async function processPotentialBuy(message) {
   }
 }
 
-// Set up Redis subscription
-redisSubscriber.on('ready', () => {
-  logger.info('Redis subscriber connected. Subscribing to potential buys channel.');
-  redisSubscriber.subscribe(REDIS_CHANNELS.POTENTIAL_BUYS);
+/**
+ * Control-plane commands: pause is the kill switch for new buys (open
+ * positions are left to sell-manager), resume lifts a manual or drawdown pause
+ */
+const commandListener = createCommandListener({
+  service: 'buy-executor',
+  handlers: {
+    async pause(args, command) {
+      await riskGate.pause(command.reason || 'Manual kill switch', `command from ${command.issuedBy || 'unknown'}`);
+      return riskGate.getState();
+    },
+    
+    async resume(args, command) {
+      await riskGate.resume(`command from ${command.issuedBy || 'unknown'}`);
+      return riskGate.getState();
+    },
+    
+    async reload_config() {
+      Object.assign(riskLimits, riskLimitsFromConfig());
+      return { riskLimits };
+    }
+  },
+  onShutdown: drain => shutdown(drain ? 'drain command' : 'shutdown command', { drain })
 });
 
-redisSubscriber.on('message', (channel, message) => {
-  if (channel === REDIS_CHANNELS.POTENTIAL_BUYS) {
-    processPotentialBuy(message);
-  }
-});
+commandListener.start();
 
-redisSubscriber.on('error', (error) => {
-  logger.error(`Redis subscriber error: ${error.message}`);
+// Restore a pause from an earlier run before consuming potential buys
+riskGate.load().then(() => potentialBuysConsumer.start()).catch(error => {
+  logger.error(`Failed to start POTENTIAL_BUYS consumer: ${error.message}`);
+  process.exit(1);
 });
 
 // Set up heartbeat interval
@@ -577,24 +737,39 @@ const heartbeatInterval = setInterval(async () => {
   try {
     const timestamp = Date.now();
     await redisPublisher.set('heartbeat:buy-executor', timestamp);
-    await redisPublisher.publish(REDIS_CHANNELS.HEARTBEATS, JSON.stringify({
+    await publishToChannel(redisPublisher, REDIS_CHANNELS.HEARTBEATS, {
       service: 'buy-executor',
       timestamp,
-      dryRun: config.DRY_RUN
-    }));
+      dryRun: config.DRY_RUN,
+      risk: riskGate.getState()
+    });
     logger.debug('Heartbeat sent');
   } catch (error) {
     logger.error(`Failed to send heartbeat: ${error.message}`);
   }
 }, 10000); // Every 10 seconds
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
+/**
+ * Shuts the service down
+ * @param {string} reason - What asked for it
+ * @param {Object} [options] - { drain: finish the buy in flight before closing connections }
+ * @returns {Promise<void>}
+ */
+async function shutdown(reason, { drain = false } = {}) {
+  logger.info(`${reason} received, shutting down gracefully${drain ? ' after in-flight buys' : ''}`);
   clearInterval(heartbeatInterval);
   
   // Close Redis connections
-  redisSubscriber.quit();
+  try {
+    if (drain) {
+      await potentialBuysConsumer.drain();
+    } else {
+      potentialBuysConsumer.stop();
+    }
+  } catch (error) {
+    logger.error(`Failed to stop POTENTIAL_BUYS consumer: ${error.message}`);
+  }
+  commandListener.stop();
   redisPublisher.quit();
   
   // Give connections time to close properly
@@ -602,7 +777,10 @@ process.on('SIGTERM', () => {
     logger.info('Shutdown complete');
     process.exit(0);
   }, 1000);
-});
+}
+
+// Handle graceful shutdown
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
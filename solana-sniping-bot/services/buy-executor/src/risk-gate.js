@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Pre-trade risk gate for the buy executor
+ * Every buy is checked against the positions the bot holds right now before
+ * a swap is sent:
+ * - open positions and SOL still deployed, from the trade ledger the buy
+ *   executor records its own buys in (partial exits lower what is still
+ *   deployed), plus the buys approved but not recorded yet
+ * - realized loss since UTC midnight, from the trade ledger
+ * - drawdown of realized P/L from its peak; crossing the limit pauses buying
+ *   until it is resumed by hand
+ * - buys sent in the last minute
+ * The pause flag lives in Redis so a restart does not silently resume buying.
+ */
+
+const { createLogger } = require('shared/logger');
+
+// Initialize logger
+const logger = createLogger('risk-gate');
+
+/**
+ * Redis keys of the gate's persistent state
+ */
+const RISK_KEYS = {
+  PAUSED: 'risk:buy-executor:paused',
+  PROFIT_LOSS_PEAK: 'risk:buy-executor:pnl_peak'
+};
+
+/**
+ * Returns the start of the current UTC day
+ * @param {number} now - Timestamp (ms)
+ * @returns {number} - Midnight UTC (ms)
+ */
+function startOfUtcDay(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Creates a risk gate
+ * @param {Object} options - Gate options
+ * @param {Redis} options.redis - Redis client for the pause flag and P/L peak
+ * @param {Function} options.getLedger - Returns the trade ledger
+ * @param {boolean} options.isDryRun - Only positions and trades of this mode count
+ * @param {Object} options.limits - { maxOpenPositions, maxDeployedSol, maxDailyLossSol, maxDrawdownSol, maxBuysPerMinute } (0 disables a limit)
+ * @returns {Object} - Gate ({ load, check, release, recordBuy, pause, resume, getState })
+ */
+function createRiskGate(options) {
+  const { redis, getLedger, isDryRun, limits } = options;
+  
+  // { reason, source, pausedAt } while buying is paused
+  let paused = null;
+  
+  // Send times of the buys in the last minute
+  const recentBuys = [];
+  
+  // SOL of each approved buy until it is released, by reservation ID
+  const reservations = new Map();
+  let nextReservationId = 1;
+  
+  let blocked = 0;
+  let lastExposure = null;
+  
+  /**
+   * Reads the open positions of this mode from the ledger and adds the buys
+   * still in flight. Synchronous, so a check and its reservation cannot
+   * interleave with another check.
+   * @returns {{openPositions: number, deployedSol: number, inFlightBuys: number}} - Exposure
+   */
+  function readExposure() {
+    const positions = getLedger().getOpenPositions({ isDryRun });
+    let deployedSol = 0;
+    
+    for (const position of positions) {
+      const remainingShare = position.boughtTokens > 0 ? position.remainingTokens / position.boughtTokens : 0;
+      deployedSol += position.investedSol * remainingShare;
+    }
+    
+    for (const amountSol of reservations.values()) {
+      deployedSol += amountSol;
+    }
+    
+    return {
+      openPositions: positions.length + reservations.size,
+      deployedSol,
+      inFlightBuys: reservations.size
+    };
+  }
+  
+  /**
+   * Reads realized P/L from the ledger and moves the peak up when it is exceeded
+   * @param {number} now - Timestamp (ms)
+   * @returns {Promise<{dailyProfitLossSol: number, profitLossSol: number, peakProfitLossSol: number}>} - P/L
+   */
+  async function readProfitLoss(now) {
+    const ledger = getLedger();
+    const daily = ledger.getSummary({ side: 'sell', isDryRun, since: startOfUtcDay(now) });
+    const total = ledger.getSummary({ side: 'sell', isDryRun });
+    
+    const profitLossSol = total.realizedProfitLossSol;
+    const storedPeak = await redis.get(RISK_KEYS.PROFIT_LOSS_PEAK);
+    let peakProfitLossSol = storedPeak === null ? profitLossSol : parseFloat(storedPeak);
+    
+    if (storedPeak === null || profitLossSol > peakProfitLossSol) {
+      peakProfitLossSol = Math.max(peakProfitLossSol, profitLossSol);
+      await redis.set(RISK_KEYS.PROFIT_LOSS_PEAK, peakProfitLossSol);
+    }
+    
+    return { dailyProfitLossSol: daily.realizedProfitLossSol, profitLossSol, peakProfitLossSol };
+  }
+  
+  /**
+   * Pauses buying until resume() is called
+   * @param {string} reason - Why
+   * @param {string} source - Who paused ('drawdown', 'command', ...)
+   * @returns {Promise<void>}
+   */
+  async function pause(reason, source) {
+    paused = { reason, source, pausedAt: Date.now() };
+    await redis.set(RISK_KEYS.PAUSED, JSON.stringify(paused));
+    logger.warn(`Buying paused by ${source}: ${reason}`);
+  }
+  
+  /**
+   * Resumes buying. The drawdown peak restarts from the current P/L so the
+   * drawdown that caused an automatic pause does not pause again at once.
+   * @param {string} source - Who resumed
+   * @returns {Promise<void>}
+   */
+  async function resume(source) {
+    paused = null;
+    await redis.del(RISK_KEYS.PAUSED, RISK_KEYS.PROFIT_LOSS_PEAK);
+    logger.info(`Buying resumed by ${source}`);
+  }
+  
+  return {
+    /**
+     * Restores the pause flag saved by an earlier run
+     * @returns {Promise<void>}
+     */
+    async load() {
+      const saved = await redis.get(RISK_KEYS.PAUSED);
+      paused = saved ? JSON.parse(saved) : null;
+      
+      if (paused) {
+        logger.warn(`Buying is paused (by ${paused.source} at ${new Date(paused.pausedAt).toISOString()}): ${paused.reason}`);
+      }
+    },
+    
+    /**
+     * Checks whether a buy may be sent. An allowed buy reserves its amount,
+     * counted as an open position and deployed SOL until release() is called
+     * once the buy is in the ledger (or has failed).
+     * @param {number} amountSol - SOL the buy would deploy
+     * @returns {Promise<{allowed: boolean, reservationId?: number, limit?: string, reason?: string}>} - Decision
+     */
+    async check(amountSol) {
+      const now = Date.now();
+      let decision = { allowed: true };
+      
+      while (recentBuys.length > 0 && now - recentBuys[0] > 60000) {
+        recentBuys.shift();
+      }
+      
+      if (paused) {
+        decision = { allowed: false, limit: 'paused', reason: `Buying paused by ${paused.source}: ${paused.reason}` };
+      }
+      
+      if (decision.allowed && (limits.maxDailyLossSol > 0 || limits.maxDrawdownSol > 0)) {
+        const profitLoss = await readProfitLoss(now);
+        const drawdownSol = profitLoss.peakProfitLossSol - profitLoss.profitLossSol;
+        
+        if (limits.maxDrawdownSol > 0 && drawdownSol >= limits.maxDrawdownSol) {
+          const reason = `Realized P/L ${drawdownSol.toFixed(4)} SOL below its peak (max drawdown ${limits.maxDrawdownSol})`;
+          await pause(reason, 'drawdown');
+          decision = { allowed: false, limit: 'maxDrawdownSol', reason };
+        } else if (limits.maxDailyLossSol > 0 && -profitLoss.dailyProfitLossSol >= limits.maxDailyLossSol) {
+          decision = {
+            allowed: false,
+            limit: 'maxDailyLossSol',
+            reason: `${(-profitLoss.dailyProfitLossSol).toFixed(4)} SOL lost today (max ${limits.maxDailyLossSol})`
+          };
+        }
+      }
+      
+      // No await from here on: exposure is read and reserved in one step
+      if (decision.allowed && (limits.maxOpenPositions > 0 || limits.maxDeployedSol > 0)) {
+        lastExposure = readExposure();
+        
+        if (limits.maxOpenPositions > 0 && lastExposure.openPositions >= limits.maxOpenPositions) {
+          decision = { allowed: false, limit: 'maxOpenPositions', reason: `${lastExposure.openPositions} positions open (max ${limits.maxOpenPositions})` };
+        } else if (limits.maxDeployedSol > 0 && lastExposure.deployedSol + amountSol > limits.maxDeployedSol) {
+          decision = {
+            allowed: false,
+            limit: 'maxDeployedSol',
+            reason: `${lastExposure.deployedSol.toFixed(4)} SOL deployed, buying ${amountSol} would exceed ${limits.maxDeployedSol}`
+          };
+        }
+      }
+      
+      if (decision.allowed && limits.maxBuysPerMinute > 0 && recentBuys.length >= limits.maxBuysPerMinute) {
+        decision = { allowed: false, limit: 'maxBuysPerMinute', reason: `${recentBuys.length} buys in the last minute (max ${limits.maxBuysPerMinute})` };
+      }
+      
+      if (!decision.allowed) {
+        blocked++;
+        return decision;
+      }
+      
+      const reservationId = nextReservationId++;
+      reservations.set(reservationId, amountSol);
+      
+      return { allowed: true, reservationId };
+    },
+    
+    /**
+     * Drops an approved buy's reservation once the ledger holds its outcome
+     * @param {number} reservationId - Reservation ID returned by check()
+     */
+    release(reservationId) {
+      reservations.delete(reservationId);
+    },
+    
+    /**
+     * Counts a sent buy against the per-minute limit
+     */
+    recordBuy() {
+      recentBuys.push(Date.now());
+    },
+    
+    pause,
+    resume,
+    
+    /**
+     * Returns the pause flag, limits and last exposure seen, for heartbeats
+     * @returns {Object} - State
+     */
+    getState() {
+      return {
+        paused: paused !== null,
+        pausedBy: paused ? paused.source : null,
+        pauseReason: paused ? paused.reason : null,
+        buysLastMinute: recentBuys.filter(timestamp => Date.now() - timestamp <= 60000).length,
+        blocked,
+        exposure: lastExposure,
+        limits
+      };
+    }
+  };
+}
+
+module.exports = {
+  RISK_KEYS,
+  createRiskGate
+};
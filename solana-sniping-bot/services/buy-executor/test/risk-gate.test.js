@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Tests for the pre-trade risk gate, against an in-memory Redis
+ * and a trade ledger holding fixed positions and sells: reservations of
+ * approved buys, exposure limits, daily loss, the drawdown pause and the
+ * per-minute buy limit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FakeRedis = require('shared/test/fixtures/fake-redis');
+const { RISK_KEYS, createRiskGate } = require('../src/risk-gate');
+
+const HOUR_MS = 3600000;
+
+/**
+ * Limits with every check disabled
+ */
+const NO_LIMITS = {
+  maxOpenPositions: 0,
+  maxDeployedSol: 0,
+  maxDailyLossSol: 0,
+  maxDrawdownSol: 0,
+  maxBuysPerMinute: 0
+};
+
+/**
+ * Creates a ledger answering the two queries the gate makes
+ * @param {Object} [state] - { positions, sells }: open positions
+ *   ({ isDryRun, investedSol, boughtTokens, remainingTokens }) and closed
+ *   sells ({ isDryRun, timestamp, profitLossSol })
+ * @returns {Object} - Ledger, with the state exposed for changes
+ */
+function fakeLedger(state = {}) {
+  const ledger = {
+    positions: state.positions || [],
+    sells: state.sells || [],
+
+    getOpenPositions({ isDryRun }) {
+      return ledger.positions.filter(position => position.isDryRun === isDryRun);
+    },
+
+    getSummary({ side, isDryRun, since }) {
+      assert.equal(side, 'sell');
+      const sells = ledger.sells.filter(sell =>
+        sell.isDryRun === isDryRun && (since === undefined || sell.timestamp >= since)
+      );
+      return { realizedProfitLossSol: sells.reduce((sum, sell) => sum + sell.profitLossSol, 0) };
+    }
+  };
+
+  return ledger;
+}
+
+/**
+ * Creates a live-trading gate over a ledger
+ * @param {Object} ledger - Fake ledger
+ * @param {Object} limits - Limits to enable
+ * @returns {Object} - Risk gate
+ */
+function gateFor(ledger, limits) {
+  return createRiskGate({
+    redis: new FakeRedis(),
+    getLedger: () => ledger,
+    isDryRun: false,
+    limits: { ...NO_LIMITS, ...limits }
+  });
+}
+
+test.beforeEach(() => {
+  FakeRedis.reset();
+});
+
+test('an approved buy counts as an open position until it is released', async () => {
+  const ledger = fakeLedger({
+    positions: [
+      { isDryRun: false, investedSol: 0.1, boughtTokens: 1000, remainingTokens: 1000 },
+      // Dry-run positions do not count against live limits
+      { isDryRun: true, investedSol: 0.1, boughtTokens: 1000, remainingTokens: 1000 },
+      { isDryRun: true, investedSol: 0.1, boughtTokens: 1000, remainingTokens: 1000 }
+    ]
+  });
+  const gate = gateFor(ledger, { maxOpenPositions: 2 });
+
+  const first = await gate.check(0.1);
+  assert.equal(first.allowed, true);
+
+  // A concurrent buy sees the first one although it is not in the ledger yet
+  const second = await gate.check(0.1);
+  assert.deepEqual(second, { allowed: false, limit: 'maxOpenPositions', reason: '2 positions open (max 2)' });
+  assert.deepEqual(gate.getState().exposure, { openPositions: 2, deployedSol: 0.2, inFlightBuys: 1 });
+
+  gate.release(first.reservationId);
+  assert.equal((await gate.check(0.1)).allowed, true);
+  assert.equal(gate.getState().blocked, 1);
+});
+
+test('deployed SOL counts what partial exits left in each position', async () => {
+  const ledger = fakeLedger({
+    positions: [
+      // Half sold: 0.5 of the 1 SOL is still deployed
+      { isDryRun: false, investedSol: 1, boughtTokens: 1000, remainingTokens: 500 },
+      { isDryRun: false, investedSol: 0.2, boughtTokens: 0, remainingTokens: 0 }
+    ]
+  });
+  const gate = gateFor(ledger, { maxDeployedSol: 1 });
+
+  const approved = await gate.check(0.4);
+  assert.equal(approved.allowed, true);
+
+  const blocked = await gate.check(0.2);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.limit, 'maxDeployedSol');
+  assert.equal(blocked.reason, '0.9000 SOL deployed, buying 0.2 would exceed 1');
+
+  gate.release(approved.reservationId);
+  assert.equal((await gate.check(0.2)).allowed, true);
+});
+
+test('losses realized since UTC midnight block buying without pausing', async () => {
+  const now = Date.now();
+  const midnight = new Date(now).setUTCHours(0, 0, 0, 0);
+  const ledger = fakeLedger({
+    sells: [
+      { isDryRun: false, timestamp: midnight - HOUR_MS, profitLossSol: -5 },
+      { isDryRun: false, timestamp: now, profitLossSol: -0.3 },
+      { isDryRun: true, timestamp: now, profitLossSol: -2 }
+    ]
+  });
+  const gate = gateFor(ledger, { maxDailyLossSol: 0.5 });
+
+  assert.equal((await gate.check(0.1)).allowed, true);
+
+  ledger.sells.push({ isDryRun: false, timestamp: now, profitLossSol: -0.25 });
+  const decision = await gate.check(0.1);
+
+  assert.deepEqual(decision, { allowed: false, limit: 'maxDailyLossSol', reason: '0.5500 SOL lost today (max 0.5)' });
+  assert.equal(gate.getState().paused, false);
+});
+
+test('a drawdown from the P/L peak pauses buying across restarts until resumed', async () => {
+  const now = Date.now();
+  const ledger = fakeLedger({ sells: [{ isDryRun: false, timestamp: now, profitLossSol: 1.2 }] });
+  const redis = new FakeRedis();
+  const options = { redis, getLedger: () => ledger, isDryRun: false, limits: { ...NO_LIMITS, maxDrawdownSol: 0.5 } };
+  const gate = createRiskGate(options);
+
+  assert.equal((await gate.check(0.1)).allowed, true);
+  assert.equal(await redis.get(RISK_KEYS.PROFIT_LOSS_PEAK), '1.2');
+
+  // Down 0.4 from the peak, still inside the limit
+  ledger.sells.push({ isDryRun: false, timestamp: now, profitLossSol: -0.4 });
+  assert.equal((await gate.check(0.1)).allowed, true);
+
+  ledger.sells.push({ isDryRun: false, timestamp: now, profitLossSol: -0.2 });
+  const decision = await gate.check(0.1);
+  assert.equal(decision.limit, 'maxDrawdownSol');
+  assert.equal(gate.getState().pausedBy, 'drawdown');
+
+  // A restarted executor stays paused, even once P/L recovers
+  const restarted = createRiskGate(options);
+  await restarted.load();
+  ledger.sells.push({ isDryRun: false, timestamp: now, profitLossSol: 1 });
+  const whilePaused = await restarted.check(0.1);
+  assert.equal(whilePaused.limit, 'paused');
+  assert.match(whilePaused.reason, /^Buying paused by drawdown: Realized P\/L 0\.6000 SOL below its peak/);
+
+  // Resuming restarts the peak from the current P/L
+  await restarted.resume('test');
+  assert.equal(await redis.get(RISK_KEYS.PAUSED), null);
+  assert.equal((await restarted.check(0.1)).allowed, true);
+  assert.ok(Math.abs(parseFloat(await redis.get(RISK_KEYS.PROFIT_LOSS_PEAK)) - 1.6) < 1e-9);
+});
+
+test('a manual pause blocks every buy whatever the limits', async () => {
+  const gate = gateFor(fakeLedger(), {});
+
+  await gate.pause('Kill switch', 'command');
+  const decision = await gate.check(0.1);
+
+  assert.deepEqual(decision, { allowed: false, limit: 'paused', reason: 'Buying paused by command: Kill switch' });
+
+  await gate.resume('command');
+  assert.equal((await gate.check(0.1)).allowed, true);
+});
+
+test('buys sent in the last minute are rate limited', async t => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const gate = gateFor(fakeLedger(), { maxBuysPerMinute: 2 });
+
+  gate.recordBuy();
+  now += 30000;
+  gate.recordBuy();
+
+  const decision = await gate.check(0.1);
+  assert.deepEqual(decision, { allowed: false, limit: 'maxBuysPerMinute', reason: '2 buys in the last minute (max 2)' });
+
+  // The first buy drops out of the window
+  now += 30001;
+  assert.equal((await gate.check(0.1)).allowed, true);
+  assert.equal(gate.getState().buysLastMinute, 1);
+});
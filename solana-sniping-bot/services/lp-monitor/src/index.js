@@ -2,6 +2,7 @@
  * @fileoverview Liquidity Pool Monitor Service for Solana Memecoin Sniping Bot
  * Establishes a WebSocket connection to Solana, subscribes to DEX program logs,
  * detects new liquidity pool creations, and publishes them to Redis.
+ * One log subscription is opened per enabled detector plugin.
  */
 
 const Redis = require('ioredis');
@@ -26,6 +27,18 @@ try {
   
   const { getConnection } = require('shared/connection');
   console.log('Successfully imported connection');
+  
+  const { publishToStream, publishToChannel } = require('shared/redis-helper');
+  console.log('Successfully imported redis helper');
+  
+  const { getEnabledDetectors, detectPoolCreation, toMigrationEvent } = require('shared/utils/detectors');
+  console.log('Successfully imported pool detectors');
+  
+  const { fetchConfirmedTransaction } = require('shared/utils/fill-parser');
+  console.log('Successfully imported transaction fetcher');
+  
+  const { createCommandListener } = require('shared/command-bus');
+  console.log('Successfully imported command bus');
 
   // Initialize logger
   const logger = createLogger('lp-monitor');
@@ -43,139 +56,84 @@ try {
   });
 
   // Tracking variables
-  let wsSubscriptionId = null;
+  const detectors = getEnabledDetectors();
+  const wsSubscriptionIds = new Map(); // detector name -> subscription ID
   let wsConnection = null;
   let connectionHealthCheckInterval = null;
+  let heartbeatInterval = null;
   let reconnectAttempt = 0;
+  
+  // While paused, new pools are logged but not published; migrations of
+  // held tokens still are
+  let paused = false;
+
+  /**
+   * Publishes a venue migration to the POOL_MIGRATIONS stream
+   * @param {Object} migration - Migration payload
+   */
+  async function publishMigration(migration) {
+    logger.info(`Detected ${migration.fromPoolType} migration of ${migration.baseMint} to ${migration.poolType} (pool: ${migration.lpAddress || 'pending'})`);
+    
+    await publishToStream(redisPublisher, REDIS_CHANNELS.POOL_MIGRATIONS, migration);
+    
+    logger.info(`Published migration of ${migration.baseMint} to POOL_MIGRATIONS stream`);
+  }
 
   /**
-   * Parses Raydium LP V4 initialization logs to extract key pool information
-   * @param {Object} log - Solana transaction log
-   * @returns {Object|null} - Parsed pool data or null if not a valid pool initialization
+   * Handles a log notification from one detector's WebSocket subscription
+   * @param {Object} detector - Detector plugin owning the subscription
+   * @param {Object} logInfo - Logs notification ({ signature, err, logs })
+   * @param {Object} context - Notification context ({ slot })
    */
-  function parseRaydiumLpLogs(log) {
+  async function handleLogNotification(detector, logInfo, context) {
     try {
-      // Check if this is a Raydium LP V4 program log
-      if (!log.logs || log.logs.length === 0) {
-        return null;
+      // Skip failed transactions and those without logs
+      if (!logInfo || logInfo.err || !logInfo.logs) {
+        return;
       }
-
-      // Look for Initialize2 instruction in logs which indicates pool creation
-      const initializeLogIndex = log.logs.findIndex(logLine => 
-        logLine.includes('Program log: Instruction: Initialize2'));
       
-      if (initializeLogIndex === -1) {
-        return null;
+      // Only pool creations are interesting; swaps make up the bulk of the traffic
+      if (!detector.matchesLogs(logInfo.logs)) {
+        return;
       }
-
-      logger.debug('Found potential LP initialization log');
       
-      // Extract pool information from logs
-      // Note: This is a simplified parser - production would use proper log parsing
-      // and account data fetching for more reliable extraction
+      logger.debug(`Found ${detector.name} pool creation log in ${logInfo.signature} (slot ${context && context.slot})`);
       
-      // Example log parsing logic - adjust based on actual log format
-      let baseMint = null;
-      let quoteMint = null;
-      let lpAddress = null;
+      const transaction = await fetchConfirmedTransaction(await getConnection(), logInfo.signature, 5);
       
-      // Search for mint addresses in logs
-      for (let i = initializeLogIndex; i < log.logs.length; i++) {
-        const logLine = log.logs[i];
-        
-        // Extract mints and pool address from log lines
-        // This is a simplified example - real implementation would need to match
-        // the exact format of Raydium LP V4 initialization logs
-        if (logLine.includes('base mint:')) {
-          baseMint = logLine.split('base mint:')[1].trim();
-        } else if (logLine.includes('quote mint:')) {
-          quoteMint = logLine.split('quote mint:')[1].trim();
-        } else if (logLine.includes('pool address:')) {
-          lpAddress = logLine.split('pool address:')[1].trim();
-        }
+      if (!transaction) {
+        logger.warn(`Could not fetch pool creation transaction ${logInfo.signature}`);
+        return;
       }
       
-      // If we couldn't extract the necessary information, fallback to account keys
-      if (!baseMint || !quoteMint || !lpAddress) {
-        logger.debug('Could not extract pool info from logs, checking accounts');
-        
-        // In a real implementation, we would fetch the LP account data
-        // and parse it to extract the mints and other information
-        
-        // For this example, we'll just check if we at least have the LP address
-        // from the transaction log and mark this as a simplified detection
-        if (log.signature && log.err === null) {
-          // This is a successful transaction
-          lpAddress = lpAddress || log.logMessages?.[0]?.split(' ')[0];
-          
-          if (lpAddress) {
-            logger.info(`Detected potential LP creation with limited info: ${lpAddress}`);
-            return {
-              baseMint: baseMint || 'unknown',
-              quoteMint: quoteMint || 'unknown',
-              lpAddress,
-              detectionMethod: 'partial'
-            };
-          }
-        }
-        
-        return null;
+      const poolData = detectPoolCreation(detector, transaction);
+      
+      if (!poolData) {
+        logger.warn(`Could not decode ${detector.name} pool creation in ${logInfo.signature}`);
+        return;
       }
       
-      // Validate addresses
-      try {
-        new PublicKey(baseMint);
-        new PublicKey(quoteMint);
-        new PublicKey(lpAddress);
-      } catch (e) {
-        logger.warn(`Invalid address format in detected pool: ${e.message}`);
-        return null;
+      // Completed bonding curves moving venue are tracked by sell-manager, not sniped
+      if (poolData.event === 'migration') {
+        await publishMigration(poolData);
+        return;
       }
       
-      return {
-        baseMint,
-        quoteMint,
-        lpAddress,
-        timestamp: Date.now(),
-        detectionMethod: 'log_parse'
-      };
-    } catch (error) {
-      logger.error(`Error parsing LP logs: ${error.message}`);
-      return null;
-    }
-  }
-
-  /**
-   * Handles a log notification from the WebSocket subscription
-   * @param {Object} notification - Log notification from Solana
-   */
-  async function handleLogNotification(notification) {
-    try {
-      // Skip notifications without proper value/logs
-      if (!notification.value || !notification.value.logs) {
+      logger.info(`Detected new ${poolData.poolType} pool: ${poolData.lpAddress} (Base: ${poolData.baseMint}, Quote: ${poolData.quoteMint})`);
+      
+      if (paused) {
+        logger.info(`Paused, not publishing pool ${poolData.lpAddress}`);
         return;
       }
       
-      const log = notification.value;
-      const programId = log.logMessages?.[0]?.split(' ')[0];
+      // Publish to Redis
+      await publishToStream(redisPublisher, REDIS_CHANNELS.NEW_POOLS, poolData);
       
-      // Check if this is a log from the target DEX program
-      if (programId === config.RAYDIUM_LP_V4_PROGRAM_ID) {
-        logger.debug(`Processing log from Raydium LP V4 program`);
-        
-        const poolData = parseRaydiumLpLogs(log);
-        
-        if (poolData) {
-          logger.info(`Detected new liquidity pool: ${poolData.lpAddress} (Base: ${poolData.baseMint}, Quote: ${poolData.quoteMint})`);
-          
-          // Publish to Redis
-          await redisPublisher.publish(
-            REDIS_CHANNELS.NEW_POOLS,
-            JSON.stringify(poolData)
-          );
-          
-          logger.info(`Published pool ${poolData.lpAddress} to NEW_POOLS channel`);
-        }
+      logger.info(`Published pool ${poolData.lpAddress} to NEW_POOLS stream`);
+      
+      // A pool seeded from a bonding curve is also the destination of a migration
+      if (poolData.migratedFrom) {
+        await publishMigration(toMigrationEvent(poolData));
       }
     } catch (error) {
       logger.error(`Error handling log notification: ${error.message}`);
@@ -183,21 +141,38 @@ try {
   }
 
   /**
-   * Sets up WebSocket log subscription for DEX programs
+   * Removes all active log subscriptions
+   */
+  async function removeLogSubscriptions() {
+    if (!wsConnection) {
+      return;
+    }
+    
+    for (const [name, subscriptionId] of wsSubscriptionIds) {
+      try {
+        await wsConnection.removeOnLogsListener(subscriptionId);
+        logger.debug(`Removed ${name} log subscription: ${subscriptionId}`);
+      } catch (e) {
+        logger.warn(`Error removing ${name} subscription: ${e.message}`);
+      }
+    }
+    
+    wsSubscriptionIds.clear();
+  }
+
+  /**
+   * Sets up WebSocket log subscriptions for every enabled detector
    * @returns {Promise<boolean>} - True if subscription successful
    */
   async function setupLogSubscription() {
     try {
-      // Clean up any existing subscription
-      if (wsSubscriptionId && wsConnection) {
-        try {
-          await wsConnection.removeLogListener(wsSubscriptionId);
-          logger.debug(`Removed existing log subscription: ${wsSubscriptionId}`);
-        } catch (e) {
-          logger.warn(`Error removing previous subscription: ${e.message}`);
-        }
+      if (detectors.length === 0) {
+        throw new Error('No pool detectors enabled, check ENABLED_DETECTORS');
       }
       
+      // Clean up any existing subscriptions
+      await removeLogSubscriptions();
+      
       // Get a fresh connection with WebSocket enabled
       const connection = await getConnection();
       
@@ -213,18 +188,18 @@ try {
       
       logger.info(`Setting up WebSocket connection to ${wsConnection._rpcEndpoint}`);
       
-      // Create log subscription for Raydium LP V4 program
-      const raydiumLpProgramId = new PublicKey(config.RAYDIUM_LP_V4_PROGRAM_ID);
-      
-      // Subscribe to logs
-      wsSubscriptionId = wsConnection.onLogs(
-        raydiumLpProgramId,
-        handleLogNotification,
-        config.SOLANA_COMMITMENT
-      );
-      
-      logger.info(`Subscribed to Raydium LP V4 program logs: ${config.RAYDIUM_LP_V4_PROGRAM_ID}`);
-      logger.debug(`Subscription ID: ${wsSubscriptionId}`);
+      // Subscribe to each detector's program logs
+      for (const detector of detectors) {
+        const subscriptionId = wsConnection.onLogs(
+          new PublicKey(detector.programId),
+          (logInfo, context) => handleLogNotification(detector, logInfo, context),
+          config.SOLANA_COMMITMENT
+        );
+        
+        wsSubscriptionIds.set(detector.name, subscriptionId);
+        logger.info(`Subscribed to ${detector.name} program logs: ${detector.programId}`);
+        logger.debug(`Subscription ID: ${subscriptionId}`);
+      }
       
       // Reset reconnect attempts on successful connection
       reconnectAttempt = 0;
@@ -241,14 +216,14 @@ try {
    */
   async function checkConnectionHealth() {
     try {
-      if (!wsConnection || !wsSubscriptionId) {
+      if (!wsConnection || wsSubscriptionIds.size < detectors.length) {
         logger.warn('WebSocket connection not established, attempting to connect');
         await setupLogSubscription();
         return;
       }
       
       // For WebSocket connections, we'll consider it healthy if we have an active
-      // subscription ID, but we could add additional checks here
+      // subscription for every detector, but we could add additional checks here
       
       logger.debug('WebSocket connection health check passed');
     } catch (error) {
@@ -271,7 +246,7 @@ try {
    */
   async function startup() {
     try {
-      logger.info('LP Monitor service starting up');
+      logger.info(`LP Monitor service starting up with detectors: ${detectors.map(d => d.name).join(', ')}`);
       
       // Set up WebSocket subscription
       const subscriptionSuccess = await setupLogSubscription();
@@ -289,50 +264,72 @@ try {
       );
       
       // Set up heartbeat interval
-      const heartbeatInterval = setInterval(async () => {
+      heartbeatInterval = setInterval(async () => {
         try {
           const timestamp = Date.now();
           await redisPublisher.set('heartbeat:lp-monitor', timestamp);
-          await redisPublisher.publish(REDIS_CHANNELS.HEARTBEATS, JSON.stringify({
+          await publishToChannel(redisPublisher, REDIS_CHANNELS.HEARTBEATS, {
             service: 'lp-monitor',
             timestamp
-          }));
+          });
           logger.debug('Heartbeat sent');
         } catch (error) {
           logger.error(`Failed to send heartbeat: ${error.message}`);
         }
       }, 10000); // Every 10 seconds
-      
-      // Handle graceful shutdown
-      process.on('SIGTERM', async () => {
-        logger.info('SIGTERM received, shutting down gracefully');
-        
-        // Clear intervals
-        clearInterval(connectionHealthCheckInterval);
-        clearInterval(heartbeatInterval);
-        
-        // Remove WebSocket subscription
-        if (wsSubscriptionId && wsConnection) {
-          try {
-            await wsConnection.removeLogListener(wsSubscriptionId);
-            logger.info(`Removed log subscription: ${wsSubscriptionId}`);
-          } catch (e) {
-            logger.warn(`Error removing subscription: ${e.message}`);
-          }
-        }
-        
-        // Close Redis connection
-        redisPublisher.quit();
-        
-        logger.info('Shutdown complete');
-        process.exit(0);
-      });
     } catch (error) {
       logger.error(`Startup error: ${error.message}`);
       setTimeout(startup, 5000); // Retry startup after 5 seconds
     }
   }
 
+  /**
+   * Shuts the service down; detection holds no queued work, so a drain
+   * shuts down the same way
+   * @param {string} reason - What asked for it
+   */
+  async function shutdown(reason) {
+    logger.info(`${reason} received, shutting down gracefully`);
+    
+    // Clear intervals
+    clearInterval(connectionHealthCheckInterval);
+    clearInterval(heartbeatInterval);
+    
+    // Remove WebSocket subscriptions
+    await removeLogSubscriptions();
+    
+    // Close Redis connections
+    await commandListener.stop();
+    redisPublisher.quit();
+    
+    logger.info('Shutdown complete');
+    process.exit(0);
+  }
+  
+  // Control-plane commands: pause and resume publishing new pools
+  const commandListener = createCommandListener({
+    service: 'lp-monitor',
+    handlers: {
+      async pause() {
+        paused = true;
+        logger.warn('Paused publishing new pools');
+        return { paused };
+      },
+      
+      async resume() {
+        paused = false;
+        logger.info('Resumed publishing new pools');
+        return { paused };
+      }
+    },
+    onShutdown: drain => shutdown(drain ? 'drain command' : 'shutdown command')
+  });
+  
+  commandListener.start();
+  
+  // Handle graceful shutdown
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  
   // Handle uncaught exceptions
   process.on('uncaughtException', (error) => {
     logger.error(`Uncaught exception: ${error.message}\n${error.stack}`);
@@ -1,7 +1,11 @@
 /**
  * @fileoverview Sell Manager Service for Solana Memecoin Sniping Bot
  * Monitors active positions, periodically checks prices, and executes
- * sell transactions based on take-profit and stop-loss conditions.
+ * sell transactions when the declarative sell strategy (shared/strategy)
+ * fires for a position.
+ * Every buy is tracked as its own lot (position ID), so re-entries into a
+ * mint are sold independently. Pools are also watched over WebSocket so a
+ * liquidity pull triggers an immediate exit outside the polling loop.
  * Includes DryRun mode for transaction simulation.
  */
 
@@ -10,7 +14,6 @@ const {
   PublicKey,
   TransactionMessage,
   VersionedTransaction,
-  ComputeBudgetProgram,
   LAMPORTS_PER_SOL
 } = require('@solana/web3.js');
 const { 
@@ -21,9 +24,28 @@ const {
 const { getConnection } = require('shared/connection');
 const { loadWallet } = require('shared/wallet');
 const { createLogger, createTransactionLogger } = require('shared/logger');
-const { createSubscriber, createPublisher } = require('shared/redis-helper');
-const config = require('shared/config');
+const { createPublisher, createStreamConsumer, publishToStream, publishToChannel } = require('shared/redis-helper');
+const config = require('shared/config').default;
 const { REDIS_CHANNELS, SOLANA_ADDRESSES, PERFORMANCE_SETTINGS } = require('shared/constants');
+const { fetchTokenPrice, calculatePriceChangePercent } = require('shared/utils/price-calculator');
+const {
+  POOL_TYPES,
+  quoteRaydiumSwap,
+  quotePumpfunSwap,
+  buildSwapInstructions
+} = require('shared/utils/dex-pool');
+const { fetchRaydiumPoolKeys, fetchLiquidityStateV4 } = require('shared/utils/raydium-amm');
+const { getAssociatedBondingCurveAddress } = require('shared/utils/pumpfun');
+const { addPriorityFees } = require('shared/utils/transaction-helper');
+const { fetchConfirmedTransaction, parseSwapFill, summarizeFill } = require('shared/utils/fill-parser');
+const { getTradeLedger } = require('shared/ledger');
+const { getDeployerReputation } = require('shared/ledger/deployer-reputation');
+const { aggregateLots, aggregateLotsByMint } = require('shared/utils/position-aggregator');
+const { fetchHolderDistribution } = require('shared/utils/holder-distribution');
+const { loadStrategy, strategyFromExitRules, evaluateStrategy } = require('shared/strategy');
+const { createCommandListener } = require('shared/command-bus');
+const WebSocketManager = require('shared/utils/ws-manager');
+const { createRugMonitor } = require('./rug-monitor');
 const { v4: uuidv4 } = require('uuid');
 
 // Initialize loggers
@@ -31,7 +53,6 @@ const logger = createLogger('sell-manager');
 const txLogger = createTransactionLogger('sell-manager');
 
 // Initialize Redis clients
-const redisSubscriber = createSubscriber('buy-executor');
 const redisPublisher = createPublisher('buy-executor');
 
 const redisClient = new Redis({
@@ -42,10 +63,229 @@ const redisClient = new Redis({
 
 /**
  * Active positions tracking map
- * Maps token mint address -> position data
+ * Maps position ID -> position data (one entry per buy)
  */
 const activePositions = new Map();
 
+/**
+ * Redis key of a position hash
+ * @param {string} positionId - Position ID
+ * @returns {string} - Redis key
+ */
+function positionKey(positionId) {
+  return `positions:${positionId}`;
+}
+
+/**
+ * Lists the active lots held in one mint
+ * @param {string} baseMint - Token mint address
+ * @returns {Array<Object>} - Positions
+ */
+function getMintPositions(baseMint) {
+  return [...activePositions.values()].filter(position => position.baseMint === baseMint);
+}
+
+/**
+ * Aggregated view of the active lots per mint with weighted-average entry price
+ * @returns {Object<string, Object>} - Aggregates keyed by mint
+ */
+function getMintAggregates() {
+  return aggregateLotsByMint(activePositions.values());
+}
+
+/**
+ * Exit rule settings a position may override, with their global config key
+ */
+const EXIT_RULE_SETTINGS = {
+  takeProfitPercentage: 'TAKE_PROFIT_PERCENTAGE',
+  stopLossPercentage: 'STOP_LOSS_PERCENTAGE',
+  trailingStopPercentage: 'TRAILING_STOP_PERCENTAGE',
+  trailingStopActivationPercentage: 'TRAILING_STOP_ACTIVATION_PERCENTAGE',
+  maxHoldMinutes: 'MAX_HOLD_MINUTES',
+  noMovementMinutes: 'NO_MOVEMENT_MINUTES',
+  noMovementThresholdPercentage: 'NO_MOVEMENT_THRESHOLD_PERCENTAGE'
+};
+
+/**
+ * Resolves the exit rules of a position: its overrides on top of the global config
+ * @param {Object} position - Position data
+ * @returns {Object} - Exit rule settings (0 disables a rule)
+ */
+function resolveExitRules(position) {
+  const overrides = position.exitRules || {};
+  const rules = {};
+  
+  for (const [name, configKey] of Object.entries(EXIT_RULE_SETTINGS)) {
+    const override = overrides[name];
+    rules[name] = override !== undefined && override !== null && Number.isFinite(Number(override)) ?
+      Number(override) : config[configKey];
+  }
+  
+  // Ladder overrides are rung arrays ({ gainPercent, sellPercent }); [] disables the ladder
+  rules.takeProfitLadder = Array.isArray(overrides.takeProfitLadder) ?
+    [...overrides.takeProfitLadder].sort((a, b) => a.gainPercent - b.gainPercent) :
+    config.TAKE_PROFIT_LADDER;
+  
+  return rules;
+}
+
+/**
+ * Parses the exit rule overrides stored on a position hash
+ * @param {string} value - JSON string or empty
+ * @returns {Object|null} - Overrides
+ */
+function parseExitRules(value) {
+  if (!value) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.warn(`Ignoring malformed exit rule overrides: ${value}`);
+    return null;
+  }
+}
+
+/**
+ * Strategy loaded from SELL_STRATEGY_PATH; when unset each position runs the
+ * strategy built from its exit rule settings. Reloaded with the config.
+ */
+let fileStrategy = config.SELL_STRATEGY_PATH ? loadStrategy(config.SELL_STRATEGY_PATH) : null;
+
+/**
+ * Resolves the strategy that manages a position
+ * @param {Object} position - Position data
+ * @returns {Object} - Compiled strategy
+ */
+function getPositionStrategy(position) {
+  return fileStrategy || strategyFromExitRules(resolveExitRules(position));
+}
+
+/**
+ * Recent pool reserve samples per position, for the volume primitive
+ * Maps position ID -> [{ timestamp, quoteReserve }]
+ */
+const reserveSamples = new Map();
+
+/**
+ * Top-holder share per mint and excluded pool vault, refreshed at most every
+ * HOLDER_REFRESH_INTERVAL_MS
+ * Maps `${mint}:${baseVault}` -> { topShare, fetchedAt }
+ */
+const holderShares = new Map();
+
+/**
+ * Positions with a sell being executed, so the polling loop and the rug
+ * monitor never sell the same position twice
+ */
+const sellsInFlight = new Set();
+
+/**
+ * Rug monitor: watches the pool of every position over WebSocket and exits
+ * on a liquidity pull without waiting for the polling loop
+ */
+const rugMonitorEnabled = config.RUG_RESERVE_DROP_PERCENTAGE > 0 || config.RUG_LP_SUPPLY_DROP_PERCENTAGE > 0;
+const wsManager = new WebSocketManager();
+const rugMonitor = createRugMonitor({
+  wsManager,
+  getConnection,
+  onRug: handleRugSignal,
+  thresholds: {
+    reserve: config.RUG_RESERVE_DROP_PERCENTAGE,
+    lpSupply: config.RUG_LP_SUPPLY_DROP_PERCENTAGE
+  },
+  windowMs: PERFORMANCE_SETTINGS.RUG_DROP_WINDOW_MS
+});
+
+/**
+ * Starts watching the pool of a position for liquidity pulls
+ * Failures only cost the fast path; the polling loop still covers the position.
+ * @param {Object} position - Position data
+ */
+async function watchPosition(position) {
+  if (!rugMonitorEnabled || position.migrationPending || !position.lpAddress) {
+    return;
+  }
+  
+  try {
+    await rugMonitor.watch(position);
+  } catch (error) {
+    logger.warn(`Failed to watch pool of position ${position.positionId}: ${error.message}`);
+  }
+}
+
+/**
+ * Serializes a position into its Redis hash fields
+ * @param {Object} position - Position data
+ * @returns {Object} - Hash fields
+ */
+function toPositionHash(position) {
+  return {
+    ...position,
+    isDryRun: (position.isDryRun || config.DRY_RUN) ? 'true' : 'false', // Store as string in Redis
+    migrationPending: position.migrationPending ? 'true' : 'false',
+    exitRules: position.exitRules ? JSON.stringify(position.exitRules) : '',
+    baseVault: position.baseVault || '',
+    firedRules: JSON.stringify(position.firedRules || [])
+  };
+}
+
+/**
+ * SOL cost basis of the part of a position being sold
+ * @param {Object} position - Position data
+ * @param {number} tokenAmount - Raw tokens sold
+ * @param {boolean} isPartial - Whether the position stays open afterwards
+ * @returns {number} - Cost basis in SOL
+ */
+function costBasisOf(position, tokenAmount, isPartial) {
+  const costBasisSol = position.costBasisSol !== undefined ? position.costBasisSol : position.amountInSol;
+  
+  if (!isPartial || !position.tokenAmount) {
+    return costBasisSol;
+  }
+  
+  return costBasisSol * Math.min(tokenAmount / position.tokenAmount, 1);
+}
+
+/**
+ * Applies a confirmed sell to its position: a partial exit shrinks the
+ * remaining size and cost basis and books the realized P/L, a closing exit
+ * removes the position hash
+ * @param {Object} position - Position data
+ * @param {Object} sellData - SUCCESSFUL_SELLS payload
+ * @returns {Promise<void>}
+ */
+async function settlePosition(position, sellData) {
+  if (!sellData.isPartial) {
+    await redisClient.del(positionKey(position.positionId));
+    reserveSamples.delete(position.positionId);
+    await rugMonitor.unwatch(position.lpAddress, position.positionId);
+    return;
+  }
+  
+  position.tokenAmount = Math.max(position.tokenAmount - sellData.tokenAmount, 0);
+  position.costBasisSol = Math.max(position.costBasisSol - sellData.boughtForSol, 0);
+  position.realizedProfitLossSol = (position.realizedProfitLossSol || 0) + sellData.profitLossSol;
+  position.firedRules = [...(position.firedRules || []), sellData.exitRule];
+  
+  await redisClient.hset(positionKey(position.positionId), {
+    tokenAmount: position.tokenAmount,
+    costBasisSol: position.costBasisSol,
+    realizedProfitLossSol: position.realizedProfitLossSol,
+    firedRules: JSON.stringify(position.firedRules)
+  });
+}
+
+/**
+ * Price source used for each venue a position can be held on; a venue
+ * missing here can be neither priced nor sold by the bot
+ */
+const PRICE_SOURCES = {
+  [POOL_TYPES.RAYDIUM_V4]: 'raydium',
+  [POOL_TYPES.PUMPFUN_BONDING_CURVE]: 'pumpfun'
+};
+
 /**
  * Creates a unique transaction ID for tracking purposes
  * @returns {string} Transaction ID
@@ -96,11 +336,33 @@ async function loadPositionsFromRedis() {
         positionData.buyTimestamp = parseInt(positionData.buyTimestamp || '0', 10);
         positionData.tokenAmount = parseInt(positionData.tokenAmount || '0', 10);
         positionData.isDryRun = positionData.isDryRun === 'true';
+        positionData.poolType = positionData.poolType || POOL_TYPES.RAYDIUM_V4;
+        positionData.migrationPending = positionData.migrationPending === 'true';
+        positionData.highWaterPrice = parseFloat(positionData.highWaterPrice || '0');
+        positionData.originalTokenAmount = parseInt(positionData.originalTokenAmount || positionData.tokenAmount, 10);
+        positionData.costBasisSol = parseFloat(positionData.costBasisSol || positionData.amountInSol);
+        positionData.realizedProfitLossSol = parseFloat(positionData.realizedProfitLossSol || '0');
+        positionData.entryLiquidity = positionData.entryLiquidity ? parseFloat(positionData.entryLiquidity) : undefined;
+        positionData.entryTopHolderShare = positionData.entryTopHolderShare ?
+          parseFloat(positionData.entryTopHolderShare) : undefined;
+        // Hashes from before strategies count executed ladder rungs instead of naming them
+        positionData.firedRules = positionData.firedRules ? JSON.parse(positionData.firedRules) :
+          Array.from({ length: parseInt(positionData.ladderStep || '0', 10) }, (_, i) => `take_profit_ladder_${i + 1}`);
+        delete positionData.ladderStep;
+        positionData.exitRules = parseExitRules(positionData.exitRules);
+        positionData.baseVault = positionData.baseVault || null;
+        
+        // Hashes written before position IDs were keyed by mint; move them to their own ID
+        if (!positionData.positionId) {
+          positionData.positionId = positionData.signature || `legacy-${positionData.baseMint}`;
+          await redisClient.hset(positionKey(positionData.positionId), toPositionHash(positionData));
+          await redisClient.del(key);
+        }
         
         // Add to active positions map
-        activePositions.set(positionData.baseMint, positionData);
+        activePositions.set(positionData.positionId, positionData);
         
-        logger.info(`Loaded position for token ${positionData.baseMint}`, {
+        logger.info(`Loaded position ${positionData.positionId} for token ${positionData.baseMint}`, {
           amountInSol: positionData.amountInSol,
           buyTimestamp: new Date(positionData.buyTimestamp).toISOString(),
           isDryRun: positionData.isDryRun
@@ -116,26 +378,143 @@ async function loadPositionsFromRedis() {
   }
 }
 
+/**
+ * Restores positions the ledger still shows as open but Redis has lost
+ * (e.g. after a Redis flush), using the opening buy as the position record
+ * @returns {Promise<void>}
+ */
+async function restorePositionsFromLedger() {
+  try {
+    const openPositions = getTradeLedger().getOpenPositions();
+    let restored = 0;
+    
+    for (const open of openPositions) {
+      const buy = open.openingTrade;
+      
+      if (!buy || activePositions.has(open.positionId)) {
+        continue;
+      }
+      
+      const position = {
+        positionId: open.positionId,
+        baseMint: buy.baseMint,
+        quoteMint: buy.quoteMint || SOLANA_ADDRESSES.SOL_MINT.toString(),
+        lpAddress: buy.lpAddress,
+        poolType: buy.poolType || POOL_TYPES.RAYDIUM_V4,
+        buyPrice: buy.price || 0,
+        amountInSol: buy.solAmount,
+        tokenAmount: open.remainingTokens,
+        originalTokenAmount: open.boughtTokens,
+        costBasisSol: open.boughtTokens > 0 ? open.investedSol * (open.remainingTokens / open.boughtTokens) : 0,
+        realizedProfitLossSol: open.realizedProfitLossSol,
+        firedRules: getTradeLedger().getPositionTrades(open.positionId)
+          .filter(trade => trade.side === 'sell' && trade.status === 'partial' && trade.metadata)
+          .map(trade => trade.metadata.exitRule)
+          .filter(Boolean),
+        buyTimestamp: buy.timestamp,
+        signature: buy.signature,
+        isDryRun: buy.isDryRun,
+        migrationPending: false,
+        exitRules: (buy.metadata && buy.metadata.exitRules) || null,
+        baseVault: (buy.metadata && buy.metadata.baseVault) || null
+      };
+      
+      // The entry stamp survives in the position's earlier sells, if it made any
+      const stampedSell = getTradeLedger().getPositionTrades(open.positionId)
+        .find(trade => trade.side === 'sell' && trade.metadata && trade.metadata.strategy);
+      position.managedBy = getPositionStrategy(position).id;
+      position.strategy = stampedSell ? stampedSell.metadata.strategy : position.managedBy;
+      
+      activePositions.set(position.positionId, position);
+      await redisClient.hset(positionKey(position.positionId), toPositionHash(position));
+      restored++;
+    }
+    
+    if (restored > 0) {
+      logger.warn(`Restored ${restored} open positions from the trade ledger`);
+    }
+  } catch (error) {
+    logger.error(`Failed to restore positions from trade ledger: ${error.message}`);
+  }
+}
+
+/**
+ * Records a sell attempt in the trade ledger
+ * Ledger failures are logged, never allowed to block the sell loop
+ * @param {Object} position - Position that was sold
+ * @param {Object} result - executeSellTransaction result
+ * @param {Object} exit - Triggered exit rule ({ rule, reason })
+ */
+function recordSellAttempt(position, result, exit) {
+  try {
+    const sellData = result.sellData;
+    
+    getTradeLedger().recordTrade(result.success ? {
+      tradeId: sellData.txId,
+      positionId: position.positionId,
+      side: 'sell',
+      status: sellData.isPartial ? 'partial' : 'filled',
+      baseMint: position.baseMint,
+      quoteMint: position.quoteMint,
+      lpAddress: position.lpAddress,
+      poolType: position.poolType,
+      signature: sellData.signature,
+      tokenAmount: sellData.tokenAmount,
+      solAmount: sellData.soldForSol,
+      price: sellData.sellPrice || null,
+      feeSol: sellData.feeSol,
+      profitLossSol: sellData.profitLossSol,
+      profitLossPercent: sellData.profitLossPercent,
+      reason: exit.reason,
+      isDryRun: sellData.isDryRun,
+      timestamp: sellData.timestamp,
+      metadata: {
+        exitRule: exit.rule,
+        strategy: position.strategy,
+        managedBy: position.managedBy || position.strategy,
+        highWaterPrice: position.highWaterPrice || null
+      }
+    } : {
+      tradeId: createTransactionId(),
+      positionId: position.positionId,
+      side: 'sell',
+      status: 'failed',
+      baseMint: position.baseMint,
+      quoteMint: position.quoteMint,
+      lpAddress: position.lpAddress,
+      poolType: position.poolType,
+      signature: result.signature || null,
+      tokenAmount: position.tokenAmount,
+      reason: exit.reason,
+      error: result.error,
+      isDryRun: position.isDryRun || config.DRY_RUN,
+      metadata: { exitRule: exit.rule, strategy: position.strategy, managedBy: position.managedBy || position.strategy }
+    });
+  } catch (error) {
+    logger.error(`Failed to record sell of ${position.baseMint} in trade ledger: ${error.message}`);
+  }
+}
+
 /**
  * Calculates token price from a liquidity pool
  * @param {string} baseMint - Base token mint address
  * @param {string} lpAddress - Liquidity pool address
  * @param {boolean} isDryRun - Whether this is a dry run simulation
+ * @param {string} [poolType] - Venue of the pool, taken from the position if omitted
+ * @param {Object} [position] - Lot the price is compared against
  * @returns {Promise<{price: number, liquidity: number} | null>}
  */
-async function calculateTokenPrice(baseMint, lpAddress, isDryRun) {
+async function calculateTokenPrice(baseMint, lpAddress, isDryRun, poolType, position) {
   try {
     logger.debug(`Calculating price for ${baseMint} from pool ${lpAddress}`, { isDryRun });
     
-    const position = activePositions.get(baseMint);
-    
-    if (!position) {
-      logger.warn(`No position data for ${baseMint}`);
-      return null;
-    }
-    
     // DryRun mode - simulate realistic price movement
     if (isDryRun || config.DRY_RUN) {
+      if (!position) {
+        logger.warn(`No position data for ${baseMint}`);
+        return null;
+      }
+      
       // Initial price is the buy price or 1.0 if not set
       const initialPrice = position.buyPrice || 1.0;
       
@@ -178,39 +557,34 @@ async function calculateTokenPrice(baseMint, lpAddress, isDryRun) {
       };
     }
     
-    // LIVE mode - fetch real price from blockchain
-    const connection = await getConnection();
-    
-    // In a real implementation, you would:
-    // 1. Fetch the pool account data
-    // 2. Parse it according to the DEX's data structure
-    // 3. Calculate the price based on reserves
+    // LIVE mode - fetch real price from the pool's reserves
+    const venue = poolType || (position && position.poolType) || POOL_TYPES.RAYDIUM_V4;
+    const source = PRICE_SOURCES[venue];
     
-    // This is a simplified implementation - in production you'd use:
-    // - DEX-specific SDKs to get accurate prices
-    // - Or parse pool account data manually
-    // - Or use a price API service like Jupiter Aggregator or Birdeye
-    
-    // For this example, we'll simulate by getting a random price
-    // with some reasonable parameters to simulate price movement
+    if (!source) {
+      logger.warn(`No price source for ${venue} pool ${lpAddress}`);
+      return null;
+    }
     
-    // Initial price is the buy price or 1.0 if not set
-    const initialPrice = position.buyPrice || 1.0;
+    const connection = await getConnection();
     
-    // Simulate price movement - this would be replaced with real DEX data
-    // Generate price movement in a range of -50% to +200% from initial
-    const priceMovementPercent = -50 + (Math.random() * 250);
-    const newPrice = initialPrice * (1 + (priceMovementPercent / 100));
+    const priceData = await fetchTokenPrice({
+      connection,
+      baseMint,
+      quoteMint: (position && position.quoteMint) || SOLANA_ADDRESSES.SOL_MINT.toString(),
+      lpAddress,
+      source
+    });
     
-    // Also simulate some liquidity value
-    const liquidity = 5 + (Math.random() * 20); // Random SOL amount between 5-25
+    // Without a position yet (initial reference price) there is nothing to compare against
+    const priceChangePercent = position ?
+      calculatePriceChangePercent(priceData.price, position.buyPrice) : 0;
     
-    logger.debug(`Calculated price for ${baseMint}: ${newPrice} SOL/token (movement: ${priceMovementPercent.toFixed(2)}%), liquidity: ${liquidity} SOL`);
+    logger.debug(`Calculated price for ${baseMint}: ${priceData.price} SOL/token (change: ${priceChangePercent.toFixed(2)}%), liquidity: ${priceData.liquidity} SOL`);
     
     return {
-      price: newPrice,
-      liquidity,
-      priceChangePercent: priceMovementPercent
+      ...priceData,
+      priceChangePercent
     };
   } catch (error) {
     logger.error(`Error calculating price for ${baseMint}: ${error.message}`);
@@ -218,53 +592,17 @@ async function calculateTokenPrice(baseMint, lpAddress, isDryRun) {
   }
 }
 
-/**
- * Builds swap instructions for token selling on Raydium
- * This is a simplified implementation - in production, use DEX-specific SDKs
- * @param {Object} params - Swap parameters
- * @returns {Object} Instructions and related data
- */
-function buildSellSwapInstructions(params) {
-  const {
-    wallet,
-    tokenMint,
-    lpAddress,
-    tokenAmount,
-    minSolAmount
-  } = params;
-  
-  // In a real implementation, you would:
-  // 1. Use Raydium's SDK to build swap instructions
-  // 2. Include proper account setup, swap program ID, etc.
-  
-  // For this example, we'll just log what would happen
-  logger.info(`Would build sell swap for ${tokenAmount} tokens to minimum ${minSolAmount} SOL`);
-  
-  // This would return the actual instructions in production
-  return {
-    instructions: [
-      // Would include actual swap instructions here
-      ComputeBudgetProgram.setComputeUnitLimit({ units: config.COMPUTE_UNITS_LIMIT }),
-      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: config.PRIORITY_FEE_MICRO_LAMPORTS })
-      // Plus the actual DEX-specific swap instruction
-    ],
-    tokenAccount: new PublicKey("TokenAccountAddress"),  // This would be the real token account
-    accounts: {
-      tokenMint: new PublicKey(tokenMint),
-      lpAddress: new PublicKey(lpAddress)
-    }
-  };
-}
-
 /**
  * Simulates a sell transaction for DryRun mode
  * @param {string} txId - Transaction ID
  * @param {string} baseMint - Token mint address
  * @param {Object} priceData - Price data 
  * @param {Object} position - Position data
+ * @param {string} exitRule - Exit rule that triggered the sell
+ * @param {number} [sellTokenAmount] - Raw tokens to sell for a partial exit
  * @returns {Promise<{success: boolean, signature: string, error?: string, sellData?: Object}>}
  */
-async function simulateSellTransaction(txId, baseMint, priceData, position) {
+async function simulateSellTransaction(txId, baseMint, priceData, position, exitRule, sellTokenAmount) {
   txLogger.info(`DryRun: Simulating sell transaction`, {
     txId,
     baseMint,
@@ -307,9 +645,10 @@ async function simulateSellTransaction(txId, baseMint, priceData, position) {
   }
   
   // Calculate profit/loss
-  const tokenAmount = position.tokenAmount || 1000000; // Use position data or default
+  const isPartial = Boolean(sellTokenAmount) && sellTokenAmount < position.tokenAmount;
+  const tokenAmount = isPartial ? sellTokenAmount : (position.tokenAmount || 1000000); // Use position data or default
   const expectedSolAmount = tokenAmount * priceData.price / LAMPORTS_PER_SOL;
-  const boughtForSol = position.amountInSol;
+  const boughtForSol = costBasisOf(position, tokenAmount, isPartial);
   const profitLossSol = expectedSolAmount - boughtForSol;
   const profitLossPercent = ((expectedSolAmount / boughtForSol) - 1) * 100;
   
@@ -325,6 +664,7 @@ async function simulateSellTransaction(txId, baseMint, priceData, position) {
   // Prepare sell data
   const sellData = {
     txId,
+    positionId: position.positionId,
     signature,
     baseMint,
     tokenAmount,
@@ -332,6 +672,11 @@ async function simulateSellTransaction(txId, baseMint, priceData, position) {
     boughtForSol,
     profitLossSol,
     profitLossPercent,
+    exitRule,
+    strategy: position.strategy,
+    managedBy: position.managedBy || position.strategy,
+    isPartial,
+    remainingTokenAmount: isPartial ? position.tokenAmount - tokenAmount : 0,
     timestamp: Date.now(),
     isDryRun: true
   };
@@ -343,14 +688,66 @@ async function simulateSellTransaction(txId, baseMint, priceData, position) {
   };
 }
 
+/**
+ * Reads what a confirmed sell actually filled
+ * Falls back to the pre-trade quote when the transaction cannot be fetched or
+ * parsed, so a confirmed sell is still closed out; the fill source says which.
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string} signature - Confirmed transaction signature
+ * @param {Object} params - Fill parameters
+ * @param {string} params.txId - Transaction ID for logging
+ * @param {string} params.owner - Wallet address
+ * @param {string} params.baseMint - Token mint sold
+ * @param {number} params.tokenAmount - Raw tokens sent into the swap
+ * @param {number} params.expectedSolAmount - SOL the quote expected back
+ * @returns {Promise<Object>} - Fill ({ tokenAmount, solAmount, feeSol, price, source })
+ */
+async function readSellFill(connection, signature, { txId, owner, baseMint, tokenAmount, expectedSolAmount }) {
+  try {
+    const transaction = await fetchConfirmedTransaction(connection, signature);
+    
+    if (!transaction) {
+      throw new Error('transaction not available from RPC');
+    }
+    
+    const fill = summarizeFill(parseSwapFill(transaction, { owner, mint: baseMint }), false);
+    
+    if (fill.tokenAmount <= 0) {
+      throw new Error('no tokens left the wallet');
+    }
+    
+    txLogger.info(`Sell filled`, { txId, signature, ...fill });
+    
+    return { ...fill, source: 'transaction' };
+  } catch (error) {
+    txLogger.warn(`Could not read sell fill, using the quote instead: ${error.message}`, { txId, signature });
+    
+    return {
+      tokenAmount,
+      solAmount: expectedSolAmount,
+      feeSol: null,
+      price: null,
+      source: 'quote'
+    };
+  }
+}
+
 /**
  * Executes a sell transaction for a token
  * @param {string} baseMint - Base token mint address 
  * @param {Object} priceData - Current price data
  * @param {Object} position - Position data
+ * @param {string} exitRule - Exit rule that triggered the sell
+ * @param {number} [sellTokenAmount] - Raw tokens to sell for a partial exit (whole lot if omitted)
+ * @param {Object} [options] - Execution overrides for emergency exits
+ * @param {number} [options.priorityFeeMicroLamports] - Priority fee (default PRIORITY_FEE_MICRO_LAMPORTS)
+ * @param {number} [options.slippageBps] - Slippage tolerance (default SLIPPAGE_TOLERANCE_BPS)
+ * @param {boolean} [options.skipSimulation] - Send without the SIMULATE_TRANSACTIONS pre-check
  * @returns {Promise<{success: boolean, signature?: string, error?: string}>}
  */
-async function executeSellTransaction(baseMint, priceData, position) {
+async function executeSellTransaction(baseMint, priceData, position, exitRule, sellTokenAmount, options = {}) {
+  const isPartial = Boolean(sellTokenAmount) && sellTokenAmount < position.tokenAmount;
+  const slippageBps = options.slippageBps || config.SLIPPAGE_TOLERANCE_BPS;
   const txId = createTransactionId();
   
   txLogger.info(`Starting sell transaction`, { 
@@ -359,22 +756,22 @@ async function executeSellTransaction(baseMint, priceData, position) {
     currentPrice: priceData.price,
     buyPrice: position.buyPrice,
     priceChangePercent: priceData.priceChangePercent,
+    exitRule,
+    sellTokenAmount: isPartial ? sellTokenAmount : 'all',
+    priorityFeeMicroLamports: options.priorityFeeMicroLamports || config.PRIORITY_FEE_MICRO_LAMPORTS,
     isDryRun: position.isDryRun || config.DRY_RUN
   });
   
   // If in DryRun mode or position was created in DryRun, simulate the transaction
   if (position.isDryRun || config.DRY_RUN) {
-    const result = await simulateSellTransaction(txId, baseMint, priceData, position);
+    const result = await simulateSellTransaction(txId, baseMint, priceData, position, exitRule, sellTokenAmount);
     
     // If successful simulation, publish to Redis and clean up
     if (result.success) {
-      await redisClient.publish(
-        REDIS_CHANNELS.SUCCESSFUL_SELLS,
-        JSON.stringify(result.sellData)
-      );
+      await publishToStream(redisClient, REDIS_CHANNELS.SUCCESSFUL_SELLS, result.sellData);
       
-      // Remove from active positions in Redis
-      await redisClient.del(`positions:${baseMint}`);
+      // Shrink or remove the position in Redis
+      await settlePosition(position, result.sellData);
       
       // Increment sell stats counter
       await redisClient.incr('stats:sell_count');
@@ -400,43 +797,92 @@ async function executeSellTransaction(baseMint, priceData, position) {
     let tokenAmount = 0;
     try {
       const tokenAccount = await getAccount(connection, tokenATA);
-      tokenAmount = Number(tokenAccount.amount);
+      const balance = Number(tokenAccount.amount);
       
-      txLogger.info(`Found ${tokenAmount} tokens in account`, { txId, baseMint });
+      txLogger.info(`Found ${balance} tokens in account`, { txId, baseMint });
       
-      if (tokenAmount === 0) {
+      if (balance === 0) {
         txLogger.warn(`No tokens to sell, skipping transaction`, { txId, baseMint });
         return { success: false, error: 'No tokens to sell' };
       }
+      
+      // Sell only this lot while other lots of the mint are still held; the
+      // last lot takes the whole balance so no dust is left behind
+      const isLastLot = getMintPositions(baseMint).length <= 1;
+      if (isPartial) {
+        tokenAmount = Math.min(sellTokenAmount, balance);
+      } else {
+        tokenAmount = isLastLot || !position.tokenAmount ? balance : Math.min(position.tokenAmount, balance);
+      }
     } catch (error) {
       txLogger.error(`Failed to fetch token account: ${error.message}`, { txId, baseMint });
       return { success: false, error: `Token account error: ${error.message}` };
     }
     
-    // Calculate minimum SOL to receive (with slippage)
-    const expectedSolAmount = tokenAmount * priceData.price;
-    const slippageFactor = 1 - (config.SLIPPAGE_TOLERANCE_BPS / 10000);
-    const minSolAmount = expectedSolAmount * slippageFactor;
+    // Quote the sell against live reserves to get the minimum SOL to receive (with slippage)
+    const quoteMint = position.quoteMint || SOLANA_ADDRESSES.SOL_MINT.toString();
+    const poolType = position.poolType || POOL_TYPES.RAYDIUM_V4;
+    
+    let quote;
+    let poolKeys;
+    let curveState;
+    
+    if (poolType === POOL_TYPES.PUMPFUN_BONDING_CURVE) {
+      quote = await quotePumpfunSwap({
+        connection,
+        lpAddress: position.lpAddress,
+        isBuyingTokens: false,
+        amountIn: tokenAmount,
+        slippageBps
+      });
+      curveState = { curve: quote.curve, global: quote.global };
+    } else {
+      const pool = await fetchRaydiumPoolKeys(connection, new PublicKey(position.lpAddress));
+      poolKeys = pool.poolKeys;
+      
+      quote = await quoteRaydiumSwap({
+        connection,
+        lpAddress: position.lpAddress,
+        inputMint: baseMint,
+        amountIn: tokenAmount,
+        slippageBps,
+        poolState: pool.poolState
+      });
+    }
+    
+    const expectedSolAmount = Number(quote.expectedAmountOut) / LAMPORTS_PER_SOL;
+    const minSolAmount = Number(quote.minAmountOut) / LAMPORTS_PER_SOL;
     
     txLogger.info(`Sell parameters calculated`, {
       txId,
       tokenAmount,
       expectedSolAmount,
       minSolAmount,
-      slippageBps: config.SLIPPAGE_TOLERANCE_BPS
+      slippageBps
     });
     
-    // Build swap instructions
-    const swap = buildSellSwapInstructions({
-      wallet: wallet.publicKey,
-      tokenMint: baseMint,
+    // Build swap instructions (ATA creation, the venue's swap and SOL unwrapping)
+    const swap = await buildSwapInstructions({
+      connection,
+      poolType,
+      poolKeys,
+      curveState,
       lpAddress: position.lpAddress,
-      tokenAmount,
-      minSolAmount
+      baseMint,
+      quoteMint,
+      owner: wallet.publicKey,
+      baseTokenAccount: tokenATA,
+      amountIn: tokenAmount,
+      minAmountOut: quote.minAmountOut,
+      isBuyingTokens: false
     });
     
-    // Check if we should simulate the transaction
-    if (config.SIMULATE_TRANSACTIONS) {
+    swap.instructions = addPriorityFees(swap.instructions, {
+      microLamports: options.priorityFeeMicroLamports
+    });
+    
+    // Check if we should simulate the transaction; emergency exits cannot spare the round trip
+    if (config.SIMULATE_TRANSACTIONS && !options.skipSimulation) {
       txLogger.info(`Simulating transaction before sending`, { txId });
       
       try {
@@ -521,9 +967,18 @@ async function executeSellTransaction(baseMint, priceData, position) {
     
     txLogger.info(`Transaction confirmed successfully`, { txId, signature });
     
+    // Read the actual fill from the confirmed transaction's balance changes
+    const fill = await readSellFill(connection, signature, {
+      txId,
+      owner: wallet.publicKey.toString(),
+      baseMint,
+      tokenAmount,
+      expectedSolAmount
+    });
+    
     // Calculate profit/loss
-    const soldForSol = expectedSolAmount; // In production, fetch the actual amount
-    const boughtForSol = position.amountInSol;
+    const soldForSol = fill.solAmount;
+    const boughtForSol = costBasisOf(position, fill.tokenAmount, isPartial);
     const profitLossSol = soldForSol - boughtForSol;
     const profitLossPercent = ((soldForSol / boughtForSol) - 1) * 100;
     
@@ -539,24 +994,30 @@ async function executeSellTransaction(baseMint, priceData, position) {
     // Publish successful sell to Redis
     const sellData = {
       txId,
+      positionId: position.positionId,
       signature,
       baseMint,
-      tokenAmount,
+      tokenAmount: fill.tokenAmount,
       soldForSol,
       boughtForSol,
       profitLossSol,
       profitLossPercent,
+      sellPrice: fill.price,
+      feeSol: fill.feeSol,
+      fillSource: fill.source,
+      exitRule,
+      strategy: position.strategy,
+      managedBy: position.managedBy || position.strategy,
+      isPartial,
+      remainingTokenAmount: isPartial ? Math.max(position.tokenAmount - fill.tokenAmount, 0) : 0,
       timestamp: Date.now(),
       isDryRun: false
     };
     
-    await redisClient.publish(
-      REDIS_CHANNELS.SUCCESSFUL_SELLS,
-      JSON.stringify(sellData)
-    );
+    await publishToStream(redisClient, REDIS_CHANNELS.SUCCESSFUL_SELLS, sellData);
     
-    // Remove from active positions in Redis
-    await redisClient.del(`positions:${baseMint}`);
+    // Shrink or remove the position in Redis
+    await settlePosition(position, sellData);
     
     // Increment sell stats counter
     await redisClient.incr('stats:sell_count');
@@ -580,12 +1041,169 @@ async function executeSellTransaction(baseMint, priceData, position) {
   }
 }
 
+/**
+ * Resolves the pool token account holding the traded token on a position's
+ * venue. Buys carry it from the pool detector; positions bought before that,
+ * or moved by a migration, derive it from the pool and keep it.
+ * @param {Object} position - Position data
+ * @returns {Promise<string|null>} - Base vault address, null if the venue has none known
+ */
+async function resolveBaseVault(position) {
+  if (position.baseVault) {
+    return position.baseVault;
+  }
+  
+  let baseVault = null;
+  
+  if (position.poolType === POOL_TYPES.PUMPFUN_BONDING_CURVE) {
+    baseVault = getAssociatedBondingCurveAddress(
+      new PublicKey(position.baseMint),
+      new PublicKey(position.lpAddress)
+    ).toString();
+  } else if (position.poolType === POOL_TYPES.RAYDIUM_V4) {
+    const connection = await getConnection();
+    const poolState = await fetchLiquidityStateV4(connection, position.lpAddress);
+    baseVault = (poolState.baseMint.toString() === position.baseMint ?
+      poolState.baseVault : poolState.quoteVault).toString();
+  }
+  
+  if (baseVault) {
+    position.baseVault = baseVault;
+    await redisClient.hset(positionKey(position.positionId), 'baseVault', baseVault);
+  }
+  
+  return baseVault;
+}
+
+/**
+ * Refreshes the top-10 holder share of a position's token, at most once per
+ * interval. The pool's base vault is excluded, as token-filter does, so pool
+ * buys and sells do not read as holder concentration.
+ * @param {Object} position - Position data
+ * @returns {Promise<number|undefined>} - Top-10 share in %, undefined if unavailable
+ */
+async function getTopHolderShare(position) {
+  const { baseMint } = position;
+  let cached;
+  
+  try {
+    const baseVault = await resolveBaseVault(position);
+    const cacheKey = `${baseMint}:${baseVault}`;
+    cached = holderShares.get(cacheKey);
+    
+    if (cached && Date.now() - cached.fetchedAt < PERFORMANCE_SETTINGS.HOLDER_REFRESH_INTERVAL_MS) {
+      return cached.topShare;
+    }
+    
+    const connection = await getConnection();
+    const { topShare } = await fetchHolderDistribution(connection, baseMint, {
+      excludeAccounts: baseVault ? [baseVault] : []
+    });
+    
+    holderShares.set(cacheKey, { topShare, fetchedAt: Date.now() });
+    return topShare;
+  } catch (error) {
+    logger.warn(`Failed to fetch holder distribution for ${baseMint}: ${error.message}`);
+    return cached ? cached.topShare : undefined;
+  }
+}
+
+/**
+ * Records a pool reserve sample and returns the volume estimator for it
+ * Volume is the sum of quote reserve moves between samples, so swaps that
+ * cancel out between two checks are not seen.
+ * @param {Object} position - Position data
+ * @param {Object} priceData - Current price data
+ * @returns {Function|undefined} - (windowMinutes) => SOL volume, undefined without reserve data
+ */
+function sampleVolume(position, priceData) {
+  if (priceData.quoteReserve === undefined) {
+    return undefined;
+  }
+  
+  const now = Date.now();
+  const samples = (reserveSamples.get(position.positionId) || [])
+    .filter(sample => now - sample.timestamp <= PERFORMANCE_SETTINGS.RESERVE_SAMPLE_RETENTION_MS);
+  
+  samples.push({ timestamp: now, quoteReserve: Number(priceData.quoteReserve) });
+  reserveSamples.set(position.positionId, samples);
+  
+  return windowMinutes => {
+    const since = now - windowMinutes * 60 * 1000;
+    let volumeLamports = 0;
+    
+    for (let i = 1; i < samples.length; i++) {
+      if (samples[i - 1].timestamp >= since) {
+        volumeLamports += Math.abs(samples[i].quoteReserve - samples[i - 1].quoteReserve);
+      }
+    }
+    
+    return volumeLamports / LAMPORTS_PER_SOL;
+  };
+}
+
+/**
+ * Builds the metrics a sell strategy is evaluated against
+ * Entry references (liquidity, top-holder share) are captured on the first
+ * sample and persisted with the position, as is the high-water mark.
+ * @param {Object} position - Position data
+ * @param {Object} priceData - Current price data
+ * @param {Object} strategy - Strategy managing the position
+ * @returns {Promise<Object>} - Strategy context
+ */
+async function buildStrategyContext(position, priceData, strategy) {
+  const updates = {};
+  
+  // Raise the high-water mark
+  if (!position.highWaterPrice || priceData.price > position.highWaterPrice) {
+    position.highWaterPrice = Math.max(priceData.price, position.buyPrice);
+    updates.highWaterPrice = position.highWaterPrice;
+  }
+  
+  if (position.entryLiquidity === undefined && priceData.liquidity > 0) {
+    position.entryLiquidity = priceData.liquidity;
+    updates.entryLiquidity = position.entryLiquidity;
+  }
+  
+  // Holder data costs two RPC calls, so only strategies that use it pay for it
+  let holderConcentrationChange;
+  if (strategy.primitives.has('holderConcentrationChange')) {
+    const topShare = await getTopHolderShare(position);
+    
+    if (topShare !== undefined && position.entryTopHolderShare === undefined) {
+      position.entryTopHolderShare = topShare;
+      updates.entryTopHolderShare = topShare;
+    }
+    
+    if (topShare !== undefined) {
+      holderConcentrationChange = topShare - position.entryTopHolderShare;
+    }
+  }
+  
+  if (Object.keys(updates).length > 0) {
+    await redisClient.hset(positionKey(position.positionId), updates);
+  }
+  
+  return {
+    priceChangePercent: ((priceData.price / position.buyPrice) - 1) * 100,
+    peakGainPercent: ((position.highWaterPrice / position.buyPrice) - 1) * 100,
+    drawdownPercent: (1 - (priceData.price / position.highWaterPrice)) * 100,
+    liquidityDropPercent: position.entryLiquidity > 0 && priceData.liquidity !== null && priceData.liquidity !== undefined ?
+      (1 - (priceData.liquidity / position.entryLiquidity)) * 100 : undefined,
+    holderConcentrationChange,
+    holdMinutes: (Date.now() - position.buyTimestamp) / (1000 * 60),
+    volumeSol: strategy.primitives.has('volume') ? sampleVolume(position, priceData) : undefined
+  };
+}
+
 /**
  * Evaluates whether to sell a token based on price and position data
+ * Runs the position's sell strategy; rules selling less than the whole
+ * position return the token amount to sell.
  * @param {string} baseMint - Token mint address
  * @param {Object} priceData - Current price data
  * @param {Object} position - Position data
- * @returns {Promise<{shouldSell: boolean, reason: string}>}
+ * @returns {Promise<{shouldSell: boolean, reason: string, rule?: string, tokenAmount?: number}>}
  */
 async function evaluateSellConditions(baseMint, priceData, position) {
   try {
@@ -594,41 +1212,251 @@ async function evaluateSellConditions(baseMint, priceData, position) {
       return { shouldSell: false, reason: 'No buy price reference' };
     }
     
-    // Calculate price change percentage
-    const priceChangePercent = ((priceData.price / position.buyPrice) - 1) * 100;
+    const strategy = getPositionStrategy(position);
     
-    logger.debug(`Evaluating ${baseMint}: Price change ${priceChangePercent.toFixed(2)}%`, {
+    // A strategy change (or reload) takes over open positions; the entry
+    // stamp in position.strategy is kept so results stay comparable
+    if (position.managedBy !== strategy.id) {
+      logger.info(`Position ${position.positionId} (${baseMint}) now managed by strategy ${strategy.id}`, {
+        entryStrategy: position.strategy || null,
+        previousStrategy: position.managedBy || null
+      });
+      position.managedBy = strategy.id;
+      const updates = { managedBy: strategy.id };
+      
+      // Hashes from before the entry stamp was kept apart only know the strategy in charge
+      if (!position.strategy) {
+        position.strategy = strategy.id;
+        updates.strategy = strategy.id;
+      }
+      
+      await redisClient.hset(positionKey(position.positionId), updates);
+    }
+    
+    const context = await buildStrategyContext(position, priceData, strategy);
+    
+    logger.debug(`Evaluating ${baseMint}: Price change ${context.priceChangePercent.toFixed(2)}%`, {
+      positionId: position.positionId,
+      strategy: strategy.id,
       currentPrice: priceData.price,
       buyPrice: position.buyPrice,
-      takeProfitPct: config.TAKE_PROFIT_PERCENTAGE,
-      stopLossPct: config.STOP_LOSS_PERCENTAGE,
+      highWaterPrice: position.highWaterPrice,
+      drawdownPct: context.drawdownPercent,
+      liquidityDropPct: context.liquidityDropPercent,
+      holderConcentrationChange: context.holderConcentrationChange,
+      holdMinutes: context.holdMinutes,
       isDryRun: position.isDryRun || config.DRY_RUN
     });
     
-    // Check take profit condition
-    if (priceChangePercent >= config.TAKE_PROFIT_PERCENTAGE) {
-      return {
-        shouldSell: true,
-        reason: `Take profit triggered: ${priceChangePercent.toFixed(2)}% gain`
-      };
+    const decision = evaluateStrategy(strategy, context, position.firedRules || []);
+    
+    // No sell condition met
+    if (!decision) {
+      return { shouldSell: false, reason: 'No sell condition met' };
     }
     
-    // Check stop loss condition
-    if (priceChangePercent <= -config.STOP_LOSS_PERCENTAGE) {
-      return {
-        shouldSell: true,
-        reason: `Stop loss triggered: ${priceChangePercent.toFixed(2)}% loss`
-      };
+    let tokenAmount;
+    if (decision.sellPercent < 100) {
+      const originalTokenAmount = position.originalTokenAmount || position.tokenAmount;
+      const sellTokenAmount = Math.floor(originalTokenAmount * decision.sellPercent / 100);
+      
+      // A partial rule covering what is left closes the position
+      tokenAmount = sellTokenAmount < position.tokenAmount ? sellTokenAmount : undefined;
     }
     
-    // No sell condition met
-    return { shouldSell: false, reason: 'No sell condition met' };
+    return {
+      shouldSell: true,
+      rule: decision.rule,
+      reason: decision.reason,
+      tokenAmount
+    };
   } catch (error) {
     logger.error(`Error evaluating sell conditions for ${baseMint}: ${error.message}`);
     return { shouldSell: false, reason: `Error: ${error.message}` };
   }
 }
 
+/**
+ * Sells a position (or part of it) and books the result
+ * Skipped when a sell of the position is already running.
+ * @param {Object} position - Position data
+ * @param {Object} priceData - Current price data
+ * @param {Object} exit - Exit decision ({ rule, reason, tokenAmount })
+ * @param {Object} [options] - Execution overrides passed to executeSellTransaction
+ * @returns {Promise<Object|null>} - Sell result, null if skipped
+ */
+async function sellPosition(position, priceData, exit, options = {}) {
+  const { positionId, baseMint } = position;
+  
+  if (sellsInFlight.has(positionId)) {
+    logger.debug(`Sell of position ${positionId} (${baseMint}) already in flight, skipping`);
+    return null;
+  }
+  
+  sellsInFlight.add(positionId);
+  try {
+    logger.info(`Selling position ${positionId} (${baseMint}): ${exit.reason}`, {
+      isDryRun: position.isDryRun || config.DRY_RUN
+    });
+    
+    // Execute sell transaction
+    const result = await executeSellTransaction(baseMint, priceData, position, exit.rule, exit.tokenAmount, options);
+    recordSellAttempt(position, result, exit);
+    
+    if (result.success) {
+      logger.info(`Successfully sold position ${positionId} (${baseMint})`, {
+        signature: result.signature,
+        profitLoss: result.sellData.profitLossPercent.toFixed(2) + '%',
+        isDryRun: position.isDryRun || config.DRY_RUN
+      });
+      
+      // Partial exits keep the position open with what remains
+      if (result.sellData.isPartial) {
+        logger.info(`Position ${positionId} (${baseMint}) partially exited`, {
+          remainingTokenAmount: position.tokenAmount,
+          realizedProfitLossSol: position.realizedProfitLossSol
+        });
+      } else {
+        activePositions.delete(positionId);
+      }
+    } else {
+      logger.error(`Failed to sell position ${positionId} (${baseMint})`, { 
+        error: result.error,
+        isDryRun: position.isDryRun || config.DRY_RUN
+      });
+    }
+    
+    return result;
+  } finally {
+    sellsInFlight.delete(positionId);
+  }
+}
+
+/**
+ * Prices a position for an exit outside the polling loop
+ * Live sells quote against the pool themselves; the price only feeds logs
+ * there, so the RPC round trip is spent only on simulated positions.
+ * @param {Object} position - Position data
+ * @returns {Promise<Object|null>} - Price data, null if a simulated position could not be priced
+ */
+async function getExitPriceData(position) {
+  if (position.isDryRun || config.DRY_RUN) {
+    return calculateTokenPrice(position.baseMint, position.lpAddress, position.isDryRun, position.poolType, position);
+  }
+  
+  return { price: position.highWaterPrice || position.buyPrice, priceChangePercent: null };
+}
+
+/**
+ * Sells positions in full on an operator's command (force_sell, close_all)
+ * Positions waiting for a migrated pool cannot be sold yet and are skipped.
+ * @param {Array<Object>} positions - Positions to exit
+ * @param {string} reason - Why, for logs and the sell record
+ * @returns {Promise<Object>} - { sold, failed, skipped } position IDs
+ */
+async function exitPositionsOnCommand(positions, reason) {
+  const outcome = { sold: [], failed: [], skipped: [] };
+  
+  for (const position of positions) {
+    if (position.migrationPending || sellsInFlight.has(position.positionId)) {
+      outcome.skipped.push(position.positionId);
+      continue;
+    }
+    
+    const priceData = await getExitPriceData(position);
+    const result = priceData ? await sellPosition(position, priceData, { rule: 'manual', reason }) : null;
+    
+    (result && result.success ? outcome.sold : outcome.failed).push(position.positionId);
+  }
+  
+  return outcome;
+}
+
+/**
+ * Most a pool's SOL reserve may keep of its window peak for the drop to count
+ * as drained; a shallower reserve drop may just be heavy selling
+ */
+const RUG_DRAINED_RESERVE_PERCENTAGE = 5;
+
+/**
+ * Decides what a rug signal says about the token's deployer
+ * An LP supply drop is a liquidity pull; a reserve drop only counts when the
+ * vault was emptied. Bonding curve reserves fall whenever holders sell, so
+ * pump.fun signals are never held against the deployer.
+ * @param {Object} event - Rug event from the rug monitor
+ * @param {Object} position - A position on the pool
+ * @returns {string|null} - Reputation outcome to record, or null for none
+ */
+function rugSignalOutcome(event, position) {
+  if (position.poolType === POOL_TYPES.PUMPFUN_BONDING_CURVE) {
+    return null;
+  }
+  
+  if (event.kind === 'lpSupply') {
+    return 'lp_pull';
+  }
+  
+  const peak = BigInt(event.peak);
+  const drained = BigInt(event.current) * 100n <= peak * BigInt(RUG_DRAINED_RESERVE_PERCENTAGE);
+  return drained ? 'rug' : null;
+}
+
+/**
+ * Exits every position on a pool the rug monitor saw being drained
+ * Runs outside the polling loop with the emergency priority fee and slippage,
+ * and without the pre-send simulation.
+ * @param {Object} event - Rug event from the rug monitor
+ * @returns {Promise<void>}
+ */
+async function handleRugSignal(event) {
+  const reason = `Liquidity pull: ${event.kind} down ${event.dropPercent.toFixed(2)}% ` +
+    `within ${PERFORMANCE_SETTINGS.RUG_DROP_WINDOW_MS / 1000}s`;
+  
+  // Count a clear rug against whoever deployed the token; the exit below
+  // runs on every signal
+  const watched = event.positionIds.map(positionId => activePositions.get(positionId)).find(Boolean);
+  const outcome = watched ? rugSignalOutcome(event, watched) : null;
+  if (outcome) {
+    try {
+      getDeployerReputation().recordOutcome({
+        baseMint: watched.baseMint,
+        lpAddress: event.lpAddress,
+        outcome,
+        details: reason
+      }, { autoBlockAfter: config.DEPLOYER_MAX_BAD_LAUNCHES });
+    } catch (error) {
+      logger.error(`Failed to record rug outcome for pool ${event.lpAddress}: ${error.message}`);
+    }
+  }
+  
+  for (const positionId of event.positionIds) {
+    const position = activePositions.get(positionId);
+    
+    if (!position || position.migrationPending || position.lpAddress !== event.lpAddress) {
+      continue;
+    }
+    
+    logger.warn(`Emergency exit of position ${positionId} (${position.baseMint}): ${reason}`, {
+      account: event.account,
+      peak: event.peak,
+      current: event.current
+    });
+    
+    const priceData = await getExitPriceData(position);
+    
+    if (!priceData) {
+      logger.error(`No price data for emergency exit of position ${positionId}, leaving it to the polling loop`);
+      continue;
+    }
+    
+    await sellPosition(position, priceData, { rule: 'rug_pull', reason }, {
+      priorityFeeMicroLamports: config.EMERGENCY_PRIORITY_FEE_MICRO_LAMPORTS,
+      slippageBps: config.EMERGENCY_SLIPPAGE_BPS,
+      skipSimulation: true
+    });
+  }
+}
+
 /**
  * Checks all active positions and executes sells if conditions are met
  * @returns {Promise<void>}
@@ -641,95 +1469,123 @@ async function checkPositionsAndSell() {
   
   logger.info(`Checking ${activePositions.size} active positions`);
   
-  // Process each active position
-  for (const [baseMint, position] of activePositions.entries()) {
+  // Process each lot on its own; re-entries into a mint have their own cost basis
+  for (const [positionId, position] of activePositions.entries()) {
+    const { baseMint } = position;
+    
     try {
-      logger.debug(`Checking position: ${baseMint}`, {
+      logger.debug(`Checking position ${positionId}: ${baseMint}`, {
+        poolType: position.poolType,
         isDryRun: position.isDryRun || config.DRY_RUN
       });
       
+      // A completed curve cannot be sold into until the migrated pool is known
+      if (position.migrationPending) {
+        logger.debug(`Position ${positionId} (${baseMint}) is migrating from ${position.poolType}, waiting for the new pool`);
+        continue;
+      }
+      
+      // An emergency exit may be selling it right now
+      if (sellsInFlight.has(positionId)) {
+        continue;
+      }
+      
       // Get current price (pass isDryRun flag)
-      const priceData = await calculateTokenPrice(baseMint, position.lpAddress, position.isDryRun);
+      const priceData = await calculateTokenPrice(baseMint, position.lpAddress, position.isDryRun, position.poolType, position);
       
       if (!priceData) {
         logger.warn(`Failed to get price data for ${baseMint}, skipping`);
         continue;
       }
       
+      // The curve may complete before the migration event arrives
+      if (priceData.complete) {
+        logger.info(`Bonding curve for ${baseMint} is complete, waiting for migration`);
+        for (const lot of getMintPositions(baseMint)) {
+          lot.migrationPending = true;
+          await redisClient.hset(positionKey(lot.positionId), 'migrationPending', 'true');
+        }
+        continue;
+      }
+      
       // Evaluate sell conditions
-      const { shouldSell, reason } = await evaluateSellConditions(baseMint, priceData, position);
+      const { shouldSell, reason, rule, tokenAmount } = await evaluateSellConditions(baseMint, priceData, position);
       
       if (shouldSell) {
-        logger.info(`Selling ${baseMint}: ${reason}`, {
-          isDryRun: position.isDryRun || config.DRY_RUN
-        });
-        
-        // Execute sell transaction
-        const result = await executeSellTransaction(baseMint, priceData, position);
-        
-        if (result.success) {
-          logger.info(`Successfully sold ${baseMint}`, {
-            signature: result.signature,
-            profitLoss: result.sellData.profitLossPercent.toFixed(2) + '%',
-            isDryRun: position.isDryRun || config.DRY_RUN
-          });
-          
-          // Remove from active positions map
-          activePositions.delete(baseMint);
-        } else {
-          logger.error(`Failed to sell ${baseMint}`, { 
-            error: result.error,
-            isDryRun: position.isDryRun || config.DRY_RUN
-          });
-        }
+        await sellPosition(position, priceData, { rule, reason, tokenAmount });
       } else {
-        logger.debug(`Not selling ${baseMint}: ${reason}`);
+        logger.debug(`Not selling position ${positionId} (${baseMint}): ${reason}`);
       }
     } catch (error) {
-      logger.error(`Error processing position ${baseMint}: ${error.message}`);
+      logger.error(`Error processing position ${positionId} (${baseMint}): ${error.message}`);
     }
   }
 }
 
 /**
- * Processes a new successful buy notification from Redis
- * @param {string} message - JSON string containing buy data
+ * Processes a new successful buy entry from the SUCCESSFUL_BUYS stream
+ * Errors are rethrown so the entry stays pending and the position is not lost
+ * @param {Object} buyData - Validated SUCCESSFUL_BUYS message
  */
-async function processSuccessfulBuy(message) {
+async function processSuccessfulBuy(buyData) {
   try {
-    const buyData = JSON.parse(message);
+    logger.info(`Processing successful buy: ${buyData.baseMint}`, {
+      isDryRun: buyData.isDryRun || config.DRY_RUN
+    });
     
-    if (!buyData.baseMint) {
-      logger.warn('Received buy notification without baseMint');
+    const positionId = buyData.positionId || buyData.txId;
+    
+    // A redelivered entry must not reset a lot already being managed (its
+    // partial sells and trailing state) or revive one that was sold
+    if (activePositions.has(positionId)) {
+      logger.info(`Position ${positionId} (${buyData.baseMint}) is already monitored, ignoring duplicate buy`);
       return;
     }
     
-    logger.info(`Processing successful buy: ${buyData.baseMint}`, {
-      isDryRun: buyData.isDryRun || config.DRY_RUN
-    });
+    const isClosed = getTradeLedger().getPositionTrades(positionId)
+      .some(trade => trade.side === 'sell' && trade.status === 'filled');
+    if (isClosed) {
+      logger.info(`Position ${positionId} (${buyData.baseMint}) was already sold, ignoring duplicate buy`);
+      return;
+    }
     
     // Create position object
     const position = {
+      positionId,
       baseMint: buyData.baseMint,
+      quoteMint: buyData.quoteMint,
       lpAddress: buyData.lpAddress,
+      poolType: buyData.poolType,
       amountInSol: buyData.amountInSol,
-      buyTimestamp: buyData.timestamp,
+      buyTimestamp: buyData.buyTimestamp,
       signature: buyData.signature,
-      tokenAmount: buyData.tokenAmount || 0,
+      tokenAmount: buyData.tokenAmount,
+      originalTokenAmount: buyData.tokenAmount,
+      costBasisSol: buyData.amountInSol,
+      realizedProfitLossSol: 0,
+      firedRules: [],
+      exitRules: buyData.exitRules || null,
+      baseVault: buyData.baseVault || null,
       isDryRun: buyData.isDryRun || config.DRY_RUN
     };
     
-    // Use provided estimated price if available (from dry run)
-    if (buyData.estimatedPrice) {
-      position.buyPrice = buyData.estimatedPrice;
-      logger.info(`Using provided price for ${buyData.baseMint}: ${buyData.estimatedPrice}`);
+    // Stamp the strategy the position was entered under so results can be
+    // compared per strategy; managedBy follows later strategy changes
+    position.strategy = getPositionStrategy(position).id;
+    position.managedBy = position.strategy;
+    
+    // Use the buy price if the executor knew it
+    if (buyData.buyPrice) {
+      position.buyPrice = buyData.buyPrice;
+      logger.info(`Using provided price for ${buyData.baseMint}: ${buyData.buyPrice}`);
     } else {
       // Try to calculate an initial price for reference
       try {
         const priceData = await calculateTokenPrice(
           buyData.baseMint, 
           buyData.lpAddress, 
-          buyData.isDryRun || config.DRY_RUN
+          buyData.isDryRun || config.DRY_RUN,
+          position.poolType
         );
         
         if (priceData) {
@@ -743,92 +1599,258 @@ async function processSuccessfulBuy(message) {
     }
     
     // Add to active positions
-    activePositions.set(buyData.baseMint, position);
+    activePositions.set(position.positionId, position);
     
     // Also store in Redis (as backup)
-    await redisClient.hset(`positions:${buyData.baseMint}`, {
-      ...position,
-      isDryRun: (position.isDryRun || config.DRY_RUN) ? 'true' : 'false' // Store as string in Redis
-    });
+    await redisClient.hset(positionKey(position.positionId), toPositionHash(position));
+    
+    logger.info(`Added position ${position.positionId} for ${buyData.baseMint} to active monitoring (strategy ${position.strategy})`);
+    
+    await watchPosition(position);
     
-    logger.info(`Added position for ${buyData.baseMint} to active monitoring`);
+    // Re-entry: report the combined holding in this mint
+    const lots = getMintPositions(buyData.baseMint);
+    if (lots.length > 1) {
+      const aggregate = aggregateLots(lots);
+      logger.info(`Holding ${aggregate.lotCount} lots of ${buyData.baseMint}`, {
+        totalTokens: aggregate.totalTokens,
+        totalCostSol: aggregate.totalCostSol,
+        weightedAvgEntryPrice: aggregate.weightedAvgEntryPrice
+      });
+    }
   } catch (error) {
     logger.error(`Error processing successful buy: ${error.message}`);
+    throw error;
   }
 }
 
+/**
+ * Processes a venue migration entry from the POOL_MIGRATIONS stream
+ * Moves every lot held on the completed bonding curve to the migrated pool.
+ * Lots are not moved to a venue the bot cannot price or sell on (PumpSwap):
+ * they stay migration-pending, with the destination recorded, and are left
+ * for the operator to exit by hand.
+ * @param {Object} migration - Validated POOL_MIGRATIONS message
+ */
+async function processPoolMigration(migration) {
+  try {
+    // Only positions still on the venue being migrated away from are affected
+    const lots = getMintPositions(migration.baseMint)
+      .filter(position => position.poolType === migration.fromPoolType);
+    
+    for (const position of lots) {
+      if (!migration.lpAddress) {
+        // The destination pool is created in a later transaction
+        logger.info(`Position ${position.positionId} (${migration.baseMint}) is migrating to ${migration.poolType}, new pool not known yet`);
+        position.migrationPending = true;
+        await redisClient.hset(positionKey(position.positionId), 'migrationPending', 'true');
+        continue;
+      }
+      
+      if (!PRICE_SOURCES[migration.poolType]) {
+        logger.error(`Position ${position.positionId} (${migration.baseMint}) migrated to ${migration.poolType} pool ${migration.lpAddress}, ` +
+          'which the bot cannot price or sell on: it is no longer managed and must be exited manually', {
+          tokenAmount: position.tokenAmount,
+          costBasisSol: position.costBasisSol
+        });
+        position.migrationPending = true;
+        position.migrationPoolType = migration.poolType;
+        position.migrationLpAddress = migration.lpAddress;
+        await redisClient.hset(positionKey(position.positionId), {
+          migrationPending: 'true',
+          migrationPoolType: position.migrationPoolType,
+          migrationLpAddress: position.migrationLpAddress
+        });
+        continue;
+      }
+      
+      logger.info(`Position ${position.positionId} (${migration.baseMint}) migrated from ${position.poolType} to ${migration.poolType} pool ${migration.lpAddress}`);
+      
+      position.previousLpAddress = position.lpAddress;
+      position.previousPoolType = position.poolType;
+      position.lpAddress = migration.lpAddress;
+      position.poolType = migration.poolType;
+      position.quoteMint = migration.quoteMint || position.quoteMint;
+      position.migrationPending = false;
+      position.migratedAt = migration.timestamp || Date.now();
+      // The tokens now sit in the new pool's vault, resolved on next use
+      position.baseVault = null;
+      
+      await redisClient.hset(positionKey(position.positionId), {
+        previousLpAddress: position.previousLpAddress,
+        previousPoolType: position.previousPoolType,
+        lpAddress: position.lpAddress,
+        poolType: position.poolType,
+        quoteMint: position.quoteMint,
+        migrationPending: 'false',
+        migratedAt: position.migratedAt,
+        baseVault: ''
+      });
+      
+      // Liquidity now lives in the migrated pool
+      await rugMonitor.unwatch(position.previousLpAddress, position.positionId);
+      await watchPosition(position);
+    }
+  } catch (error) {
+    logger.error(`Error processing pool migration: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Routes an entry from one of the consumed streams to its handler
+ * @param {Object} message - Validated message
+ * @param {Object} entry - Stream entry metadata ({ stream, id, deliveries })
+ */
+async function handleStreamMessage(message, { stream }) {
+  if (stream === REDIS_CHANNELS.SUCCESSFUL_BUYS) {
+    await processSuccessfulBuy(message);
+  } else if (stream === REDIS_CHANNELS.POOL_MIGRATIONS) {
+    await processPoolMigration(message);
+  }
+}
+
+const streamConsumer = createStreamConsumer({
+  context: 'sell-manager',
+  group: 'sell-manager',
+  streams: [REDIS_CHANNELS.SUCCESSFUL_BUYS, REDIS_CHANNELS.POOL_MIGRATIONS],
+  handler: handleStreamMessage
+});
+
+/**
+ * Control-plane commands: manual exits of one mint or of everything held.
+ * Pausing is not supported; exits keep running while buying is paused.
+ */
+const commandListener = createCommandListener({
+  service: 'sell-manager',
+  handlers: {
+    async force_sell({ mint }, command) {
+      const positions = getMintPositions(mint);
+      
+      if (positions.length === 0) {
+        throw new Error(`No open positions in ${mint}`);
+      }
+      
+      return exitPositionsOnCommand(positions, `Force sell by ${command.issuedBy || 'operator'}${command.reason ? `: ${command.reason}` : ''}`);
+    },
+    
+    async close_all(args, command) {
+      return exitPositionsOnCommand(
+        [...activePositions.values()],
+        `Close all by ${command.issuedBy || 'operator'}${command.reason ? `: ${command.reason}` : ''}`
+      );
+    },
+    
+    async reload_config() {
+      fileStrategy = config.SELL_STRATEGY_PATH ? loadStrategy(config.SELL_STRATEGY_PATH) : null;
+      return { strategy: fileStrategy ? fileStrategy.id : 'config exit rules' };
+    }
+  },
+  onShutdown: drain => shutdown(drain ? 'drain command' : 'shutdown command', { drain })
+});
+
+// Position check and heartbeat timers, set once the service has started
+let checkInterval = null;
+let heartbeatInterval = null;
+
+/**
+ * Shuts the service down
+ * @param {string} reason - What asked for it
+ * @param {Object} [options] - { drain: let sells in flight and read entries finish before closing connections }
+ * @returns {Promise<void>}
+ */
+async function shutdown(reason, { drain = false } = {}) {
+  logger.info(`${reason} received, shutting down gracefully${drain ? ' after in-flight sells' : ''}`);
+  
+  // Clear intervals
+  clearInterval(checkInterval);
+  clearInterval(heartbeatInterval);
+  
+  // Drop pool subscriptions
+  rugMonitor.stop().then(() => wsManager.close());
+  
+  // Close Redis connections
+  try {
+    if (drain) {
+      await streamConsumer.drain();
+      while (sellsInFlight.size > 0) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    } else {
+      streamConsumer.stop();
+    }
+  } catch (error) {
+    logger.error(`Failed to stop stream consumer: ${error.message}`);
+  }
+  commandListener.stop();
+  redisClient.quit();
+  
+  setTimeout(() => {
+    logger.info('Shutdown complete');
+    process.exit(0);
+  }, 1000);
+}
+
 /**
  * Main function to start the sell manager service
  */
 async function startSellManager() {
   try {
     logger.info('Starting Sell Manager service', {
-      mode: config.DRY_RUN ? 'DRY RUN' : 'LIVE'
+      mode: config.DRY_RUN ? 'DRY RUN' : 'LIVE',
+      strategy: fileStrategy ? fileStrategy.id : 'config exit rules'
     });
     
-    // Load existing positions from Redis
+    // Load existing positions from Redis, then anything only the ledger still knows about
     await loadPositionsFromRedis();
+    await restorePositionsFromLedger();
     
-    // Subscribe to successful buys channel
-    redisSubscriber.on('ready', () => {
-      logger.info('Redis subscriber connected. Subscribing to successful buys channel.');
-      redisSubscriber.subscribe(REDIS_CHANNELS.SUCCESSFUL_BUYS);
-    });
-    
-    redisSubscriber.on('message', (channel, message) => {
-      if (channel === REDIS_CHANNELS.SUCCESSFUL_BUYS) {
-        processSuccessfulBuy(message);
+    // Watch the pools of restored positions for liquidity pulls
+    if (rugMonitorEnabled) {
+      for (const position of activePositions.values()) {
+        await watchPosition(position);
       }
-    });
+    } else {
+      logger.info('Rug monitor disabled (RUG_RESERVE_DROP_PERCENTAGE and RUG_LP_SUPPLY_DROP_PERCENTAGE are 0)');
+    }
     
-    redisSubscriber.on('error', (error) => {
-      logger.error(`Redis subscriber error: ${error.message}`);
-    });
+    // Consume successful buys and venue migrations, and listen for commands
+    await streamConsumer.start();
+    commandListener.start();
     
     // Set up position checking interval
-    const checkInterval = setInterval(
+    checkInterval = setInterval(
       checkPositionsAndSell,
       PERFORMANCE_SETTINGS.PRICE_CHECK_INTERVAL_MS
     );
     
     // Set up heartbeat interval
-    const heartbeatInterval = setInterval(async () => {
+    heartbeatInterval = setInterval(async () => {
       try {
         const timestamp = Date.now();
         await redisClient.set('heartbeat:sell-manager', timestamp);
-        await redisClient.publish(REDIS_CHANNELS.HEARTBEATS, JSON.stringify({
+        await publishToChannel(redisClient, REDIS_CHANNELS.HEARTBEATS, {
           service: 'sell-manager',
           timestamp,
           activePositions: activePositions.size,
+          activeMints: Object.keys(getMintAggregates()).length,
           dryRun: config.DRY_RUN
-        }));
+        });
         logger.debug('Heartbeat sent');
       } catch (error) {
         logger.error(`Failed to send heartbeat: ${error.message}`);
       }
     }, PERFORMANCE_SETTINGS.HEARTBEAT_INTERVAL_MS);
     
-    // Handle graceful shutdown
-    process.on('SIGTERM', () => {
-      logger.info('SIGTERM received, shutting down gracefully');
-      
-      // Clear intervals
-      clearInterval(checkInterval);
-      clearInterval(heartbeatInterval);
-      
-      // Close Redis connections
-      redisSubscriber.quit();
-      redisClient.quit();
-      
-      setTimeout(() => {
-        logger.info('Shutdown complete');
-        process.exit(0);
-      }, 1000);
-    });
-    
     logger.info(`Sell Manager service started successfully in ${config.DRY_RUN ? 'DRY RUN' : 'LIVE'} mode`);
   } catch (error) {
     logger.error(`Failed to start Sell Manager: ${error.message}`);
     process.exit(1);
   }
 }
+
+// Handle graceful shutdown
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Start the service
+startSellManager();
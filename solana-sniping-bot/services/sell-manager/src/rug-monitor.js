@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Liquidity-pull (rug) monitor for the sell manager
+ * A rug where the LP is withdrawn is over in one block, long before the next
+ * price poll. This watches the accounts a pool's liquidity lives in over
+ * WebSocket and reports a sudden drop as soon as the notification arrives:
+ * - Raydium V4: the SOL-side vault and the LP mint (withdrawals burn LP tokens)
+ * - pump.fun: the bonding curve's real SOL reserves
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { AccountLayout, MintLayout } = require('@solana/spl-token');
+const { createLogger } = require('shared/logger');
+const { POOL_TYPES } = require('shared/utils/dex-pool');
+const { fetchLiquidityStateV4 } = require('shared/utils/raydium-amm');
+const { decodeBondingCurve } = require('shared/utils/pumpfun');
+const { SOLANA_ADDRESSES } = require('shared/constants');
+
+// Initialize logger
+const logger = createLogger('rug-monitor');
+
+/**
+ * Resolves the accounts to watch for a pool and how to read each one
+ * Decoders return a bigint, or null when the change is not a rug signal.
+ * @param {Connection} connection - Solana RPC connection
+ * @param {Object} position - Position on the pool
+ * @returns {Promise<Array<{address: string, kind: string, decode: Function}>>} - Watched accounts
+ */
+async function resolvePoolAccounts(connection, position) {
+  if (position.poolType === POOL_TYPES.PUMPFUN_BONDING_CURVE) {
+    return [{
+      address: position.lpAddress,
+      kind: 'reserve',
+      decode: data => {
+        const curve = decodeBondingCurve(data);
+        // Migration empties a completed curve; that is handled as a venue move
+        return curve.complete ? null : curve.realSolReserves;
+      }
+    }];
+  }
+  
+  if (position.poolType === POOL_TYPES.RAYDIUM_V4) {
+    const state = await fetchLiquidityStateV4(connection, new PublicKey(position.lpAddress));
+    const quoteMint = position.quoteMint || SOLANA_ADDRESSES.SOL_MINT.toString();
+    
+    // The pool's coin/pc orientation may put the quote token on either side
+    const quoteVault = state.baseMint.toString() === quoteMint ? state.baseVault : state.quoteVault;
+    
+    return [
+      {
+        address: quoteVault.toString(),
+        kind: 'reserve',
+        decode: data => AccountLayout.decode(data).amount
+      },
+      {
+        address: state.lpMint.toString(),
+        kind: 'lpSupply',
+        decode: data => MintLayout.decode(data).supply
+      }
+    ];
+  }
+  
+  return [];
+}
+
+/**
+ * Creates a rug monitor
+ * Pools are watched once however many positions are held on them. A trigger
+ * is reported once; another one is only reported after the handler settles
+ * and the pool is still watched (the exit failed or lots remain).
+ * @param {Object} options - Monitor options
+ * @param {Object} options.wsManager - WebSocketManager used for subscriptions
+ * @param {Function} options.getConnection - Returns the RPC connection for account lookups
+ * @param {Function} options.onRug - Async handler called with the rug event
+ * @param {Object} options.thresholds - Drop percentages per account kind ({ reserve, lpSupply }; 0 disables)
+ * @param {number} options.windowMs - Drops are measured against the peak within this window
+ * @param {string} [options.commitment] - Notification commitment
+ * @returns {Object} - Monitor ({ watch, unwatch, isWatching, stop })
+ */
+function createRugMonitor(options) {
+  const { wsManager, getConnection, onRug, thresholds, windowMs } = options;
+  const commitment = options.commitment || 'processed';
+  
+  // Maps pool address -> { positionIds, handles, samples, handling }
+  const pools = new Map();
+  
+  /**
+   * Records a new account value and checks it against the window's peak
+   * @param {string} lpAddress - Pool address
+   * @param {Object} account - Watched account
+   * @param {bigint} value - Decoded account value
+   */
+  async function handleValue(lpAddress, account, value) {
+    const pool = pools.get(lpAddress);
+    if (!pool) {
+      return;
+    }
+    
+    const now = Date.now();
+    const samples = (pool.samples.get(account.address) || [])
+      .filter(sample => now - sample.timestamp <= windowMs);
+    samples.push({ timestamp: now, value });
+    pool.samples.set(account.address, samples);
+    
+    const threshold = thresholds[account.kind];
+    const peak = samples.reduce((max, sample) => (sample.value > max ? sample.value : max), 0n);
+    
+    if (!(threshold > 0) || peak === 0n || pool.handling) {
+      return;
+    }
+    
+    // Basis points keep the bigint math exact before converting to a percentage
+    const dropPercent = Number((peak - value) * 10000n / peak) / 100;
+    if (dropPercent < threshold) {
+      return;
+    }
+    
+    const event = {
+      lpAddress,
+      positionIds: [...pool.positionIds],
+      kind: account.kind,
+      account: account.address,
+      dropPercent,
+      peak: peak.toString(),
+      current: value.toString(),
+      detectedAt: now
+    };
+    
+    logger.warn(`Rug signal on pool ${lpAddress}: ${account.kind} down ${dropPercent.toFixed(2)}%`, event);
+    
+    pool.handling = true;
+    try {
+      await onRug(event);
+    } catch (error) {
+      logger.error(`Rug handler failed for pool ${lpAddress}: ${error.message}`);
+    } finally {
+      pool.handling = false;
+    }
+  }
+  
+  /**
+   * Starts watching the pool of a position
+   * @param {Object} position - Position data (positionId, lpAddress, poolType, quoteMint)
+   * @returns {Promise<boolean>} - True if the pool is watched
+   */
+  async function watch(position) {
+    const existing = pools.get(position.lpAddress);
+    if (existing) {
+      existing.positionIds.add(position.positionId);
+      return true;
+    }
+    
+    const pool = { positionIds: new Set([position.positionId]), handles: [], samples: new Map(), handling: false };
+    pools.set(position.lpAddress, pool);
+    
+    try {
+      const connection = await getConnection();
+      const accounts = await resolvePoolAccounts(connection, position);
+      
+      if (accounts.length === 0) {
+        logger.debug(`No rug monitor for ${position.poolType} pool ${position.lpAddress}`);
+        pools.delete(position.lpAddress);
+        return false;
+      }
+      
+      // Seed the window so the first notification already has a reference
+      const infos = await connection.getMultipleAccountsInfo(accounts.map(account => new PublicKey(account.address)));
+      
+      for (const [index, account] of accounts.entries()) {
+        const value = infos[index] ? account.decode(infos[index].data) : null;
+        if (value !== null) {
+          pool.samples.set(account.address, [{ timestamp: Date.now(), value }]);
+        }
+        
+        const handle = await wsManager.subscribeToAccount(account.address, accountInfo => {
+          let next;
+          try {
+            next = account.decode(accountInfo.data);
+          } catch (error) {
+            logger.warn(`Could not decode ${account.kind} account ${account.address}: ${error.message}`);
+            return;
+          }
+          
+          if (next !== null) {
+            handleValue(position.lpAddress, account, next);
+          }
+        }, { commitment });
+        
+        pool.handles.push(handle);
+      }
+      
+      // Unwatched while the subscriptions were being opened
+      if (pools.get(position.lpAddress) !== pool) {
+        await Promise.all(pool.handles.map(handle => wsManager.unsubscribe(handle)));
+        return false;
+      }
+      
+      logger.info(`Watching pool ${position.lpAddress} for liquidity pulls`, {
+        accounts: accounts.map(account => `${account.kind}:${account.address}`)
+      });
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to watch pool ${position.lpAddress}: ${error.message}`);
+      await Promise.all(pool.handles.map(handle => wsManager.unsubscribe(handle)));
+      if (pools.get(position.lpAddress) === pool) {
+        pools.delete(position.lpAddress);
+      }
+      return false;
+    }
+  }
+  
+  /**
+   * Stops watching a position; the pool is dropped with its last position
+   * @param {string} lpAddress - Pool address
+   * @param {string} positionId - Position ID
+   */
+  async function unwatch(lpAddress, positionId) {
+    const pool = pools.get(lpAddress);
+    if (!pool) {
+      return;
+    }
+    
+    pool.positionIds.delete(positionId);
+    if (pool.positionIds.size > 0) {
+      return;
+    }
+    
+    pools.delete(lpAddress);
+    await Promise.all(pool.handles.map(handle => wsManager.unsubscribe(handle)));
+    logger.debug(`Stopped watching pool ${lpAddress}`);
+  }
+  
+  /**
+   * @param {string} lpAddress - Pool address
+   * @returns {boolean} - True if the pool is watched
+   */
+  function isWatching(lpAddress) {
+    return pools.has(lpAddress);
+  }
+  
+  /**
+   * Drops every subscription
+   */
+  async function stop() {
+    const all = [...pools.values()];
+    pools.clear();
+    
+    for (const pool of all) {
+      await Promise.all(pool.handles.map(handle => wsManager.unsubscribe(handle)));
+    }
+  }
+  
+  return {
+    watch,
+    unwatch,
+    isWatching,
+    stop
+  };
+}
+
+module.exports = {
+  createRugMonitor,
+  resolvePoolAccounts
+};
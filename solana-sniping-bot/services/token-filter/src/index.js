@@ -1,27 +1,78 @@
 /**
  * @fileoverview Token Filter Service for Solana Memecoin Sniping Bot
- * Subscribes to Redis notifications about new liquidity pools,
+ * Consumes new liquidity pools from the NEW_POOLS Redis stream,
  * performs filtering checks on tokens, and publishes potential
- * buy opportunities to the appropriate Redis channel.
+ * buy opportunities to the POTENTIAL_BUYS stream.
  */
 
+const crypto = require('crypto');
 const Redis = require('ioredis');
-const { PublicKey, TOKEN_PROGRAM_ID } = require('@solana/web3.js');
-const { Metadata } = require('@metaplex-foundation/mpl-token-metadata');
-const { createSubscriber, createPublisher } = require('shared/redis-helper');
+const { PublicKey } = require('@solana/web3.js');
+const { createPublisher, createStreamConsumer, publishToStream, publishToChannel } = require('shared/redis-helper');
 const { getConnection } = require('shared/connection');
 const { createLogger } = require('shared/logger');
 const config = require('shared/config').default;
-const { REDIS_CHANNELS, SOLANA_ADDRESSES, KNOWN_TOKENS, REGEX_PATTERNS } = require('shared/constants');
+const { REDIS_CHANNELS, SOLANA_ADDRESSES, KNOWN_TOKENS, REGEX_PATTERNS, PERFORMANCE_SETTINGS } = require('shared/constants');
+const { POOL_TYPES } = require('shared/utils/dex-pool');
+const { BLACKLISTED_AUTHORITIES, analyzeTokenRisk, checkHolderConcentration } = require('shared/utils/token-security');
+const { analyzeLpLock } = require('shared/utils/lp-lock');
+const { simulateRoundTrip } = require('shared/utils/sell-simulation');
+const { fetchTokenMetadata, checkMetadataRules } = require('shared/utils/token-metadata');
+const { loadWallet } = require('shared/wallet');
+const { getBondingCurveAddress, fetchBondingCurve } = require('shared/utils/pumpfun');
+const { getDeployerReputation } = require('shared/ledger/deployer-reputation');
+const { getFilterDecisionStore } = require('shared/ledger/filter-decisions');
+const { fetchTokenPrice } = require('shared/utils/price-calculator');
+const { createWorkQueue } = require('shared/utils/work-queue');
+const { FILTER_RULES, RISK_LEVELS, loadFilterConfig, filterConfigFromEnv, runFilterPipeline } = require('shared/filter-rules');
+const { createCommandListener } = require('shared/command-bus');
 
 // Initialize logger
 const logger = createLogger('token-filter');
 const LAMPORTS_PER_SOL = 1000000000;
 
-// Initialize Redis clients
-const redisSubscriber = createSubscriber('token-filter');
+// Initialize Redis clients and the candidate queue
 const redisPublisher = createPublisher('token-filter');
 
+// Candidates are filtered FILTER_CONCURRENCY at a time, at most once per
+// pool, and dropped once older than FILTER_CANDIDATE_TTL_SECONDS
+const candidateQueue = createWorkQueue({
+  name: 'token-filter',
+  worker: processCandidate,
+  keyOf: poolData => poolData.lpAddress,
+  concurrency: config.FILTER_CONCURRENCY,
+  maxSize: config.FILTER_QUEUE_MAX_SIZE,
+  maxAgeMs: config.FILTER_CANDIDATE_TTL_SECONDS * 1000,
+  timestampOf: poolData => poolData.timestamp,
+  claim: claimCandidate,
+  release: releaseCandidate
+});
+
+// Entries stay unacknowledged until their candidate was handled; no more
+// are read than the queue holds, the rest waits in the stream
+const newPoolsConsumer = createStreamConsumer({
+  context: 'token-filter',
+  group: 'token-filter',
+  streams: [REDIS_CHANNELS.NEW_POOLS],
+  concurrency: config.FILTER_QUEUE_MAX_SIZE,
+  handler: (poolData, { id }) => candidateQueue.push(poolData, { entryId: id })
+});
+
+/**
+ * Compiles the filter rule config; FILTER_RULES_PATH overrides the filter
+ * settings in config
+ * @returns {Object} - Compiled filter config
+ */
+function buildFilterConfig() {
+  const envFilterConfig = filterConfigFromEnv(config);
+  return config.FILTER_RULES_PATH ?
+    loadFilterConfig(config.FILTER_RULES_PATH, envFilterConfig) :
+    envFilterConfig;
+}
+
+// Rebuilt when the config is reloaded; candidates already running keep theirs
+let filterConfig = buildFilterConfig();
+
 /**
  * Validates that an input string is a valid Solana address
  * @param {string} address - The address to validate
@@ -47,81 +98,77 @@ function isValidSolanaAddress(address) {
 }
 
 /**
- * Attempts to fetch token metadata from Metaplex
+ * Fetches the token's Metaplex metadata and checks it against the metadata rules
  * @param {string} mintAddress - Token mint address
- * @returns {Promise<Object|null>} - Token metadata or null if not found
+ * @param {boolean} [rejectMutable] - Reject metadata the update authority can still change
+ * @returns {Promise<Object>} - Results of metadata check
  */
-async function getTokenMetadata(mintAddress) {
+async function checkTokenMetadata(mintAddress, rejectMutable = config.REJECT_MUTABLE_METADATA) {
   try {
     const connection = await getConnection();
-    const mintPubkey = new PublicKey(mintAddress);
+    const metadata = await fetchTokenMetadata(connection, mintAddress, {
+      fetchOffChain: config.FETCH_OFFCHAIN_METADATA
+    });
     
-    // Get PDA for metadata
-    const [metadataPDA] = await PublicKey.findProgramAddress(
-      [Buffer.from('metadata'), TOKEN_PROGRAM_ID.toBuffer(), mintPubkey.toBuffer()],
-      new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s') // Metadata program ID
-    );
+    const verdict = checkMetadataRules(mintAddress, metadata, { rejectMutable });
     
-    // Fetch the metadata account
-    const metadataAccount = await connection.getAccountInfo(metadataPDA);
-    if (!metadataAccount) {
-      logger.debug(`No metadata found for mint: ${mintAddress}`);
-      return null;
+    if (metadata) {
+      logger.debug(`Found metadata for ${mintAddress}: Name=${metadata.name}, Symbol=${metadata.symbol}, Mutable=${metadata.isMutable}`);
     }
     
-    // Decode the metadata
-    const metadata = Metadata.deserialize(metadataAccount.data);
-    
-    logger.debug(`Found metadata for ${mintAddress}: Name=${metadata.data.name}, Symbol=${metadata.data.symbol}`);
-    
     return {
-      name: metadata.data.name.replace(/\0/g, '').trim(),
-      symbol: metadata.data.symbol.replace(/\0/g, '').trim(),
-      uri: metadata.data.uri.replace(/\0/g, '').trim()
+      valid: verdict.passed,
+      metadata,
+      warnings: verdict.warnings,
+      reason: verdict.passed ? null : verdict.reasons.join('; ')
     };
   } catch (error) {
-    logger.debug(`Error fetching metadata for ${mintAddress}: ${error.message}`);
-    return null;
+    logger.error(`Error checking metadata for ${mintAddress}: ${error.message}`);
+    return { valid: false, reason: error.message };
   }
 }
 
 /**
  * Checks token for potential rug pull indicators
+ * The mint is decoded with the SPL Token / Token-2022 layout by analyzeTokenRisk.
  * @param {string} mintAddress - Token mint address
  * @returns {Promise<Object>} - Results of various security checks
  */
 async function checkTokenSecurity(mintAddress) {
   try {
     const connection = await getConnection();
-    const mintPubkey = new PublicKey(mintAddress);
-    
-    // Get the token mint account
-    const mintAccount = await connection.getAccountInfo(mintPubkey);
-    if (!mintAccount) {
-      return { valid: false, reason: 'Mint account not found' };
-    }
+    const risk = await analyzeTokenRisk(connection, mintAddress);
     
     // Check if it's a known trusted token
-    if (KNOWN_TOKENS[mintAddress]) {
+    if (risk.isTrusted) {
       return { 
         valid: true, 
         isKnownToken: true,
-        name: KNOWN_TOKENS[mintAddress]
+        name: risk.knownName
       };
     }
     
-    // Parse mint data to check authorities
-    // This is simplified, in production you'd use proper layout parsing
-    // For full implementation, use @solana/spl-token parseTokenAccountData
-    const mintAuthority = mintAccount.data.slice(0, 32);
-    const freezeAuthorityEnabled = mintAccount.data[36]; // Check for freeze authority
+    // Missing or undecodable mints carry no authority fields
+    if (risk.error || risk.hasMintAuthority === undefined) {
+      return { valid: false, reason: risk.error || risk.riskFactors.join(', ') };
+    }
     
-    const mintAuthorityExists = !mintAuthority.every(byte => byte === 0);
+    // Whatever the risk thresholds, a token that cannot be sold or can be
+    // taken back is never bought
+    if (risk.blockingRiskFactors.length > 0) {
+      return { valid: false, reason: risk.blockingRiskFactors.join(', ') };
+    }
     
     return {
       valid: true,
-      hasMintAuthority: mintAuthorityExists,
-      hasFreezeAuthority: freezeAuthorityEnabled === 1,
+      hasMintAuthority: risk.hasMintAuthority,
+      hasFreezeAuthority: risk.hasFreezeAuthority,
+      mintAuthority: risk.mintAuthority,
+      freezeAuthority: risk.freezeAuthority,
+      isToken2022: risk.isToken2022,
+      extensions: risk.extensions,
+      riskFactors: risk.riskFactors,
+      riskLevel: risk.riskLevel,
       isKnownToken: false
     };
   } catch (error) {
@@ -130,30 +177,74 @@ async function checkTokenSecurity(mintAddress) {
   }
 }
 
+/**
+ * Checks the pool creator and the mint's authorities against the deployer
+ * blocklist; serial ruggers land there once their launches go bad
+ * @param {Object} poolData - Data about the new pool
+ * @param {Array<string>} authorities - Mint and freeze authorities still set
+ * @returns {Object} - Results of deployer check
+ */
+function checkDeployerReputation(poolData, authorities) {
+  try {
+    const reputation = getDeployerReputation();
+    const addresses = [...new Set([poolData.creator, ...authorities].filter(Boolean))];
+    
+    for (const address of addresses) {
+      if (BLACKLISTED_AUTHORITIES.includes(address)) {
+        return { valid: false, reason: `${address} is a known scam deployer` };
+      }
+      
+      const entry = reputation.getBlocklistEntry(address);
+      if (entry) {
+        return { valid: false, reason: `${address} is blocklisted (${entry.source}${entry.reason ? `: ${entry.reason}` : ''})` };
+      }
+    }
+    
+    if (!poolData.creator) {
+      return { valid: true, launches: null, badLaunches: null };
+    }
+    
+    const { launches, badLaunches } = reputation.getReputation(poolData.creator, { launchLimit: 0 });
+    logger.debug(`Deployer ${poolData.creator}: ${badLaunches}/${launches} bad launches`);
+    
+    return { valid: true, launches, badLaunches };
+  } catch (error) {
+    logger.error(`Error checking deployer reputation for ${poolData.lpAddress}: ${error.message}`);
+    return { valid: false, reason: error.message };
+  }
+}
+
 /**
  * Checks liquidity pool size
  * @param {string} lpAddress - Liquidity pool address
  * @param {string} quoteMint - Quote token mint (e.g., SOL)
+ * @param {string} [quoteVault] - Pool's quote token vault, when the detector decoded one
+ * @param {number} [minSol] - Minimum SOL liquidity
  * @returns {Promise<Object>} - Results of liquidity check
  */
-async function checkPoolLiquidity(lpAddress, quoteMint) {
+async function checkPoolLiquidity(lpAddress, quoteMint, quoteVault, minSol = config.MIN_POOL_SIZE_SOL) {
   try {
-    // For SOL pairs, we can estimate by checking LP account balance
+    // For SOL pairs, we can estimate by checking the wSOL vault or LP account balance
     if (quoteMint === SOLANA_ADDRESSES.SOL_MINT.toString()) {
       const connection = await getConnection();
-      const lpPubkey = new PublicKey(lpAddress);
+      let solBalance;
       
-      // Get LP account SOL balance
-      const balance = await connection.getBalance(lpPubkey);
-      const solBalance = balance / LAMPORTS_PER_SOL;
+      if (quoteVault) {
+        const vaultBalance = await connection.getTokenAccountBalance(new PublicKey(quoteVault));
+        solBalance = Number(vaultBalance.value.amount) / LAMPORTS_PER_SOL;
+      } else {
+        // Bonding curves hold their SOL directly on the LP account
+        const balance = await connection.getBalance(new PublicKey(lpAddress));
+        solBalance = balance / LAMPORTS_PER_SOL;
+      }
       
       logger.debug(`LP ${lpAddress} has approximately ${solBalance} SOL`);
       
       return {
-        valid: solBalance >= config.MIN_POOL_SIZE_SOL,
+        valid: solBalance >= minSol,
         liquidity: solBalance,
-        reason: solBalance < config.MIN_POOL_SIZE_SOL ? 
-          `Insufficient liquidity: ${solBalance} SOL (min: ${config.MIN_POOL_SIZE_SOL})` : 
+        reason: solBalance < minSol ? 
+          `Insufficient liquidity: ${solBalance} SOL (min: ${minSol})` : 
           null
       };
     }
@@ -168,10 +259,376 @@ async function checkPoolLiquidity(lpAddress, quoteMint) {
   }
 }
 
+/**
+ * Checks top-10 holder and creator concentration of a pool's token
+ * The pool's base vault is excluded so the pool does not count as a holder.
+ * @param {Object} poolData - Data about the new pool
+ * @param {Object} [limits] - { maxTopHolderShare, maxCreatorShare } in % (0 disables a limit)
+ * @returns {Promise<Object>} - Results of holder distribution check
+ */
+async function checkHolderDistribution(poolData, limits = {
+  maxTopHolderShare: config.MAX_TOP10_HOLDER_PERCENTAGE,
+  maxCreatorShare: config.MAX_CREATOR_HOLDING_PERCENTAGE
+}) {
+  try {
+    const connection = await getConnection();
+    
+    const result = await checkHolderConcentration(connection, poolData.baseMint, {
+      excludeAccounts: poolData.baseVault ? [poolData.baseVault] : [],
+      creator: poolData.creator,
+      maxTopHolderShare: limits.maxTopHolderShare,
+      maxCreatorShare: limits.maxCreatorShare
+    });
+    
+    logger.debug(`Token ${poolData.baseMint} top 10 holders own ${result.breakdown.topHolderShare.toFixed(2)}%`, {
+      creatorShare: result.breakdown.creatorShare
+    });
+    
+    return {
+      valid: result.passed,
+      breakdown: result.breakdown,
+      reason: result.passed ? null : result.reasons.join('; ')
+    };
+  } catch (error) {
+    logger.error(`Error checking holder distribution for ${poolData.baseMint}: ${error.message}`);
+    return { valid: false, reason: error.message };
+  }
+}
+
+/**
+ * Checks that enough of a pool's LP supply is burned or locked
+ * Pools without LP tokens pass; pools whose LP cannot be verified fail.
+ * @param {Object} poolData - Data about the new pool
+ * @param {number} [minSecured] - Minimum % of LP burned or locked (0 disables)
+ * @returns {Promise<Object>} - Results of LP lock check
+ */
+async function checkLpLock(poolData, minSecured = config.MIN_LP_BURNED_LOCKED_PERCENTAGE) {
+  if (!(minSecured > 0)) {
+    return { valid: true, breakdown: null };
+  }
+  
+  try {
+    const connection = await getConnection();
+    
+    const breakdown = await analyzeLpLock(connection, {
+      lpAddress: poolData.lpAddress,
+      poolType: poolData.poolType,
+      creator: poolData.creator,
+      lockerPrograms: config.LP_LOCKER_PROGRAMS
+    });
+    
+    if (!breakdown.applicable) {
+      logger.debug(`Pool ${poolData.lpAddress} (${poolData.poolType}) has no LP token, skipping LP lock check`);
+      return { valid: true, breakdown };
+    }
+    
+    logger.debug(`Pool ${poolData.lpAddress} LP is ${breakdown.securedPercent}% burned or locked`, {
+      burnedPercent: breakdown.burnedPercent,
+      lockedPercent: breakdown.lockedPercent,
+      deployerPercent: breakdown.deployerPercent
+    });
+    
+    const valid = breakdown.securedPercent >= minSecured;
+    
+    return {
+      valid,
+      breakdown,
+      reason: valid ? null :
+        `Only ${breakdown.securedPercent}% of LP burned or locked (min: ${minSecured}%), deployer holds ${breakdown.deployerPercent}%`
+    };
+  } catch (error) {
+    logger.error(`Error checking LP lock for ${poolData.lpAddress}: ${error.message}`);
+    return { valid: false, reason: error.message };
+  }
+}
+
+/**
+ * Checks that the token can be sold by simulating a small buy and sell
+ * Nothing is sent. Tokens that cannot be simulated fail, as selling was not proven.
+ * @param {Object} poolData - Data about the new pool
+ * @param {Object} [limits] - { amountSol } simulated (0 disables) and { maxTaxPercent } tolerated (0 disables)
+ * @returns {Promise<Object>} - Results of sell simulation check
+ */
+async function checkSellSimulation(poolData, limits = {
+  amountSol: config.SELL_SIMULATION_AMOUNT_SOL,
+  maxTaxPercent: config.MAX_SELL_TAX_PERCENTAGE
+}) {
+  const { amountSol } = limits;
+  
+  if (!(amountSol > 0)) {
+    return { valid: true, simulation: null };
+  }
+  
+  try {
+    const connection = await getConnection();
+    
+    const simulation = await simulateRoundTrip(connection, {
+      lpAddress: poolData.lpAddress,
+      poolType: poolData.poolType,
+      baseMint: poolData.baseMint,
+      quoteMint: poolData.quoteMint,
+      owner: loadWallet().publicKey,
+      amountInLamports: Math.round(amountSol * LAMPORTS_PER_SOL),
+      slippageBps: config.SLIPPAGE_TOLERANCE_BPS
+    });
+    
+    if (!simulation.sellable) {
+      return {
+        valid: false,
+        simulation,
+        reason: simulation.conclusive ?
+          `Simulated sell failed: ${simulation.error}` :
+          `Could not simulate a buy to test selling: ${simulation.error}`
+      };
+    }
+    
+    logger.debug(`Token ${poolData.baseMint} simulated round trip loses ${simulation.roundTripLossPercent}%`, {
+      expectedLossPercent: simulation.expectedLossPercent,
+      effectiveTaxPercent: simulation.effectiveTaxPercent
+    });
+    
+    const maxTax = limits.maxTaxPercent;
+    const valid = !(maxTax > 0) || simulation.effectiveTaxPercent <= maxTax;
+    
+    return {
+      valid,
+      simulation,
+      reason: valid ? null : `Effective sell tax of ${simulation.effectiveTaxPercent}% (max: ${maxTax}%)`
+    };
+  } catch (error) {
+    logger.error(`Error simulating sell for ${poolData.baseMint}: ${error.message}`);
+    return { valid: false, reason: error.message };
+  }
+}
+
+/**
+ * Checks a pool against the configured pump.fun sniping mode
+ * @param {Object} poolData - Data about the new pool
+ * @returns {boolean} - True if the pool may be traded
+ */
+function isAllowedBySnipeMode(poolData) {
+  const mode = config.PUMPFUN_SNIPE_MODE;
+  
+  if (poolData.poolType === POOL_TYPES.PUMPFUN_BONDING_CURVE) {
+    return mode === 'launch' || mode === 'both';
+  }
+  
+  if (poolData.migratedFrom === POOL_TYPES.PUMPFUN_BONDING_CURVE) {
+    return mode === 'migration' || mode === 'both';
+  }
+  
+  return true;
+}
+
+/**
+ * Combines a check's failures and warnings into a rule verdict
+ * @param {Array<string>} reasons - Why the rule fails
+ * @param {Array<string>} warnings - Concerns that do not fail the rule
+ * @param {Object} evidence - What the rule looked at
+ * @returns {Object} - Rule outcome ({ verdict, reason, evidence })
+ */
+function toRuleOutcome(reasons, warnings, evidence) {
+  if (reasons.length > 0) {
+    return { verdict: 'fail', reason: reasons.join('; '), evidence };
+  }
+  
+  if (warnings.length > 0) {
+    return { verdict: 'warn', reason: warnings.join('; '), evidence };
+  }
+  
+  return { verdict: 'pass', reason: null, evidence };
+}
+
+/**
+ * Filter rules by name, run by the pipeline in FILTER_RULES order
+ * Each rule turns a check into a verdict and attaches what the buy needs
+ * (holder breakdown, LP lock, sell simulation, metadata) to the pool.
+ * The context is { poolData } plus what earlier rules found.
+ */
+const filterRules = {
+  async security(context, thresholds) {
+    const check = await checkTokenSecurity(context.poolData.baseMint);
+    context.security = check;
+    
+    if (!check.valid) {
+      return { verdict: 'fail', reason: check.reason, evidence: null };
+    }
+    
+    if (check.isKnownToken) {
+      return { verdict: 'pass', reason: null, evidence: { knownToken: check.name } };
+    }
+    
+    const reasons = [];
+    const warnings = [];
+    
+    if (RISK_LEVELS.indexOf(check.riskLevel) > RISK_LEVELS.indexOf(thresholds.maxRiskLevel)) {
+      reasons.push(`Risk level ${check.riskLevel} (max: ${thresholds.maxRiskLevel})`);
+    }
+    
+    if (check.hasMintAuthority) {
+      (thresholds.rejectMintAuthority ? reasons : warnings).push(`Active mint authority ${check.mintAuthority}`);
+    }
+    
+    if (check.hasFreezeAuthority) {
+      (thresholds.rejectFreezeAuthority ? reasons : warnings).push(`Freeze authority ${check.freezeAuthority}`);
+    }
+    
+    if (check.isToken2022) {
+      warnings.push(`Token-2022 mint (risk level ${check.riskLevel})`);
+    }
+    
+    return toRuleOutcome(reasons, warnings, {
+      riskLevel: check.riskLevel,
+      riskFactors: check.riskFactors,
+      mintAuthority: check.mintAuthority || null,
+      freezeAuthority: check.freezeAuthority || null,
+      isToken2022: check.isToken2022,
+      extensions: check.extensions
+    });
+  },
+  
+  async deployer(context) {
+    const security = context.security || {};
+    const check = checkDeployerReputation(context.poolData, [security.mintAuthority, security.freezeAuthority]);
+    
+    return {
+      verdict: check.valid ? 'pass' : 'fail',
+      reason: check.reason || null,
+      evidence: { creator: context.poolData.creator || null, launches: check.launches, badLaunches: check.badLaunches }
+    };
+  },
+  
+  async liquidity({ poolData }, thresholds) {
+    const minSol = poolData.poolType === POOL_TYPES.PUMPFUN_BONDING_CURVE ? thresholds.minCurveSol : thresholds.minSol;
+    const check = await checkPoolLiquidity(poolData.lpAddress, poolData.quoteMint, poolData.quoteVault, minSol);
+    
+    return {
+      verdict: check.valid ? 'pass' : 'fail',
+      reason: check.reason || null,
+      evidence: { liquiditySol: check.liquidity === undefined ? null : check.liquidity, minSol }
+    };
+  },
+  
+  async holders({ poolData }, thresholds) {
+    const check = await checkHolderDistribution(poolData, thresholds);
+    
+    if (!check.breakdown) {
+      return { verdict: 'fail', reason: check.reason, evidence: null };
+    }
+    
+    poolData.holderDistribution = check.breakdown;
+    
+    return {
+      verdict: check.valid ? 'pass' : 'fail',
+      reason: check.reason,
+      evidence: {
+        topHolderShare: check.breakdown.topHolderShare,
+        creatorShare: check.breakdown.creatorShare,
+        ...thresholds
+      }
+    };
+  },
+  
+  async lpLock({ poolData }, thresholds) {
+    const check = await checkLpLock(poolData, thresholds.minSecuredPercent);
+    const { breakdown } = check;
+    
+    if (breakdown && breakdown.applicable) {
+      poolData.lpLock = breakdown;
+    }
+    
+    return {
+      verdict: check.valid ? 'pass' : 'fail',
+      reason: check.reason || null,
+      evidence: breakdown && breakdown.applicable ? {
+        securedPercent: breakdown.securedPercent,
+        burnedPercent: breakdown.burnedPercent,
+        lockedPercent: breakdown.lockedPercent,
+        deployerPercent: breakdown.deployerPercent,
+        minSecuredPercent: thresholds.minSecuredPercent
+      } : { applicable: false }
+    };
+  },
+  
+  async sellSimulation({ poolData }, thresholds) {
+    const check = await checkSellSimulation(poolData, thresholds);
+    const { simulation } = check;
+    
+    if (simulation && simulation.conclusive && !simulation.sellable) {
+      recordLaunchOutcome(poolData, 'honeypot', check.reason);
+    }
+    
+    if (simulation && simulation.sellable) {
+      poolData.sellSimulation = {
+        roundTripLossPercent: simulation.roundTripLossPercent,
+        expectedLossPercent: simulation.expectedLossPercent,
+        effectiveTaxPercent: simulation.effectiveTaxPercent
+      };
+    }
+    
+    return {
+      verdict: check.valid ? 'pass' : 'fail',
+      reason: check.reason || null,
+      evidence: simulation ? {
+        conclusive: simulation.conclusive,
+        sellable: simulation.sellable,
+        error: simulation.error || null,
+        roundTripLossPercent: simulation.roundTripLossPercent,
+        expectedLossPercent: simulation.expectedLossPercent,
+        effectiveTaxPercent: simulation.effectiveTaxPercent,
+        maxTaxPercent: thresholds.maxTaxPercent
+      } : null
+    };
+  },
+  
+  async metadata({ poolData }, thresholds) {
+    const check = await checkTokenMetadata(poolData.baseMint, thresholds.rejectMutable);
+    const { metadata } = check;
+    
+    if (metadata) {
+      poolData.metadata = metadata;
+    }
+    
+    const evidence = metadata ? {
+      name: metadata.name,
+      symbol: metadata.symbol,
+      uri: metadata.uri,
+      updateAuthority: metadata.updateAuthority,
+      isMutable: metadata.isMutable
+    } : null;
+    
+    if (!check.valid) {
+      return { verdict: 'fail', reason: check.reason, evidence };
+    }
+    
+    return toRuleOutcome([], check.warnings, evidence);
+  }
+};
+
+/**
+ * Builds the verdict of a pool stopped before the rules run
+ * @param {string} gate - Gate that stopped it
+ * @param {string} reason - Why
+ * @returns {Object} - Verdict
+ */
+function gateVerdict(gate, reason) {
+  return {
+    passed: false,
+    score: 0,
+    minScore: filterConfig.minScore,
+    config: filterConfig.id,
+    rejectedBy: [gate],
+    rules: [{ name: gate, verdict: 'fail', score: 0, weight: 0, required: true, reason, evidence: null, durationMs: 0 }],
+    evaluatedAt: Date.now()
+  };
+}
+
 /**
  * Main function to filter and analyze a newly detected liquidity pool
+ * Enrichments from the rules (metadata, holder breakdown, LP lock, sell
+ * simulation) are attached to poolData.
  * @param {Object} poolData - Data about the new pool
- * @returns {Promise<boolean>} - True if token passes all filters
+ * @returns {Promise<Object>} - Verdict ({ passed, score, rejectedBy, rules })
  */
 async function filterToken(poolData) {
   const { baseMint, quoteMint, lpAddress } = poolData;
@@ -181,121 +638,403 @@ async function filterToken(poolData) {
   // Validate inputs
   if (!isValidSolanaAddress(baseMint) || !isValidSolanaAddress(quoteMint) || !isValidSolanaAddress(lpAddress)) {
     logger.warn(`Invalid addresses in pool data: Base=${baseMint}, Quote=${quoteMint}, LP=${lpAddress}`);
-    return false;
+    return gateVerdict('addresses', 'Invalid addresses in pool data');
   }
   
   // Skip if base is a known token (we're looking for new tokens)
   if (KNOWN_TOKENS[baseMint]) {
     logger.debug(`Skipping known token: ${KNOWN_TOKENS[baseMint]} (${baseMint})`);
-    return false;
+    return gateVerdict('knownToken', `Known token ${KNOWN_TOKENS[baseMint]}`);
   }
   
-  // Check token security (mint authority, etc.)
-  const securityCheck = await checkTokenSecurity(baseMint);
-  if (!securityCheck.valid) {
-    logger.warn(`Token ${baseMint} failed security check: ${securityCheck.reason}`);
-    return false;
+  if (!isAllowedBySnipeMode(poolData)) {
+    logger.debug(`Skipping ${poolData.poolType} pool ${lpAddress}: disabled by PUMPFUN_SNIPE_MODE=${config.PUMPFUN_SNIPE_MODE}`);
+    return gateVerdict('snipeMode', `${poolData.poolType} pools disabled by PUMPFUN_SNIPE_MODE=${config.PUMPFUN_SNIPE_MODE}`);
   }
   
-  // Log security warnings but don't automatically filter out
-  if (securityCheck.hasMintAuthority) {
-    logger.warn(`Token ${baseMint} has active mint authority - potential risk`);
+  const verdict = await runFilterPipeline(filterConfig, filterRules, { poolData });
+  
+  for (const rule of verdict.rules) {
+    if (rule.verdict === 'fail') {
+      logger.warn(`Token ${baseMint} failed ${rule.name} check${rule.required ? '' : ' (not required)'}: ${rule.reason}`);
+    } else if (rule.verdict === 'warn') {
+      logger.warn(`Token ${baseMint} ${rule.name} warning: ${rule.reason}`);
+    }
   }
   
-  if (securityCheck.hasFreezeAuthority) {
-    logger.warn(`Token ${baseMint} has freeze authority - potential risk`);
+  if (!verdict.passed) {
+    logger.warn(`Token ${baseMint} rejected by ${verdict.rejectedBy.join(', ')} (score ${verdict.score}, min ${verdict.minScore})`);
+    return verdict;
   }
   
-  // Check pool liquidity
-  const liquidityCheck = await checkPoolLiquidity(lpAddress, quoteMint);
-  if (!liquidityCheck.valid) {
-    logger.warn(`Pool ${lpAddress} failed liquidity check: ${liquidityCheck.reason}`);
-    return false;
+  logger.info(`Token ${baseMint} passed all filters with score ${verdict.score}. Forwarding as potential buy.`);
+  return verdict;
+}
+
+/**
+ * Price source per venue for pricing decided tokens
+ */
+const DECISION_PRICE_SOURCES = {
+  [POOL_TYPES.RAYDIUM_V4]: 'raydium',
+  [POOL_TYPES.PUMPFUN_BONDING_CURVE]: 'pumpfun'
+};
+
+/**
+ * Prices a decided token from its pool
+ * @param {Object} pool - { baseMint, quoteMint, lpAddress, poolType }
+ * @returns {Promise<Object|null>} - { price, liquidity }, or null if the venue cannot be priced
+ */
+async function fetchDecisionPrice(pool) {
+  const source = DECISION_PRICE_SOURCES[pool.poolType];
+  
+  if (!source) {
+    return null;
   }
   
-  // Get token metadata (if available)
-  const metadata = await getTokenMetadata(baseMint);
-  logger.info(`Token ${baseMint} metadata: ${metadata ? JSON.stringify(metadata) : 'None available'}`);
+  const connection = await getConnection();
+  const priceData = await fetchTokenPrice({
+    connection,
+    baseMint: pool.baseMint,
+    quoteMint: pool.quoteMint,
+    lpAddress: pool.lpAddress,
+    source
+  });
   
-  // If we reach here, token has passed all filters
-  logger.info(`Token ${baseMint} passed all filters. Forwarding as potential buy.`);
-  return true;
+  return { price: priceData.price, liquidity: priceData.liquidity };
 }
 
 /**
- * Processes a new pool notification from Redis
- * @param {string} message - JSON string containing pool data
+ * Stores a filter decision and publishes it to the FILTER_DECISIONS stream
+ * Tokens stopped at a gate are not priced; they never reached the rules.
+ * @param {Object} poolData - Data about the new pool
+ * @param {Object} verdict - Filter verdict
+ */
+async function publishDecision(poolData, verdict) {
+  let priceAtDecision = null;
+  
+  if (verdict.rules.some(rule => FILTER_RULES[rule.name])) {
+    try {
+      const priceData = await fetchDecisionPrice(poolData);
+      priceAtDecision = priceData ? priceData.price : null;
+    } catch (error) {
+      logger.debug(`Could not price ${poolData.baseMint} at decision: ${error.message}`);
+    }
+  }
+  
+  const decision = {
+    decisionId: crypto.randomUUID(),
+    baseMint: poolData.baseMint,
+    quoteMint: poolData.quoteMint,
+    lpAddress: poolData.lpAddress,
+    poolType: poolData.poolType,
+    creator: poolData.creator || null,
+    verdict,
+    priceAtDecision
+  };
+  
+  try {
+    getFilterDecisionStore().recordDecision(decision);
+  } catch (error) {
+    logger.error(`Failed to record filter decision for ${poolData.baseMint}: ${error.message}`);
+  }
+  
+  try {
+    await publishToStream(redisPublisher, REDIS_CHANNELS.FILTER_DECISIONS, {
+      decisionId: decision.decisionId,
+      baseMint: decision.baseMint,
+      quoteMint: decision.quoteMint,
+      lpAddress: decision.lpAddress,
+      poolType: decision.poolType,
+      creator: decision.creator,
+      passed: verdict.passed,
+      score: verdict.score,
+      minScore: verdict.minScore,
+      config: verdict.config,
+      rejectedBy: verdict.rejectedBy,
+      rules: verdict.rules,
+      priceAtDecision,
+      timestamp: verdict.evaluatedAt
+    });
+  } catch (error) {
+    logger.error(`Failed to publish filter decision for ${poolData.baseMint}: ${error.message}`);
+  }
+}
+
+/**
+ * Re-prices decided tokens whose follow-up checkpoints are due
+ * A pool that can no longer be priced is recorded with a null price.
+ */
+async function checkDecisionPrices() {
+  const store = getFilterDecisionStore();
+  
+  for (const checkpointMinutes of config.FILTER_DECISION_PRICE_CHECKS_MINUTES) {
+    for (const decision of store.listDueForPriceCheck(checkpointMinutes)) {
+      let priceData = null;
+      
+      try {
+        priceData = await fetchDecisionPrice(decision);
+      } catch (error) {
+        logger.debug(`Could not re-price ${decision.baseMint} at +${checkpointMinutes}m: ${error.message}`);
+      }
+      
+      store.recordPriceCheck({
+        decisionId: decision.decisionId,
+        checkpointMinutes,
+        price: priceData ? priceData.price : null,
+        liquidity: priceData ? priceData.liquidity : null
+      });
+    }
+  }
+}
+
+/**
+ * Attributes a pool migrated from a pump.fun bonding curve to the curve's
+ * creator: the migration account that created the pool is not its deployer.
+ * The launch recorded when the curve was created is used when the bot saw
+ * it, otherwise the creator stored on the curve account.
+ * @param {Object} poolData - Data about the new pool
+ * @returns {Promise<Object>} - Pool data with the creator set when it could be resolved
  */
-async function processNewPool(message) {
+async function attributeMigratedPool(poolData) {
+  if (poolData.migratedFrom !== POOL_TYPES.PUMPFUN_BONDING_CURVE || poolData.creator) {
+    return poolData;
+  }
+  
   try {
-    const poolData = JSON.parse(message);
+    let creator = getDeployerReputation().findCreator(poolData.baseMint);
     
-    logger.info(`Processing new pool: ${JSON.stringify(poolData)}`);
+    if (!creator) {
+      const connection = await getConnection();
+      const { curve } = await fetchBondingCurve(connection, getBondingCurveAddress(new PublicKey(poolData.baseMint)));
+      creator = curve.creator ? curve.creator.toString() : null;
+    }
+    
+    if (creator) {
+      logger.debug(`Migrated pool ${poolData.lpAddress} attributed to curve creator ${creator}`);
+      return { ...poolData, creator };
+    }
+  } catch (error) {
+    logger.warn(`Could not resolve the curve creator of ${poolData.baseMint}: ${error.message}`);
+  }
+  
+  return poolData;
+}
+
+/**
+ * Records a launch in the deployer reputation store
+ * @param {Object} poolData - Data about the new pool
+ */
+function recordLaunch(poolData) {
+  if (!poolData.creator) {
+    return;
+  }
+  
+  try {
+    getDeployerReputation().recordLaunch({
+      creator: poolData.creator,
+      baseMint: poolData.baseMint,
+      lpAddress: poolData.lpAddress,
+      poolType: poolData.poolType,
+      launchedAt: poolData.timestamp
+    });
+  } catch (error) {
+    logger.error(`Failed to record launch of ${poolData.baseMint}: ${error.message}`);
+  }
+}
+
+/**
+ * Records what token-filter observed about a launch
+ * @param {Object} poolData - Data about the new pool
+ * @param {string} outcome - Launch outcome (see LAUNCH_OUTCOMES)
+ * @param {string} details - What was observed
+ */
+function recordLaunchOutcome(poolData, outcome, details) {
+  try {
+    getDeployerReputation().recordOutcome(
+      { baseMint: poolData.baseMint, lpAddress: poolData.lpAddress, outcome, details },
+      { autoBlockAfter: config.DEPLOYER_MAX_BAD_LAUNCHES }
+    );
+  } catch (error) {
+    logger.error(`Failed to record ${outcome} outcome of ${poolData.baseMint}: ${error.message}`);
+  }
+}
+
+/**
+ * Redis key holding a pool's idempotency claim
+ * @param {string} lpAddress - Pool address
+ * @returns {string} - Key
+ */
+function candidateKey(lpAddress) {
+  return `token-filter:candidate:${lpAddress}`;
+}
+
+/**
+ * Claims a pool for filtering across token-filter instances
+ * The claim holds the stream entry ID, so a redelivery of the entry whose run
+ * was interrupted can claim it again; other entries for the pool cannot.
+ * @param {string} lpAddress - Pool address
+ * @param {Object} poolData - Data about the new pool
+ * @param {Object} meta - { entryId } of the NEW_POOLS entry
+ * @returns {Promise<boolean>} - True if this entry may process the pool
+ */
+async function claimCandidate(lpAddress, poolData, meta) {
+  const key = candidateKey(lpAddress);
+  const claimed = await redisPublisher.set(key, meta.entryId, 'PX', PERFORMANCE_SETTINGS.CANDIDATE_IDEMPOTENCY_TTL_MS, 'NX');
+  
+  if (claimed === 'OK') {
+    return true;
+  }
+  
+  return (await redisPublisher.get(key)) === meta.entryId;
+}
+
+/**
+ * Releases a pool's claim after a failed run so the retry can claim it
+ * @param {string} lpAddress - Pool address
+ */
+async function releaseCandidate(lpAddress) {
+  await redisPublisher.del(candidateKey(lpAddress));
+}
+
+/**
+ * Filters a claimed pool, then marks its claim as done so no entry,
+ * including a redelivery of this one, processes the pool again
+ * @param {Object} poolData - Validated NEW_POOLS message
+ */
+async function processCandidate(poolData) {
+  await processNewPool(poolData);
+  await redisPublisher.set(candidateKey(poolData.lpAddress), 'done', 'PX', PERFORMANCE_SETTINGS.CANDIDATE_IDEMPOTENCY_TTL_MS);
+}
+
+/**
+ * Processes a new pool entry from the NEW_POOLS stream
+ * Errors are rethrown so the entry stays pending and is retried
+ * @param {Object} newPool - Validated NEW_POOLS message
+ */
+async function processNewPool(newPool) {
+  try {
+    logger.info(`Processing new pool: ${JSON.stringify(newPool)}`);
+    
+    const poolData = await attributeMigratedPool(newPool);
+    recordLaunch(poolData);
     
     // Perform filtering checks
-    const passedFilters = await filterToken(poolData);
+    const verdict = await filterToken(poolData);
     
-    if (passedFilters) {
-      // Add metadata if available
-      const metadata = await getTokenMetadata(poolData.baseMint);
-      if (metadata) {
-        poolData.metadata = metadata;
-      }
+    if (verdict.passed) {
+      // Publish to potential buys stream; the verdict travels with the buy
+      await publishToStream(redisPublisher, REDIS_CHANNELS.POTENTIAL_BUYS, {
+        ...poolData,
+        filterVerdict: verdict,
+        timestamp: Date.now()
+      });
       
-      // Publish to potential buys channel
-      await redisPublisher.publish(
-        REDIS_CHANNELS.POTENTIAL_BUYS,
-        JSON.stringify({
-          ...poolData,
-          timestamp: Date.now()
-        })
-      );
-      
-      logger.info(`Published ${poolData.baseMint} to potential buys channel`);
+      logger.info(`Published ${poolData.baseMint} to potential buys stream`);
     }
+    
+    await publishDecision(poolData, verdict);
   } catch (error) {
     logger.error(`Error processing new pool: ${error.message}`);
+    throw error;
   }
 }
 
-// Set up Redis subscription
-redisSubscriber.on('ready', () => {
-  logger.info('Redis subscriber connected. Subscribing to new pools channel.');
-  redisSubscriber.subscribe(REDIS_CHANNELS.NEW_POOLS);
+/**
+ * Control-plane commands: pause stops reading new pools (they wait in the
+ * stream and expire past FILTER_CANDIDATE_TTL_SECONDS), reload_config
+ * recompiles the filter rules. Queue sizes are fixed until a restart.
+ */
+const commandListener = createCommandListener({
+  service: 'token-filter',
+  handlers: {
+    async pause() {
+      newPoolsConsumer.pause();
+      return { queue: candidateQueue.getStats() };
+    },
+    
+    async resume() {
+      newPoolsConsumer.resume();
+      return { queue: candidateQueue.getStats() };
+    },
+    
+    async reload_config() {
+      filterConfig = buildFilterConfig();
+      logger.info(`Filter rules reloaded: ${filterConfig.id}, min score ${filterConfig.minScore}`);
+      return { filterConfig: filterConfig.id };
+    }
+  },
+  onShutdown: drain => shutdown(drain ? 'drain command' : 'shutdown command', { drain })
 });
 
-redisSubscriber.on('message', (channel, message) => {
-  if (channel === REDIS_CHANNELS.NEW_POOLS) {
-    processNewPool(message);
-  }
-});
+commandListener.start();
 
-redisSubscriber.on('error', (error) => {
-  logger.error(`Redis subscriber error: ${error.message}`);
+// Start consuming new pools
+newPoolsConsumer.start().catch(error => {
+  logger.error(`Failed to start NEW_POOLS consumer: ${error.message}`);
+  process.exit(1);
 });
 
 // Set up heartbeat interval
 const heartbeatInterval = setInterval(async () => {
   try {
     const timestamp = Date.now();
+    const queue = candidateQueue.getStats();
     await redisPublisher.set('heartbeat:token-filter', timestamp);
-    await redisPublisher.publish(REDIS_CHANNELS.HEARTBEATS, JSON.stringify({
+    await redisPublisher.hset('stats:token-filter:queue', queue);
+    await publishToChannel(redisPublisher, REDIS_CHANNELS.HEARTBEATS, {
       service: 'token-filter',
-      timestamp
-    }));
+      timestamp,
+      queue
+    });
+    
+    if (queue.depth > 0) {
+      logger.info(`Candidate queue: ${queue.depth} waiting, ${queue.running} running, oldest waiting ${queue.oldestWaitingMs}ms`);
+    }
     logger.debug('Heartbeat sent');
   } catch (error) {
     logger.error(`Failed to send heartbeat: ${error.message}`);
   }
 }, 10000); // Every 10 seconds
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
+// Re-price decided tokens at their follow-up checkpoints
+let checkingDecisionPrices = false;
+const decisionPriceInterval = setInterval(async () => {
+  if (checkingDecisionPrices || config.FILTER_DECISION_PRICE_CHECKS_MINUTES.length === 0) {
+    return;
+  }
+  
+  checkingDecisionPrices = true;
+  try {
+    await checkDecisionPrices();
+  } catch (error) {
+    logger.error(`Failed to check decision prices: ${error.message}`);
+  } finally {
+    checkingDecisionPrices = false;
+  }
+}, 60000); // Every minute
+
+/**
+ * Shuts the service down
+ * @param {string} reason - What asked for it
+ * @param {Object} [options] - { drain: finish the candidates read so far before closing connections }
+ * @returns {Promise<void>}
+ */
+async function shutdown(reason, { drain = false } = {}) {
+  logger.info(`${reason} received, shutting down gracefully${drain ? ' after queued candidates' : ''}`);
   clearInterval(heartbeatInterval);
+  clearInterval(decisionPriceInterval);
   
   // Close Redis connections
-  redisSubscriber.quit();
+  try {
+    if (drain) {
+      await newPoolsConsumer.drain();
+    } else {
+      newPoolsConsumer.stop();
+    }
+  } catch (error) {
+    logger.error(`Failed to stop NEW_POOLS consumer: ${error.message}`);
+  }
+  commandListener.stop();
   redisPublisher.quit();
   
   // Give connections time to close properly
@@ -303,7 +1042,10 @@ process.on('SIGTERM', () => {
     logger.info('Shutdown complete');
     process.exit(0);
   }, 1000);
-});
+}
+
+// Handle graceful shutdown
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -313,4 +1055,4 @@ process.on('uncaughtException', (error) => {
   process.exit(1);
 });
 
-logger.info('Token Filter service started');
+logger.info(`Token Filter service started (filter rules ${filterConfig.id}, min score ${filterConfig.minScore})`);
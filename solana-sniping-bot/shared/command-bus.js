@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Control-plane commands for Solana memecoin sniping bot
+ * Commands are published on the COMMANDS channel addressed to one service or
+ * to 'all'. Every service a command reaches answers it once on COMMAND_ACKS
+ * with the command's ID: 'ok' with what it did, 'failed' with why, or
+ * 'unsupported' when the service has nothing to do for that command.
+ *
+ * set_log_level and reload_config are handled here for every service (a
+ * service may hook reload_config to re-derive state from the new config);
+ * drain and shutdown are acknowledged first and then handed to the service's
+ * shutdown routine, since the service exits. The remaining commands are
+ * handled by the services that support them.
+ */
+
+const crypto = require('crypto');
+const { createLogger, setLogLevel, LOG_LEVELS } = require('./logger');
+const { reloadConfig } = require('./config');
+const { createSubscriber, createPublisher, publishToChannel } = require('./redis-helper');
+const { parseMessage } = require('./message-schemas');
+const { REDIS_CHANNELS, SERVICE_NAMES, REGEX_PATTERNS } = require('./constants');
+
+/**
+ * How long issued commands and their acks stay readable (seconds)
+ */
+const COMMAND_RECORD_TTL_SECONDS = 86400;
+
+/**
+ * Checks a command's arguments
+ * @param {string} command - Command type
+ * @param {Object} [args] - Command arguments
+ * @returns {Array<string>} - Problems, empty if the arguments are valid
+ */
+function validateCommandArgs(command, args = {}) {
+  const errors = [];
+
+  if (command === 'set_log_level' && !LOG_LEVELS.includes(args.level)) {
+    errors.push(`args.level must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+
+  if (command === 'force_sell' && !(typeof args.mint === 'string' && REGEX_PATTERNS.SOLANA_ADDRESS.test(args.mint))) {
+    errors.push('args.mint must be a Solana address');
+  }
+
+  return errors;
+}
+
+/**
+ * Returns the Redis key an issued command and its acks are recorded under
+ * @param {string} commandId - Command ID
+ * @returns {string} - Hash key
+ */
+function commandKey(commandId) {
+  return `commands:${commandId}`;
+}
+
+/**
+ * Creates a service's command listener
+ * @param {Object} options - Listener options
+ * @param {string} options.service - Service name commands are addressed to
+ * @param {Object<string, Function>} [options.handlers] - async (args, command) => result object, by command type
+ * @param {Function} [options.onShutdown] - (drain: boolean, command) => void; drain and shutdown are unsupported without it
+ * @returns {Object} - Listener ({ start, stop })
+ */
+function createCommandListener(options) {
+  const { service, handlers = {}, onShutdown } = options;
+  const listenerLogger = createLogger(`${service}-commands`);
+  const subscriber = createSubscriber(`${service}-commands`);
+  const publisher = createPublisher(`${service}-commands`);
+
+  const builtins = {
+    async set_log_level(args) {
+      setLogLevel(args.level);
+      return { level: args.level };
+    },
+
+    async reload_config(args, command) {
+      const { changed, ignored } = reloadConfig();
+      const result = handlers.reload_config ? await handlers.reload_config(args, command) : null;
+
+      if (ignored.length > 0) {
+        listenerLogger.warn(`Config reload ignored ${ignored.join(', ')} (restart required)`);
+      }
+
+      return { changed, ignored, ...(result || {}) };
+    }
+  };
+
+  if (onShutdown) {
+    builtins.drain = async () => ({ drain: true });
+    builtins.shutdown = async () => ({ drain: false });
+  }
+
+  /**
+   * Runs a command and reports the outcome
+   * @param {Object} command - Validated COMMANDS message
+   * @returns {Promise<Object>} - Ack fields ({ status, result?, error? })
+   */
+  async function execute(command) {
+    const handler = builtins[command.command] || handlers[command.command];
+
+    if (!handler) {
+      return { status: 'unsupported', error: `${service} does not support ${command.command}` };
+    }
+
+    const errors = validateCommandArgs(command.command, command.args || {});
+    if (errors.length > 0) {
+      return { status: 'failed', error: errors.join('; ') };
+    }
+
+    try {
+      const result = await handler(command.args || {}, command);
+      return { status: 'ok', result: result || {} };
+    } catch (error) {
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Handles a message on the COMMANDS channel
+   * @param {string} channel - Channel it arrived on
+   * @param {string} raw - Message JSON
+   */
+  async function handleMessage(channel, raw) {
+    let command;
+
+    try {
+      command = parseMessage(channel, raw);
+    } catch (error) {
+      listenerLogger.warn(`Ignoring malformed command: ${error.message}`);
+      return;
+    }
+
+    if (command.target !== service && command.target !== 'all') {
+      return;
+    }
+
+    listenerLogger.info(`Received ${command.command} command ${command.commandId} from ${command.issuedBy || 'unknown'}`, {
+      args: command.args || null,
+      reason: command.reason || null
+    });
+
+    const outcome = await execute(command);
+
+    if (outcome.status === 'ok') {
+      listenerLogger.info(`Command ${command.commandId} (${command.command}) done`, outcome.result);
+    } else {
+      listenerLogger.warn(`Command ${command.commandId} (${command.command}) ${outcome.status}: ${outcome.error}`);
+    }
+
+    try {
+      await publishToChannel(publisher, REDIS_CHANNELS.COMMAND_ACKS, {
+        commandId: command.commandId,
+        service,
+        command: command.command,
+        ...outcome,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      listenerLogger.error(`Failed to acknowledge command ${command.commandId}: ${error.message}`);
+    }
+
+    if (outcome.status === 'ok' && (command.command === 'drain' || command.command === 'shutdown')) {
+      onShutdown(command.command === 'drain', command);
+    }
+  }
+
+  return {
+    /**
+     * Subscribes to the COMMANDS channel, and again after every reconnect
+     * The subscriber connects when the listener is created, so it is usually
+     * ready already by the time a service finishes starting up and calls this.
+     */
+    start() {
+      const subscribe = () => subscriber.subscribe(REDIS_CHANNELS.COMMANDS);
+
+      if (subscriber.status === 'ready') {
+        subscribe();
+      }
+
+      subscriber.on('ready', subscribe);
+      subscriber.on('message', handleMessage);
+      subscriber.on('error', error => {
+        listenerLogger.error(`Command subscriber error: ${error.message}`);
+      });
+    },
+
+    /**
+     * Closes the listener's connections
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      await subscriber.quit();
+      await publisher.quit();
+    }
+  };
+}
+
+/**
+ * Creates a client that issues commands and collects their acks
+ * Every ack seen is also recorded in the command's Redis hash, so acks that
+ * arrive after send() returned (a drain finishing late) can still be looked up.
+ * @param {Object} options - Client options
+ * @param {string} options.context - Logging context and connection name
+ * @returns {Object} - Client ({ send, getCommand, stop })
+ */
+function createCommandClient(options) {
+  const { context } = options;
+  const clientLogger = createLogger(context);
+  const subscriber = createSubscriber(`${context}-command-acks`);
+  const publisher = createPublisher(`${context}-commands`);
+
+  // commandId -> { expected, acks, resolve, timer }
+  const waiting = new Map();
+
+  subscriber.on('ready', () => {
+    subscriber.subscribe(REDIS_CHANNELS.COMMAND_ACKS);
+  });
+
+  subscriber.on('message', async (channel, raw) => {
+    let ack;
+
+    try {
+      ack = parseMessage(channel, raw);
+    } catch (error) {
+      clientLogger.warn(`Ignoring malformed command ack: ${error.message}`);
+      return;
+    }
+
+    try {
+      const key = commandKey(ack.commandId);
+      if (await publisher.exists(key)) {
+        await publisher.hset(key, `ack:${ack.service}`, JSON.stringify(ack));
+      }
+    } catch (error) {
+      clientLogger.error(`Failed to record ack of command ${ack.commandId}: ${error.message}`);
+    }
+
+    const pending = waiting.get(ack.commandId);
+    if (!pending) {
+      return;
+    }
+
+    pending.acks.push(ack);
+    if (pending.expected.every(service => pending.acks.some(received => received.service === service))) {
+      clearTimeout(pending.timer);
+      pending.resolve();
+    }
+  });
+
+  subscriber.on('error', error => {
+    clientLogger.error(`Command ack subscriber error: ${error.message}`);
+  });
+
+  return {
+    /**
+     * Publishes a command and waits for the targeted services to acknowledge it
+     * @param {string} command - Command type
+     * @param {Object} options - { target, args, reason, issuedBy, timeoutMs }
+     * @returns {Promise<Object>} - { commandId, command, target, acks, missing }: missing lists targeted services that did not ack in time
+     * @throws {MessageValidationError} - If the command is malformed (nothing is sent)
+     */
+    async send(command, { target, args, reason, issuedBy, timeoutMs = 5000 }) {
+      const message = {
+        commandId: crypto.randomUUID(),
+        command,
+        target,
+        args: args || null,
+        reason: reason || null,
+        issuedBy: issuedBy || null,
+        timestamp: Date.now()
+      };
+      const expected = target === 'all' ? SERVICE_NAMES : [target];
+      const pending = { expected, acks: [] };
+
+      const settled = new Promise(resolve => {
+        pending.resolve = resolve;
+        pending.timer = setTimeout(resolve, timeoutMs);
+      });
+      waiting.set(message.commandId, pending);
+
+      try {
+        const key = commandKey(message.commandId);
+        await publisher.hset(key, 'command', JSON.stringify(message));
+        await publisher.expire(key, COMMAND_RECORD_TTL_SECONDS);
+        await publishToChannel(publisher, REDIS_CHANNELS.COMMANDS, message);
+
+        clientLogger.info(`Issued ${command} command ${message.commandId} to ${target}`, { args: message.args, issuedBy });
+        await settled;
+      } finally {
+        clearTimeout(pending.timer);
+        waiting.delete(message.commandId);
+      }
+
+      return {
+        commandId: message.commandId,
+        command,
+        target,
+        acks: pending.acks,
+        missing: expected.filter(service => !pending.acks.some(ack => ack.service === service))
+      };
+    },
+
+    /**
+     * Looks up an issued command and the acks recorded for it
+     * @param {string} commandId - Command ID
+     * @returns {Promise<Object|null>} - { command, acks } or null if unknown or expired
+     */
+    async getCommand(commandId) {
+      const record = await publisher.hgetall(commandKey(commandId));
+
+      if (!record || !record.command) {
+        return null;
+      }
+
+      return {
+        command: JSON.parse(record.command),
+        acks: Object.entries(record)
+          .filter(([field]) => field.startsWith('ack:'))
+          .map(([, ack]) => JSON.parse(ack))
+      };
+    },
+
+    /**
+     * Closes the client's connections
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      await subscriber.quit();
+      await publisher.quit();
+    }
+  };
+}
+
+module.exports = {
+  validateCommandArgs,
+  createCommandListener,
+  createCommandClient
+};
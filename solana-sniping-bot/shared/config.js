@@ -5,7 +5,23 @@
  */
 
 // NOTE: Don't require logger.js here to avoid circular dependencies
-require('dotenv').config();
+const dotenv = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+
+dotenv.config();
+
+// Settings a running service cannot switch: reloadConfig leaves them alone
+const RESTART_REQUIRED = [
+  'RPC_ENDPOINT',
+  'RPC_FALLBACK_ENDPOINTS',
+  'WALLET_SECRET_KEY',
+  'REDIS_HOST',
+  'REDIS_PORT',
+  'REDIS_PASSWORD',
+  'DRY_RUN',
+  'LEDGER_PATH'
+];
 
 // Utility for validation
 const validateConfig = (config) => {
@@ -25,8 +41,26 @@ const validateConfig = (config) => {
   return config;
 };
 
+// Parses a take-profit ladder ("gain%:sell%,..." e.g. "100:50,300:25") into
+// rungs sorted by gain; sell% is a share of the position's original size
+const parseTakeProfitLadder = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map(rung => {
+    const [gainPercent, sellPercent] = rung.split(':').map(part => parseFloat(part));
+
+    if (!(gainPercent > 0) || !(sellPercent > 0 && sellPercent <= 100)) {
+      throw new Error(`Invalid TAKE_PROFIT_LADDER rung: ${rung}`);
+    }
+
+    return { gainPercent, sellPercent };
+  }).sort((a, b) => a.gainPercent - b.gainPercent);
+};
+
 // Main configuration object with defaults for optional values
-const config = validateConfig({
+const buildConfig = () => validateConfig({
   // Solana connection
   RPC_ENDPOINT: process.env.RPC_ENDPOINT,
   RPC_FALLBACK_ENDPOINTS: process.env.RPC_FALLBACK_ENDPOINTS 
@@ -44,6 +78,9 @@ const config = validateConfig({
   
   // DEX parameters
   RAYDIUM_LP_V4_PROGRAM_ID: process.env.RAYDIUM_LP_V4_PROGRAM_ID || '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+  ENABLED_DETECTORS: process.env.ENABLED_DETECTORS
+    ? process.env.ENABLED_DETECTORS.split(',').map(name => name.trim()).filter(Boolean)
+    : ['raydium-v4', 'raydium-cpmm', 'raydium-clmm', 'orca-whirlpool', 'meteora-dlmm', 'pumpfun'],
   
   // Trading parameters
   SLIPPAGE_TOLERANCE_BPS: parseInt(process.env.SLIPPAGE_TOLERANCE_BPS || '100', 10),
@@ -51,15 +88,96 @@ const config = validateConfig({
   PRIORITY_FEE_MICRO_LAMPORTS: parseInt(process.env.PRIORITY_FEE_MICRO_LAMPORTS || '75000', 10),
   BUY_AMOUNT_SOL: parseFloat(process.env.BUY_AMOUNT_SOL || '0.01'),
   MIN_POOL_SIZE_SOL: parseFloat(process.env.MIN_POOL_SIZE_SOL || '1.0'),
+  // Potential buys published longer ago than this are dropped unbought, e.g.
+  // the backlog left while buy-executor was down (0 disables)
+  BUY_OPPORTUNITY_MAX_AGE_SECONDS: parseFloat(process.env.BUY_OPPORTUNITY_MAX_AGE_SECONDS || '30'),
+  
+  // Risk limits checked by buy-executor before every buy (0 disables a limit).
+  // Losing MAX_DRAWDOWN_SOL of realized P/L from its peak pauses buying until
+  // a resume command
+  MAX_OPEN_POSITIONS: parseInt(process.env.MAX_OPEN_POSITIONS || '10', 10),
+  MAX_DEPLOYED_SOL: parseFloat(process.env.MAX_DEPLOYED_SOL || '0'),
+  MAX_DAILY_LOSS_SOL: parseFloat(process.env.MAX_DAILY_LOSS_SOL || '0'),
+  MAX_DRAWDOWN_SOL: parseFloat(process.env.MAX_DRAWDOWN_SOL || '0'),
+  MAX_BUYS_PER_MINUTE: parseInt(process.env.MAX_BUYS_PER_MINUTE || '5', 10),
+  
+  // pump.fun sniping: 'launch' (buy on the bonding curve), 'migration' (buy the
+  // migrated pool), 'both' or 'off'
+  PUMPFUN_SNIPE_MODE: process.env.PUMPFUN_SNIPE_MODE || 'both',
+  PUMPFUN_MIN_CURVE_SOL: parseFloat(process.env.PUMPFUN_MIN_CURVE_SOL || '0'),
+  
+  // token-filter work queue: candidates filtered at once, candidates held
+  // (queued or running), and age since detection after which one is dropped (0 disables)
+  FILTER_CONCURRENCY: parseInt(process.env.FILTER_CONCURRENCY || '4', 10),
+  FILTER_QUEUE_MAX_SIZE: parseInt(process.env.FILTER_QUEUE_MAX_SIZE || '100', 10),
+  FILTER_CANDIDATE_TTL_SECONDS: parseFloat(process.env.FILTER_CANDIDATE_TTL_SECONDS || '60'),
+  
+  // Holder concentration filter, pool vaults excluded (0 disables a limit)
+  MAX_TOP10_HOLDER_PERCENTAGE: parseFloat(process.env.MAX_TOP10_HOLDER_PERCENTAGE || '50'),
+  MAX_CREATOR_HOLDING_PERCENTAGE: parseFloat(process.env.MAX_CREATOR_HOLDING_PERCENTAGE || '20'),
+  
+  // Minimum share of LP supply burned or held by locker programs; pools
+  // without LP tokens (CLMM, Whirlpool, DLMM, bonding curves) are exempt. 0 disables
+  MIN_LP_BURNED_LOCKED_PERCENTAGE: parseFloat(process.env.MIN_LP_BURNED_LOCKED_PERCENTAGE || '0'),
+  LP_LOCKER_PROGRAMS: process.env.LP_LOCKER_PROGRAMS
+    ? process.env.LP_LOCKER_PROGRAMS.split(',').map(address => address.trim()).filter(Boolean)
+    : [],
+  
+  // Simulated buy-then-sell honeypot test. The wallet must hold the amount for
+  // the simulation to run; nothing is sent. 0 disables
+  SELL_SIMULATION_AMOUNT_SOL: parseFloat(process.env.SELL_SIMULATION_AMOUNT_SOL || '0'),
+  MAX_SELL_TAX_PERCENTAGE: parseFloat(process.env.MAX_SELL_TAX_PERCENTAGE || '10'), // Loss beyond pool fees and price impact
+  
+  // Deployers whose launches the bot saw rug, pull LP or turn out honeypots
+  // this many times are blocklisted (0 disables)
+  DEPLOYER_MAX_BAD_LAUNCHES: parseInt(process.env.DEPLOYER_MAX_BAD_LAUNCHES || '2', 10),
+  
+  // Metaplex metadata rules; the off-chain JSON is only fetched when enabled
+  REJECT_MUTABLE_METADATA: process.env.REJECT_MUTABLE_METADATA === 'true',
+  FETCH_OFFCHAIN_METADATA: process.env.FETCH_OFFCHAIN_METADATA === 'true',
+  
+  // Filter rule weights and thresholds (JSON or YAML, see shared/filter-rules);
+  // settings the file leaves out fall back to the filter settings above
+  FILTER_RULES_PATH: process.env.FILTER_RULES_PATH || '',
+  
+  // Every filter decision is stored with the token price, then re-priced this
+  // many minutes later to measure what each rule let through or filtered out (0 disables)
+  FILTER_DECISION_PRICE_CHECKS_MINUTES: (process.env.FILTER_DECISION_PRICE_CHECKS_MINUTES || '5,30,120')
+    .split(',').map(minutes => parseInt(minutes.trim(), 10)).filter(minutes => minutes > 0),
+  
   TAKE_PROFIT_PERCENTAGE: parseInt(process.env.TAKE_PROFIT_PERCENTAGE || '150', 10),
   STOP_LOSS_PERCENTAGE: parseInt(process.env.STOP_LOSS_PERCENTAGE || '50', 10),
   
+  // Exit rules (0 disables a rule); each can be overridden per position
+  TRAILING_STOP_PERCENTAGE: parseFloat(process.env.TRAILING_STOP_PERCENTAGE || '0'), // % drop from the high-water mark
+  TRAILING_STOP_ACTIVATION_PERCENTAGE: parseFloat(process.env.TRAILING_STOP_ACTIVATION_PERCENTAGE || '0'), // % gain before the trail arms
+  MAX_HOLD_MINUTES: parseFloat(process.env.MAX_HOLD_MINUTES || '0'),
+  NO_MOVEMENT_MINUTES: parseFloat(process.env.NO_MOVEMENT_MINUTES || '0'),
+  NO_MOVEMENT_THRESHOLD_PERCENTAGE: parseFloat(process.env.NO_MOVEMENT_THRESHOLD_PERCENTAGE || '5'), // Band that counts as no movement
+  // Partial exits replacing TAKE_PROFIT_PERCENTAGE when set; a last rung of
+  // 100% sells whatever is left, otherwise the rest waits for the other rules
+  TAKE_PROFIT_LADDER: parseTakeProfitLadder(process.env.TAKE_PROFIT_LADDER),
+  
+  // Declarative sell strategy (JSON or YAML, see shared/strategy); when unset
+  // the exit rule settings above are used as the strategy
+  SELL_STRATEGY_PATH: process.env.SELL_STRATEGY_PATH || '',
+  
+  // Rug monitor: pool accounts are watched over WebSocket and a drop beyond
+  // these thresholds within RUG_DROP_WINDOW_MS exits at once (0 disables a trigger)
+  RUG_RESERVE_DROP_PERCENTAGE: parseFloat(process.env.RUG_RESERVE_DROP_PERCENTAGE || '30'), // SOL side of the pool
+  RUG_LP_SUPPLY_DROP_PERCENTAGE: parseFloat(process.env.RUG_LP_SUPPLY_DROP_PERCENTAGE || '30'), // LP tokens burned or withdrawn
+  EMERGENCY_PRIORITY_FEE_MICRO_LAMPORTS: parseInt(process.env.EMERGENCY_PRIORITY_FEE_MICRO_LAMPORTS || '1000000', 10),
+  EMERGENCY_SLIPPAGE_BPS: parseInt(process.env.EMERGENCY_SLIPPAGE_BPS || '5000', 10),
+  
   // DryRun mode settings
   DRY_RUN: process.env.DRY_RUN === 'true',
   DRY_RUN_SUCCESS_RATE: parseInt(process.env.DRY_RUN_SUCCESS_RATE || '90', 10), // % of simulated txs that succeed
   DRY_RUN_CONFIRMATION_MS: parseInt(process.env.DRY_RUN_CONFIRMATION_MS || '2000', 10), // Simulated confirmation time
   DRY_RUN_PRICE_VOLATILITY: parseInt(process.env.DRY_RUN_PRICE_VOLATILITY || '20', 10), // % price volatility in simulation
   
+  // Trade ledger (SQLite file shared by the services that record or report trades)
+  LEDGER_PATH: process.env.LEDGER_PATH || path.join(__dirname, '..', 'data', 'trade-ledger.db'),
+  
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   DEBUG: process.env.DEBUG === 'true',
@@ -70,5 +188,37 @@ const config = validateConfig({
   SIMULATE_TRANSACTIONS: process.env.SIMULATE_TRANSACTIONS === 'true',
 });
 
+const config = buildConfig();
+
+// Re-reads .env and updates config in place, so modules holding it see the
+// new values. Unlike on startup the file wins over the environment: under
+// docker-compose the environment was loaded from that same file (env_file).
+// Settings in RESTART_REQUIRED keep their values; a .env that no longer
+// validates leaves config untouched and throws.
+// Returns { changed, ignored }: settings updated, and those needing a restart
+const reloadConfig = () => {
+  let parsed = {};
+  try {
+    parsed = dotenv.parse(fs.readFileSync(path.resolve(process.cwd(), '.env')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  Object.assign(process.env, parsed);
+
+  const next = buildConfig();
+  const differs = key => JSON.stringify(next[key]) !== JSON.stringify(config[key]);
+  const changed = Object.keys(next).filter(key => differs(key) && !RESTART_REQUIRED.includes(key));
+
+  for (const key of changed) {
+    config[key] = next[key];
+  }
+
+  return { changed, ignored: RESTART_REQUIRED.filter(differs) };
+};
+
 // Export as default to match the import pattern used in the code
 exports.default = config;
+exports.reloadConfig = reloadConfig;
@@ -6,14 +6,22 @@
 const { PublicKey } = require('@solana/web3.js');
 
 // Redis channel names for inter-service communication
+// NEW_POOLS, POOL_MIGRATIONS, POTENTIAL_BUYS, SUCCESSFUL_BUYS, SUCCESSFUL_SELLS and
+// FILTER_DECISIONS are Redis Streams keys; LOGS, COMMANDS, COMMAND_ACKS and
+// HEARTBEATS remain pub/sub channels
 const REDIS_CHANNELS = {
   NEW_POOLS: 'sniper:new_pools',
+  POOL_MIGRATIONS: 'sniper:pool_migrations',
   POTENTIAL_BUYS: 'sniper:potential_buys',
   SUCCESSFUL_BUYS: 'sniper:successful_buys',
   SUCCESSFUL_SELLS: 'sniper:successful_sells',
+  FILTER_DECISIONS: 'sniper:filter_decisions', // Every token-filter verdict, passed or rejected
   LOGS: 'sniper:logs',
   COMMANDS: 'sniper:commands',
-  HEARTBEATS: 'sniper:heartbeats'
+  COMMAND_ACKS: 'sniper:command_acks', // One reply per service and command, keyed by commandId
+  HEARTBEATS: 'sniper:heartbeats',
+  DEAD_LETTER: 'sniper:dead_letter',
+  QUARANTINE: 'sniper:quarantine'
 };
 
 // Common Solana addresses
@@ -22,7 +30,16 @@ const SOLANA_ADDRESSES = {
   SYSTEM_PROGRAM: new PublicKey('11111111111111111111111111111111'),
   TOKEN_PROGRAM: new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'),
   ASSOCIATED_TOKEN_PROGRAM: new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL'),
-  RAYDIUM_LIQUIDITY_PROGRAM_V4: new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8')
+  RAYDIUM_LIQUIDITY_PROGRAM_V4: new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8'),
+  TOKEN_METADATA_PROGRAM: new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s'),
+  INCINERATOR: new PublicKey('1nc1nerator11111111111111111111111111111111') // Tokens sent here are burned
+};
+
+// Programs whose vaults hold time-locked LP tokens (mapped to their names)
+// LP_LOCKER_PROGRAMS in the environment adds more
+const LP_LOCKER_PROGRAMS = {
+  'strmRqUCoQUgGUan5YhzUdbzKZmj1Y3JGc5eSrrFWWa': 'Streamflow',
+  'LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE': 'Raydium Liquidity Locker'
 };
 
 // Known safe tokens (mapped to their symbols)
@@ -39,9 +56,30 @@ const PERFORMANCE_SETTINGS = {
   MAX_TRANSACTION_RETRIES: 3,
   PRICE_CHECK_INTERVAL_MS: 5000, // 5 seconds
   HEARTBEAT_INTERVAL_MS: 10000,  // 10 seconds
-  CONNECTION_CHECK_INTERVAL_MS: 30000 // 30 seconds
+  CONNECTION_CHECK_INTERVAL_MS: 30000, // 30 seconds
+  HOLDER_REFRESH_INTERVAL_MS: 60000, // Top-holder share refresh for sell strategies
+  RESERVE_SAMPLE_RETENTION_MS: 3600000, // Pool reserve history kept for volume windows
+  RUG_DROP_WINDOW_MS: 60000, // Rug monitor compares against the peak within this window
+  OFFCHAIN_METADATA_CACHE_TTL_MS: 3600000, // Off-chain token metadata JSON cache
+  CANDIDATE_IDEMPOTENCY_TTL_MS: 3600000, // token-filter processes a pool at most once within this
+  BUY_IDEMPOTENCY_TTL_MS: 86400000 // buy-executor attempts a pool at most once within this
 };
 
+// Services that listen on REDIS_CHANNELS.COMMANDS
+const SERVICE_NAMES = ['lp-monitor', 'token-filter', 'buy-executor', 'sell-manager', 'api-server'];
+
+// Control-plane commands; which ones a service supports depends on what it runs
+const COMMAND_TYPES = [
+  'pause', // Stop taking on new work (detections, candidates, buys)
+  'resume',
+  'reload_config', // Re-read .env
+  'set_log_level', // args: { level }
+  'force_sell', // args: { mint }
+  'close_all', // Sell every open position
+  'drain', // Finish in-flight work, then shut down
+  'shutdown'
+];
+
 // Regex patterns for validation
 const REGEX_PATTERNS = {
   SOLANA_ADDRESS: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/
@@ -51,6 +89,9 @@ module.exports = {
   REDIS_CHANNELS,
   SOLANA_ADDRESSES,
   KNOWN_TOKENS,
+  LP_LOCKER_PROGRAMS,
   PERFORMANCE_SETTINGS,
+  SERVICE_NAMES,
+  COMMAND_TYPES,
   REGEX_PATTERNS
 };
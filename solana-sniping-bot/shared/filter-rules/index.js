@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Token filter rule pipeline for Solana memecoin sniping bot
+ * token-filter runs a fixed set of rules (security, deployer, liquidity,
+ * holders, LP lock, sell simulation, metadata) over each candidate. Every rule
+ * returns a verdict (pass, warn or fail), a 0-100 score and the evidence it
+ * looked at. A JSON or YAML config file sets each rule's weight, whether a
+ * failure rejects the token outright, and its thresholds; the verdicts are
+ * combined into a weighted score that must reach minScore.
+ *
+ * Example:
+ *   name: strict
+ *   version: 1
+ *   minScore: 70
+ *   rules:
+ *     holders:
+ *       weight: 2
+ *       thresholds: { maxTopHolderShare: 35 }
+ *     metadata:
+ *       required: false
+ *       thresholds: { rejectMutable: true }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+/**
+ * Verdicts a rule can return
+ */
+const RULE_VERDICTS = ['pass', 'warn', 'fail'];
+
+/**
+ * Score of a verdict when the rule does not compute its own
+ */
+const DEFAULT_SCORES = { pass: 100, warn: 50, fail: 0 };
+
+/**
+ * Token risk levels from token-security, least to most risky
+ */
+const RISK_LEVELS = ['low', 'medium', 'high', 'extreme'];
+
+/**
+ * Rules in evaluation order and the thresholds each accepts
+ * Later rules may read what earlier ones found (the deployer rule checks the
+ * authorities the security rule decoded).
+ */
+const FILTER_RULES = {
+  security: {
+    thresholds: {
+      maxRiskLevel: { type: 'string', oneOf: RISK_LEVELS },
+      rejectMintAuthority: { type: 'boolean' },
+      rejectFreezeAuthority: { type: 'boolean' }
+    }
+  },
+  deployer: { thresholds: {} },
+  liquidity: {
+    thresholds: {
+      minSol: { type: 'number' },
+      minCurveSol: { type: 'number' } // pump.fun bonding curves
+    }
+  },
+  holders: {
+    thresholds: {
+      maxTopHolderShare: { type: 'number' },
+      maxCreatorShare: { type: 'number' }
+    }
+  },
+  lpLock: {
+    thresholds: {
+      minSecuredPercent: { type: 'number' }
+    }
+  },
+  sellSimulation: {
+    thresholds: {
+      amountSol: { type: 'number' },
+      maxTaxPercent: { type: 'number' }
+    }
+  },
+  metadata: {
+    thresholds: {
+      rejectMutable: { type: 'boolean' }
+    }
+  }
+};
+
+/**
+ * Raised when a filter config document is malformed
+ */
+class FilterConfigValidationError extends Error {
+  /**
+   * @param {string} source - Config file or name
+   * @param {Array<string>} errors - Validation failures
+   */
+  constructor(source, errors) {
+    super(`Invalid filter config ${source}: ${errors.join('; ')}`);
+    this.name = 'FilterConfigValidationError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validates and compiles a filter config document
+ * Rules the document lists are enabled unless they say otherwise; rules it
+ * leaves out keep their settings from `defaults`, and thresholds it leaves
+ * out keep their default values.
+ * @param {Object} document - Parsed config
+ * @param {string} [source] - Where it came from, for error messages
+ * @param {Object} [defaults] - Compiled config to inherit from
+ * @returns {Object} - Config ({ id, name, version, minScore, stopOnFail, rules })
+ * @throws {FilterConfigValidationError} - If the document is malformed
+ */
+function compileFilterConfig(document, source = 'filter config', defaults = null) {
+  const errors = [];
+
+  if (!document || typeof document !== 'object') {
+    throw new FilterConfigValidationError(source, ['document must be an object']);
+  }
+
+  if (typeof document.name !== 'string' || !document.name) {
+    errors.push('name is required');
+  }
+
+  if (document.version === undefined || document.version === null || document.version === '') {
+    errors.push('version is required');
+  }
+
+  if (document.minScore !== undefined && !(document.minScore >= 0 && document.minScore <= 100)) {
+    errors.push('minScore must be in [0, 100]');
+  }
+
+  if (document.stopOnFail !== undefined && typeof document.stopOnFail !== 'boolean') {
+    errors.push('stopOnFail must be a boolean');
+  }
+
+  const documentRules = document.rules || {};
+  if (typeof documentRules !== 'object' || Array.isArray(documentRules)) {
+    errors.push('rules must be an object keyed by rule name');
+  }
+
+  const rules = {};
+  for (const [name, spec] of Object.entries(FILTER_RULES)) {
+    const inherited = defaults ? defaults.rules[name] : null;
+    const rule = documentRules[name] || {};
+    const where = `rules.${name}`;
+
+    if (rule.weight !== undefined && !(typeof rule.weight === 'number' && rule.weight >= 0)) {
+      errors.push(`${where}.weight must be a non-negative number`);
+    }
+
+    for (const flag of ['enabled', 'required']) {
+      if (rule[flag] !== undefined && typeof rule[flag] !== 'boolean') {
+        errors.push(`${where}.${flag} must be a boolean`);
+      }
+    }
+
+    const thresholds = { ...(inherited ? inherited.thresholds : {}) };
+    for (const [key, value] of Object.entries(rule.thresholds || {})) {
+      const threshold = spec.thresholds[key];
+
+      if (!threshold) {
+        errors.push(`${where}.thresholds.${key} is not a threshold of ${name}`);
+      } else if (typeof value !== threshold.type) {
+        errors.push(`${where}.thresholds.${key} must be a ${threshold.type}`);
+      } else if (threshold.oneOf && !threshold.oneOf.includes(value)) {
+        errors.push(`${where}.thresholds.${key} must be one of ${threshold.oneOf.join(', ')}`);
+      } else {
+        thresholds[key] = value;
+      }
+    }
+
+    rules[name] = {
+      enabled: rule.enabled !== undefined ? rule.enabled : (documentRules[name] || !inherited ? true : inherited.enabled),
+      required: rule.required !== undefined ? rule.required : (inherited ? inherited.required : true),
+      weight: rule.weight !== undefined ? rule.weight : (inherited ? inherited.weight : 1),
+      thresholds
+    };
+  }
+
+  for (const name of Object.keys(documentRules)) {
+    if (!FILTER_RULES[name]) {
+      errors.push(`rules.${name} is not a known rule (${Object.keys(FILTER_RULES).join(', ')})`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new FilterConfigValidationError(source, errors);
+  }
+
+  return {
+    id: `${document.name}@${document.version}`,
+    name: document.name,
+    version: String(document.version),
+    minScore: document.minScore !== undefined ? document.minScore : (defaults ? defaults.minScore : 0),
+    stopOnFail: document.stopOnFail !== undefined ? document.stopOnFail : (defaults ? defaults.stopOnFail : true),
+    rules
+  };
+}
+
+/**
+ * Loads and compiles a filter config file (.json, .yaml or .yml)
+ * @param {string} filePath - Config file path
+ * @param {Object} [defaults] - Compiled config the file overrides
+ * @returns {Object} - Compiled config
+ * @throws {FilterConfigValidationError|Error} - If the file cannot be read or is malformed
+ */
+function loadFilterConfig(filePath, defaults = null) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  const document = extension === '.yaml' || extension === '.yml' ?
+    yaml.load(raw) :
+    JSON.parse(raw);
+
+  return compileFilterConfig(document, filePath, defaults);
+}
+
+/**
+ * Builds the filter config equivalent to the filter settings in config: every
+ * rule required with equal weight and no minimum score. Its version is a
+ * digest of the thresholds so differently tuned runs stay distinguishable.
+ * @param {Object} settings - Service config
+ * @returns {Object} - Compiled config
+ */
+function filterConfigFromEnv(settings) {
+  const rules = {
+    security: { thresholds: { maxRiskLevel: 'extreme', rejectMintAuthority: false, rejectFreezeAuthority: false } },
+    deployer: {},
+    liquidity: { thresholds: { minSol: settings.MIN_POOL_SIZE_SOL, minCurveSol: settings.PUMPFUN_MIN_CURVE_SOL } },
+    holders: {
+      thresholds: {
+        maxTopHolderShare: settings.MAX_TOP10_HOLDER_PERCENTAGE,
+        maxCreatorShare: settings.MAX_CREATOR_HOLDING_PERCENTAGE
+      }
+    },
+    lpLock: {
+      enabled: settings.MIN_LP_BURNED_LOCKED_PERCENTAGE > 0,
+      thresholds: { minSecuredPercent: settings.MIN_LP_BURNED_LOCKED_PERCENTAGE }
+    },
+    sellSimulation: {
+      enabled: settings.SELL_SIMULATION_AMOUNT_SOL > 0,
+      thresholds: { amountSol: settings.SELL_SIMULATION_AMOUNT_SOL, maxTaxPercent: settings.MAX_SELL_TAX_PERCENTAGE }
+    },
+    metadata: { thresholds: { rejectMutable: settings.REJECT_MUTABLE_METADATA } }
+  };
+
+  const digest = crypto.createHash('sha1').update(JSON.stringify(rules)).digest('hex').slice(0, 8);
+
+  return compileFilterConfig({ name: 'config', version: digest, rules }, 'config');
+}
+
+/**
+ * Runs the enabled rules over a candidate and combines their verdicts
+ * A rule that throws fails with the error as evidence. Once a required rule
+ * fails, the remaining rules are skipped when stopOnFail is set.
+ * @param {Object} filterConfig - Compiled config
+ * @param {Object<string, Function>} checks - Async rule implementations by name: (context, thresholds) => { verdict, score?, reason?, evidence? }
+ * @param {Object} context - Candidate data handed to every rule; rules may add to it
+ * @returns {Promise<Object>} - Verdict ({ passed, score, minScore, config, rejectedBy, rules })
+ */
+async function runFilterPipeline(filterConfig, checks, context) {
+  const results = [];
+  let rejected = false;
+
+  for (const [name, rule] of Object.entries(filterConfig.rules)) {
+    if (!rule.enabled || !checks[name]) {
+      continue;
+    }
+
+    if (rejected && filterConfig.stopOnFail) {
+      results.push({ name, verdict: 'skipped', score: null, weight: rule.weight, required: rule.required, reason: 'Skipped after a required rule failed', evidence: null, durationMs: 0 });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    let outcome;
+
+    try {
+      outcome = await checks[name](context, rule.thresholds);
+    } catch (error) {
+      outcome = { verdict: 'fail', reason: error.message, evidence: { error: error.message } };
+    }
+
+    const verdict = RULE_VERDICTS.includes(outcome.verdict) ? outcome.verdict : 'fail';
+    const score = Number.isFinite(outcome.score) ? Math.min(100, Math.max(0, outcome.score)) : DEFAULT_SCORES[verdict];
+
+    results.push({
+      name,
+      verdict,
+      score: Number(score.toFixed(2)),
+      weight: rule.weight,
+      required: rule.required,
+      reason: outcome.reason || null,
+      evidence: outcome.evidence || null,
+      durationMs: Date.now() - startedAt
+    });
+
+    if (verdict === 'fail' && rule.required) {
+      rejected = true;
+    }
+  }
+
+  const scored = results.filter(result => result.score !== null);
+  const totalWeight = scored.reduce((sum, result) => sum + result.weight, 0);
+  const score = totalWeight > 0 ?
+    Number((scored.reduce((sum, result) => sum + result.score * result.weight, 0) / totalWeight).toFixed(2)) :
+    100;
+
+  const rejectedBy = results
+    .filter(result => result.verdict === 'fail' && result.required)
+    .map(result => result.name);
+
+  if (rejectedBy.length === 0 && score < filterConfig.minScore) {
+    rejectedBy.push('minScore');
+  }
+
+  return {
+    passed: rejectedBy.length === 0,
+    score,
+    minScore: filterConfig.minScore,
+    config: filterConfig.id,
+    rejectedBy,
+    rules: results,
+    evaluatedAt: Date.now()
+  };
+}
+
+module.exports = {
+  RULE_VERDICTS,
+  RISK_LEVELS,
+  FILTER_RULES,
+  FilterConfigValidationError,
+  compileFilterConfig,
+  loadFilterConfig,
+  filterConfigFromEnv,
+  runFilterPipeline
+};
@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Deployer reputation store for Solana memecoin sniping bot
+ * Records every launch the bot sees per creator wallet and what became of
+ * it (liquidity rugs, LP pulls, honeypots), plus a blocklist of deployers
+ * token-filter rejects outright. Lives in the trade ledger's SQLite file so
+ * token-filter, sell-manager and api-server share one view of it.
+ */
+
+const { createLogger } = require('../logger');
+const { getTradeLedger } = require('./index');
+const { PUMPFUN_MIGRATION_AUTHORITY } = require('../utils/pumpfun');
+
+// Initialize context-specific logger
+const logger = createLogger('deployer-reputation');
+
+/**
+ * Launch outcomes observed by the bot; all of them count against the deployer
+ */
+const LAUNCH_OUTCOMES = ['rug', 'lp_pull', 'honeypot'];
+
+/**
+ * Accounts that sign pool creations on behalf of other deployers and are
+ * never a deployer themselves: the pump.fun migration account seeds every
+ * migrated pool, and the Raydium AMM v4 authority owns every pool's vaults.
+ * Launches, outcomes and auto-blocks are never recorded against them.
+ */
+const PROGRAM_AUTHORITIES = [
+  PUMPFUN_MIGRATION_AUTHORITY,
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1'
+];
+
+/**
+ * Checks whether an address is a program authority rather than a deployer
+ * @param {string} address - Wallet or authority
+ * @returns {boolean} - True for a program authority
+ */
+function isProgramAuthority(address) {
+  return PROGRAM_AUTHORITIES.includes(address);
+}
+
+// Shared store instance per process
+let sharedStore = null;
+
+/**
+ * Converts a deployer_blocklist row into an entry
+ * @param {Object} row - Database row
+ * @returns {Object|null} - Blocklist entry
+ */
+function rowToEntry(row) {
+  return row ? { address: row.address, reason: row.reason, source: row.source, addedAt: row.added_at } : null;
+}
+
+/**
+ * Creates a reputation store on an open (migrated) ledger database
+ * @param {Database} db - Ledger database
+ * @returns {Object} - Store API
+ */
+function createDeployerReputation(db) {
+  const insertLaunch = db.prepare(`
+    INSERT OR IGNORE INTO deployer_launches (creator, base_mint, lp_address, pool_type, launched_at)
+    VALUES (@creator, @baseMint, @lpAddress, @poolType, @launchedAt)
+  `);
+
+  // The outcome of a migrated token is recorded on whichever launch the bot saw
+  const updateOutcome = db.prepare(`
+    UPDATE deployer_launches
+    SET outcome = @outcome, outcome_at = @outcomeAt, outcome_details = @details
+    WHERE (lp_address = @lpAddress OR base_mint = @baseMint) AND outcome IS NULL
+    RETURNING creator
+  `);
+
+  // A migrated token has a launch row per pool (curve and AMM) but counts once
+  const selectStats = db.prepare(`
+    SELECT
+      COUNT(DISTINCT base_mint) AS launches,
+      COUNT(DISTINCT CASE WHEN outcome = 'rug' THEN base_mint END) AS rugs,
+      COUNT(DISTINCT CASE WHEN outcome = 'lp_pull' THEN base_mint END) AS lpPulls,
+      COUNT(DISTINCT CASE WHEN outcome = 'honeypot' THEN base_mint END) AS honeypots,
+      COUNT(DISTINCT CASE WHEN outcome IS NOT NULL THEN base_mint END) AS badLaunches,
+      MIN(launched_at) AS firstLaunchAt,
+      MAX(launched_at) AS lastLaunchAt
+    FROM deployer_launches WHERE creator = ?
+  `);
+
+  const selectLaunches = db.prepare(`
+    SELECT base_mint AS baseMint, lp_address AS lpAddress, pool_type AS poolType,
+      launched_at AS launchedAt, outcome, outcome_at AS outcomeAt, outcome_details AS outcomeDetails
+    FROM deployer_launches WHERE creator = ? ORDER BY launched_at DESC LIMIT ?
+  `);
+
+  const selectCreator = db.prepare(`
+    SELECT creator FROM deployer_launches WHERE base_mint = ? ORDER BY launched_at ASC LIMIT 1
+  `);
+
+  const selectEntry = db.prepare('SELECT * FROM deployer_blocklist WHERE address = ?');
+  const upsertEntry = db.prepare(`
+    INSERT INTO deployer_blocklist (address, reason, source, added_at)
+    VALUES (@address, @reason, @source, @addedAt)
+    ON CONFLICT (address) DO UPDATE SET reason = excluded.reason, source = excluded.source, added_at = excluded.added_at
+  `);
+
+  const store = {
+    /**
+     * Records a launch; seeing the same pool twice, or a pool created by a
+     * program authority, is a no-op
+     * @param {Object} launch - { creator, baseMint, lpAddress, poolType, launchedAt }
+     * @returns {boolean} - True if the launch was new
+     */
+    recordLaunch(launch) {
+      if (!launch.creator || !launch.baseMint || !launch.lpAddress) {
+        throw new Error('Launch requires creator, baseMint and lpAddress');
+      }
+
+      if (isProgramAuthority(launch.creator)) {
+        return false;
+      }
+
+      return insertLaunch.run({
+        creator: launch.creator,
+        baseMint: launch.baseMint,
+        lpAddress: launch.lpAddress,
+        poolType: launch.poolType || null,
+        launchedAt: launch.launchedAt || Date.now()
+      }).changes === 1;
+    },
+
+    /**
+     * Records what became of a launch; the first outcome observed sticks
+     * A deployer reaching autoBlockAfter bad launches is blocklisted.
+     * @param {Object} observation - { baseMint, lpAddress, outcome, details }
+     * @param {Object} [options] - { autoBlockAfter } (0 disables)
+     * @returns {Array<string>} - Creators whose launch was updated
+     */
+    recordOutcome(observation, options = {}) {
+      if (!LAUNCH_OUTCOMES.includes(observation.outcome)) {
+        throw new Error(`Invalid launch outcome: ${observation.outcome}`);
+      }
+
+      const creators = updateOutcome.all({
+        baseMint: observation.baseMint || null,
+        lpAddress: observation.lpAddress || null,
+        outcome: observation.outcome,
+        outcomeAt: Date.now(),
+        details: observation.details || null
+      }).map(row => row.creator).filter(creator => !isProgramAuthority(creator));
+
+      for (const creator of new Set(creators)) {
+        const reputation = store.getReputation(creator, { launchLimit: 0 });
+        logger.info(`Deployer ${creator}: ${observation.outcome} recorded (${reputation.badLaunches}/${reputation.launches} bad launches)`);
+
+        if (options.autoBlockAfter > 0 && reputation.badLaunches >= options.autoBlockAfter && !reputation.blocklisted) {
+          store.block(creator, `${reputation.badLaunches} bad launches`, 'auto');
+        }
+      }
+
+      return creators;
+    },
+
+    /**
+     * Summarizes a deployer's launches and blocklist status
+     * @param {string} creator - Creator wallet
+     * @param {Object} [options] - { launchLimit } most recent launches included (default 20)
+     * @returns {Object} - Reputation
+     */
+    getReputation(creator, options = {}) {
+      const stats = selectStats.get(creator);
+      const launchLimit = options.launchLimit === undefined ? 20 : options.launchLimit;
+
+      return {
+        creator,
+        launches: stats.launches,
+        rugs: stats.rugs || 0,
+        lpPulls: stats.lpPulls || 0,
+        honeypots: stats.honeypots || 0,
+        badLaunches: stats.badLaunches || 0,
+        firstLaunchAt: stats.firstLaunchAt,
+        lastLaunchAt: stats.lastLaunchAt,
+        blocklisted: rowToEntry(selectEntry.get(creator)),
+        recentLaunches: launchLimit > 0 ? selectLaunches.all(creator, launchLimit) : []
+      };
+    },
+
+    /**
+     * Returns the deployer of the first launch seen for a mint
+     * @param {string} baseMint - Token mint
+     * @returns {string|null} - Creator wallet or null if no launch was seen
+     */
+    findCreator(baseMint) {
+      const row = selectCreator.get(baseMint);
+      return row ? row.creator : null;
+    },
+
+    /**
+     * Returns the blocklist entry of an address
+     * @param {string} address - Wallet or authority
+     * @returns {Object|null} - Entry or null if not blocklisted
+     */
+    getBlocklistEntry(address) {
+      return rowToEntry(selectEntry.get(address));
+    },
+
+    /**
+     * Lists the blocklist, newest first
+     * @returns {Array<Object>} - Entries
+     */
+    listBlocklist() {
+      return db.prepare('SELECT * FROM deployer_blocklist ORDER BY added_at DESC').all().map(rowToEntry);
+    },
+
+    /**
+     * Adds or updates a blocklist entry
+     * @param {string} address - Wallet or authority
+     * @param {string} [reason] - Why it is blocked
+     * @param {string} [source] - 'manual' or 'auto'
+     * @returns {Object} - Entry
+     */
+    block(address, reason = null, source = 'manual') {
+      upsertEntry.run({ address, reason, source, addedAt: Date.now() });
+      logger.warn(`Deployer ${address} blocklisted (${source})${reason ? `: ${reason}` : ''}`);
+      return store.getBlocklistEntry(address);
+    },
+
+    /**
+     * Removes a blocklist entry
+     * @param {string} address - Wallet or authority
+     * @returns {boolean} - True if an entry was removed
+     */
+    unblock(address) {
+      const removed = db.prepare('DELETE FROM deployer_blocklist WHERE address = ?').run(address).changes === 1;
+      if (removed) {
+        logger.info(`Deployer ${address} removed from the blocklist`);
+      }
+      return removed;
+    }
+  };
+
+  return store;
+}
+
+/**
+ * Returns the process-wide store on the shared trade ledger, creating it on first use
+ * @returns {Object} - Store API
+ */
+function getDeployerReputation() {
+  if (!sharedStore) {
+    sharedStore = createDeployerReputation(getTradeLedger().db);
+  }
+
+  return sharedStore;
+}
+
+module.exports = {
+  LAUNCH_OUTCOMES,
+  PROGRAM_AUTHORITIES,
+  isProgramAuthority,
+  createDeployerReputation,
+  getDeployerReputation
+};
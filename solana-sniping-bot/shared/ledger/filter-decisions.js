@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Filter decision audit trail for Solana memecoin sniping bot
+ * Records every verdict token-filter reaches, passed or rejected, with the
+ * per-rule reasons and the token price at the time, then the price the token
+ * traded at after each follow-up checkpoint. The performance analyzer joins
+ * the two to score how often each filter rule rejected a token that went on
+ * to pump.
+ */
+
+const { getTradeLedger } = require('./index');
+
+// Shared store instance per process
+let sharedStore = null;
+
+/**
+ * Converts a filter_decisions row into a decision
+ * @param {Object} row - Database row
+ * @returns {Object} - Decision
+ */
+function rowToDecision(row) {
+  return {
+    decisionId: row.decision_id,
+    baseMint: row.base_mint,
+    quoteMint: row.quote_mint,
+    lpAddress: row.lp_address,
+    poolType: row.pool_type,
+    creator: row.creator,
+    passed: row.passed === 1,
+    score: row.score,
+    minScore: row.min_score,
+    config: row.config,
+    rejectedBy: JSON.parse(row.rejected_by),
+    rules: JSON.parse(row.rules),
+    priceAtDecision: row.price_at_decision,
+    decidedAt: row.decided_at
+  };
+}
+
+/**
+ * Creates a decision store on an open (migrated) ledger database
+ * @param {Database} db - Ledger database
+ * @returns {Object} - Store API
+ */
+function createFilterDecisionStore(db) {
+  const insertDecision = db.prepare(`
+    INSERT OR IGNORE INTO filter_decisions (
+      decision_id, base_mint, quote_mint, lp_address, pool_type, creator, passed,
+      score, min_score, config, rejected_by, rules, price_at_decision, decided_at
+    ) VALUES (
+      @decisionId, @baseMint, @quoteMint, @lpAddress, @poolType, @creator, @passed,
+      @score, @minScore, @config, @rejectedBy, @rules, @priceAtDecision, @decidedAt
+    )
+  `);
+
+  // Decisions more than one checkpoint late are left alone so a restart does
+  // not sample hours-old launches as if they were at their 5 minute mark
+  const selectDue = db.prepare(`
+    SELECT * FROM filter_decisions d
+    WHERE d.price_at_decision IS NOT NULL
+      AND d.decided_at <= @dueBefore AND d.decided_at > @dueAfter
+      AND NOT EXISTS (
+        SELECT 1 FROM filter_decision_prices p
+        WHERE p.decision_id = d.decision_id AND p.checkpoint_minutes = @checkpointMinutes
+      )
+    ORDER BY d.decided_at
+    LIMIT @limit
+  `);
+
+  const insertPrice = db.prepare(`
+    INSERT OR IGNORE INTO filter_decision_prices (decision_id, checkpoint_minutes, price, liquidity, sampled_at)
+    VALUES (@decisionId, @checkpointMinutes, @price, @liquidity, @sampledAt)
+  `);
+
+  const selectPrices = db.prepare(`
+    SELECT checkpoint_minutes AS checkpointMinutes, price, liquidity, sampled_at AS sampledAt
+    FROM filter_decision_prices WHERE decision_id = ? ORDER BY checkpoint_minutes
+  `);
+
+  return {
+    /**
+     * Records a filter verdict
+     * @param {Object} decision - { decisionId, baseMint, quoteMint, lpAddress, poolType, creator, verdict, priceAtDecision }
+     * @returns {boolean} - True if the decision was new
+     */
+    recordDecision(decision) {
+      const { verdict } = decision;
+
+      return insertDecision.run({
+        decisionId: decision.decisionId,
+        baseMint: decision.baseMint,
+        quoteMint: decision.quoteMint,
+        lpAddress: decision.lpAddress,
+        poolType: decision.poolType || null,
+        creator: decision.creator || null,
+        passed: verdict.passed ? 1 : 0,
+        score: verdict.score,
+        minScore: verdict.minScore,
+        config: verdict.config,
+        rejectedBy: JSON.stringify(verdict.rejectedBy),
+        rules: JSON.stringify(verdict.rules),
+        priceAtDecision: decision.priceAtDecision === undefined ? null : decision.priceAtDecision,
+        decidedAt: verdict.evaluatedAt
+      }).changes === 1;
+    },
+
+    /**
+     * Lists decisions whose price is due at a checkpoint
+     * @param {number} checkpointMinutes - Minutes after the decision
+     * @param {Object} [options] - { now, limit }
+     * @returns {Array<Object>} - Decisions, oldest first
+     */
+    listDueForPriceCheck(checkpointMinutes, options = {}) {
+      const now = options.now || Date.now();
+      const windowMs = checkpointMinutes * 60000;
+
+      return selectDue.all({
+        checkpointMinutes,
+        dueBefore: now - windowMs,
+        dueAfter: now - 2 * windowMs,
+        limit: options.limit || 50
+      }).map(rowToDecision);
+    },
+
+    /**
+     * Records the price of a decided token at a checkpoint; null when the pool
+     * could not be priced any more
+     * @param {Object} sample - { decisionId, checkpointMinutes, price, liquidity, sampledAt }
+     */
+    recordPriceCheck(sample) {
+      insertPrice.run({
+        decisionId: sample.decisionId,
+        checkpointMinutes: sample.checkpointMinutes,
+        price: sample.price === undefined ? null : sample.price,
+        liquidity: sample.liquidity === undefined ? null : sample.liquidity,
+        sampledAt: sample.sampledAt || Date.now()
+      });
+    },
+
+    /**
+     * Lists decisions in a time range with their follow-up prices
+     * @param {Object} [filters] - { since, until } (ms)
+     * @returns {Array<Object>} - Decisions with a `prices` array
+     */
+    listDecisions(filters = {}) {
+      const rows = db.prepare(`
+        SELECT * FROM filter_decisions
+        WHERE decided_at >= @since AND decided_at <= @until
+        ORDER BY decided_at
+      `).all({ since: filters.since || 0, until: filters.until || Date.now() });
+
+      return rows.map(row => ({ ...rowToDecision(row), prices: selectPrices.all(row.decision_id) }));
+    }
+  };
+}
+
+/**
+ * Returns the process-wide store on the shared trade ledger, creating it on first use
+ * @returns {Object} - Store API
+ */
+function getFilterDecisionStore() {
+  if (!sharedStore) {
+    sharedStore = createFilterDecisionStore(getTradeLedger().db);
+  }
+
+  return sharedStore;
+}
+
+module.exports = {
+  createFilterDecisionStore,
+  getFilterDecisionStore
+};
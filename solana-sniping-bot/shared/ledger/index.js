@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Durable trade ledger for Solana memecoin sniping bot
+ * Append-only record of every buy and sell attempt (fills, partial fills,
+ * fees and failures) in an embedded SQLite file. Each buy opens its own lot,
+ * identified by its position ID, so re-entries into a mint never overwrite
+ * each other. buy-executor and
+ * sell-manager write to it; sell-manager, profit-tracker and api-server
+ * read the same history through the query API below.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config').default;
+const { createLogger } = require('../logger');
+const migrations = require('./migrations');
+const { aggregateLotsByMint } = require('../utils/position-aggregator');
+
+// Initialize context-specific logger
+const logger = createLogger('trade-ledger');
+
+/**
+ * Trade sides and statuses accepted by the ledger
+ * A 'partial' sell is one rung of a take-profit ladder; a 'filled' sell closes
+ * the position whatever token amount it moved.
+ */
+const TRADE_SIDES = ['buy', 'sell'];
+const TRADE_STATUSES = ['filled', 'partial', 'failed'];
+
+// Column <- trade field mapping for inserts
+const COLUMNS = {
+  trade_id: 'tradeId',
+  position_id: 'positionId',
+  side: 'side',
+  status: 'status',
+  base_mint: 'baseMint',
+  quote_mint: 'quoteMint',
+  lp_address: 'lpAddress',
+  pool_type: 'poolType',
+  signature: 'signature',
+  token_amount: 'tokenAmount',
+  sol_amount: 'solAmount',
+  price: 'price',
+  fee_sol: 'feeSol',
+  profit_loss_sol: 'profitLossSol',
+  profit_loss_percent: 'profitLossPercent',
+  reason: 'reason',
+  error: 'error',
+  is_dry_run: 'isDryRun',
+  timestamp: 'timestamp',
+  metadata: 'metadata'
+};
+
+// Shared ledger instance per process
+let sharedLedger = null;
+
+/**
+ * Applies pending migrations, each in its own transaction
+ * @param {Database} db - Open database
+ * @returns {number} - Schema version after migrating
+ */
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )
+  `);
+
+  const current = db.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations').get().version;
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  for (const migration of migrations) {
+    if (migration.version <= current) {
+      continue;
+    }
+
+    db.transaction(() => {
+      db.exec(migration.up);
+      record.run(migration.version, migration.name, Date.now());
+    })();
+
+    logger.info(`Applied ledger migration ${migration.version}_${migration.name}`);
+  }
+
+  return Math.max(current, ...migrations.map(migration => migration.version));
+}
+
+/**
+ * Converts a trades row into a trade object
+ * @param {Object} row - Database row
+ * @returns {Object} - Trade
+ */
+function rowToTrade(row) {
+  const trade = {};
+
+  for (const [column, field] of Object.entries(COLUMNS)) {
+    trade[field] = row[column];
+  }
+
+  trade.id = row.id;
+  trade.isDryRun = row.is_dry_run === 1;
+  trade.metadata = row.metadata ? JSON.parse(row.metadata) : null;
+
+  return trade;
+}
+
+/**
+ * Builds a WHERE clause from trade query filters
+ * @param {Object} filters - Query filters
+ * @returns {{where: string, params: Object}} - SQL fragment and named parameters
+ */
+function buildWhere(filters = {}) {
+  const clauses = [];
+  const params = {};
+
+  if (filters.baseMint) {
+    clauses.push('base_mint = @baseMint');
+    params.baseMint = filters.baseMint;
+  }
+
+  if (filters.positionId) {
+    clauses.push('position_id = @positionId');
+    params.positionId = filters.positionId;
+  }
+
+  if (filters.side) {
+    clauses.push('side = @side');
+    params.side = filters.side;
+  }
+
+  if (filters.status) {
+    const statuses = Array.isArray(filters.status) ? filters.status : [filters.status];
+    clauses.push(`status IN (${statuses.map((_, i) => `@status${i}`).join(', ')})`);
+    statuses.forEach((status, i) => { params[`status${i}`] = status; });
+  }
+
+  if (typeof filters.isDryRun === 'boolean') {
+    clauses.push('is_dry_run = @isDryRun');
+    params.isDryRun = filters.isDryRun ? 1 : 0;
+  }
+
+  if (filters.since) {
+    clauses.push('timestamp >= @since');
+    params.since = Number(filters.since);
+  }
+
+  if (filters.until) {
+    clauses.push('timestamp <= @until');
+    params.until = Number(filters.until);
+  }
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Opens (and migrates) a trade ledger
+ * @param {Object} [options] - Ledger options
+ * @param {string} [options.path] - SQLite file path
+ * @param {boolean} [options.readonly] - Open read-only (no migrations are run)
+ * @returns {Object} - Ledger API
+ */
+function openTradeLedger(options = {}) {
+  const filePath = options.path || config.LEDGER_PATH;
+  const readonly = options.readonly === true;
+
+  if (!readonly) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const db = new Database(filePath, { readonly, fileMustExist: readonly });
+
+  // Several services share the file: WAL lets readers proceed during writes
+  db.pragma('busy_timeout = 5000');
+  if (!readonly) {
+    db.pragma('journal_mode = WAL');
+    const version = runMigrations(db);
+    logger.info(`Trade ledger open at ${filePath} (schema v${version})`);
+  }
+
+  const insertTrade = readonly ? null : db.prepare(`
+    INSERT OR IGNORE INTO trades (${Object.keys(COLUMNS).join(', ')})
+    VALUES (${Object.values(COLUMNS).map(field => `@${field}`).join(', ')})
+  `);
+
+  const selectPositionTrades = db.prepare('SELECT * FROM trades WHERE position_id = ? ORDER BY timestamp ASC, id ASC');
+
+  const ledger = {
+    db,
+
+    /**
+     * Appends a trade; recording the same tradeId twice is a no-op so
+     * redelivered messages cannot double-count
+     * @param {Object} trade - Trade (camelCase fields of the trades table)
+     * @returns {boolean} - True if the trade was inserted
+     */
+    recordTrade(trade) {
+      if (readonly) {
+        throw new Error('Trade ledger is open read-only');
+      }
+
+      if (!trade.tradeId || !trade.baseMint) {
+        throw new Error('Trade requires tradeId and baseMint');
+      }
+
+      if (!TRADE_SIDES.includes(trade.side)) {
+        throw new Error(`Invalid trade side: ${trade.side}`);
+      }
+
+      if (!TRADE_STATUSES.includes(trade.status)) {
+        throw new Error(`Invalid trade status: ${trade.status}`);
+      }
+
+      const row = {};
+      for (const field of Object.values(COLUMNS)) {
+        row[field] = trade[field] === undefined ? null : trade[field];
+      }
+      row.isDryRun = trade.isDryRun ? 1 : 0;
+      row.timestamp = trade.timestamp || Date.now();
+      row.metadata = trade.metadata ? JSON.stringify(trade.metadata) : null;
+      if (typeof row.tokenAmount === 'bigint' || typeof row.tokenAmount === 'string') {
+        row.tokenAmount = Number(row.tokenAmount);
+      }
+
+      return insertTrade.run(row).changes === 1;
+    },
+
+    /**
+     * Looks up a single trade
+     * @param {string} tradeId - Trade ID
+     * @returns {Object|null} - Trade or null
+     */
+    getTrade(tradeId) {
+      const row = db.prepare('SELECT * FROM trades WHERE trade_id = ?').get(tradeId);
+      return row ? rowToTrade(row) : null;
+    },
+
+    /**
+     * Queries trades, newest first by default
+     * @param {Object} [filters] - baseMint, positionId, side, status, isDryRun, since, until
+     * @param {Object} [page] - { limit, offset, order: 'asc'|'desc' }
+     * @returns {Array<Object>} - Trades
+     */
+    queryTrades(filters = {}, page = {}) {
+      const { where, params } = buildWhere(filters);
+      const order = page.order === 'asc' ? 'ASC' : 'DESC';
+      const limit = Math.min(parseInt(page.limit || 100, 10), 10000);
+      const offset = parseInt(page.offset || 0, 10);
+
+      return db.prepare(`
+        SELECT * FROM trades ${where}
+        ORDER BY timestamp ${order}, id ${order}
+        LIMIT ${limit} OFFSET ${offset}
+      `).all(params).map(rowToTrade);
+    },
+
+    /**
+     * Returns every trade of one position in execution order
+     * @param {string} positionId - Position ID
+     * @returns {Array<Object>} - Trades
+     */
+    getPositionTrades(positionId) {
+      return selectPositionTrades.all(positionId).map(rowToTrade);
+    },
+
+    /**
+     * Lists positions with tokens still held according to the ledger
+     * A position stays open until a closing ('filled') sell; partial exits
+     * only reduce what remains.
+     * @param {Object} [filters] - { isDryRun }
+     * @returns {Array<Object>} - Open positions with the opening buy, remaining amount and realized P/L
+     */
+    getOpenPositions(filters = {}) {
+      const { where, params } = buildWhere({ isDryRun: filters.isDryRun, status: ['filled', 'partial'] });
+
+      return db.prepare(`
+        SELECT
+          position_id AS positionId,
+          base_mint AS baseMint,
+          MIN(CASE WHEN side = 'buy' THEN timestamp END) AS openedAt,
+          SUM(CASE WHEN side = 'buy' THEN token_amount ELSE 0 END) AS boughtTokens,
+          SUM(CASE WHEN side = 'sell' THEN token_amount ELSE 0 END) AS soldTokens,
+          SUM(CASE WHEN side = 'buy' THEN sol_amount ELSE 0 END) AS investedSol,
+          SUM(CASE WHEN side = 'sell' THEN sol_amount ELSE 0 END) AS returnedSol,
+          COALESCE(SUM(CASE WHEN side = 'sell' THEN profit_loss_sol END), 0) AS realizedProfitLossSol,
+          SUM(CASE WHEN side = 'sell' AND status = 'partial' THEN 1 ELSE 0 END) AS partialExits,
+          SUM(CASE WHEN side = 'sell' AND status = 'filled' THEN 1 ELSE 0 END) AS closingExits
+        FROM trades ${where} ${where ? 'AND' : 'WHERE'} position_id IS NOT NULL
+        GROUP BY position_id, base_mint
+        HAVING boughtTokens > soldTokens AND closingExits = 0
+        ORDER BY openedAt ASC
+      `).all(params).map(({ closingExits, ...position }) => ({
+        ...position,
+        remainingTokens: position.boughtTokens - position.soldTokens,
+        openingTrade: selectPositionTrades.all(position.positionId).map(rowToTrade).find(trade => trade.side === 'buy') || null
+      }));
+    },
+
+    /**
+     * Aggregates the open lots of each mint into one view with a
+     * weighted-average entry price
+     * @param {Object} [filters] - { isDryRun }
+     * @returns {Object<string, Object>} - Aggregated positions keyed by mint, each with its lots
+     */
+    getMintAggregates(filters = {}) {
+      const lots = ledger.getOpenPositions(filters).map(position => {
+        const buy = position.openingTrade || {};
+        const remainingShare = position.boughtTokens > 0 ? position.remainingTokens / position.boughtTokens : 0;
+
+        return {
+          positionId: position.positionId,
+          baseMint: position.baseMint,
+          tokenAmount: position.remainingTokens,
+          amountInSol: position.investedSol * remainingShare,
+          buyPrice: buy.price || 0,
+          buyTimestamp: position.openedAt
+        };
+      });
+
+      const aggregates = aggregateLotsByMint(lots);
+      for (const aggregate of Object.values(aggregates)) {
+        aggregate.lots = lots.filter(lot => lot.baseMint === aggregate.baseMint);
+      }
+
+      return aggregates;
+    },
+
+    /**
+     * Aggregates trade counts, volumes, fees and realized P/L
+     * @param {Object} [filters] - Same filters as queryTrades
+     * @returns {Object} - Summary
+     */
+    getSummary(filters = {}) {
+      const { where, params } = buildWhere(filters);
+
+      return db.prepare(`
+        SELECT
+          COUNT(*) AS totalTrades,
+          SUM(CASE WHEN side = 'buy' AND status != 'failed' THEN 1 ELSE 0 END) AS buys,
+          SUM(CASE WHEN side = 'sell' AND status != 'failed' THEN 1 ELSE 0 END) AS sells,
+          SUM(CASE WHEN status = 'partial' THEN 1 ELSE 0 END) AS partialFills,
+          SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed,
+          COALESCE(SUM(CASE WHEN side = 'buy' AND status != 'failed' THEN sol_amount END), 0) AS investedSol,
+          COALESCE(SUM(CASE WHEN side = 'sell' AND status != 'failed' THEN sol_amount END), 0) AS returnedSol,
+          COALESCE(SUM(CASE WHEN side = 'sell' AND status != 'failed' THEN profit_loss_sol END), 0) AS realizedProfitLossSol,
+          COALESCE(SUM(fee_sol), 0) AS feesSol
+        FROM trades ${where}
+      `).get(params);
+    },
+
+    /**
+     * Closes the database
+     */
+    close() {
+      db.close();
+    }
+  };
+
+  return ledger;
+}
+
+/**
+ * Returns the process-wide ledger at config.LEDGER_PATH, opening it on first use
+ * @returns {Object} - Ledger API
+ */
+function getTradeLedger() {
+  if (!sharedLedger) {
+    sharedLedger = openTradeLedger();
+  }
+
+  return sharedLedger;
+}
+
+module.exports = {
+  TRADE_SIDES,
+  TRADE_STATUSES,
+  openTradeLedger,
+  getTradeLedger
+};
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Trade ledger schema migrations
+ * Migrations are applied in order and recorded in schema_migrations.
+ * Never edit a migration that has shipped; append a new one instead.
+ */
+
+module.exports = [
+  {
+    version: 1,
+    name: 'create_trades',
+    up: `
+      CREATE TABLE trades (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_id TEXT NOT NULL UNIQUE,
+        position_id TEXT,
+        side TEXT NOT NULL CHECK (side IN ('buy', 'sell')),
+        status TEXT NOT NULL CHECK (status IN ('filled', 'partial', 'failed')),
+        base_mint TEXT NOT NULL,
+        quote_mint TEXT,
+        lp_address TEXT,
+        pool_type TEXT,
+        signature TEXT,
+        token_amount INTEGER,
+        sol_amount REAL,
+        price REAL,
+        fee_sol REAL,
+        profit_loss_sol REAL,
+        profit_loss_percent REAL,
+        reason TEXT,
+        error TEXT,
+        is_dry_run INTEGER NOT NULL DEFAULT 0,
+        timestamp INTEGER NOT NULL,
+        metadata TEXT
+      );
+
+      CREATE INDEX idx_trades_timestamp ON trades (timestamp);
+      CREATE INDEX idx_trades_base_mint ON trades (base_mint, timestamp);
+      CREATE INDEX idx_trades_position ON trades (position_id, timestamp);
+      CREATE INDEX idx_trades_side_status ON trades (side, status, timestamp);
+
+      CREATE TRIGGER trades_append_only_update BEFORE UPDATE ON trades
+      BEGIN
+        SELECT RAISE(ABORT, 'trades ledger is append-only');
+      END;
+
+      CREATE TRIGGER trades_append_only_delete BEFORE DELETE ON trades
+      BEGIN
+        SELECT RAISE(ABORT, 'trades ledger is append-only');
+      END;
+    `
+  },
+  {
+    version: 2,
+    name: 'create_deployer_reputation',
+    up: `
+      CREATE TABLE deployer_launches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        creator TEXT NOT NULL,
+        base_mint TEXT NOT NULL,
+        lp_address TEXT NOT NULL UNIQUE,
+        pool_type TEXT,
+        launched_at INTEGER NOT NULL,
+        outcome TEXT CHECK (outcome IN ('rug', 'lp_pull', 'honeypot')),
+        outcome_at INTEGER,
+        outcome_details TEXT
+      );
+
+      CREATE INDEX idx_deployer_launches_creator ON deployer_launches (creator, launched_at);
+      CREATE INDEX idx_deployer_launches_base_mint ON deployer_launches (base_mint);
+
+      CREATE TABLE deployer_blocklist (
+        address TEXT PRIMARY KEY,
+        reason TEXT,
+        source TEXT NOT NULL CHECK (source IN ('manual', 'auto')),
+        added_at INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 3,
+    name: 'create_filter_decisions',
+    up: `
+      CREATE TABLE filter_decisions (
+        decision_id TEXT PRIMARY KEY,
+        base_mint TEXT NOT NULL,
+        quote_mint TEXT NOT NULL,
+        lp_address TEXT NOT NULL,
+        pool_type TEXT,
+        creator TEXT,
+        passed INTEGER NOT NULL,
+        score REAL NOT NULL,
+        min_score REAL NOT NULL,
+        config TEXT NOT NULL,
+        rejected_by TEXT NOT NULL,
+        rules TEXT NOT NULL,
+        price_at_decision REAL,
+        decided_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_filter_decisions_decided_at ON filter_decisions (decided_at);
+      CREATE INDEX idx_filter_decisions_base_mint ON filter_decisions (base_mint);
+
+      CREATE TABLE filter_decision_prices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        decision_id TEXT NOT NULL REFERENCES filter_decisions (decision_id),
+        checkpoint_minutes INTEGER NOT NULL,
+        price REAL,
+        liquidity REAL,
+        sampled_at INTEGER NOT NULL,
+        UNIQUE (decision_id, checkpoint_minutes)
+      );
+    `
+  }
+];
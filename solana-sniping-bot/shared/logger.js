@@ -17,6 +17,13 @@ const DEBUG = process.env.DEBUG === 'true';
 const LOG_FILE_MAX_SIZE = parseInt(process.env.LOG_FILE_MAX_SIZE || '10485760', 10); // 10MB
 const LOG_MAX_FILES = parseInt(process.env.LOG_MAX_FILES || '5', 10);
 
+// Levels setLogLevel accepts, most to least severe
+const LOG_LEVELS = Object.keys(winston.config.npm.levels);
+
+// Context loggers created so far, so setLogLevel can reach all of them
+const contextLoggers = new Set();
+let currentLevel = LOG_LEVEL;
+
 // Ensure logs directory exists
 const logsDir = path.join(process.cwd(), 'logs');
 if (!fs.existsSync(logsDir)) {
@@ -72,7 +79,7 @@ const consoleFormat = format.printf(({ timestamp, level, message, context, ...re
 function createContextLogger(context) {
   // Base logger configuration
   const logger = createLogger({
-    level: LOG_LEVEL,
+    level: currentLevel,
     format: format.combine(
       format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
       format.metadata({ fillExcept: ['message', 'level', 'timestamp', 'label'] }),
@@ -105,9 +112,27 @@ function createContextLogger(context) {
     ]
   });
 
+  contextLoggers.add(logger);
   return logger;
 }
 
+/**
+ * Changes the level of every context logger in the process, and of those
+ * created later (transaction loggers always log at info)
+ * @param {string} level - One of LOG_LEVELS
+ * @throws {Error} - If the level is unknown
+ */
+function setLogLevel(level) {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level ${level} (${LOG_LEVELS.join(', ')})`);
+  }
+
+  currentLevel = level;
+  for (const logger of contextLoggers) {
+    logger.level = level;
+  }
+}
+
 /**
  * Creates a transaction-specific logger for detailed tx logging
  * @param {string} context - The context (service name)
@@ -156,6 +181,8 @@ function createTransactionLogger(context) {
 
 // Export the functions
 module.exports = {
+  LOG_LEVELS,
   createLogger: createContextLogger,
-  createTransactionLogger
+  createTransactionLogger,
+  setLogLevel
 };
@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Inter-service message contracts for Solana memecoin sniping bot
+ * Declares the payload of every REDIS_CHANNELS stream and pub/sub channel,
+ * stamps outgoing messages with a schema version and validates them on both
+ * the publishing and the consuming side.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { REDIS_CHANNELS, SERVICE_NAMES, COMMAND_TYPES } = require('./constants');
+
+/**
+ * Version stamped on every message as `schemaVersion`
+ * Bump it (and keep accepting the previous version) when a contract changes
+ * incompatibly
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Oldest version consumers still accept
+ */
+const MIN_SUPPORTED_VERSION = 1;
+
+/**
+ * Raised when a message does not satisfy its channel's contract
+ */
+class MessageValidationError extends Error {
+  /**
+   * @param {string} channel - Channel or stream key
+   * @param {Array<string>} errors - Validation failures
+   */
+  constructor(channel, errors) {
+    super(`Invalid ${channel} message: ${errors.join('; ')}`);
+    this.name = 'MessageValidationError';
+    this.channel = channel;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks that a value is a base58 Solana public key
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+function isAddress(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  try {
+    new PublicKey(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Type checks for field specs
+ */
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string' && value.length > 0,
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  address: isAddress,
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+// Field spec shorthands: { type, optional?, oneOf? }; optional fields may also be null
+const required = (type, extra = {}) => ({ type, ...extra });
+const optional = (type, extra = {}) => ({ type, optional: true, ...extra });
+
+/**
+ * Fields shared by NEW_POOLS and POTENTIAL_BUYS
+ */
+const POOL_FIELDS = {
+  event: required('string', { oneOf: ['create'] }),
+  protocol: required('string'),
+  poolType: required('string'),
+  lpAddress: required('address'),
+  baseMint: required('address'),
+  quoteMint: required('address'),
+  baseVault: optional('address'),
+  quoteVault: optional('address'),
+  creator: optional('address'),
+  migratedFrom: optional('string'),
+  detector: required('string'),
+  programId: required('address'),
+  signature: required('string'),
+  slot: optional('number'),
+  timestamp: required('number'),
+  detectionMethod: optional('string')
+};
+
+/**
+ * Payload contract per channel
+ */
+const MESSAGE_SCHEMAS = {
+  [REDIS_CHANNELS.NEW_POOLS]: POOL_FIELDS,
+
+  [REDIS_CHANNELS.POOL_MIGRATIONS]: {
+    event: required('string', { oneOf: ['migration'] }),
+    protocol: required('string'),
+    baseMint: required('address'),
+    quoteMint: required('address'),
+    fromPoolType: required('string'),
+    fromLpAddress: optional('address'),
+    poolType: required('string'),
+    lpAddress: optional('address'), // Null until the destination pool exists
+    detector: required('string'),
+    programId: required('address'),
+    signature: required('string'),
+    slot: optional('number'),
+    timestamp: required('number'),
+    detectionMethod: optional('string')
+  },
+
+  [REDIS_CHANNELS.POTENTIAL_BUYS]: {
+    ...POOL_FIELDS,
+    metadata: optional('object'),
+    holderDistribution: optional('object'), // Top-10 and creator shares from token-filter
+    lpLock: optional('object'), // LP burned/locked/deployer shares from token-filter
+    sellSimulation: optional('object'), // Simulated round-trip loss and effective sell tax
+    filterVerdict: optional('object'), // Per-rule verdicts, score and evidence from token-filter
+    exitRules: optional('object') // Per-position exit rule overrides
+  },
+
+  [REDIS_CHANNELS.FILTER_DECISIONS]: {
+    decisionId: required('string'),
+    baseMint: required('address'),
+    quoteMint: required('address'),
+    lpAddress: required('address'),
+    poolType: required('string'),
+    creator: optional('address'),
+    passed: required('boolean'),
+    score: required('number'),
+    minScore: required('number'),
+    config: required('string'), // Filter config id (name@version)
+    rejectedBy: required('array'), // Failed required rules, gate or 'minScore'
+    rules: required('array'), // { name, verdict, score, weight, required, reason, evidence }
+    priceAtDecision: optional('number'),
+    timestamp: required('number')
+  },
+
+  [REDIS_CHANNELS.SUCCESSFUL_BUYS]: {
+    txId: required('string'),
+    positionId: optional('string'),
+    signature: required('string'),
+    baseMint: required('address'),
+    quoteMint: required('address'),
+    lpAddress: required('address'),
+    poolType: required('string'),
+    amountInSol: required('number'), // All-in cost (fees and rent included) for live fills
+    tokenAmount: required('number'), // Raw token units
+    buyPrice: required('number'), // 0 when not known yet; sell-manager re-prices
+    tokenDecimals: optional('number'),
+    feeSol: optional('number'),
+    rentSol: optional('number'),
+    fillSource: optional('string', { oneOf: ['transaction', 'quote'] }),
+    exitRules: optional('object'),
+    baseVault: optional('address'), // Pool's token account, left out of holder shares
+    buyTimestamp: required('number'),
+    timestamp: required('number'),
+    isDryRun: required('boolean')
+  },
+
+  [REDIS_CHANNELS.SUCCESSFUL_SELLS]: {
+    txId: required('string'),
+    positionId: optional('string'),
+    signature: required('string'),
+    baseMint: required('address'),
+    tokenAmount: required('number'),
+    soldForSol: required('number'), // Net of fees for live fills
+    boughtForSol: required('number'),
+    profitLossSol: required('number'),
+    profitLossPercent: required('number'),
+    sellPrice: optional('number'),
+    feeSol: optional('number'),
+    fillSource: optional('string', { oneOf: ['transaction', 'quote'] }),
+    exitRule: optional('string'), // Sell rule that triggered the exit
+    strategy: optional('string'), // Strategy id (name@version) stamped on the position at entry
+    managedBy: optional('string'), // Strategy id that made the exit (differs after a strategy change)
+    isPartial: optional('boolean'), // Take-profit ladder rung; the position stays open
+    remainingTokenAmount: optional('number'),
+    timestamp: required('number'),
+    isDryRun: required('boolean')
+  },
+
+  [REDIS_CHANNELS.HEARTBEATS]: {
+    service: required('string'),
+    timestamp: required('number'),
+    dryRun: optional('boolean'),
+    activePositions: optional('number'),
+    activeMints: optional('number'),
+    queue: optional('object'), // Work queue depth and counters (token-filter)
+    risk: optional('object') // Risk gate pause flag, exposure and limits (buy-executor)
+  },
+
+  [REDIS_CHANNELS.COMMANDS]: {
+    commandId: required('string'), // Correlation ID echoed by every ack
+    command: required('string', { oneOf: COMMAND_TYPES }),
+    target: required('string', { oneOf: [...SERVICE_NAMES, 'all'] }),
+    args: optional('object'), // Command arguments (level, mint)
+    reason: optional('string'),
+    issuedBy: optional('string'),
+    timestamp: required('number')
+  },
+
+  [REDIS_CHANNELS.COMMAND_ACKS]: {
+    commandId: required('string'),
+    service: required('string'),
+    command: required('string', { oneOf: COMMAND_TYPES }),
+    status: required('string', { oneOf: ['ok', 'failed', 'unsupported'] }),
+    result: optional('object'),
+    error: optional('string'),
+    timestamp: required('number')
+  }
+};
+
+/**
+ * Checks whether a channel has a declared contract
+ * @param {string} channel - Channel or stream key
+ * @returns {boolean} - True if messages on it are validated
+ */
+function hasSchema(channel) {
+  return Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, channel);
+}
+
+/**
+ * Validates a message against its channel's contract
+ * Fields not declared in the schema are allowed so producers can add
+ * information without breaking older consumers.
+ * @param {string} channel - Channel or stream key
+ * @param {Object} message - Parsed message
+ * @returns {{valid: boolean, errors: Array<string>}} - Validation result
+ */
+function validateMessage(channel, message) {
+  const schema = MESSAGE_SCHEMAS[channel];
+  const errors = [];
+
+  if (!schema) {
+    return { valid: false, errors: [`no schema for channel ${channel}`] };
+  }
+
+  if (!TYPE_CHECKS.object(message)) {
+    return { valid: false, errors: ['message is not an object'] };
+  }
+
+  const version = message.schemaVersion;
+  if (!Number.isInteger(version) || version < MIN_SUPPORTED_VERSION || version > SCHEMA_VERSION) {
+    errors.push(`unsupported schemaVersion ${version}`);
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = message[field];
+
+    if (value === undefined || value === null) {
+      if (!spec.optional) {
+        errors.push(`${field} is required`);
+      }
+      continue;
+    }
+
+    if (!TYPE_CHECKS[spec.type](value)) {
+      errors.push(`${field} must be ${spec.type === 'address' ? 'a Solana address' : `a ${spec.type}`}`);
+      continue;
+    }
+
+    if (spec.oneOf && !spec.oneOf.includes(value)) {
+      errors.push(`${field} must be one of ${spec.oneOf.join(', ')}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Stamps a payload with the current schema version and validates it
+ * Publishers call this before sending so invalid messages never leave the service.
+ * @param {string} channel - Channel or stream key
+ * @param {Object} payload - Message payload
+ * @returns {Object} - Versioned message
+ * @throws {MessageValidationError} - If the payload breaks the contract
+ */
+function createMessage(channel, payload) {
+  const message = { ...payload, schemaVersion: SCHEMA_VERSION };
+  const { valid, errors } = validateMessage(channel, message);
+
+  if (!valid) {
+    throw new MessageValidationError(channel, errors);
+  }
+
+  return message;
+}
+
+/**
+ * Parses and validates a received message
+ * @param {string} channel - Channel or stream key
+ * @param {string} raw - JSON string as received
+ * @returns {Object} - Validated message
+ * @throws {MessageValidationError} - If the message is not JSON or breaks the contract
+ */
+function parseMessage(channel, raw) {
+  let message;
+
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    throw new MessageValidationError(channel, [`malformed JSON: ${error.message}`]);
+  }
+
+  const { valid, errors } = validateMessage(channel, message);
+
+  if (!valid) {
+    throw new MessageValidationError(channel, errors);
+  }
+
+  return message;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIN_SUPPORTED_VERSION,
+  MESSAGE_SCHEMAS,
+  MessageValidationError,
+  hasSchema,
+  validateMessage,
+  createMessage,
+  parseMessage
+};
@@ -1,14 +1,35 @@
 /**
  * @fileoverview Redis connection helper for Solana memecoin sniping bot
  * Creates Redis clients with proper connection handling for Docker environment
+ * and carries the inter-service hops over Redis Streams: every service reads
+ * through its own consumer group, acknowledges what it handled, reclaims
+ * entries a crashed consumer left pending and dead-letters poison messages.
+ * Messages on channels with a contract in message-schemas are validated
+ * before they are sent and quarantined on receipt if they break it.
  */
 
+const os = require('os');
 const Redis = require('ioredis');
 const { createLogger } = require('./logger');
+const { REDIS_CHANNELS } = require('./constants');
+const { hasSchema, createMessage, parseMessage, MessageValidationError } = require('./message-schemas');
 
 // Initialize logger
 const logger = createLogger('redis-helper');
 
+/**
+ * Stream tuning, overridable per consumer
+ */
+const STREAM_DEFAULTS = {
+  maxLen: parseInt(process.env.REDIS_STREAM_MAXLEN || '10000', 10), // Approximate cap per stream
+  batchSize: 10,
+  blockMs: 5000,
+  claimIdleMs: parseInt(process.env.REDIS_STREAM_CLAIM_IDLE_MS || '30000', 10), // Pending this long = consumer gone
+  reclaimIntervalMs: 15000,
+  concurrency: 1, // Entries handled at once; more are left unread in the stream
+  maxDeliveries: parseInt(process.env.REDIS_STREAM_MAX_DELIVERIES || '5', 10) // Then dead-lettered
+};
+
 /**
  * Creates a new Redis client with proper retry strategy
  * @param {Object} options - Redis connection options
@@ -84,8 +105,448 @@ function createPublisher(context = 'publisher') {
   }, context);
 }
 
+/**
+ * Converts a flat [field, value, ...] stream entry into an object
+ * @param {Array<string>} fields - Entry fields
+ * @returns {Object} - Field map
+ */
+function fieldsToObject(fields) {
+  const entry = {};
+  
+  for (let i = 0; i < fields.length; i += 2) {
+    entry[fields[i]] = fields[i + 1];
+  }
+  
+  return entry;
+}
+
+/**
+ * Serializes a message, stamping and validating it if its channel has a contract
+ * @param {string} channel - Channel or stream key
+ * @param {Object|string} message - Message object or JSON string
+ * @returns {string} - JSON string
+ * @throws {MessageValidationError} - If the message breaks its contract
+ */
+function serializeMessage(channel, message) {
+  if (!hasSchema(channel)) {
+    return typeof message === 'string' ? message : JSON.stringify(message);
+  }
+  
+  const payload = typeof message === 'string' ? JSON.parse(message) : message;
+  return JSON.stringify(createMessage(channel, payload));
+}
+
+/**
+ * Appends a message to a stream, trimming it to roughly maxLen entries
+ * @param {Redis} client - Redis client
+ * @param {string} stream - Stream key (a REDIS_CHANNELS name)
+ * @param {Object|string} message - Message, serialized to JSON if not a string
+ * @param {number} [maxLen] - Approximate stream length cap
+ * @returns {Promise<string>} - Entry ID
+ * @throws {MessageValidationError} - If the message breaks its contract (nothing is sent)
+ */
+async function publishToStream(client, stream, message, maxLen = STREAM_DEFAULTS.maxLen) {
+  const data = serializeMessage(stream, message);
+  
+  return client.xadd(stream, 'MAXLEN', '~', maxLen, '*', 'data', data);
+}
+
+/**
+ * Publishes a message on a pub/sub channel
+ * @param {Redis} client - Redis client
+ * @param {string} channel - Channel name (a REDIS_CHANNELS name)
+ * @param {Object|string} message - Message, serialized to JSON if not a string
+ * @returns {Promise<number>} - Number of subscribers that received it
+ * @throws {MessageValidationError} - If the message breaks its contract (nothing is sent)
+ */
+async function publishToChannel(client, channel, message) {
+  return client.publish(channel, serializeMessage(channel, message));
+}
+
+/**
+ * Creates a consumer group on a stream (and the stream itself) if missing
+ * A new group reads the stream from its first entry by default, so entries
+ * published before the consuming service first started (a buy recorded while
+ * sell-manager was not deployed yet) are still delivered.
+ * @param {Redis} client - Redis client
+ * @param {string} stream - Stream key
+ * @param {string} group - Consumer group name
+ * @param {string} [startId] - Where a new group starts reading ('0' = every entry, '$' = new entries only)
+ * @returns {Promise<void>}
+ */
+async function ensureConsumerGroup(client, stream, group, startId = '0') {
+  try {
+    await client.xgroup('CREATE', stream, group, startId, 'MKSTREAM');
+    logger.info(`Created consumer group ${group} on ${stream}`);
+  } catch (error) {
+    // BUSYGROUP: the group already exists and keeps its position
+    if (!error.message.includes('BUSYGROUP')) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Creates a consumer that reads one or more streams through a consumer group
+ * The handler receives the validated message object (the raw string for
+ * streams without a contract) and entry metadata. Entries that break their
+ * contract never reach the handler: they are copied to the quarantine
+ * stream, counted in the `stats:quarantined` hash and acknowledged. An entry is
+ * acknowledged once the handler resolves; if it throws, the entry stays
+ * pending and is redelivered by the reclaim loop until maxDeliveries, after
+ * which it is moved to the dead-letter stream.
+ * @param {Object} options - Consumer options
+ * @param {string} options.group - Consumer group (normally the service name)
+ * @param {Array<string>} options.streams - Stream keys to read
+ * @param {Function} options.handler - async (message, { stream, id, deliveries }) => void
+ * @param {string} [options.consumer] - Consumer name, stable across restarts of the same host
+ * @param {number} [options.concurrency] - Entries handled at once (default 1, in order)
+ * @param {string} [options.startId] - Where new groups start reading (default '0', see ensureConsumerGroup)
+ * @param {string} [options.context] - Logging context
+ * @returns {{start: Function, pause: Function, resume: Function, drain: Function, stop: Function}} - Consumer controls
+ */
+function createStreamConsumer(options) {
+  const { group, streams, handler } = options;
+  const context = options.context || group;
+  const consumer = options.consumer || `${group}-${os.hostname()}`;
+  const settings = { ...STREAM_DEFAULTS, ...options };
+  const consumerLogger = createLogger(context);
+  
+  // Blocking reads hold their connection, so acks and claims use a second one
+  const reader = createRedisClient({ connectionName: `${context}-stream-reader` }, context);
+  const client = createRedisClient({ connectionName: `${context}-stream-client` }, context);
+  
+  // Last handler error per entry ID, recorded on dead-lettering
+  const lastErrors = new Map();
+  
+  // Entries being handled; reading pauses while the window is full
+  const inFlight = new Set();
+  
+  // Stream and ID of every entry dispatched and not finished yet, queued for
+  // a window slot or being handled, so the reclaim loop never runs it twice
+  const dispatched = new Set();
+  let running = false;
+  let paused = false;
+  let reclaiming = false;
+  let reclaimInterval = null;
+  let reading = Promise.resolve();
+  
+  /**
+   * Runs the handler for one entry and acknowledges it on success
+   * @param {string} stream - Stream key
+   * @param {string} id - Entry ID
+   * @param {Array<string>|null} fields - Entry fields (null if trimmed while pending)
+   * @param {number} deliveries - Delivery count including this one
+   */
+  async function processEntry(stream, id, fields, deliveries) {
+    if (!fields) {
+      // Trimmed away before it was handled, nothing left to deliver
+      await client.xack(stream, group, id);
+      return;
+    }
+    
+    const { data } = fieldsToObject(fields);
+    let message = data;
+    
+    if (hasSchema(stream)) {
+      try {
+        message = parseMessage(stream, data);
+      } catch (error) {
+        await quarantine(stream, id, data, error);
+        return;
+      }
+    }
+    
+    try {
+      await handler(message, { stream, id, deliveries });
+      await client.xack(stream, group, id);
+      lastErrors.delete(id);
+    } catch (error) {
+      lastErrors.set(id, error.message);
+      consumerLogger.warn(`Failed to handle ${stream} entry ${id} (delivery ${deliveries}/${settings.maxDeliveries}): ${error.message}`);
+    }
+  }
+  
+  /**
+   * Starts handling an entry once the in-flight window has room
+   * @param {string} stream - Stream key
+   * @param {string} id - Entry ID
+   * @param {Array<string>|null} fields - Entry fields
+   * @param {number} deliveries - Delivery count including this one
+   */
+  async function dispatchEntry(stream, id, fields, deliveries) {
+    const key = `${stream}:${id}`;
+    dispatched.add(key);
+    
+    while (inFlight.size >= settings.concurrency) {
+      await Promise.race(inFlight);
+    }
+    
+    const task = processEntry(stream, id, fields, deliveries)
+      .catch(error => {
+        // Counts as a failed delivery, so the reclaim loop retries it
+        lastErrors.set(id, error.message);
+        consumerLogger.error(`Error processing ${stream} entry ${id}: ${error.message}`);
+      })
+      .finally(() => {
+        inFlight.delete(task);
+        dispatched.delete(key);
+      });
+    
+    inFlight.add(task);
+  }
+  
+  /**
+   * Moves an entry that breaks its contract to the quarantine stream
+   * @param {string} stream - Source stream
+   * @param {string} id - Entry ID
+   * @param {string} data - Raw message
+   * @param {MessageValidationError} error - Validation failure
+   */
+  async function quarantine(stream, id, data, error) {
+    const errors = error instanceof MessageValidationError ? error.errors : [error.message];
+    
+    await client.xadd(
+      REDIS_CHANNELS.QUARANTINE, 'MAXLEN', '~', settings.maxLen, '*',
+      'stream', stream,
+      'id', id,
+      'group', group,
+      'errors', JSON.stringify(errors),
+      'data', data || ''
+    );
+    await client.hincrby('stats:quarantined', stream, 1);
+    await client.xack(stream, group, id);
+    
+    consumerLogger.warn(`Quarantined ${stream} entry ${id}: ${errors.join('; ')}`);
+  }
+  
+  /**
+   * Dispatches the entries of an XREADGROUP reply
+   * @param {Array} reply - [[stream, [[id, fields], ...]], ...]
+   * @param {number} deliveries - Delivery count to report
+   * @returns {Promise<number>} - Number of entries dispatched
+   */
+  async function processReply(reply, deliveries) {
+    let count = 0;
+    
+    for (const [stream, entries] of reply || []) {
+      for (const [id, fields] of entries) {
+        await dispatchEntry(stream, id, fields, deliveries);
+        count++;
+      }
+    }
+    
+    return count;
+  }
+  
+  /**
+   * Replays entries delivered to this consumer before a restart but never acked
+   */
+  async function drainOwnPending() {
+    for (const stream of streams) {
+      let startId = '0';
+      
+      while (running) {
+        const reply = await reader.xreadgroup(
+          'GROUP', group, consumer,
+          'COUNT', settings.batchSize,
+          'STREAMS', stream, startId
+        );
+        const entries = reply ? reply[0][1] : [];
+        
+        if (entries.length === 0) {
+          break;
+        }
+        
+        consumerLogger.info(`Replaying ${entries.length} pending ${stream} entries`);
+        await processReply(reply, 2);
+        startId = entries[entries.length - 1][0];
+      }
+    }
+  }
+  
+  /**
+   * Moves an entry that keeps failing to the dead-letter stream
+   * @param {string} stream - Source stream
+   * @param {string} id - Entry ID
+   * @param {number} deliveries - Delivery count so far
+   */
+  async function deadLetter(stream, id, deliveries) {
+    const [entry] = await client.xrange(stream, id, id);
+    const data = entry ? fieldsToObject(entry[1]).data : null;
+    
+    await client.xadd(
+      REDIS_CHANNELS.DEAD_LETTER, 'MAXLEN', '~', settings.maxLen, '*',
+      'stream', stream,
+      'id', id,
+      'group', group,
+      'consumer', consumer,
+      'deliveries', String(deliveries),
+      'error', lastErrors.get(id) || 'unknown',
+      'data', data || ''
+    );
+    await client.xack(stream, group, id);
+    lastErrors.delete(id);
+    
+    consumerLogger.error(`Dead-lettered ${stream} entry ${id} after ${deliveries} deliveries`);
+  }
+  
+  /**
+   * Claims entries idle past claimIdleMs and retries or dead-letters them.
+   * Entries of other consumers are taken over; this consumer's own are only
+   * retried after their handler failed, never while they are still queued or
+   * being handled (idle only means nobody acked them yet).
+   */
+  async function reclaimPending() {
+    if (reclaiming || !running || paused) {
+      return;
+    }
+    
+    reclaiming = true;
+    
+    try {
+      for (const stream of streams) {
+        const pending = await client.xpending(
+          stream, group, 'IDLE', settings.claimIdleMs, '-', '+', settings.batchSize
+        );
+        
+        for (const [id, owner, , deliveries] of pending) {
+          if (dispatched.has(`${stream}:${id}`) || (owner === consumer && !lastErrors.has(id))) {
+            continue;
+          }
+          
+          if (deliveries >= settings.maxDeliveries) {
+            await deadLetter(stream, id, deliveries);
+            continue;
+          }
+          
+          const claimed = await client.xclaim(stream, group, consumer, settings.claimIdleMs, id);
+          
+          for (const [claimedId, fields] of claimed) {
+            consumerLogger.info(`Reclaimed ${stream} entry ${claimedId} from ${owner}`);
+            await dispatchEntry(stream, claimedId, fields, deliveries + 1);
+          }
+        }
+      }
+    } catch (error) {
+      consumerLogger.error(`Error reclaiming pending entries: ${error.message}`);
+    } finally {
+      reclaiming = false;
+    }
+  }
+  
+  /**
+   * Main read loop for new entries
+   */
+  async function readLoop() {
+    while (running) {
+      // Unread entries wait in the stream until reading resumes
+      if (paused) {
+        await new Promise(resolve => setTimeout(resolve, settings.blockMs));
+        continue;
+      }
+      
+      try {
+        const reply = await reader.xreadgroup(
+          'GROUP', group, consumer,
+          'COUNT', settings.batchSize,
+          'BLOCK', settings.blockMs,
+          'STREAMS', ...streams, ...streams.map(() => '>')
+        );
+        
+        await processReply(reply, 1);
+      } catch (error) {
+        if (!running) {
+          break;
+        }
+        
+        consumerLogger.error(`Stream read error: ${error.message}`);
+        
+        // The stream or group may have been deleted underneath us
+        if (error.message.includes('NOGROUP')) {
+          await Promise.all(streams.map(stream => ensureConsumerGroup(client, stream, group, options.startId)));
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+  
+  return {
+    /**
+     * Creates the consumer groups and starts reading
+     * @returns {Promise<void>}
+     */
+    async start() {
+      for (const stream of streams) {
+        await ensureConsumerGroup(client, stream, group, options.startId);
+      }
+      
+      running = true;
+      consumerLogger.info(`Consuming ${streams.join(', ')} as ${consumer} in group ${group}`);
+      
+      reading = drainOwnPending()
+        .catch(error => consumerLogger.error(`Error replaying pending entries: ${error.message}`))
+        .then(() => readLoop());
+      
+      reclaimInterval = setInterval(reclaimPending, settings.reclaimIntervalMs);
+    },
+    
+    /**
+     * Stops reading new entries; those already read are still handled
+     */
+    pause() {
+      paused = true;
+      consumerLogger.info(`Paused reading ${streams.join(', ')}`);
+    },
+    
+    /**
+     * Resumes reading after pause()
+     */
+    resume() {
+      paused = false;
+      consumerLogger.info(`Resumed reading ${streams.join(', ')}`);
+    },
+    
+    /**
+     * Stops reading, waits for the entries being handled to finish and be
+     * acknowledged, then closes the consumer's connections
+     * @returns {Promise<void>}
+     */
+    async drain() {
+      running = false;
+      clearInterval(reclaimInterval);
+      reader.disconnect();
+      
+      await reading;
+      while (inFlight.size > 0 || reclaiming) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      
+      await client.quit();
+    },
+    
+    /**
+     * Stops reading and closes the consumer's connections
+     */
+    async stop() {
+      running = false;
+      clearInterval(reclaimInterval);
+      
+      // Disconnecting aborts a blocked XREADGROUP
+      reader.disconnect();
+      await client.quit();
+    }
+  };
+}
+
 module.exports = {
+  STREAM_DEFAULTS,
   createRedisClient,
   createSubscriber,
-  createPublisher
+  createPublisher,
+  publishToStream,
+  publishToChannel,
+  ensureConsumerGroup,
+  createStreamConsumer
 };
\ No newline at end of file
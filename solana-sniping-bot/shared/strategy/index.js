@@ -0,0 +1,368 @@
+/**
+ * @fileoverview Declarative sell strategy engine for Solana memecoin sniping bot
+ * A strategy is a JSON or YAML document listing exit rules in priority order.
+ * Each rule's `when` condition composes rule primitives with `and` / `or` /
+ * `not`; the first rule whose condition holds decides the sell. Rules that
+ * sell part of a position (sellPercent < 100) fire at most once per position.
+ *
+ * Example:
+ *   name: ladder
+ *   version: 1
+ *   rules:
+ *     - name: stop_loss
+ *       when: { priceChange: { lte: -50 } }
+ *     - name: first_rung
+ *       sellPercent: 50
+ *       when: { priceChange: { gte: 100 } }
+ *     - name: trailing_stop
+ *       when:
+ *         and:
+ *           - { peakGain: { gte: 100 } }
+ *           - { drawdown: { gte: 25 } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+/**
+ * Rule primitives: the context metric each one reads and its unit
+ * Context metrics a sample cannot provide are undefined, and a primitive
+ * over an undefined metric is false.
+ */
+const STRATEGY_PRIMITIVES = {
+  priceChange: { metric: 'priceChangePercent', unit: '%' }, // vs entry price
+  peakGain: { metric: 'peakGainPercent', unit: '%' }, // high-water mark vs entry price
+  drawdown: { metric: 'drawdownPercent', unit: '%' }, // below the high-water mark
+  liquidityDrop: { metric: 'liquidityDropPercent', unit: '%' }, // below liquidity at entry
+  holderConcentrationChange: { metric: 'holderConcentrationChange', unit: 'pp' }, // top-10 share vs entry
+  holdTime: { metric: 'holdMinutes', unit: 'min' },
+  volume: { metric: 'volumeSol', unit: 'SOL', windowed: true } // pool volume over windowMinutes
+};
+
+/**
+ * Comparison operators accepted on a primitive
+ */
+const COMPARATORS = {
+  gte: (value, bound) => value >= bound,
+  gt: (value, bound) => value > bound,
+  lte: (value, bound) => value <= bound,
+  lt: (value, bound) => value < bound
+};
+
+/**
+ * Raised when a strategy document is malformed
+ */
+class StrategyValidationError extends Error {
+  /**
+   * @param {string} source - Strategy file or name
+   * @param {Array<string>} errors - Validation failures
+   */
+  constructor(source, errors) {
+    super(`Invalid strategy ${source}: ${errors.join('; ')}`);
+    this.name = 'StrategyValidationError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validates a condition tree, collecting errors and the primitives it uses
+ * @param {*} condition - Condition node
+ * @param {string} where - Location for error messages
+ * @param {Array<string>} errors - Collected errors
+ * @param {Set<string>} primitives - Collected primitive names
+ */
+function validateCondition(condition, where, errors, primitives) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+
+  const keys = Object.keys(condition);
+  if (keys.length !== 1) {
+    errors.push(`${where} must have exactly one key, got ${keys.join(', ') || 'none'}`);
+    return;
+  }
+
+  const [key] = keys;
+  const value = condition[key];
+
+  if (key === 'and' || key === 'or') {
+    if (!Array.isArray(value) || value.length === 0) {
+      errors.push(`${where}.${key} must be a non-empty array`);
+      return;
+    }
+    value.forEach((child, index) => validateCondition(child, `${where}.${key}[${index}]`, errors, primitives));
+    return;
+  }
+
+  if (key === 'not') {
+    validateCondition(value, `${where}.not`, errors, primitives);
+    return;
+  }
+
+  const primitive = STRATEGY_PRIMITIVES[key];
+  if (!primitive) {
+    errors.push(`${where}: unknown primitive ${key}`);
+    return;
+  }
+
+  primitives.add(key);
+
+  if (!value || typeof value !== 'object') {
+    errors.push(`${where}.${key} must be an object of comparisons`);
+    return;
+  }
+
+  const comparisons = Object.keys(value).filter(op => op !== 'windowMinutes');
+  if (comparisons.length === 0) {
+    errors.push(`${where}.${key} needs at least one of ${Object.keys(COMPARATORS).join(', ')}`);
+  }
+
+  for (const op of comparisons) {
+    if (!COMPARATORS[op]) {
+      errors.push(`${where}.${key}: unknown comparison ${op}`);
+    } else if (!Number.isFinite(value[op])) {
+      errors.push(`${where}.${key}.${op} must be a number`);
+    }
+  }
+
+  if (primitive.windowed && !(value.windowMinutes > 0)) {
+    errors.push(`${where}.${key}.windowMinutes must be a positive number`);
+  }
+}
+
+/**
+ * Validates and compiles a strategy document
+ * @param {Object} document - Parsed strategy
+ * @param {string} [source] - Where it came from, for error messages
+ * @returns {Object} - Strategy ({ id, name, version, rules, primitives })
+ * @throws {StrategyValidationError} - If the document is malformed
+ */
+function compileStrategy(document, source = 'strategy') {
+  const errors = [];
+  const primitives = new Set();
+
+  if (!document || typeof document !== 'object') {
+    throw new StrategyValidationError(source, ['document must be an object']);
+  }
+
+  if (typeof document.name !== 'string' || !document.name) {
+    errors.push('name is required');
+  }
+
+  if (document.version === undefined || document.version === null || document.version === '') {
+    errors.push('version is required');
+  }
+
+  if (!Array.isArray(document.rules) || document.rules.length === 0) {
+    errors.push('rules must be a non-empty array');
+  }
+
+  const names = new Set();
+  (document.rules || []).forEach((rule, index) => {
+    const where = `rules[${index}]`;
+
+    if (typeof rule.name !== 'string' || !rule.name) {
+      errors.push(`${where}.name is required`);
+    } else if (names.has(rule.name)) {
+      errors.push(`${where}.name ${rule.name} is not unique`);
+    } else {
+      names.add(rule.name);
+    }
+
+    if (rule.sellPercent !== undefined && !(rule.sellPercent > 0 && rule.sellPercent <= 100)) {
+      errors.push(`${where}.sellPercent must be in (0, 100]`);
+    }
+
+    validateCondition(rule.when, `${where}.when`, errors, primitives);
+  });
+
+  if (errors.length > 0) {
+    throw new StrategyValidationError(source, errors);
+  }
+
+  return {
+    id: `${document.name}@${document.version}`,
+    name: document.name,
+    version: String(document.version),
+    rules: document.rules.map(rule => ({
+      name: rule.name,
+      sellPercent: rule.sellPercent === undefined ? 100 : rule.sellPercent,
+      when: rule.when
+    })),
+    primitives
+  };
+}
+
+/**
+ * Loads and compiles a strategy file (.json, .yaml or .yml)
+ * @param {string} filePath - Strategy file path
+ * @returns {Object} - Compiled strategy
+ * @throws {StrategyValidationError|Error} - If the file cannot be read or is malformed
+ */
+function loadStrategy(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  const document = extension === '.yaml' || extension === '.yml' ?
+    yaml.load(raw) :
+    JSON.parse(raw);
+
+  return compileStrategy(document, filePath);
+}
+
+/**
+ * Builds the strategy equivalent to the exit rule settings in config
+ * (take profit, stop loss, trailing stop, ladder, max hold, no movement).
+ * A ladder replaces the take profit: the full exit would otherwise fire
+ * first and leave every rung above it unreachable.
+ * Its version is a digest of the settings so differently tuned runs stay
+ * distinguishable.
+ * @param {Object} rules - Resolved exit rule settings
+ * @returns {Object} - Compiled strategy
+ */
+function strategyFromExitRules(rules) {
+  const strategyRules = [];
+
+  if (rules.stopLossPercentage > 0) {
+    strategyRules.push({ name: 'stop_loss', when: { priceChange: { lte: -rules.stopLossPercentage } } });
+  }
+
+  if (rules.trailingStopPercentage > 0) {
+    strategyRules.push({
+      name: 'trailing_stop',
+      when: {
+        and: [
+          { peakGain: { gte: rules.trailingStopActivationPercentage } },
+          { drawdown: { gte: rules.trailingStopPercentage } }
+        ]
+      }
+    });
+  }
+
+  const ladder = rules.takeProfitLadder || [];
+
+  ladder.forEach((rung, index) => {
+    strategyRules.push({
+      name: `take_profit_ladder_${index + 1}`,
+      sellPercent: rung.sellPercent,
+      when: { priceChange: { gte: rung.gainPercent } }
+    });
+  });
+
+  if (rules.takeProfitPercentage > 0 && ladder.length === 0) {
+    strategyRules.push({ name: 'take_profit', when: { priceChange: { gte: rules.takeProfitPercentage } } });
+  }
+
+  if (rules.maxHoldMinutes > 0) {
+    strategyRules.push({ name: 'max_hold', when: { holdTime: { gte: rules.maxHoldMinutes } } });
+  }
+
+  if (rules.noMovementMinutes > 0) {
+    const band = rules.noMovementThresholdPercentage;
+    strategyRules.push({
+      name: 'no_movement',
+      when: {
+        and: [
+          { holdTime: { gte: rules.noMovementMinutes } },
+          { peakGain: { lt: band } },
+          { priceChange: { gt: -band, lt: band } }
+        ]
+      }
+    });
+  }
+
+  const digest = crypto.createHash('sha1').update(JSON.stringify(rules)).digest('hex').slice(0, 8);
+
+  // A strategy with every rule disabled never sells
+  if (strategyRules.length === 0) {
+    return { id: `config@${digest}`, name: 'config', version: digest, rules: [], primitives: new Set() };
+  }
+
+  return compileStrategy({ name: 'config', version: digest, rules: strategyRules }, 'config');
+}
+
+/**
+ * Evaluates a condition tree against a context
+ * @param {Object} condition - Condition node
+ * @param {Object} context - Position metrics
+ * @param {Array<string>} matched - Collects descriptions of the primitives that held
+ * @returns {boolean} - True if the condition holds
+ */
+function evaluateCondition(condition, context, matched) {
+  const [key] = Object.keys(condition);
+  const value = condition[key];
+
+  if (key === 'and') {
+    return value.every(child => evaluateCondition(child, context, matched));
+  }
+
+  if (key === 'or') {
+    return value.some(child => evaluateCondition(child, context, matched));
+  }
+
+  // A primitive over a missing metric is false, so `not` of it holds
+  if (key === 'not') {
+    return !evaluateCondition(value, context, []);
+  }
+
+  const primitive = STRATEGY_PRIMITIVES[key];
+  const metric = primitive.windowed ?
+    (context.volumeSol ? context.volumeSol(value.windowMinutes) : undefined) :
+    context[primitive.metric];
+
+  if (metric === undefined || metric === null || !Number.isFinite(metric)) {
+    return false;
+  }
+
+  const holds = Object.keys(value)
+    .filter(op => op !== 'windowMinutes')
+    .every(op => COMPARATORS[op](metric, value[op]));
+
+  if (holds) {
+    const window = primitive.windowed ? ` over ${value.windowMinutes}min` : '';
+    matched.push(`${key}${window} ${metric.toFixed(2)}${primitive.unit}`);
+  }
+
+  return holds;
+}
+
+/**
+ * Finds the first rule of a strategy that fires for a position
+ * @param {Object} strategy - Compiled strategy
+ * @param {Object} context - Position metrics (see STRATEGY_PRIMITIVES)
+ * @param {Array<string>} [firedRules] - Partial rules already executed on the position
+ * @returns {{rule: string, sellPercent: number, reason: string}|null} - Decision, or null to hold
+ */
+function evaluateStrategy(strategy, context, firedRules = []) {
+  for (const rule of strategy.rules) {
+    // Partial exits happen once; a full exit closes the position anyway
+    if (rule.sellPercent < 100 && firedRules.includes(rule.name)) {
+      continue;
+    }
+
+    const matched = [];
+    if (evaluateCondition(rule.when, context, matched)) {
+      const size = rule.sellPercent < 100 ? `, selling ${rule.sellPercent}%` : '';
+      return {
+        rule: rule.name,
+        sellPercent: rule.sellPercent,
+        reason: `${rule.name} (${strategy.id}): ${matched.join(', ')}${size}`
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  STRATEGY_PRIMITIVES,
+  StrategyValidationError,
+  compileStrategy,
+  loadStrategy,
+  strategyFromExitRules,
+  evaluateStrategy
+};
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Tests for reading the wallet's fill from a confirmed swap:
+ * wrapped SOL netted into the SOL delta, rent of token accounts the swap
+ * created, and balances of accounts loaded from an address lookup table
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { parseSwapFill, summarizeFill } = require('../utils/fill-parser');
+const {
+  TOKEN_ACCOUNT_RENT,
+  TOKEN_DECIMALS,
+  STARTING_LAMPORTS,
+  WALLET,
+  TOKEN_MINT,
+  WALLET_TOKEN_ACCOUNT,
+  swapTransaction
+} = require('./fixtures/swap-fills');
+
+const FEE = 15000;
+const SWAP_LAMPORTS = 10000000;
+const BOUGHT_TOKENS = 1500000;
+const PARSE_PARAMS = { owner: WALLET.toString(), mint: TOKEN_MINT.toString() };
+
+/**
+ * Builds a buy that wraps exactly the swap input and closes the WSOL account,
+ * into a token account the transaction creates
+ * @param {Object} [options] - swapTransaction overrides
+ * @returns {Object} - swapTransaction result
+ */
+function buyClosingWsol(options = {}) {
+  return swapTransaction({
+    isBuy: true,
+    feeLamports: FEE,
+    wrapLamports: SWAP_LAMPORTS,
+    closeWsol: true,
+    before: { walletLamports: STARTING_LAMPORTS, tokens: null, wsol: null },
+    // The WSOL rent comes back on close, the token account's stays locked
+    after: {
+      walletLamports: STARTING_LAMPORTS - FEE - SWAP_LAMPORTS - TOKEN_ACCOUNT_RENT,
+      tokens: BOUGHT_TOKENS,
+      wsol: null
+    },
+    ...options
+  });
+}
+
+test('a buy counts the new token account as rent and prices the swap alone', () => {
+  const { transaction } = buyClosingWsol();
+  const fill = parseSwapFill(transaction, PARSE_PARAMS);
+
+  assert.deepEqual(fill, {
+    tokenDelta: BigInt(BOUGHT_TOKENS),
+    tokenDecimals: TOKEN_DECIMALS,
+    solDeltaLamports: -BigInt(FEE + SWAP_LAMPORTS + TOKEN_ACCOUNT_RENT),
+    feeLamports: BigInt(FEE),
+    rentLamports: BigInt(TOKEN_ACCOUNT_RENT)
+  });
+
+  const trade = summarizeFill(fill, true);
+  assert.equal(trade.tokenAmount, BOUGHT_TOKENS);
+  assert.equal(trade.solAmount, (FEE + SWAP_LAMPORTS + TOKEN_ACCOUNT_RENT) / LAMPORTS_PER_SOL);
+  assert.ok(Math.abs(trade.price - (SWAP_LAMPORTS / LAMPORTS_PER_SOL) / 1.5) < 1e-12);
+});
+
+test('wrapped SOL left in the WSOL account is netted back as SOL', () => {
+  const leftover = 2000000;
+  const { transaction } = swapTransaction({
+    isBuy: true,
+    feeLamports: FEE,
+    wrapLamports: SWAP_LAMPORTS + leftover,
+    before: { walletLamports: STARTING_LAMPORTS, tokens: null, wsol: null },
+    after: {
+      walletLamports: STARTING_LAMPORTS - FEE - SWAP_LAMPORTS - leftover - 2 * TOKEN_ACCOUNT_RENT,
+      tokens: BOUGHT_TOKENS,
+      wsol: leftover
+    }
+  });
+  const fill = parseSwapFill(transaction, PARSE_PARAMS);
+
+  // Both accounts are new; the WSOL account's rent excludes what it wraps
+  assert.equal(fill.rentLamports, BigInt(2 * TOKEN_ACCOUNT_RENT));
+  assert.equal(fill.solDeltaLamports, -BigInt(FEE + SWAP_LAMPORTS + 2 * TOKEN_ACCOUNT_RENT));
+
+  const trade = summarizeFill(fill, true);
+  assert.ok(Math.abs(trade.price - (SWAP_LAMPORTS / LAMPORTS_PER_SOL) / 1.5) < 1e-12);
+});
+
+test('a sell into an existing WSOL account counts the received WSOL and no rent', () => {
+  const received = 9800000;
+  const { transaction } = swapTransaction({
+    isBuy: false,
+    feeLamports: FEE,
+    wrapLamports: 0,
+    before: { walletLamports: STARTING_LAMPORTS, tokens: BOUGHT_TOKENS, wsol: 0 },
+    after: { walletLamports: STARTING_LAMPORTS - FEE, tokens: 0, wsol: received }
+  });
+  const fill = parseSwapFill(transaction, PARSE_PARAMS);
+
+  assert.equal(fill.tokenDelta, -BigInt(BOUGHT_TOKENS));
+  assert.equal(fill.solDeltaLamports, BigInt(received - FEE));
+  assert.equal(fill.rentLamports, 0n);
+
+  const trade = summarizeFill(fill, false);
+  assert.equal(trade.tokenAmount, BOUGHT_TOKENS);
+  assert.equal(trade.solAmount, (received - FEE) / LAMPORTS_PER_SOL);
+  assert.ok(Math.abs(trade.price - (received / LAMPORTS_PER_SOL) / 1.5) < 1e-12);
+});
+
+test('balances of accounts loaded from a lookup table are resolved', () => {
+  const { transaction, staticKeyCount, indexOf } = buyClosingWsol({ tokenAccountFromLookup: true });
+
+  assert.ok(indexOf(WALLET_TOKEN_ACCOUNT) >= staticKeyCount);
+  assert.ok(transaction.meta.postTokenBalances.some(balance => balance.accountIndex === indexOf(WALLET_TOKEN_ACCOUNT)));
+
+  const fill = parseSwapFill(transaction, PARSE_PARAMS);
+  assert.equal(fill.tokenDelta, BigInt(BOUGHT_TOKENS));
+  assert.equal(fill.rentLamports, BigInt(TOKEN_ACCOUNT_RENT));
+  assert.equal(fill.solDeltaLamports, -BigInt(FEE + SWAP_LAMPORTS + TOKEN_ACCOUNT_RENT));
+});
+
+test('parseSwapFill rejects transactions without metadata or without the wallet', () => {
+  const { transaction } = buyClosingWsol();
+
+  assert.throws(
+    () => parseSwapFill({ ...transaction, meta: null }, PARSE_PARAMS),
+    /^Error: Transaction has no balance metadata$/
+  );
+
+  const stranger = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+  assert.throws(
+    () => parseSwapFill(transaction, { ...PARSE_PARAMS, owner: stranger }),
+    { message: `Wallet ${stranger} is not part of the transaction` }
+  );
+});
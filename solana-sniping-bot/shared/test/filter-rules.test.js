@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Tests for the token filter rule pipeline: config validation
+ * and inheritance from the env settings, and how rule verdicts combine into
+ * the weighted score, stopOnFail skipping and rejections
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  FilterConfigValidationError,
+  compileFilterConfig,
+  loadFilterConfig,
+  filterConfigFromEnv,
+  runFilterPipeline
+} = require('../filter-rules');
+
+// Filter settings as shared/config reads them from .env
+const ENV_SETTINGS = {
+  MIN_POOL_SIZE_SOL: 1,
+  PUMPFUN_MIN_CURVE_SOL: 0,
+  MAX_TOP10_HOLDER_PERCENTAGE: 50,
+  MAX_CREATOR_HOLDING_PERCENTAGE: 20,
+  MIN_LP_BURNED_LOCKED_PERCENTAGE: 0,
+  SELL_SIMULATION_AMOUNT_SOL: 0,
+  MAX_SELL_TAX_PERCENTAGE: 10,
+  REJECT_MUTABLE_METADATA: false
+};
+
+/**
+ * Returns checks answering each rule with a fixed outcome, recording the calls
+ * @param {Object<string, Object|Error>} outcomes - Outcome (or error to throw) by rule name
+ * @returns {{checks: Object<string, Function>, calls: Array<string>}} - Checks and the rules called, in order
+ */
+function fixedChecks(outcomes) {
+  const calls = [];
+  const checks = {};
+
+  for (const [name, outcome] of Object.entries(outcomes)) {
+    checks[name] = async () => {
+      calls.push(name);
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return outcome;
+    };
+  }
+
+  return { checks, calls };
+}
+
+/**
+ * Returns a config enabling only the given rules, everything else off
+ * @param {Object<string, Object>} rules - Rule settings by name
+ * @param {Object} [options] - Top-level settings (minScore, stopOnFail)
+ * @returns {Object} - Compiled config
+ */
+function onlyRules(rules, options = {}) {
+  const disabled = Object.fromEntries(
+    ['security', 'deployer', 'liquidity', 'holders', 'lpLock', 'sellSimulation', 'metadata']
+      .map(name => [name, { enabled: false }])
+  );
+
+  return compileFilterConfig({ name: 'test', version: 1, ...options, rules: { ...disabled, ...rules } });
+}
+
+test('compileFilterConfig reports every problem of a malformed document at once', () => {
+  assert.throws(() => compileFilterConfig({
+    name: 'broken',
+    minScore: 120,
+    stopOnFail: 'yes',
+    rules: {
+      holders: { weight: -1, thresholds: { maxTopHolderShare: '40', maxHolders: 3 } },
+      security: { required: 'no', thresholds: { maxRiskLevel: 'severe' } },
+      socials: {}
+    }
+  }, 'broken.yaml'), error => {
+    assert.ok(error instanceof FilterConfigValidationError);
+    assert.equal(error.source, 'broken.yaml');
+    assert.deepEqual(error.errors, [
+      'version is required',
+      'minScore must be in [0, 100]',
+      'stopOnFail must be a boolean',
+      'rules.security.required must be a boolean',
+      'rules.security.thresholds.maxRiskLevel must be one of low, medium, high, extreme',
+      'rules.holders.weight must be a non-negative number',
+      'rules.holders.thresholds.maxTopHolderShare must be a number',
+      'rules.holders.thresholds.maxHolders is not a threshold of holders',
+      'rules.socials is not a known rule (security, deployer, liquidity, holders, lpLock, sellSimulation, metadata)'
+    ]);
+    return true;
+  });
+});
+
+test('a config file inherits what it leaves out from the env settings', () => {
+  const defaults = filterConfigFromEnv({ ...ENV_SETTINGS, SELL_SIMULATION_AMOUNT_SOL: 0.05 });
+  const filterConfig = loadFilterConfig(path.join(__dirname, '..', 'filter-rules', 'examples', 'balanced.yaml'), defaults);
+
+  assert.equal(filterConfig.id, 'balanced@1');
+  assert.equal(filterConfig.minScore, 70);
+  assert.equal(filterConfig.stopOnFail, true);
+
+  // Listed: overridden thresholds on top of the inherited ones
+  assert.deepEqual(filterConfig.rules.security.thresholds, { maxRiskLevel: 'high', rejectMintAuthority: false, rejectFreezeAuthority: true });
+  assert.deepEqual(filterConfig.rules.holders, {
+    enabled: true,
+    required: false,
+    weight: 2,
+    thresholds: { maxTopHolderShare: 40, maxCreatorShare: 10 }
+  });
+
+  // Listed rules are enabled even though the env settings left them off
+  assert.equal(defaults.rules.lpLock.enabled, false);
+  assert.equal(filterConfig.rules.lpLock.enabled, true);
+
+  // Not listed: kept exactly as the env settings have it
+  assert.deepEqual(filterConfig.rules.deployer, defaults.rules.deployer);
+
+  const partial = compileFilterConfig({ name: 'partial', version: 3, rules: { liquidity: { weight: 4 } } }, 'partial', defaults);
+  assert.deepEqual(partial.rules.liquidity.thresholds, { minSol: 1, minCurveSol: 0 });
+  assert.equal(partial.rules.liquidity.weight, 4);
+  assert.deepEqual(partial.rules.sellSimulation, defaults.rules.sellSimulation);
+  assert.equal(partial.minScore, 0);
+});
+
+test('filterConfigFromEnv is versioned by the thresholds', () => {
+  const a = filterConfigFromEnv(ENV_SETTINGS);
+  const b = filterConfigFromEnv({ ...ENV_SETTINGS, MAX_TOP10_HOLDER_PERCENTAGE: 30 });
+
+  assert.match(a.id, /^config@[0-9a-f]{8}$/);
+  assert.notEqual(a.id, b.id);
+  assert.equal(a.id, filterConfigFromEnv(ENV_SETTINGS).id);
+  assert.equal(a.rules.sellSimulation.enabled, false);
+});
+
+test('a failed required rule skips the rest when stopOnFail is set', async () => {
+  const outcomes = {
+    security: { verdict: 'pass' },
+    liquidity: { verdict: 'fail', reason: 'Pool has 0.4 SOL' },
+    holders: { verdict: 'pass' }
+  };
+  const rules = { security: {}, liquidity: {}, holders: {} };
+
+  const stopping = fixedChecks(outcomes);
+  const stopped = await runFilterPipeline(onlyRules(rules), stopping.checks, {});
+
+  assert.deepEqual(stopping.calls, ['security', 'liquidity']);
+  assert.equal(stopped.passed, false);
+  assert.deepEqual(stopped.rejectedBy, ['liquidity']);
+  assert.deepEqual(stopped.rules.map(rule => [rule.name, rule.verdict, rule.score]), [
+    ['security', 'pass', 100],
+    ['liquidity', 'fail', 0],
+    ['holders', 'skipped', null]
+  ]);
+  // Skipped rules do not count towards the score
+  assert.equal(stopped.score, 50);
+
+  const continuing = fixedChecks(outcomes);
+  const full = await runFilterPipeline(onlyRules(rules, { stopOnFail: false }), continuing.checks, {});
+
+  assert.deepEqual(continuing.calls, ['security', 'liquidity', 'holders']);
+  assert.deepEqual(full.rejectedBy, ['liquidity']);
+  assert.equal(full.score, 66.67);
+});
+
+test('failed optional rules lower the weighted score until minScore rejects', async () => {
+  const { checks } = fixedChecks({
+    security: { verdict: 'pass' },
+    holders: { verdict: 'fail', reason: 'Top 10 hold 72%' },
+    metadata: { verdict: 'warn' },
+    sellSimulation: { verdict: 'pass', score: 130 }
+  });
+  const rules = {
+    security: { weight: 1 },
+    holders: { weight: 2, required: false },
+    metadata: { weight: 1, required: false },
+    sellSimulation: { weight: 0 }
+  };
+
+  // (100 * 1 + 0 * 2 + 50 * 1 + 100 * 0) / 4; a score above 100 is capped
+  const lenient = await runFilterPipeline(onlyRules(rules, { minScore: 35 }), checks, {});
+  assert.equal(lenient.score, 37.5);
+  assert.equal(lenient.passed, true);
+  assert.deepEqual(lenient.rejectedBy, []);
+  assert.equal(lenient.rules.find(rule => rule.name === 'sellSimulation').score, 100);
+
+  const strict = await runFilterPipeline(onlyRules(rules, { minScore: 40 }), checks, {});
+  assert.equal(strict.passed, false);
+  assert.deepEqual(strict.rejectedBy, ['minScore']);
+  assert.equal(strict.minScore, 40);
+  assert.equal(strict.config, 'test@1');
+});
+
+test('a rule that throws or answers nonsense fails with the reason as evidence', async () => {
+  const { checks, calls } = fixedChecks({
+    security: new Error('RPC 429 Too Many Requests'),
+    holders: { verdict: 'maybe' },
+    metadata: { verdict: 'pass' }
+  });
+
+  const verdict = await runFilterPipeline(
+    onlyRules({ security: { required: false }, holders: {}, metadata: {} }, { stopOnFail: false }),
+    checks,
+    {}
+  );
+  const [security, holders] = verdict.rules;
+
+  assert.deepEqual(calls, ['security', 'holders', 'metadata']);
+  assert.equal(security.verdict, 'fail');
+  assert.equal(security.reason, 'RPC 429 Too Many Requests');
+  assert.deepEqual(security.evidence, { error: 'RPC 429 Too Many Requests' });
+  assert.equal(holders.verdict, 'fail');
+  assert.deepEqual(verdict.rejectedBy, ['holders']);
+});
+
+test('rules run in pipeline order on a shared context, and disabled or unimplemented ones are left out', async () => {
+  const context = { baseMint: 'mint' };
+  const checks = {
+    security: async ctx => {
+      ctx.mintAuthority = null;
+      return { verdict: 'pass' };
+    },
+    deployer: async (ctx, thresholds) => ({
+      verdict: ctx.mintAuthority === null ? 'pass' : 'fail',
+      evidence: { thresholds }
+    }),
+    metadata: async () => ({ verdict: 'pass' })
+  };
+
+  const verdict = await runFilterPipeline(onlyRules({ deployer: {}, security: {}, holders: {} }), checks, context);
+
+  assert.deepEqual(verdict.rules.map(rule => [rule.name, rule.verdict]), [['security', 'pass'], ['deployer', 'pass']]);
+  assert.deepEqual(verdict.rules[1].evidence, { thresholds: {} });
+  assert.equal(verdict.passed, true);
+  assert.equal(verdict.score, 100);
+});
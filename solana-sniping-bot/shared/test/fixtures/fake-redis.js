@@ -0,0 +1,336 @@
+/**
+ * @fileoverview In-memory stand-in for an ioredis client, covering the
+ * commands the services use: strings with NX and expiry, hashes, and streams
+ * read through consumer groups with their pending entries lists.
+ * Every instance shares one keyspace, like connections to the same server,
+ * so code that opens its own clients (createStreamConsumer) sees what a test
+ * wrote through another one. Call FakeRedis.reset() between tests.
+ */
+
+const { EventEmitter } = require('events');
+
+let keyspace = new Map();
+let lastEntrySeq = 0;
+
+/**
+ * Compares two stream entry IDs ("<ms>-<seq>")
+ * @param {string} a - Entry ID
+ * @param {string} b - Entry ID
+ * @returns {number} - Negative, zero or positive
+ */
+function compareIds(a, b) {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || (aSeq || 0) - (bSeq || 0);
+}
+
+/**
+ * Returns a key's value unless it has expired
+ * @param {string} key - Key
+ * @returns {*} - Stored value or undefined
+ */
+function lookup(key) {
+  const item = keyspace.get(key);
+
+  if (item && item.expiresAt && item.expiresAt <= Date.now()) {
+    keyspace.delete(key);
+    return undefined;
+  }
+
+  return item ? item.value : undefined;
+}
+
+/**
+ * Returns a stream, creating it if missing
+ * @param {string} key - Stream key
+ * @returns {{entries: Array, groups: Map}} - Stream
+ */
+function streamAt(key) {
+  let stream = lookup(key);
+
+  if (!stream) {
+    stream = { entries: [], groups: new Map() };
+    keyspace.set(key, { value: stream });
+  }
+
+  return stream;
+}
+
+/**
+ * Returns a consumer group, failing like Redis if it does not exist
+ * @param {string} key - Stream key
+ * @param {string} name - Group name
+ * @returns {{lastId: string, pending: Map}} - Group
+ */
+function groupAt(key, name) {
+  const stream = lookup(key);
+  const group = stream && stream.groups.get(name);
+
+  if (!group) {
+    throw new Error(`NOGROUP No such key '${key}' or consumer group '${name}'`);
+  }
+
+  return group;
+}
+
+class FakeRedis extends EventEmitter {
+  /**
+   * @param {Object} [options] - Connection options (recorded, not used)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.closed = false;
+  }
+
+  /**
+   * Empties the shared keyspace
+   */
+  static reset() {
+    keyspace = new Map();
+    lastEntrySeq = 0;
+  }
+
+  async get(key) {
+    const value = lookup(key);
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * SET key value [PX ms | EX s] [NX]
+   * @returns {Promise<string|null>} - 'OK', or null when NX finds the key
+   */
+  async set(key, value, ...args) {
+    const flags = args.map(arg => String(arg).toUpperCase());
+    let expiresAt = null;
+
+    if (flags.includes('NX') && lookup(key) !== undefined) {
+      return null;
+    }
+
+    if (flags.includes('PX')) {
+      expiresAt = Date.now() + Number(args[flags.indexOf('PX') + 1]);
+    } else if (flags.includes('EX')) {
+      expiresAt = Date.now() + Number(args[flags.indexOf('EX') + 1]) * 1000;
+    }
+
+    keyspace.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async del(...keys) {
+    return keys.filter(key => lookup(key) !== undefined && keyspace.delete(key)).length;
+  }
+
+  async hget(key, field) {
+    const hash = lookup(key);
+    return hash && field in hash ? hash[field] : null;
+  }
+
+  async hset(key, field, value) {
+    const hash = lookup(key) || {};
+    const added = field in hash ? 0 : 1;
+    hash[field] = String(value);
+    keyspace.set(key, { value: hash });
+    return added;
+  }
+
+  async hgetall(key) {
+    return { ...(lookup(key) || {}) };
+  }
+
+  async hincrby(key, field, increment) {
+    const hash = lookup(key) || {};
+    hash[field] = String(parseInt(hash[field] || '0', 10) + Number(increment));
+    keyspace.set(key, { value: hash });
+    return parseInt(hash[field], 10);
+  }
+
+  /**
+   * XADD key [MAXLEN ~ n] * field value ...
+   * @returns {Promise<string>} - Entry ID
+   */
+  async xadd(key, ...args) {
+    let rest = args;
+
+    if (String(rest[0]).toUpperCase() === 'MAXLEN') {
+      rest = rest[1] === '~' ? rest.slice(3) : rest.slice(2);
+    }
+
+    const id = `${Date.now()}-${++lastEntrySeq}`;
+    streamAt(key).entries.push([id, rest.slice(1).map(String)]);
+    return id;
+  }
+
+  async xlen(key) {
+    const stream = lookup(key);
+    return stream ? stream.entries.length : 0;
+  }
+
+  async xrange(key, start, end) {
+    const stream = lookup(key);
+
+    if (!stream) {
+      return [];
+    }
+
+    return stream.entries.filter(([id]) =>
+      (start === '-' || compareIds(id, start) >= 0) && (end === '+' || compareIds(id, end) <= 0)
+    );
+  }
+
+  /**
+   * XGROUP CREATE key group startId [MKSTREAM]
+   */
+  async xgroup(subcommand, key, name, startId) {
+    if (String(subcommand).toUpperCase() !== 'CREATE') {
+      throw new Error(`Unsupported XGROUP ${subcommand}`);
+    }
+
+    const stream = streamAt(key);
+
+    if (stream.groups.has(name)) {
+      throw new Error('BUSYGROUP Consumer Group name already exists');
+    }
+
+    const lastId = startId === '$' && stream.entries.length > 0
+      ? stream.entries[stream.entries.length - 1][0]
+      : startId === '$' ? '0-0' : startId;
+
+    stream.groups.set(name, { lastId, pending: new Map() });
+    return 'OK';
+  }
+
+  /**
+   * XREADGROUP GROUP group consumer COUNT n [BLOCK ms] STREAMS key ... id ...
+   * '>' delivers new entries; any other ID replays the consumer's pending ones.
+   * BLOCK waits the full timeout once if nothing is there yet.
+   * @returns {Promise<Array|null>} - [[stream, [[id, fields], ...]], ...] or null
+   */
+  async xreadgroup(...args) {
+    const upper = args.map(arg => String(arg).toUpperCase());
+    const groupName = args[upper.indexOf('GROUP') + 1];
+    const consumer = args[upper.indexOf('GROUP') + 2];
+    const count = upper.includes('COUNT') ? Number(args[upper.indexOf('COUNT') + 1]) : Infinity;
+    const blockMs = upper.includes('BLOCK') ? Number(args[upper.indexOf('BLOCK') + 1]) : null;
+    const streamArgs = args.slice(upper.indexOf('STREAMS') + 1);
+    const keys = streamArgs.slice(0, streamArgs.length / 2);
+    const ids = streamArgs.slice(streamArgs.length / 2);
+
+    const read = () => {
+      const reply = [];
+
+      keys.forEach((key, index) => {
+        const group = groupAt(key, groupName);
+        const { entries } = lookup(key);
+        let delivered;
+
+        if (ids[index] === '>') {
+          delivered = entries.filter(([id]) => compareIds(id, group.lastId) > 0).slice(0, count);
+
+          for (const [id] of delivered) {
+            group.pending.set(id, { consumer, deliveries: 1, deliveredAt: Date.now() });
+            group.lastId = id;
+          }
+        } else {
+          delivered = entries
+            .filter(([id]) => compareIds(id, ids[index]) > 0)
+            .filter(([id]) => group.pending.has(id) && group.pending.get(id).consumer === consumer)
+            .slice(0, count);
+
+          for (const [id] of delivered) {
+            const pending = group.pending.get(id);
+            pending.deliveries++;
+            pending.deliveredAt = Date.now();
+          }
+        }
+
+        if (delivered.length > 0 || ids[index] !== '>') {
+          reply.push([key, delivered]);
+        }
+      });
+
+      return reply.length > 0 ? reply : null;
+    };
+
+    const reply = read();
+
+    if (reply || blockMs === null || this.closed) {
+      return reply;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, blockMs || 0));
+    return this.closed ? null : read();
+  }
+
+  async xack(key, groupName, ...ids) {
+    const group = groupAt(key, groupName);
+    return ids.filter(id => group.pending.delete(id)).length;
+  }
+
+  /**
+   * XPENDING key group [IDLE ms] start end count
+   * @returns {Promise<Array>} - [[id, consumer, idleMs, deliveries], ...]
+   */
+  async xpending(key, groupName, ...args) {
+    const group = groupAt(key, groupName);
+    let minIdle = 0;
+    let rest = args;
+
+    if (String(rest[0]).toUpperCase() === 'IDLE') {
+      minIdle = Number(rest[1]);
+      rest = rest.slice(2);
+    }
+
+    const now = Date.now();
+
+    return [...group.pending.entries()]
+      .map(([id, pending]) => [id, pending.consumer, now - pending.deliveredAt, pending.deliveries])
+      .filter(([, , idle]) => idle >= minIdle)
+      .sort(([a], [b]) => compareIds(a, b))
+      .slice(0, Number(rest[2]));
+  }
+
+  /**
+   * XCLAIM key group consumer minIdleMs id ...
+   * @returns {Promise<Array>} - Claimed [[id, fields], ...]; trimmed entries come back as [id, null]
+   */
+  async xclaim(key, groupName, consumer, minIdleMs, ...ids) {
+    const group = groupAt(key, groupName);
+    const { entries } = lookup(key);
+    const now = Date.now();
+    const claimed = [];
+
+    for (const id of ids) {
+      const pending = group.pending.get(id);
+
+      if (!pending || now - pending.deliveredAt < minIdleMs) {
+        continue;
+      }
+
+      pending.consumer = consumer;
+      pending.deliveries++;
+      pending.deliveredAt = now;
+
+      const entry = entries.find(([entryId]) => entryId === id);
+      claimed.push([id, entry ? entry[1] : null]);
+    }
+
+    return claimed;
+  }
+
+  async publish() {
+    return 0;
+  }
+
+  disconnect() {
+    this.closed = true;
+  }
+
+  async quit() {
+    this.closed = true;
+    return 'OK';
+  }
+}
+
+module.exports = FakeRedis;
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Inter-service message payloads that satisfy their contracts,
+ * as lp-monitor and buy-executor publish them, for the SOL-USDC pool of the
+ * Raydium AMM fixtures. Tests break one field at a time from these.
+ */
+
+const { RAYDIUM_AMM_V4_PROGRAM_ID, SOL_USDC } = require('./raydium-amm');
+
+const SIGNATURE = '5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW';
+const DETECTED_AT = 1726000000000;
+
+/**
+ * Returns a NEW_POOLS payload for a Raydium v4 pool
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} - Payload without schemaVersion
+ */
+function newPoolPayload(overrides = {}) {
+  return {
+    event: 'create',
+    protocol: 'RAYDIUM',
+    poolType: 'RAYDIUM_V4',
+    lpAddress: SOL_USDC.id,
+    baseMint: SOL_USDC.quoteMint,
+    quoteMint: SOL_USDC.baseMint,
+    baseVault: SOL_USDC.quoteVault,
+    quoteVault: SOL_USDC.baseVault,
+    creator: null,
+    detector: 'raydium-v4',
+    programId: RAYDIUM_AMM_V4_PROGRAM_ID,
+    signature: SIGNATURE,
+    slot: 287654321,
+    timestamp: DETECTED_AT,
+    ...overrides
+  };
+}
+
+/**
+ * Returns a SUCCESSFUL_BUYS payload for a live fill on that pool
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} - Payload without schemaVersion
+ */
+function successfulBuyPayload(overrides = {}) {
+  return {
+    txId: 'tx_1726000001000_42',
+    positionId: 'tx_1726000001000_42',
+    signature: SIGNATURE,
+    baseMint: SOL_USDC.quoteMint,
+    quoteMint: SOL_USDC.baseMint,
+    lpAddress: SOL_USDC.id,
+    poolType: 'RAYDIUM_V4',
+    amountInSol: 0.01209,
+    tokenAmount: 1500000,
+    buyPrice: 0.00000000806,
+    tokenDecimals: 6,
+    feeSol: 0.000045,
+    rentSol: 0.00203928,
+    fillSource: 'transaction',
+    buyTimestamp: DETECTED_AT + 1000,
+    timestamp: DETECTED_AT + 1200,
+    isDryRun: false,
+    ...overrides
+  };
+}
+
+module.exports = {
+  SIGNATURE,
+  newPoolPayload,
+  successfulBuyPayload
+};
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Raydium AMM v4 account fixtures: the SOL-USDC pool
+ * (58oQChx4...) and its Serum v3 market (9wFFyRfZ...)
+ * The account bytes are assembled field by field at the on-chain byte
+ * offsets, written out literally here rather than taken from the layouts
+ * under test, from the accounts' published keys and parameters. Reserves
+ * and PnL counters are round numbers, not a snapshot of the live pool.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+
+const RAYDIUM_AMM_V4_PROGRAM_ID = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const SERUM_V3_PROGRAM_ID = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+
+/**
+ * Account addresses of the SOL-USDC pool and its market
+ */
+const SOL_USDC = {
+  id: '58oQChx4yWmvKdwLLZzBi4ChoCc2fqCUWBkwMihLYQo2',
+  authority: '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1',
+  openOrders: 'HmiHHzq4Fym9e1D4qzLS6LDDM3tNsCTBPDWHTLZ763jY',
+  targetOrders: 'CZza3Ej4Mc58MnxWA385itCC9jCo3L1D7zc3LKy1bZMR',
+  baseVault: 'DQyrAcCrDXQ7NeoqGgDCZwBvWDcYmFCjSb9JtteuvPpz',
+  quoteVault: 'HLmqeL62xR1QoZ1HKKbXRrdN1p3phKpxRMb2VVopvBBz',
+  baseMint: 'So11111111111111111111111111111111111111112',
+  quoteMint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  lpMint: '8HoQnePLqPj4M7PUDzfw8e3Ymdwgc7NLGnaTUapubyvu',
+  withdrawQueue: 'G7xeGGLevkRwB5f44QNgQtrPKBdMfkT6ZZwpS9xcC97n',
+  lpVault: 'Awpt6N7ZYPBa4vG4BQNFhFxDj4sxExAA9rpBAoBw2uok',
+  owner: 'GThUX1Atko4tqhN2NaiTazWSeFWMuiUvfFnyJyUghFMJ',
+  marketId: '9wFFyRfZBsuAha4YcuxcXLKwMxJR43S7fPfQLusDBzvT',
+  marketAuthority: 'F8Vyqk3unwxkXukZFQeYyGmFfTG3CAX4v24iyrjEYBJV',
+  marketBaseVault: '36c6YqAwyGKQG66XEp2dJc5JqjaBNv7sVghEtJv4c7u6',
+  marketQuoteVault: '8CFo8bL8mZQK8abbFyypFMwEDd8tVJjHTTojMLgQTUSZ',
+  marketRequestQueue: 'AZG3tFCFtiCqEwyardENBQNpHqxgzbMw8uKeZEw2nRG5',
+  marketEventQueue: '5KKsLVU6TcbVDK4BS6K1DGDxnh4Q9xjYJ8XaDCG5t8ht',
+  marketBids: '14ivtgssEBoBjuZJtSAPKYgpUK7DmnSwuPMqJoVTSgKJ',
+  marketAsks: 'CEQdAFKdycHugujQg9k2wbmxjcpdYZyVLfV9WerTnafJ'
+};
+
+/**
+ * Numeric pool parameters written into the LiquidityStateV4 fixture
+ */
+const SOL_USDC_POOL_PARAMS = {
+  status: 6n,
+  nonce: 254n,
+  baseDecimal: 9n,
+  quoteDecimal: 6n,
+  tradeFeeNumerator: 25n,
+  tradeFeeDenominator: 10000n,
+  pnlNumerator: 12n,
+  pnlDenominator: 100n,
+  swapFeeNumerator: 25n,
+  swapFeeDenominator: 10000n,
+  baseNeedTakePnl: 1500000000n,
+  quoteNeedTakePnl: 250000000n,
+  swapBaseInAmount: (1n << 64n) + 5n,
+  lpReserve: 42000000000000n
+};
+
+/**
+ * Vault signer nonce of the SOL-USDC market
+ */
+const SOL_USDC_MARKET_VAULT_SIGNER_NONCE = 1n;
+
+/**
+ * Writes a base58 address at a byte offset
+ * @param {Buffer} data - Account data
+ * @param {number} offset - Byte offset
+ * @param {string} address - Base58 address
+ */
+function writeKey(data, offset, address) {
+  new PublicKey(address).toBuffer().copy(data, offset);
+}
+
+/**
+ * Writes a little-endian u128 at a byte offset
+ * @param {Buffer} data - Account data
+ * @param {number} offset - Byte offset
+ * @param {bigint} value - Value
+ */
+function writeU128(data, offset, value) {
+  data.writeBigUInt64LE(value & 0xffffffffffffffffn, offset);
+  data.writeBigUInt64LE(value >> 64n, offset + 8);
+}
+
+/**
+ * Returns the 752 byte LiquidityStateV4 account of the SOL-USDC pool
+ * @returns {Buffer} - Account data
+ */
+function liquidityStateV4Account() {
+  const data = Buffer.alloc(752);
+  const params = SOL_USDC_POOL_PARAMS;
+
+  data.writeBigUInt64LE(params.status, 0);
+  data.writeBigUInt64LE(params.nonce, 8);
+  data.writeBigUInt64LE(params.baseDecimal, 32);
+  data.writeBigUInt64LE(params.quoteDecimal, 40);
+  data.writeBigUInt64LE(params.tradeFeeNumerator, 144);
+  data.writeBigUInt64LE(params.tradeFeeDenominator, 152);
+  data.writeBigUInt64LE(params.pnlNumerator, 160);
+  data.writeBigUInt64LE(params.pnlDenominator, 168);
+  data.writeBigUInt64LE(params.swapFeeNumerator, 176);
+  data.writeBigUInt64LE(params.swapFeeDenominator, 184);
+  data.writeBigUInt64LE(params.baseNeedTakePnl, 192);
+  data.writeBigUInt64LE(params.quoteNeedTakePnl, 200);
+  writeU128(data, 256, params.swapBaseInAmount);
+
+  writeKey(data, 336, SOL_USDC.baseVault);
+  writeKey(data, 368, SOL_USDC.quoteVault);
+  writeKey(data, 400, SOL_USDC.baseMint);
+  writeKey(data, 432, SOL_USDC.quoteMint);
+  writeKey(data, 464, SOL_USDC.lpMint);
+  writeKey(data, 496, SOL_USDC.openOrders);
+  writeKey(data, 528, SOL_USDC.marketId);
+  writeKey(data, 560, SERUM_V3_PROGRAM_ID);
+  writeKey(data, 592, SOL_USDC.targetOrders);
+  writeKey(data, 624, SOL_USDC.withdrawQueue);
+  writeKey(data, 656, SOL_USDC.lpVault);
+  writeKey(data, 688, SOL_USDC.owner);
+  data.writeBigUInt64LE(params.lpReserve, 720);
+
+  return data;
+}
+
+/**
+ * Returns the 388 byte MarketStateV3 account of the SOL-USDC market
+ * @returns {Buffer} - Account data
+ */
+function marketStateV3Account() {
+  const data = Buffer.alloc(388);
+
+  data.write('serum', 0, 'ascii');
+  // Account flags: initialized | market
+  data.writeBigUInt64LE(3n, 5);
+  writeKey(data, 13, SOL_USDC.marketId);
+  data.writeBigUInt64LE(SOL_USDC_MARKET_VAULT_SIGNER_NONCE, 45);
+  writeKey(data, 53, SOL_USDC.baseMint);
+  writeKey(data, 85, SOL_USDC.quoteMint);
+  writeKey(data, 117, SOL_USDC.marketBaseVault);
+  writeKey(data, 165, SOL_USDC.marketQuoteVault);
+  writeKey(data, 221, SOL_USDC.marketRequestQueue);
+  writeKey(data, 253, SOL_USDC.marketEventQueue);
+  writeKey(data, 285, SOL_USDC.marketBids);
+  writeKey(data, 317, SOL_USDC.marketAsks);
+  // Base and quote lot size, fee rate
+  data.writeBigUInt64LE(100000000n, 349);
+  data.writeBigUInt64LE(100n, 357);
+  data.writeBigUInt64LE(22n, 365);
+  data.write('padding', 381, 'ascii');
+
+  return data;
+}
+
+/**
+ * Returns the 165 byte SPL token account holding a vault balance
+ * @param {string} mint - Mint address
+ * @param {string} owner - Owner address
+ * @param {bigint} amount - Raw balance
+ * @returns {Buffer} - Account data
+ */
+function tokenAccount(mint, owner, amount) {
+  const data = Buffer.alloc(165);
+
+  writeKey(data, 0, mint);
+  writeKey(data, 32, owner);
+  data.writeBigUInt64LE(amount, 64);
+  // Account state: initialized
+  data.writeUInt8(1, 108);
+
+  return data;
+}
+
+module.exports = {
+  RAYDIUM_AMM_V4_PROGRAM_ID,
+  SERUM_V3_PROGRAM_ID,
+  SOL_USDC,
+  SOL_USDC_POOL_PARAMS,
+  SOL_USDC_MARKET_VAULT_SIGNER_NONCE,
+  liquidityStateV4Account,
+  marketStateV3Account,
+  tokenAccount
+};
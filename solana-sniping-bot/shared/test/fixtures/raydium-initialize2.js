@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Raydium AMM v4 initialize2 transaction fixtures, shaped like
+ * connection.getTransaction results: one creating the pool with a top-level
+ * initialize2 instruction (legacy message), and one where a launcher program
+ * calls initialize2 by CPI (v0 message with some accounts loaded from an
+ * address lookup table, initialize2 only present as an inner instruction)
+ */
+
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const {
+  PublicKey,
+  TransactionInstruction,
+  TransactionMessage,
+  AddressLookupTableAccount,
+  ComputeBudgetProgram
+} = require('@solana/web3.js');
+
+const RAYDIUM_AMM_V4_PROGRAM_ID = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const RECENT_BLOCKHASH = '4uQeVj5tqViQh7yWWGStvkEG1Zmhx6uasJtWCJziofM';
+
+/**
+ * Returns a stable fixture address for a label
+ * @param {string} label - Account label
+ * @returns {PublicKey} - Address
+ */
+function fixtureKey(label) {
+  return new PublicKey(crypto.createHash('sha256').update(label).digest());
+}
+
+const TOKEN_MINT = fixtureKey('token mint').toString();
+
+/**
+ * initialize2 accounts in instruction order
+ * [address label, writable, signer]
+ */
+const INITIALIZE2_ACCOUNTS = [
+  ['tokenProgram', false, false],
+  ['associatedTokenProgram', false, false],
+  ['systemProgram', false, false],
+  ['rent', false, false],
+  ['amm', true, false],
+  ['ammAuthority', false, false],
+  ['ammOpenOrders', true, false],
+  ['lpMint', true, false],
+  ['coinMint', false, false],
+  ['pcMint', false, false],
+  ['poolCoinVault', true, false],
+  ['poolPcVault', true, false],
+  ['poolWithdrawQueue', true, false],
+  ['ammTargetOrders', true, false],
+  ['poolTempLp', true, false],
+  ['marketProgram', false, false],
+  ['market', false, false],
+  ['creator', true, true],
+  ['creatorCoinAccount', true, false],
+  ['creatorPcAccount', true, false],
+  ['creatorLpAccount', true, false]
+];
+
+/**
+ * Returns the addresses of a pool's initialize2 accounts by label
+ * @param {Object} mints - { coinMint, pcMint }
+ * @returns {Object<string, string>} - Address by account label
+ */
+function initialize2Addresses({ coinMint, pcMint }) {
+  const addresses = {};
+
+  for (const [label] of INITIALIZE2_ACCOUNTS) {
+    addresses[label] = fixtureKey(`pool ${coinMint}/${pcMint} ${label}`).toString();
+  }
+
+  addresses.tokenProgram = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+  addresses.associatedTokenProgram = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+  addresses.systemProgram = '11111111111111111111111111111111';
+  addresses.rent = 'SysvarRent111111111111111111111111111111111';
+  addresses.ammAuthority = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+  addresses.marketProgram = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+  addresses.coinMint = coinMint;
+  addresses.pcMint = pcMint;
+
+  return addresses;
+}
+
+/**
+ * Encodes initialize2 instruction data
+ * @param {Object} params - { nonce, openTime, initPcAmount, initCoinAmount }
+ * @returns {Buffer} - 26 byte instruction data
+ */
+function initialize2Data({ nonce = 254, openTime, initPcAmount, initCoinAmount }) {
+  const data = Buffer.alloc(26);
+
+  data.writeUInt8(1, 0);
+  data.writeUInt8(nonce, 1);
+  data.writeBigUInt64LE(BigInt(openTime), 2);
+  data.writeBigUInt64LE(BigInt(initPcAmount), 10);
+  data.writeBigUInt64LE(BigInt(initCoinAmount), 18);
+
+  return data;
+}
+
+/**
+ * Builds an initialize2 instruction
+ * @param {Object<string, string>} addresses - Account addresses by label
+ * @param {Buffer} data - Instruction data
+ * @returns {TransactionInstruction} - Instruction
+ */
+function initialize2Instruction(addresses, data) {
+  return new TransactionInstruction({
+    programId: RAYDIUM_AMM_V4_PROGRAM_ID,
+    keys: INITIALIZE2_ACCOUNTS.map(([label, isWritable, isSigner]) => ({
+      pubkey: new PublicKey(addresses[label]),
+      isWritable,
+      isSigner
+    })),
+    data
+  });
+}
+
+/**
+ * Wraps a compiled message the way connection.getTransaction returns it
+ * @param {Message|MessageV0} message - Compiled message
+ * @param {Object} meta - Transaction meta overrides
+ * @returns {Object} - Confirmed transaction
+ */
+function confirmedTransaction(message, meta = {}) {
+  return {
+    slot: 287654321,
+    blockTime: 1726000000,
+    transaction: {
+      signatures: [bs58.encode(crypto.createHash('sha512').update(message.serialize()).digest())],
+      message
+    },
+    meta: {
+      err: null,
+      innerInstructions: [],
+      logMessages: [],
+      loadedAddresses: { writable: [], readonly: [] },
+      ...meta
+    }
+  };
+}
+
+/**
+ * Builds a transaction calling initialize2 directly, after a compute budget
+ * instruction so the pool instruction is not the first one
+ * @param {Object} params - { coinMint, pcMint, data, programId }
+ * @returns {{transaction: Object, addresses: Object<string, string>}} - Transaction and its pool accounts
+ */
+function topLevelInitialize2Transaction({ coinMint, pcMint, data, programId = RAYDIUM_AMM_V4_PROGRAM_ID }) {
+  const addresses = initialize2Addresses({ coinMint, pcMint });
+  const instruction = initialize2Instruction(addresses, data);
+  instruction.programId = programId;
+
+  const message = new TransactionMessage({
+    payerKey: new PublicKey(addresses.creator),
+    recentBlockhash: RECENT_BLOCKHASH,
+    instructions: [
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 75000 }),
+      instruction
+    ]
+  }).compileToLegacyMessage();
+
+  const transaction = confirmedTransaction(message, {
+    logMessages: [
+      `Program ${RAYDIUM_AMM_V4_PROGRAM_ID} invoke [1]`,
+      'Program log: initialize2: InitializeInstruction2 { nonce: 254, open_time: 0, init_pc_amount: 0, init_coin_amount: 0 }',
+      `Program ${RAYDIUM_AMM_V4_PROGRAM_ID} success`
+    ]
+  });
+
+  return { transaction, addresses };
+}
+
+/**
+ * Builds a transaction where a launcher program calls initialize2 by CPI.
+ * The programs, rent sysvar and market program are loaded from an address
+ * lookup table, so inner instruction indexes point past the static keys.
+ * @param {Object} params - { coinMint, pcMint, data }
+ * @returns {{transaction: Object, addresses: Object<string, string>}} - Transaction and its pool accounts
+ */
+function cpiInitialize2Transaction({ coinMint, pcMint, data }) {
+  const addresses = initialize2Addresses({ coinMint, pcMint });
+  const poolInstruction = initialize2Instruction(addresses, data);
+  const launcherProgramId = fixtureKey('launcher program');
+
+  const launcherInstruction = new TransactionInstruction({
+    programId: launcherProgramId,
+    keys: [
+      ...poolInstruction.keys,
+      { pubkey: RAYDIUM_AMM_V4_PROGRAM_ID, isSigner: false, isWritable: false }
+    ],
+    data: Buffer.from([7])
+  });
+
+  const lookupTable = new AddressLookupTableAccount({
+    key: fixtureKey('lookup table'),
+    state: {
+      deactivationSlot: BigInt('18446744073709551615'),
+      lastExtendedSlot: 0,
+      lastExtendedSlotStartIndex: 0,
+      authority: undefined,
+      addresses: [
+        addresses.tokenProgram,
+        addresses.associatedTokenProgram,
+        addresses.rent,
+        addresses.marketProgram,
+        addresses.market
+      ].map(address => new PublicKey(address))
+    }
+  });
+
+  const message = new TransactionMessage({
+    payerKey: new PublicKey(addresses.creator),
+    recentBlockhash: RECENT_BLOCKHASH,
+    instructions: [launcherInstruction]
+  }).compileToV0Message([lookupTable]);
+
+  const accountKeys = message.getAccountKeys({ addressLookupTableAccounts: [lookupTable] });
+  const allKeys = accountKeys.keySegments().flat().map(key => key.toString());
+  const indexOf = address => allKeys.indexOf(address.toString());
+
+  const transaction = confirmedTransaction(message, {
+    loadedAddresses: accountKeys.accountKeysFromLookups,
+    innerInstructions: [{
+      index: 0,
+      instructions: [{
+        programIdIndex: indexOf(RAYDIUM_AMM_V4_PROGRAM_ID),
+        accounts: poolInstruction.keys.map(key => indexOf(key.pubkey)),
+        data: bs58.encode(poolInstruction.data),
+        stackHeight: 2
+      }]
+    }],
+    logMessages: [
+      `Program ${launcherProgramId} invoke [1]`,
+      `Program ${RAYDIUM_AMM_V4_PROGRAM_ID} invoke [2]`,
+      'Program log: initialize2: InitializeInstruction2 { nonce: 254, open_time: 0, init_pc_amount: 0, init_coin_amount: 0 }',
+      `Program ${RAYDIUM_AMM_V4_PROGRAM_ID} success`,
+      `Program ${launcherProgramId} success`
+    ]
+  });
+
+  return { transaction, addresses };
+}
+
+module.exports = {
+  RAYDIUM_AMM_V4_PROGRAM_ID,
+  SOL_MINT,
+  TOKEN_MINT,
+  fixtureKey,
+  confirmedTransaction,
+  initialize2Data,
+  topLevelInitialize2Transaction,
+  cpiInitialize2Transaction
+};
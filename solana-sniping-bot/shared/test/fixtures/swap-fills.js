@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Confirmed Raydium v4 swap transactions of the bot's wallet,
+ * shaped like connection.getTransaction results, for fill parsing. Each
+ * transaction wraps SOL into the wallet's WSOL account, swaps through the
+ * pool and optionally closes the WSOL account again; the balance snapshots
+ * in meta are what those instructions leave behind. Pool accounts (and, when
+ * asked, the wallet's token account) are loaded from an address lookup
+ * table, so their balances sit past the static account keys.
+ */
+
+const crypto = require('crypto');
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  AddressLookupTableAccount,
+  ComputeBudgetProgram
+} = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createSyncNativeInstruction,
+  createCloseAccountInstruction
+} = require('@solana/spl-token');
+const { RAYDIUM_AMM_V4_PROGRAM_ID, SOL_MINT, fixtureKey, confirmedTransaction } = require('./raydium-initialize2');
+
+// Rent-exempt minimum of a 165 byte token account
+const TOKEN_ACCOUNT_RENT = 2039280;
+const TOKEN_DECIMALS = 6;
+const STARTING_LAMPORTS = 1000000000;
+
+// Token accounts need an owner on the curve, which a hashed key rarely is
+const WALLET = Keypair.fromSeed(crypto.createHash('sha256').update('bot wallet').digest()).publicKey;
+const TOKEN_MINT = fixtureKey('traded token mint');
+const POOL = {
+  id: fixtureKey('swap pool'),
+  authority: new PublicKey('5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1'),
+  tokenVault: fixtureKey('swap pool token vault'),
+  solVault: fixtureKey('swap pool sol vault')
+};
+const WALLET_TOKEN_ACCOUNT = getAssociatedTokenAddressSync(TOKEN_MINT, WALLET);
+const WALLET_WSOL_ACCOUNT = getAssociatedTokenAddressSync(new PublicKey(SOL_MINT), WALLET);
+
+/**
+ * Returns a token balance entry as getTransaction reports it
+ * @param {number} accountIndex - Index in the transaction's account keys
+ * @param {PublicKey} mint - Mint
+ * @param {PublicKey} owner - Token account owner
+ * @param {number} amount - Raw amount
+ * @param {number} decimals - Mint decimals
+ * @returns {Object} - Token balance
+ */
+function tokenBalance(accountIndex, mint, owner, amount, decimals) {
+  return {
+    accountIndex,
+    mint: mint.toString(),
+    owner: owner.toString(),
+    programId: TOKEN_PROGRAM_ID.toString(),
+    uiTokenAmount: {
+      amount: String(amount),
+      decimals,
+      uiAmount: amount / Math.pow(10, decimals),
+      uiAmountString: String(amount / Math.pow(10, decimals))
+    }
+  };
+}
+
+/**
+ * Builds a confirmed swap of the wallet through the fixture pool
+ * Accounts missing from `before` did not exist before the transaction, those
+ * missing from `after` were closed by it.
+ * @param {Object} params - Swap parameters
+ * @param {boolean} params.isBuy - Direction (SOL in and tokens out of the pool, or the reverse)
+ * @param {number} params.feeLamports - Network and priority fee
+ * @param {Object} params.before - { walletLamports, tokens, wsol }: wallet SOL and its token account balances (null = account missing)
+ * @param {Object} params.after - Same, after the transaction
+ * @param {number} params.wrapLamports - SOL wrapped into the WSOL account before the swap
+ * @param {boolean} [params.closeWsol] - Whether the transaction closes the WSOL account
+ * @param {boolean} [params.tokenAccountFromLookup] - Load the wallet's token account from the lookup table
+ * @returns {{transaction: Object, staticKeyCount: number, indexOf: Function}} - Transaction,
+ *   the number of static account keys and the index of an address among all keys
+ */
+function swapTransaction(params) {
+  const { isBuy, feeLamports, before, after, wrapLamports, closeWsol = false, tokenAccountFromLookup = false } = params;
+  const instructions = [
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 75000 }),
+    createAssociatedTokenAccountIdempotentInstruction(WALLET, WALLET_WSOL_ACCOUNT, WALLET, new PublicKey(SOL_MINT))
+  ];
+
+  if (wrapLamports > 0) {
+    instructions.push(
+      SystemProgram.transfer({ fromPubkey: WALLET, toPubkey: WALLET_WSOL_ACCOUNT, lamports: wrapLamports }),
+      createSyncNativeInstruction(WALLET_WSOL_ACCOUNT)
+    );
+  }
+
+  instructions.push(
+    createAssociatedTokenAccountIdempotentInstruction(WALLET, WALLET_TOKEN_ACCOUNT, WALLET, TOKEN_MINT),
+    new TransactionInstruction({
+      programId: RAYDIUM_AMM_V4_PROGRAM_ID,
+      keys: [
+        { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+        { pubkey: POOL.id, isSigner: false, isWritable: true },
+        { pubkey: POOL.authority, isSigner: false, isWritable: false },
+        { pubkey: POOL.tokenVault, isSigner: false, isWritable: true },
+        { pubkey: POOL.solVault, isSigner: false, isWritable: true },
+        { pubkey: isBuy ? WALLET_WSOL_ACCOUNT : WALLET_TOKEN_ACCOUNT, isSigner: false, isWritable: true },
+        { pubkey: isBuy ? WALLET_TOKEN_ACCOUNT : WALLET_WSOL_ACCOUNT, isSigner: false, isWritable: true },
+        { pubkey: WALLET, isSigner: true, isWritable: false }
+      ],
+      data: Buffer.from([9])
+    })
+  );
+
+  if (closeWsol) {
+    instructions.push(createCloseAccountInstruction(WALLET_WSOL_ACCOUNT, WALLET, WALLET));
+  }
+
+  const lookupTable = new AddressLookupTableAccount({
+    key: fixtureKey('swap lookup table'),
+    state: {
+      deactivationSlot: BigInt('18446744073709551615'),
+      lastExtendedSlot: 0,
+      lastExtendedSlotStartIndex: 0,
+      authority: undefined,
+      addresses: [
+        POOL.id,
+        POOL.authority,
+        POOL.tokenVault,
+        POOL.solVault,
+        ...(tokenAccountFromLookup ? [WALLET_TOKEN_ACCOUNT] : [])
+      ]
+    }
+  });
+
+  const message = new TransactionMessage({
+    payerKey: WALLET,
+    recentBlockhash: '4uQeVj5tqViQh7yWWGStvkEG1Zmhx6uasJtWCJziofM',
+    instructions
+  }).compileToV0Message([lookupTable]);
+
+  const accountKeys = message.getAccountKeys({ addressLookupTableAccounts: [lookupTable] });
+  const keys = accountKeys.keySegments().flat().map(key => key.toString());
+  const indexOf = address => keys.indexOf(address.toString());
+
+  // The vaults move the other way; they belong to the AMM authority, so fills must ignore them
+  const swappedTokens = Math.abs((after.tokens || 0) - (before.tokens || 0));
+  const swappedLamports = Math.abs(wrapLamports - ((after.wsol || 0) - (before.wsol || 0)));
+  const vaults = {
+    tokenBefore: 400000000000000,
+    solBefore: 85000000000
+  };
+  vaults.tokenAfter = vaults.tokenBefore + (isBuy ? -swappedTokens : swappedTokens);
+  vaults.solAfter = vaults.solBefore + (isBuy ? swappedLamports : -swappedLamports);
+
+  const snapshot = (state, vaultTokens, vaultLamports) => {
+    const lamports = keys.map(() => 1);
+    const tokenBalances = [
+      tokenBalance(indexOf(POOL.tokenVault), TOKEN_MINT, POOL.authority, vaultTokens, TOKEN_DECIMALS),
+      tokenBalance(indexOf(POOL.solVault), new PublicKey(SOL_MINT), POOL.authority, vaultLamports, 9)
+    ];
+
+    lamports[indexOf(WALLET)] = state.walletLamports;
+    lamports[indexOf(WALLET_TOKEN_ACCOUNT)] = state.tokens === null ? 0 : TOKEN_ACCOUNT_RENT;
+    lamports[indexOf(WALLET_WSOL_ACCOUNT)] = state.wsol === null ? 0 : TOKEN_ACCOUNT_RENT + state.wsol;
+    lamports[indexOf(POOL.solVault)] = TOKEN_ACCOUNT_RENT + vaultLamports;
+
+    if (state.tokens !== null) {
+      tokenBalances.push(tokenBalance(indexOf(WALLET_TOKEN_ACCOUNT), TOKEN_MINT, WALLET, state.tokens, TOKEN_DECIMALS));
+    }
+    if (state.wsol !== null) {
+      tokenBalances.push(tokenBalance(indexOf(WALLET_WSOL_ACCOUNT), new PublicKey(SOL_MINT), WALLET, state.wsol, 9));
+    }
+
+    return { lamports, tokenBalances: tokenBalances.sort((a, b) => a.accountIndex - b.accountIndex) };
+  };
+
+  const pre = snapshot(before, vaults.tokenBefore, vaults.solBefore);
+  const post = snapshot(after, vaults.tokenAfter, vaults.solAfter);
+
+  const transaction = confirmedTransaction(message, {
+    fee: feeLamports,
+    preBalances: pre.lamports,
+    postBalances: post.lamports,
+    preTokenBalances: pre.tokenBalances,
+    postTokenBalances: post.tokenBalances,
+    loadedAddresses: accountKeys.accountKeysFromLookups
+  });
+
+  return { transaction, staticKeyCount: message.staticAccountKeys.length, indexOf };
+}
+
+module.exports = {
+  TOKEN_ACCOUNT_RENT,
+  TOKEN_DECIMALS,
+  STARTING_LAMPORTS,
+  WALLET,
+  TOKEN_MINT,
+  WALLET_TOKEN_ACCOUNT,
+  WALLET_WSOL_ACCOUNT,
+  swapTransaction
+};
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Tests for the inter-service message contracts: validation
+ * errors on the publishing and the consuming side, and the stream entries a
+ * consumer quarantines instead of handing to its handler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FakeRedis = require('./fixtures/fake-redis');
+const { newPoolPayload, successfulBuyPayload } = require('./fixtures/messages');
+
+// createRedisClient builds its clients with `new Redis()`
+require('ioredis');
+require.cache[require.resolve('ioredis')].exports = FakeRedis;
+
+const { REDIS_CHANNELS } = require('../constants');
+const {
+  SCHEMA_VERSION,
+  MessageValidationError,
+  hasSchema,
+  validateMessage,
+  createMessage,
+  parseMessage
+} = require('../message-schemas');
+const { createStreamConsumer, publishToStream } = require('../redis-helper');
+
+/**
+ * Returns the errors a payload is rejected with on publishing
+ * @param {string} channel - Channel
+ * @param {Object} payload - Payload
+ * @returns {Array<string>} - Validation errors
+ */
+function publishErrors(channel, payload) {
+  try {
+    createMessage(channel, payload);
+  } catch (error) {
+    assert.ok(error instanceof MessageValidationError);
+    assert.equal(error.channel, channel);
+    return error.errors;
+  }
+
+  assert.fail('message was accepted');
+}
+
+/**
+ * Converts a flat [field, value, ...] stream entry into an object
+ * @param {Array<string>} fields - Entry fields
+ * @returns {Object} - Field map
+ */
+function entryFields(fields) {
+  const entry = {};
+
+  for (let i = 0; i < fields.length; i += 2) {
+    entry[fields[i]] = fields[i + 1];
+  }
+
+  return entry;
+}
+
+test('createMessage stamps the schema version on a valid payload', () => {
+  const message = createMessage(REDIS_CHANNELS.NEW_POOLS, newPoolPayload());
+
+  assert.equal(message.schemaVersion, SCHEMA_VERSION);
+  assert.equal(message.lpAddress, newPoolPayload().lpAddress);
+  assert.equal(hasSchema(REDIS_CHANNELS.NEW_POOLS), true);
+  assert.equal(hasSchema(REDIS_CHANNELS.LOGS), false);
+});
+
+test('createMessage lists every field that breaks the contract', () => {
+  const errors = publishErrors(REDIS_CHANNELS.SUCCESSFUL_BUYS, successfulBuyPayload({
+    signature: undefined,
+    lpAddress: 'not-a-pool',
+    amountInSol: '0.01',
+    tokenAmount: Infinity,
+    fillSource: 'guess',
+    isDryRun: 'false'
+  }));
+
+  assert.deepEqual(errors, [
+    'signature is required',
+    'lpAddress must be a Solana address',
+    'amountInSol must be a number',
+    'tokenAmount must be a number',
+    'fillSource must be one of transaction, quote',
+    'isDryRun must be a boolean'
+  ]);
+
+  const error = new MessageValidationError(REDIS_CHANNELS.SUCCESSFUL_BUYS, errors);
+  assert.match(error.message, /^Invalid sniper:successful_buys message: signature is required; lpAddress/);
+});
+
+test('optional fields may be missing or null and undeclared fields pass through', () => {
+  const message = createMessage(REDIS_CHANNELS.NEW_POOLS, newPoolPayload({
+    baseVault: undefined,
+    slot: null,
+    liquiditySol: 85
+  }));
+
+  assert.equal(message.liquiditySol, 85);
+  assert.deepEqual(publishErrors(REDIS_CHANNELS.NEW_POOLS, newPoolPayload({ event: 'update', baseVault: '' })), [
+    'event must be one of create',
+    'baseVault must be a Solana address'
+  ]);
+});
+
+test('parseMessage rejects malformed JSON and unsupported schema versions', () => {
+  const valid = createMessage(REDIS_CHANNELS.NEW_POOLS, newPoolPayload());
+
+  assert.deepEqual(parseMessage(REDIS_CHANNELS.NEW_POOLS, JSON.stringify(valid)), valid);
+
+  assert.throws(() => parseMessage(REDIS_CHANNELS.NEW_POOLS, '{"event":'), error =>
+    error instanceof MessageValidationError && /^malformed JSON: /.test(error.errors[0])
+  );
+
+  for (const schemaVersion of [undefined, 0, SCHEMA_VERSION + 1, '1']) {
+    const { valid: ok, errors } = validateMessage(REDIS_CHANNELS.NEW_POOLS, { ...valid, schemaVersion });
+    assert.equal(ok, false);
+    assert.deepEqual(errors, [`unsupported schemaVersion ${schemaVersion}`]);
+  }
+
+  assert.deepEqual(validateMessage(REDIS_CHANNELS.NEW_POOLS, []).errors, ['message is not an object']);
+  assert.deepEqual(validateMessage('sniper:unknown', {}).errors, ['no schema for channel sniper:unknown']);
+});
+
+test('publishToStream sends nothing when the message breaks its contract', async () => {
+  FakeRedis.reset();
+  const redis = new FakeRedis();
+
+  await assert.rejects(
+    publishToStream(redis, REDIS_CHANNELS.NEW_POOLS, newPoolPayload({ baseMint: null })),
+    MessageValidationError
+  );
+  assert.equal(await redis.xlen(REDIS_CHANNELS.NEW_POOLS), 0);
+
+  await publishToStream(redis, REDIS_CHANNELS.NEW_POOLS, newPoolPayload());
+  const [[, fields]] = await redis.xrange(REDIS_CHANNELS.NEW_POOLS, '-', '+');
+  assert.equal(JSON.parse(fields[1]).schemaVersion, SCHEMA_VERSION);
+});
+
+test('a consumer quarantines and acks entries that break their contract', async () => {
+  FakeRedis.reset();
+  const redis = new FakeRedis();
+  const stream = REDIS_CHANNELS.NEW_POOLS;
+  const handled = [];
+
+  const valid = JSON.stringify(createMessage(stream, newPoolPayload()));
+  const entries = {
+    // Written by an older publisher, or by hand, bypassing createMessage
+    truncated: '{"event":"create","lpAddress":',
+    newerVersion: JSON.stringify({ ...JSON.parse(valid), schemaVersion: SCHEMA_VERSION + 1 }),
+    missingMint: JSON.stringify({ ...JSON.parse(valid), baseMint: undefined }),
+    valid
+  };
+
+  for (const data of Object.values(entries)) {
+    await redis.xadd(stream, '*', 'data', data);
+  }
+
+  const consumer = createStreamConsumer({
+    group: 'token-filter',
+    streams: [stream],
+    blockMs: 10,
+    handler: async message => {
+      handled.push(message);
+    }
+  });
+
+  await consumer.start();
+  const deadline = Date.now() + 2000;
+  while ((await redis.xlen(REDIS_CHANNELS.QUARANTINE)) < 3 || handled.length < 1) {
+    assert.ok(Date.now() < deadline, 'entries were not consumed');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await consumer.drain();
+
+  assert.equal(handled.length, 1);
+  assert.equal(handled[0].lpAddress, newPoolPayload().lpAddress);
+
+  const quarantined = (await redis.xrange(REDIS_CHANNELS.QUARANTINE, '-', '+'))
+    .map(([, fields]) => entryFields(fields));
+
+  assert.deepEqual(quarantined.map(entry => entry.data), [entries.truncated, entries.newerVersion, entries.missingMint]);
+  assert.deepEqual(quarantined.map(entry => entry.stream), [stream, stream, stream]);
+  assert.deepEqual(quarantined.map(entry => entry.group), ['token-filter', 'token-filter', 'token-filter']);
+  assert.match(JSON.parse(quarantined[0].errors)[0], /^malformed JSON/);
+  assert.deepEqual(JSON.parse(quarantined[1].errors), [`unsupported schemaVersion ${SCHEMA_VERSION + 1}`]);
+  assert.deepEqual(JSON.parse(quarantined[2].errors), ['baseMint is required']);
+
+  assert.equal(await redis.hget('stats:quarantined', stream), '3');
+  assert.deepEqual(await redis.xpending(stream, 'token-filter', '-', '+', 10), []);
+});
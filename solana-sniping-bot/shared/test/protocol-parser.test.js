@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Tests for Raydium initialize2 decoding, against transactions
+ * creating a pool directly and through a CPI
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  decodeRaydiumInitialize2,
+  getAllInstructions,
+  parseRaydiumInitialize2Transaction,
+  parsePoolCreationTransaction
+} = require('../utils/protocol-parser');
+const {
+  RAYDIUM_AMM_V4_PROGRAM_ID,
+  SOL_MINT,
+  TOKEN_MINT,
+  fixtureKey,
+  initialize2Data,
+  topLevelInitialize2Transaction,
+  cpiInitialize2Transaction
+} = require('./fixtures/raydium-initialize2');
+
+const POOL_DATA = initialize2Data({
+  openTime: 1726000123,
+  initPcAmount: 85000000000n,
+  initCoinAmount: 206900000000000n
+});
+
+/**
+ * Checks parsed pool data against the accounts the fixture put in each slot
+ * @param {Object} poolData - Parsed pool data
+ * @param {Object<string, string>} addresses - Fixture accounts by label
+ */
+function assertPoolAccounts(poolData, addresses) {
+  assert.equal(poolData.protocol, 'RAYDIUM');
+  assert.equal(poolData.lpAddress, addresses.amm);
+  assert.equal(poolData.coinMint, addresses.coinMint);
+  assert.equal(poolData.pcMint, addresses.pcMint);
+  assert.equal(poolData.lpMint, addresses.lpMint);
+  assert.equal(poolData.coinVault, addresses.poolCoinVault);
+  assert.equal(poolData.pcVault, addresses.poolPcVault);
+  assert.equal(poolData.marketProgramId, addresses.marketProgram);
+  assert.equal(poolData.marketId, addresses.market);
+  assert.equal(poolData.creator, addresses.creator);
+  assert.equal(poolData.poolOpenTime, 1726000123);
+  assert.equal(poolData.initPcAmount, '85000000000');
+  assert.equal(poolData.initCoinAmount, '206900000000000');
+}
+
+test('parses a top-level initialize2 with the token as coin and SOL as pc', () => {
+  const { transaction, addresses } = topLevelInitialize2Transaction({ coinMint: TOKEN_MINT, pcMint: SOL_MINT, data: POOL_DATA });
+
+  const poolData = parseRaydiumInitialize2Transaction(transaction);
+
+  assertPoolAccounts(poolData, addresses);
+  assert.equal(poolData.baseMint, TOKEN_MINT);
+  assert.equal(poolData.quoteMint, SOL_MINT);
+  assert.equal(poolData.signature, transaction.transaction.signatures[0]);
+  assert.equal(poolData.slot, transaction.slot);
+  assert.equal(poolData.detectionMethod, 'instruction_parse');
+});
+
+test('orients SOL as the quote when the creator put it on the coin side', () => {
+  const { transaction, addresses } = topLevelInitialize2Transaction({ coinMint: SOL_MINT, pcMint: TOKEN_MINT, data: POOL_DATA });
+
+  const poolData = parseRaydiumInitialize2Transaction(transaction);
+
+  assertPoolAccounts(poolData, addresses);
+  assert.equal(poolData.coinMint, SOL_MINT);
+  assert.equal(poolData.baseMint, TOKEN_MINT);
+  assert.equal(poolData.quoteMint, SOL_MINT);
+});
+
+test('keeps the coin/pc order of a pair without SOL', () => {
+  const usdcMint = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+  const { transaction } = topLevelInitialize2Transaction({ coinMint: TOKEN_MINT, pcMint: usdcMint, data: POOL_DATA });
+
+  const poolData = parseRaydiumInitialize2Transaction(transaction);
+
+  assert.equal(poolData.baseMint, TOKEN_MINT);
+  assert.equal(poolData.quoteMint, usdcMint);
+});
+
+test('parses initialize2 called by CPI with accounts from a lookup table', () => {
+  const { transaction, addresses } = cpiInitialize2Transaction({ coinMint: SOL_MINT, pcMint: TOKEN_MINT, data: POOL_DATA });
+
+  // Only the launcher call is top-level; initialize2 is the inner instruction
+  const topLevel = transaction.transaction.message.compiledInstructions;
+  assert.equal(topLevel.length, 1);
+  assert.notEqual(topLevel[0].programIdIndex, transaction.meta.innerInstructions[0].instructions[0].programIdIndex);
+  assert.equal(transaction.meta.loadedAddresses.readonly.length > 0, true);
+
+  const poolData = parseRaydiumInitialize2Transaction(transaction);
+
+  assertPoolAccounts(poolData, addresses);
+  assert.equal(poolData.baseMint, TOKEN_MINT);
+  assert.equal(poolData.quoteMint, SOL_MINT);
+});
+
+test('parsePoolCreationTransaction routes initialize2 logs to the Raydium parser', () => {
+  const { transaction, addresses } = cpiInitialize2Transaction({ coinMint: TOKEN_MINT, pcMint: SOL_MINT, data: POOL_DATA });
+
+  assert.equal(parsePoolCreationTransaction(transaction).lpAddress, addresses.amm);
+});
+
+test('getAllInstructions resolves inner instruction accounts through the lookup table', () => {
+  const { transaction, addresses } = cpiInitialize2Transaction({ coinMint: TOKEN_MINT, pcMint: SOL_MINT, data: POOL_DATA });
+
+  const instructions = getAllInstructions(transaction);
+  const inner = instructions[instructions.length - 1];
+
+  assert.equal(instructions.length, 2);
+  assert.equal(inner.programId, RAYDIUM_AMM_V4_PROGRAM_ID.toString());
+  assert.equal(inner.accounts[0], addresses.tokenProgram);
+  assert.equal(inner.accounts[16], addresses.market);
+  assert.equal(inner.data.equals(POOL_DATA), true);
+});
+
+test('ignores instructions that are not initialize2', () => {
+  const addresses = Array.from({ length: 21 }, (_, i) => fixtureKey(`account ${i}`).toString());
+
+  // swapBaseIn carries instruction 9
+  const swapData = Buffer.from(POOL_DATA);
+  swapData[0] = 9;
+  assert.equal(decodeRaydiumInitialize2({ accounts: addresses, data: swapData }), null);
+
+  // initialize2 data with too few accounts or truncated data
+  assert.equal(decodeRaydiumInitialize2({ accounts: addresses.slice(0, 17), data: POOL_DATA }), null);
+  assert.equal(decodeRaydiumInitialize2({ accounts: addresses, data: POOL_DATA.subarray(0, 25) }), null);
+});
+
+test('returns null for transactions without an initialize2 from the AMM program', () => {
+  const otherProgram = fixtureKey('other program');
+  const { transaction: fromOtherProgram } = topLevelInitialize2Transaction({
+    coinMint: TOKEN_MINT,
+    pcMint: SOL_MINT,
+    data: POOL_DATA,
+    programId: otherProgram
+  });
+  assert.equal(parseRaydiumInitialize2Transaction(fromOtherProgram), null);
+
+  const swapData = Buffer.from(POOL_DATA);
+  swapData[0] = 9;
+  const { transaction: swap } = topLevelInitialize2Transaction({ coinMint: TOKEN_MINT, pcMint: SOL_MINT, data: swapData });
+  assert.equal(parseRaydiumInitialize2Transaction(swap), null);
+
+  const { transaction: failed } = topLevelInitialize2Transaction({ coinMint: TOKEN_MINT, pcMint: SOL_MINT, data: POOL_DATA });
+  failed.meta.err = { InstructionError: [1, { Custom: 0 }] };
+  assert.equal(parseRaydiumInitialize2Transaction(failed), null);
+});
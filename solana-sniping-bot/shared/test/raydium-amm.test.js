@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Tests for the Raydium AMM v4 account decoders and the
+ * swapBaseIn instruction, against SOL-USDC pool and market fixtures
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PublicKey, SystemProgram } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const {
+  LIQUIDITY_STATE_V4_SIZE,
+  MARKET_STATE_V3_SIZE,
+  decodeLiquidityStateV4,
+  decodeMarketStateV3,
+  buildPoolKeys,
+  computeSwapAmountOut,
+  encodeSwapBaseInData
+} = require('../utils/raydium-amm');
+const { buildRaydiumSwapInstructions, quoteRaydiumSwap } = require('../utils/dex-pool');
+const {
+  RAYDIUM_AMM_V4_PROGRAM_ID,
+  SERUM_V3_PROGRAM_ID,
+  SOL_USDC,
+  SOL_USDC_POOL_PARAMS,
+  liquidityStateV4Account,
+  marketStateV3Account,
+  tokenAccount
+} = require('./fixtures/raydium-amm');
+
+const OWNER = new PublicKey('9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM');
+
+/**
+ * Resolves the fixture pool's keys the way fetchRaydiumPoolKeys does
+ * @returns {Object} - Pool keys
+ */
+function fixturePoolKeys() {
+  return buildPoolKeys(
+    new PublicKey(SOL_USDC.id),
+    new PublicKey(RAYDIUM_AMM_V4_PROGRAM_ID),
+    decodeLiquidityStateV4(liquidityStateV4Account()),
+    decodeMarketStateV3(marketStateV3Account())
+  );
+}
+
+/**
+ * Builds a fixture swap and returns its swapBaseIn instruction
+ * @param {boolean} isBuyingTokens - Swap direction
+ * @returns {Promise<{swap: Object, instruction: TransactionInstruction}>} - Swap and its swapBaseIn instruction
+ */
+async function buildFixtureSwap(isBuyingTokens) {
+  const swap = await buildRaydiumSwapInstructions({
+    lpAddress: SOL_USDC.id,
+    baseMint: SOL_USDC.baseMint,
+    quoteMint: SOL_USDC.quoteMint,
+    owner: OWNER,
+    amountIn: 1500000000n,
+    minAmountOut: 123456789n,
+    isBuyingTokens,
+    poolKeys: fixturePoolKeys()
+  });
+
+  const instruction = swap.instructions.find(ix => ix.programId.toString() === RAYDIUM_AMM_V4_PROGRAM_ID);
+  return { swap, instruction };
+}
+
+test('decodeLiquidityStateV4 reads every field at its on-chain offset', () => {
+  assert.equal(LIQUIDITY_STATE_V4_SIZE, 752);
+
+  const state = decodeLiquidityStateV4(liquidityStateV4Account());
+
+  for (const [name, value] of Object.entries(SOL_USDC_POOL_PARAMS)) {
+    assert.equal(state[name], value, name);
+  }
+
+  assert.equal(state.baseVault.toString(), SOL_USDC.baseVault);
+  assert.equal(state.quoteVault.toString(), SOL_USDC.quoteVault);
+  assert.equal(state.baseMint.toString(), SOL_USDC.baseMint);
+  assert.equal(state.quoteMint.toString(), SOL_USDC.quoteMint);
+  assert.equal(state.lpMint.toString(), SOL_USDC.lpMint);
+  assert.equal(state.openOrders.toString(), SOL_USDC.openOrders);
+  assert.equal(state.marketId.toString(), SOL_USDC.marketId);
+  assert.equal(state.marketProgramId.toString(), SERUM_V3_PROGRAM_ID);
+  assert.equal(state.targetOrders.toString(), SOL_USDC.targetOrders);
+  assert.equal(state.withdrawQueue.toString(), SOL_USDC.withdrawQueue);
+  assert.equal(state.lpVault.toString(), SOL_USDC.lpVault);
+  assert.equal(state.owner.toString(), SOL_USDC.owner);
+});
+
+test('decodeLiquidityStateV4 rejects truncated data', () => {
+  assert.throws(() => decodeLiquidityStateV4(liquidityStateV4Account().subarray(0, 751)), /Invalid LiquidityStateV4 size/);
+});
+
+test('decodeMarketStateV3 reads the market accounts at their on-chain offsets', () => {
+  assert.equal(MARKET_STATE_V3_SIZE, 388);
+
+  const market = decodeMarketStateV3(marketStateV3Account());
+
+  assert.equal(market.vaultSignerNonce, 1n);
+  assert.equal(market.baseMint.toString(), SOL_USDC.baseMint);
+  assert.equal(market.quoteMint.toString(), SOL_USDC.quoteMint);
+  assert.equal(market.baseVault.toString(), SOL_USDC.marketBaseVault);
+  assert.equal(market.quoteVault.toString(), SOL_USDC.marketQuoteVault);
+  assert.equal(market.requestQueue.toString(), SOL_USDC.marketRequestQueue);
+  assert.equal(market.eventQueue.toString(), SOL_USDC.marketEventQueue);
+  assert.equal(market.bids.toString(), SOL_USDC.marketBids);
+  assert.equal(market.asks.toString(), SOL_USDC.marketAsks);
+
+  assert.throws(() => decodeMarketStateV3(marketStateV3Account().subarray(0, 387)), /Invalid MarketStateV3 size/);
+});
+
+test('buildPoolKeys derives the AMM authority and market vault signer', () => {
+  const poolKeys = fixturePoolKeys();
+
+  assert.equal(poolKeys.authority.toString(), SOL_USDC.authority);
+  assert.equal(poolKeys.marketAuthority.toString(), SOL_USDC.marketAuthority);
+  assert.equal(poolKeys.programId.toString(), RAYDIUM_AMM_V4_PROGRAM_ID);
+  assert.equal(poolKeys.marketProgramId.toString(), SERUM_V3_PROGRAM_ID);
+});
+
+test('encodeSwapBaseInData lays out instruction 9, amountIn and minimumAmountOut', () => {
+  const data = encodeSwapBaseInData(1500000000n, 0xfedcba9876543210n);
+
+  assert.equal(data.toString('hex'), '09' + '002f685900000000' + '1032547698badcfe');
+});
+
+test('swapBaseIn passes the 18 accounts in program order', async () => {
+  const { swap, instruction } = await buildFixtureSwap(true);
+  const userQuoteAccount = getAssociatedTokenAddressSync(new PublicKey(SOL_USDC.quoteMint), OWNER);
+  const userBaseAccount = getAssociatedTokenAddressSync(new PublicKey(SOL_USDC.baseMint), OWNER);
+
+  const expected = [
+    [TOKEN_PROGRAM_ID.toString(), false, false],
+    [SOL_USDC.id, true, false],
+    [SOL_USDC.authority, false, false],
+    [SOL_USDC.openOrders, true, false],
+    [SOL_USDC.targetOrders, true, false],
+    [SOL_USDC.baseVault, true, false],
+    [SOL_USDC.quoteVault, true, false],
+    [SERUM_V3_PROGRAM_ID, false, false],
+    [SOL_USDC.marketId, true, false],
+    [SOL_USDC.marketBids, true, false],
+    [SOL_USDC.marketAsks, true, false],
+    [SOL_USDC.marketEventQueue, true, false],
+    [SOL_USDC.marketBaseVault, true, false],
+    [SOL_USDC.marketQuoteVault, true, false],
+    [SOL_USDC.marketAuthority, false, false],
+    [userQuoteAccount.toString(), true, false],
+    [userBaseAccount.toString(), true, false],
+    [OWNER.toString(), false, true]
+  ];
+
+  assert.deepEqual(
+    instruction.keys.map(key => [key.pubkey.toString(), key.isWritable, key.isSigner]),
+    expected
+  );
+  assert.equal(instruction.data.toString('hex'), encodeSwapBaseInData(1500000000n, 123456789n).toString('hex'));
+  assert.equal(swap.accounts.sourceAccount.toString(), userQuoteAccount.toString());
+});
+
+test('selling into a SOL quote wraps the input and closes the wrapped account', async () => {
+  const { swap, instruction } = await buildFixtureSwap(false);
+  const userSolAccount = getAssociatedTokenAddressSync(new PublicKey(SOL_USDC.baseMint), OWNER);
+  const userUsdcAccount = getAssociatedTokenAddressSync(new PublicKey(SOL_USDC.quoteMint), OWNER);
+
+  assert.equal(instruction.keys[15].pubkey.toString(), userSolAccount.toString());
+  assert.equal(instruction.keys[16].pubkey.toString(), userUsdcAccount.toString());
+
+  const programs = swap.instructions.map(ix => ix.programId.toString());
+  const swapIndex = programs.indexOf(RAYDIUM_AMM_V4_PROGRAM_ID);
+
+  assert.equal(programs.indexOf(SystemProgram.programId.toString()) < swapIndex, true);
+  assert.equal(programs[programs.length - 1], TOKEN_PROGRAM_ID.toString());
+});
+
+test('quoteRaydiumSwap charges the swap fee on reserves net of PnL', async () => {
+  const poolState = decodeLiquidityStateV4(liquidityStateV4Account());
+  // A trade fee different from the swap fee shows which one is charged
+  poolState.tradeFeeNumerator = 500n;
+
+  const connection = {
+    async getMultipleAccountsInfo() {
+      return [
+        { data: tokenAccount(SOL_USDC.baseMint, SOL_USDC.authority, 101500000000n) },
+        { data: tokenAccount(SOL_USDC.quoteMint, SOL_USDC.authority, 15000250000000n) }
+      ];
+    }
+  };
+
+  const quote = await quoteRaydiumSwap({
+    connection,
+    lpAddress: SOL_USDC.id,
+    inputMint: SOL_USDC.baseMint,
+    amountIn: 1000000000n,
+    slippageBps: 100,
+    poolState
+  });
+
+  assert.equal(quote.reserves.baseReserve, 100000000000n);
+  assert.equal(quote.reserves.quoteReserve, 15000000000000n);
+
+  // 0.25% of 1 SOL rounded up, then x * y = k on what is left
+  const amountInAfterFee = 1000000000n - 2500000n;
+  assert.equal(quote.expectedAmountOut, (15000000000000n * amountInAfterFee) / (100000000000n + amountInAfterFee));
+  assert.equal(quote.expectedAmountOut, computeSwapAmountOut({
+    amountIn: 1000000000n,
+    reserveIn: 100000000000n,
+    reserveOut: 15000000000000n,
+    feeNumerator: 25n,
+    feeDenominator: 10000n
+  }));
+  assert.equal(quote.minAmountOut, quote.expectedAmountOut * 9900n / 10000n);
+});
+
+test('computeSwapAmountOut rounds the fee up and returns nothing for empty reserves', () => {
+  const params = { amountIn: 401n, reserveIn: 1000000n, reserveOut: 1000000n, feeNumerator: 25n, feeDenominator: 10000n };
+
+  // ceil(401 * 25 / 10000) = 2
+  assert.equal(computeSwapAmountOut(params), (1000000n * 399n) / (1000000n + 399n));
+  assert.equal(computeSwapAmountOut({ ...params, reserveIn: 0n }), 0n);
+  assert.equal(computeSwapAmountOut({ ...params, amountIn: 0n }), 0n);
+});
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Tests for the stream consumer's delivery guarantees, against
+ * an in-memory Redis: entries still queued or being handled are never
+ * reclaimed by their own consumer, failed ones are retried, and entries a
+ * gone consumer left pending are taken over
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FakeRedis = require('./fixtures/fake-redis');
+
+// createRedisClient builds its clients with `new Redis()`
+require('ioredis');
+require.cache[require.resolve('ioredis')].exports = FakeRedis;
+
+const { createStreamConsumer, publishToStream } = require('../redis-helper');
+
+const STREAM = 'test:events';
+const GROUP = 'test-service';
+
+// Short enough that a handler outlives claimIdleMs several times over
+const FAST_STREAM_SETTINGS = {
+  blockMs: 10,
+  claimIdleMs: 30,
+  reclaimIntervalMs: 10
+};
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {number} [timeoutMs] - Give up after this long
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Returns the group's pending entries
+ * @param {FakeRedis} redis - Client
+ * @returns {Promise<Array>} - [[id, consumer, idleMs, deliveries], ...]
+ */
+function pendingEntries(redis) {
+  return redis.xpending(STREAM, GROUP, '-', '+', 100);
+}
+
+test.beforeEach(() => {
+  FakeRedis.reset();
+});
+
+test('a slow handler runs each entry once while later ones wait past claimIdleMs', async () => {
+  const redis = new FakeRedis();
+  const runs = new Map();
+
+  const consumer = createStreamConsumer({
+    ...FAST_STREAM_SETTINGS,
+    group: GROUP,
+    streams: [STREAM],
+    consumer: 'worker-1',
+    concurrency: 1,
+    handler: async (message) => {
+      runs.set(message, (runs.get(message) || 0) + 1);
+      await new Promise(resolve => setTimeout(resolve, 120));
+    }
+  });
+
+  await consumer.start();
+  for (const message of ['a', 'b', 'c']) {
+    await publishToStream(redis, STREAM, message);
+  }
+
+  await waitFor(() => runs.size === 3);
+  await consumer.drain();
+
+  assert.deepEqual(Object.fromEntries(runs), { a: 1, b: 1, c: 1 });
+  assert.deepEqual(await pendingEntries(redis), []);
+});
+
+test('an entry whose handler failed is retried by its own consumer', async () => {
+  const redis = new FakeRedis();
+  const deliveries = [];
+
+  const consumer = createStreamConsumer({
+    ...FAST_STREAM_SETTINGS,
+    group: GROUP,
+    streams: [STREAM],
+    consumer: 'worker-1',
+    handler: async (message, meta) => {
+      deliveries.push(meta.deliveries);
+      if (meta.deliveries === 1) {
+        throw new Error('RPC timeout');
+      }
+    }
+  });
+
+  await consumer.start();
+  await publishToStream(redis, STREAM, 'retry me');
+
+  await waitFor(() => deliveries.length === 2);
+  await consumer.drain();
+
+  assert.deepEqual(deliveries, [1, 2]);
+  assert.deepEqual(await pendingEntries(redis), []);
+});
+
+test('entries a gone consumer left pending are taken over and handled once', async () => {
+  const redis = new FakeRedis();
+  const runs = [];
+
+  await redis.xgroup('CREATE', STREAM, GROUP, '0', 'MKSTREAM');
+  await publishToStream(redis, STREAM, 'orphan');
+  // Delivered to a consumer that then died without acking it
+  await redis.xreadgroup('GROUP', GROUP, 'worker-gone', 'COUNT', 10, 'STREAMS', STREAM, '>');
+
+  const consumer = createStreamConsumer({
+    ...FAST_STREAM_SETTINGS,
+    group: GROUP,
+    streams: [STREAM],
+    consumer: 'worker-1',
+    handler: async (message, meta) => {
+      runs.push([message, meta.deliveries]);
+      await new Promise(resolve => setTimeout(resolve, 80));
+    }
+  });
+
+  await consumer.start();
+
+  await waitFor(() => runs.length === 1);
+  await new Promise(resolve => setTimeout(resolve, 150));
+  await consumer.drain();
+
+  assert.deepEqual(runs, [['orphan', 2]]);
+  assert.deepEqual(await pendingEntries(redis), []);
+});
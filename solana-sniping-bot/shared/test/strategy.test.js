@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Tests for the sell strategy engine: strategy validation, rule
+ * priority, one-shot partial exits, condition composition and the strategy
+ * built from the exit rule settings in config
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  StrategyValidationError,
+  compileStrategy,
+  loadStrategy,
+  strategyFromExitRules,
+  evaluateStrategy
+} = require('../strategy');
+
+// Exit rule settings with every rule disabled
+const NO_EXIT_RULES = {
+  takeProfitPercentage: 0,
+  stopLossPercentage: 0,
+  trailingStopPercentage: 0,
+  trailingStopActivationPercentage: 0,
+  maxHoldMinutes: 0,
+  noMovementMinutes: 0,
+  noMovementThresholdPercentage: 5,
+  takeProfitLadder: []
+};
+
+/**
+ * Returns the validation errors compiling a document raises
+ * @param {Object} document - Strategy document
+ * @returns {Array<string>} - Errors
+ */
+function compileErrors(document) {
+  try {
+    compileStrategy(document, 'test.yaml');
+  } catch (error) {
+    assert.ok(error instanceof StrategyValidationError);
+    assert.equal(error.source, 'test.yaml');
+    return error.errors;
+  }
+
+  assert.fail('strategy compiled');
+}
+
+/**
+ * Returns the rule that fires, or null
+ * @param {Object} strategy - Compiled strategy
+ * @param {Object} context - Position metrics
+ * @param {Array<string>} [firedRules] - Partial rules already executed
+ * @returns {string|null} - Rule name
+ */
+function firedRule(strategy, context, firedRules) {
+  const decision = evaluateStrategy(strategy, context, firedRules);
+  return decision ? decision.rule : null;
+}
+
+test('compileStrategy reports every problem of a malformed document at once', () => {
+  const errors = compileErrors({
+    name: 'broken',
+    rules: [
+      { name: 'stop_loss', when: { priceChange: { lte: -50 } } },
+      { name: 'stop_loss', when: { priceChange: { lte: -60 } } },
+      { name: 'half', sellPercent: 150, when: { priceChange: { gte: 100 } } },
+      { name: 'typo', when: { priceChnage: { gte: 100 } } },
+      { name: 'bad_op', when: { drawdown: { eq: 10 } } },
+      { name: 'no_window', when: { volume: { lt: 1 } } },
+      { name: 'empty_or', when: { or: [] } },
+      { name: 'two_keys', when: { holdTime: { gte: 5 }, drawdown: { gte: 5 } } }
+    ]
+  });
+
+  assert.deepEqual(errors, [
+    'version is required',
+    'rules[1].name stop_loss is not unique',
+    'rules[2].sellPercent must be in (0, 100]',
+    'rules[3].when: unknown primitive priceChnage',
+    'rules[4].when.drawdown: unknown comparison eq',
+    'rules[5].when.volume.windowMinutes must be a positive number',
+    'rules[6].when.or must be a non-empty array',
+    'rules[7].when must have exactly one key, got holdTime, drawdown'
+  ]);
+
+  assert.deepEqual(compileErrors({ name: 'empty', version: 1, rules: [] }), ['rules must be a non-empty array']);
+  assert.throws(() => compileStrategy(null), StrategyValidationError);
+});
+
+test('compileStrategy defaults to full exits and collects the primitives used', () => {
+  const strategy = compileStrategy({
+    name: 'ladder',
+    version: 2,
+    rules: [
+      { name: 'stop_loss', when: { priceChange: { lte: -40 } } },
+      { name: 'first_rung', sellPercent: 50, when: { and: [{ priceChange: { gte: 100 } }, { not: { drawdown: { gte: 10 } } }] } }
+    ]
+  });
+
+  assert.equal(strategy.id, 'ladder@2');
+  assert.equal(strategy.version, '2');
+  assert.deepEqual(strategy.rules.map(rule => [rule.name, rule.sellPercent]), [['stop_loss', 100], ['first_rung', 50]]);
+  assert.deepEqual([...strategy.primitives].sort(), ['drawdown', 'priceChange']);
+});
+
+test('loadStrategy reads YAML strategy files', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'strategy-')), 'exit.yaml');
+  fs.writeFileSync(file, [
+    'name: yaml',
+    'version: 1',
+    'rules:',
+    '  - name: max_hold',
+    '    when: { holdTime: { gte: 30 } }'
+  ].join('\n'));
+
+  try {
+    const strategy = loadStrategy(file);
+    assert.equal(strategy.id, 'yaml@1');
+    assert.equal(firedRule(strategy, { holdMinutes: 31 }), 'max_hold');
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test('the first rule whose condition holds decides the sell', () => {
+  const strategy = compileStrategy({
+    name: 'order',
+    version: 1,
+    rules: [
+      { name: 'max_hold', when: { holdTime: { gte: 60 } } },
+      { name: 'take_profit', when: { priceChange: { gte: 50 } } },
+      { name: 'big_take_profit', when: { priceChange: { gte: 100 } } }
+    ]
+  });
+
+  assert.equal(firedRule(strategy, { holdMinutes: 5, priceChangePercent: 120 }), 'take_profit');
+  assert.equal(firedRule(strategy, { holdMinutes: 90, priceChangePercent: 120 }), 'max_hold');
+  assert.equal(firedRule(strategy, { holdMinutes: 5, priceChangePercent: 20 }), null);
+
+  const decision = evaluateStrategy(strategy, { holdMinutes: 5, priceChangePercent: 120 });
+  assert.equal(decision.sellPercent, 100);
+  assert.equal(decision.reason, 'take_profit (order@1): priceChange 120.00%');
+});
+
+test('partial rules fire once per position, full exits are never skipped', () => {
+  const strategy = compileStrategy({
+    name: 'partials',
+    version: 1,
+    rules: [
+      { name: 'first_rung', sellPercent: 25, when: { priceChange: { gte: 50 } } },
+      { name: 'take_profit', when: { priceChange: { gte: 50 } } }
+    ]
+  });
+  const context = { priceChangePercent: 60 };
+
+  const decision = evaluateStrategy(strategy, context);
+  assert.deepEqual(
+    { rule: decision.rule, sellPercent: decision.sellPercent },
+    { rule: 'first_rung', sellPercent: 25 }
+  );
+  assert.match(decision.reason, /, selling 25%$/);
+
+  assert.equal(firedRule(strategy, context, ['first_rung']), 'take_profit');
+  assert.equal(firedRule(strategy, context, ['first_rung', 'take_profit']), 'take_profit');
+});
+
+test('and, or and not compose primitives; a missing metric never holds', () => {
+  const strategy = compileStrategy({
+    name: 'compose',
+    version: 1,
+    rules: [{
+      name: 'exit',
+      when: {
+        or: [
+          { and: [{ liquidityDrop: { gte: 30 } }, { not: { holdTime: { lt: 1 } } }] },
+          { volume: { windowMinutes: 10, lt: 0.5 } }
+        ]
+      }
+    }]
+  });
+  const volumeSol = windowMinutes => (windowMinutes === 10 ? 2 : 0);
+
+  assert.equal(firedRule(strategy, { liquidityDropPercent: 40, holdMinutes: 5, volumeSol }), 'exit');
+  assert.equal(firedRule(strategy, { liquidityDropPercent: 40, holdMinutes: 0.5, volumeSol }), null);
+  assert.equal(firedRule(strategy, { liquidityDropPercent: 10, holdMinutes: 5, volumeSol: () => 0.1 }), 'exit');
+
+  // No liquidity or volume samples: the primitives are false, not NaN comparisons
+  assert.equal(firedRule(strategy, { holdMinutes: 5 }), null);
+  assert.equal(firedRule(strategy, { liquidityDropPercent: NaN, holdMinutes: 5 }), null);
+
+  const notMissing = compileStrategy({ name: 'not', version: 1, rules: [{ name: 'exit', when: { not: { drawdown: { gte: 10 } } } }] });
+  assert.equal(firedRule(notMissing, {}), 'exit');
+});
+
+test('the config trailing stop only arms once the activation gain was reached', () => {
+  const strategy = strategyFromExitRules({
+    ...NO_EXIT_RULES,
+    trailingStopPercentage: 20,
+    trailingStopActivationPercentage: 50
+  });
+
+  // Down 25% from a high that was never 50% above entry
+  assert.equal(firedRule(strategy, { peakGainPercent: 30, drawdownPercent: 25 }), null);
+  // Armed, but the drop from the high is still inside the trail
+  assert.equal(firedRule(strategy, { peakGainPercent: 80, drawdownPercent: 10 }), null);
+  assert.equal(firedRule(strategy, { peakGainPercent: 80, drawdownPercent: 20 }), 'trailing_stop');
+});
+
+test('the config ladder sells each rung once, in gain order, instead of the fixed take profit', () => {
+  const strategy = strategyFromExitRules({
+    ...NO_EXIT_RULES,
+    takeProfitPercentage: 150,
+    stopLossPercentage: 50,
+    takeProfitLadder: [{ gainPercent: 100, sellPercent: 50 }, { gainPercent: 300, sellPercent: 100 }]
+  });
+
+  assert.deepEqual(strategy.rules.map(rule => rule.name), ['stop_loss', 'take_profit_ladder_1', 'take_profit_ladder_2']);
+
+  assert.equal(firedRule(strategy, { priceChangePercent: 120 }), 'take_profit_ladder_1');
+  // Past the fixed take profit, the rung above it is still reachable
+  assert.equal(firedRule(strategy, { priceChangePercent: 200 }, ['take_profit_ladder_1']), null);
+  assert.equal(firedRule(strategy, { priceChangePercent: 320 }, ['take_profit_ladder_1']), 'take_profit_ladder_2');
+  assert.equal(firedRule(strategy, { priceChangePercent: -55 }, ['take_profit_ladder_1']), 'stop_loss');
+});
+
+test('without a ladder the config strategy takes profit in full', () => {
+  const strategy = strategyFromExitRules({ ...NO_EXIT_RULES, takeProfitPercentage: 150, stopLossPercentage: 50 });
+
+  assert.deepEqual(strategy.rules.map(rule => rule.name), ['stop_loss', 'take_profit']);
+  assert.equal(evaluateStrategy(strategy, { priceChangePercent: 150 }).sellPercent, 100);
+});
+
+test('config strategies are versioned by their settings and may disable every rule', () => {
+  const disabled = strategyFromExitRules(NO_EXIT_RULES);
+  assert.deepEqual(disabled.rules, []);
+  assert.equal(firedRule(disabled, { priceChangePercent: 1000, holdMinutes: 1000 }), null);
+
+  const a = strategyFromExitRules({ ...NO_EXIT_RULES, stopLossPercentage: 50 });
+  const b = strategyFromExitRules({ ...NO_EXIT_RULES, stopLossPercentage: 40 });
+  assert.match(a.id, /^config@[0-9a-f]{8}$/);
+  assert.notEqual(a.id, b.id);
+  assert.equal(a.id, strategyFromExitRules({ ...NO_EXIT_RULES, stopLossPercentage: 50 }).id);
+});
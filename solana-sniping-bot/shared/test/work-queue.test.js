@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Tests for the bounded work queue: key deduplication in the
+ * process and, through a claim on a shared (in-memory) Redis, across
+ * processes; dropping stale items; capacity and depth metrics
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FakeRedis = require('./fixtures/fake-redis');
+const { QueueFullError, createWorkQueue } = require('../utils/work-queue');
+
+/**
+ * Returns a promise with its resolve function exposed
+ * @returns {{promise: Promise, resolve: Function}} - Deferred
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+/**
+ * Creates a queue whose worker records items and waits until released
+ * @param {Object} [options] - createWorkQueue overrides
+ * @returns {{queue: Object, started: Array<string>, finish: Function}} - Queue, items started, and finish(id) to let one complete
+ */
+function gatedQueue(options = {}) {
+  const started = [];
+  const gates = new Map();
+  const gate = id => {
+    if (!gates.has(id)) {
+      gates.set(id, deferred());
+    }
+    return gates.get(id);
+  };
+
+  const queue = createWorkQueue({
+    name: 'test',
+    keyOf: item => item.id,
+    timestampOf: item => item.seenAt,
+    worker: async item => {
+      started.push(item.id);
+      await gate(item.id).promise;
+      if (item.fail) {
+        throw new Error(`${item.id} failed`);
+      }
+    },
+    ...options
+  });
+
+  return { queue, started, finish: id => gate(id).resolve() };
+}
+
+/**
+ * Claims a key the way token-filter does: SET NX with a TTL holding the
+ * stream entry ID, which a redelivery of the same entry may reclaim
+ * @param {FakeRedis} redis - Shared Redis
+ * @returns {{claim: Function, release: Function}} - Queue hooks
+ */
+function redisClaim(redis) {
+  return {
+    claim: async (key, item, meta) => {
+      if ((await redis.set(`claim:${key}`, meta.entryId, 'PX', 60000, 'NX')) === 'OK') {
+        return true;
+      }
+      return (await redis.get(`claim:${key}`)) === meta.entryId;
+    },
+    release: key => redis.del(`claim:${key}`)
+  };
+}
+
+test.beforeEach(() => {
+  FakeRedis.reset();
+});
+
+test('an item whose key is queued or running joins the existing job', async () => {
+  const { queue, started, finish } = gatedQueue();
+
+  const first = queue.push({ id: 'pool-a', seenAt: Date.now() });
+  const again = queue.push({ id: 'pool-a', seenAt: Date.now() });
+  assert.equal(again, first);
+
+  finish('pool-a');
+  assert.deepEqual(await again, { status: 'processed' });
+  assert.deepEqual(started, ['pool-a']);
+  assert.equal(queue.getStats().duplicates, 1);
+
+  // Once finished, the key is free again in this process
+  await new Promise(resolve => setImmediate(resolve));
+  const later = queue.push({ id: 'pool-a', seenAt: Date.now() });
+  finish('pool-a');
+  assert.deepEqual(await later, { status: 'processed' });
+  assert.equal(queue.getStats().processed, 2);
+});
+
+test('a Redis claim keeps two instances from processing the same key', async () => {
+  const redis = new FakeRedis();
+  const a = gatedQueue(redisClaim(redis));
+  const b = gatedQueue(redisClaim(new FakeRedis()));
+  const item = { id: 'pool-a', seenAt: Date.now() };
+
+  const fromA = a.queue.push(item, { entryId: '1-1' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(await b.queue.push(item, { entryId: '1-2' }), { status: 'duplicate' });
+  assert.deepEqual(b.started, []);
+  assert.equal(b.queue.getStats().duplicates, 1);
+
+  a.finish('pool-a');
+  assert.deepEqual(await fromA, { status: 'processed' });
+
+  // The entry that holds the claim may run again, e.g. redelivered after a crash
+  const redelivered = b.queue.push(item, { entryId: '1-1' });
+  b.finish('pool-a');
+  assert.deepEqual(await redelivered, { status: 'processed' });
+});
+
+test('a failed run releases its claim so a retry can take it', async () => {
+  const redis = new FakeRedis();
+  const { queue, finish } = gatedQueue(redisClaim(redis));
+
+  const failing = queue.push({ id: 'pool-a', seenAt: Date.now(), fail: true }, { entryId: '1-1' });
+  finish('pool-a');
+  await assert.rejects(failing, /pool-a failed/);
+  assert.equal(await redis.get('claim:pool-a'), null);
+
+  await new Promise(resolve => setImmediate(resolve));
+  const retry = queue.push({ id: 'pool-a', seenAt: Date.now() }, { entryId: '1-2' });
+  assert.deepEqual(await retry, { status: 'processed' });
+
+  const stats = queue.getStats();
+  assert.equal(stats.failed, 1);
+  assert.equal(stats.processed, 1);
+});
+
+test('stale items are dropped on push and when they waited too long', async () => {
+  const { queue, started, finish } = gatedQueue({ maxAgeMs: 50 });
+
+  assert.deepEqual(await queue.push({ id: 'old', seenAt: Date.now() - 60000 }), { status: 'expired' });
+
+  const blocker = queue.push({ id: 'slow', seenAt: Date.now() });
+  const waiting = queue.push({ id: 'fresh', seenAt: Date.now() });
+
+  await new Promise(resolve => setTimeout(resolve, 80));
+  finish('slow');
+
+  assert.deepEqual(await blocker, { status: 'processed' });
+  assert.deepEqual(await waiting, { status: 'expired' });
+  assert.deepEqual(started, ['slow']);
+  assert.equal(queue.getStats().expired, 2);
+});
+
+test('the queue rejects items beyond maxSize and reports its depth', async () => {
+  const { queue, finish } = gatedQueue({ concurrency: 1, maxSize: 2 });
+
+  const running = queue.push({ id: 'a', seenAt: Date.now() });
+  const queued = queue.push({ id: 'b', seenAt: Date.now() });
+  await assert.rejects(queue.push({ id: 'c', seenAt: Date.now() }), QueueFullError);
+
+  let stats = queue.getStats();
+  assert.equal(stats.depth, 1);
+  assert.equal(stats.running, 1);
+  assert.equal(stats.rejected, 1);
+  assert.equal(stats.maxSize, 2);
+
+  finish('a');
+  finish('b');
+  await Promise.all([running, queued]);
+  await new Promise(resolve => setImmediate(resolve));
+
+  stats = queue.getStats();
+  assert.equal(stats.depth, 0);
+  assert.equal(stats.running, 0);
+  assert.equal(stats.oldestWaitingMs, 0);
+  assert.equal(stats.processed, 2);
+});
+
+test('concurrency bounds how many items run at once', async () => {
+  const { queue, started, finish } = gatedQueue({ concurrency: 2 });
+  const items = ['a', 'b', 'c'].map(id => queue.push({ id, seenAt: Date.now() }));
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(started, ['a', 'b']);
+  assert.equal(queue.getStats().depth, 1);
+
+  finish('a');
+  await items[0];
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(started, ['a', 'b', 'c']);
+
+  finish('b');
+  finish('c');
+  await Promise.all(items);
+});
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Pool detector registry
+ * Each detector plugin declares the program it watches, a log filter used on
+ * the subscription and a decoder for its pool creation instruction.
+ * The registry normalizes decoded pools into a single NEW_POOLS payload.
+ * Detectors may also report venue migrations (`event: 'migration'`), which
+ * carry the venue the liquidity moved to as their poolType.
+ */
+
+const config = require('../../config').default;
+const { createLogger } = require('../../logger');
+const { getAllInstructions } = require('../protocol-parser');
+
+const logger = createLogger('detectors');
+
+// Registered plugins, in subscription order
+const DETECTORS = [
+  require('./raydium-v4'),
+  require('./raydium-cpmm'),
+  require('./raydium-clmm'),
+  require('./orca-whirlpool'),
+  require('./meteora-dlmm'),
+  require('./pumpfun')
+];
+
+/**
+ * Looks up a detector by name
+ * @param {string} name - Detector name (e.g. "raydium-cpmm")
+ * @returns {Object|undefined} - Detector plugin
+ */
+function getDetector(name) {
+  return DETECTORS.find(detector => detector.name === name);
+}
+
+/**
+ * Returns the detectors enabled through ENABLED_DETECTORS
+ * @param {Array<string>} enabledNames - Detector names to enable
+ * @returns {Array<Object>} - Enabled detector plugins
+ */
+function getEnabledDetectors(enabledNames = config.ENABLED_DETECTORS) {
+  const enabled = [];
+
+  for (const name of enabledNames) {
+    const detector = getDetector(name);
+
+    if (!detector) {
+      logger.warn(`Unknown detector in ENABLED_DETECTORS: ${name}`);
+      continue;
+    }
+
+    enabled.push(detector);
+  }
+
+  return enabled;
+}
+
+/**
+ * Builds the normalized NEW_POOLS (or POOL_MIGRATIONS) payload from a decoded pool
+ * @param {Object} detector - Detector plugin that decoded the pool
+ * @param {Object} poolData - Decoded pool data
+ * @param {Object} transaction - Source transaction
+ * @returns {Object} - Normalized pool payload
+ */
+function normalizePool(detector, poolData, transaction) {
+  return {
+    ...poolData,
+    event: poolData.event || 'create',
+    poolType: poolData.poolType || detector.poolType,
+    detector: detector.name,
+    programId: detector.programId,
+    signature: transaction.transaction.signatures[0],
+    slot: transaction.slot,
+    timestamp: Date.now(),
+    detectionMethod: 'instruction_parse'
+  };
+}
+
+/**
+ * Builds the POOL_MIGRATIONS payload for a pool seeded from a completed bonding curve
+ * @param {Object} poolData - Normalized pool payload with migratedFrom set
+ * @returns {Object} - Migration payload
+ */
+function toMigrationEvent(poolData) {
+  return {
+    event: 'migration',
+    protocol: poolData.protocol,
+    baseMint: poolData.baseMint,
+    quoteMint: poolData.quoteMint,
+    fromPoolType: poolData.migratedFrom,
+    fromLpAddress: null,
+    poolType: poolData.poolType,
+    lpAddress: poolData.lpAddress,
+    detector: poolData.detector,
+    programId: poolData.programId,
+    signature: poolData.signature,
+    slot: poolData.slot,
+    timestamp: poolData.timestamp,
+    detectionMethod: poolData.detectionMethod
+  };
+}
+
+/**
+ * Decodes a pool creation from a confirmed transaction using one detector
+ * @param {Object} detector - Detector plugin
+ * @param {Object} transaction - Transaction from connection.getTransaction
+ * @returns {Object|null} - Normalized pool payload or null
+ */
+function detectPoolCreation(detector, transaction) {
+  try {
+    if (!transaction || !transaction.transaction) {
+      return null;
+    }
+
+    if (transaction.meta && transaction.meta.err) {
+      logger.debug(`Skipping failed ${detector.name} transaction`);
+      return null;
+    }
+
+    for (const instruction of getAllInstructions(transaction)) {
+      if (instruction.programId !== detector.programId) {
+        continue;
+      }
+
+      const poolData = detector.decode(instruction);
+      if (poolData) {
+        return normalizePool(detector, poolData, transaction);
+      }
+    }
+
+    logger.debug(`No ${detector.name} pool creation instruction found in transaction`);
+    return null;
+  } catch (error) {
+    logger.error(`Error decoding ${detector.name} pool creation: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  DETECTORS,
+  getDetector,
+  getEnabledDetectors,
+  normalizePool,
+  toMigrationEvent,
+  detectPoolCreation
+};
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Meteora DLMM (dynamic liquidity market maker) pool detector plugin
+ * Detects pools created through the `initialize_lb_pair` instruction
+ */
+
+const { POOL_TYPES, DEX_PROGRAM_IDS } = require('../dex-pool');
+const { anchorDiscriminator, hasDiscriminator, orientPair } = require('../protocol-parser');
+
+const INITIALIZE_LB_PAIR_DISCRIMINATOR = anchorDiscriminator('initialize_lb_pair');
+
+// Account positions in the `initialize_lb_pair` instruction
+const ACCOUNT_INDEXES = {
+  LB_PAIR: 0,
+  TOKEN_MINT_X: 2,
+  TOKEN_MINT_Y: 3,
+  RESERVE_X: 4,
+  RESERVE_Y: 5,
+  FUNDER: 8
+};
+
+module.exports = {
+  name: 'meteora-dlmm',
+  poolType: POOL_TYPES.METEORA_DLMM,
+  programId: DEX_PROGRAM_IDS.METEORA_DLMM,
+  
+  /**
+   * Subscription filter
+   * @param {Array<string>} logs - Transaction log messages
+   * @returns {boolean} - True if the logs announce a pool creation
+   */
+  matchesLogs(logs) {
+    return logs.some(log => log === 'Program log: Instruction: InitializeLbPair');
+  },
+  
+  /**
+   * Decodes an `initialize_lb_pair` instruction
+   * @param {Object} instruction - Flattened instruction
+   * @returns {Object|null} - Pool data or null
+   */
+  decode(instruction) {
+    const { accounts, data } = instruction;
+    
+    if (!hasDiscriminator(data, INITIALIZE_LB_PAIR_DISCRIMINATOR) || accounts.length <= ACCOUNT_INDEXES.FUNDER) {
+      return null;
+    }
+    
+    const mintX = accounts[ACCOUNT_INDEXES.TOKEN_MINT_X];
+    const mintY = accounts[ACCOUNT_INDEXES.TOKEN_MINT_Y];
+    const pair = orientPair(mintX, mintY);
+    const isMintXBase = pair.baseMint === mintX;
+    
+    return {
+      protocol: 'METEORA_DLMM',
+      lpAddress: accounts[ACCOUNT_INDEXES.LB_PAIR],
+      ...pair,
+      baseVault: accounts[isMintXBase ? ACCOUNT_INDEXES.RESERVE_X : ACCOUNT_INDEXES.RESERVE_Y],
+      quoteVault: accounts[isMintXBase ? ACCOUNT_INDEXES.RESERVE_Y : ACCOUNT_INDEXES.RESERVE_X],
+      creator: accounts[ACCOUNT_INDEXES.FUNDER]
+    };
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Orca Whirlpool pool detector plugin
+ * Detects pools created through `initialize_pool` and `initialize_pool_v2`
+ */
+
+const { POOL_TYPES, DEX_PROGRAM_IDS } = require('../dex-pool');
+const { anchorDiscriminator, hasDiscriminator, orientPair } = require('../protocol-parser');
+
+// Account positions differ between the v1 and v2 (Token-2022) instructions
+const INSTRUCTIONS = [
+  {
+    discriminator: anchorDiscriminator('initialize_pool'),
+    accounts: { MINT_A: 1, MINT_B: 2, FUNDER: 3, WHIRLPOOL: 4, VAULT_A: 5, VAULT_B: 6 }
+  },
+  {
+    discriminator: anchorDiscriminator('initialize_pool_v2'),
+    accounts: { MINT_A: 1, MINT_B: 2, FUNDER: 5, WHIRLPOOL: 6, VAULT_A: 7, VAULT_B: 8 }
+  }
+];
+
+module.exports = {
+  name: 'orca-whirlpool',
+  poolType: POOL_TYPES.ORCA_WHIRLPOOL,
+  programId: DEX_PROGRAM_IDS.ORCA_WHIRLPOOL,
+  
+  /**
+   * Subscription filter
+   * @param {Array<string>} logs - Transaction log messages
+   * @returns {boolean} - True if the logs announce a pool creation
+   */
+  matchesLogs(logs) {
+    return logs.some(log => /^Program log: Instruction: InitializePool(V2)?$/.test(log));
+  },
+  
+  /**
+   * Decodes an `initialize_pool` / `initialize_pool_v2` instruction
+   * @param {Object} instruction - Flattened instruction
+   * @returns {Object|null} - Pool data or null
+   */
+  decode(instruction) {
+    const { accounts, data } = instruction;
+    const layout = INSTRUCTIONS.find(ix => hasDiscriminator(data, ix.discriminator));
+    
+    if (!layout || accounts.length <= layout.accounts.VAULT_B) {
+      return null;
+    }
+    
+    const idx = layout.accounts;
+    const mintA = accounts[idx.MINT_A];
+    const mintB = accounts[idx.MINT_B];
+    const pair = orientPair(mintA, mintB);
+    const isMintABase = pair.baseMint === mintA;
+    
+    return {
+      protocol: 'ORCA_WHIRLPOOL',
+      lpAddress: accounts[idx.WHIRLPOOL],
+      ...pair,
+      baseVault: accounts[isMintABase ? idx.VAULT_A : idx.VAULT_B],
+      quoteVault: accounts[isMintABase ? idx.VAULT_B : idx.VAULT_A],
+      creator: accounts[idx.FUNDER]
+    };
+  }
+};
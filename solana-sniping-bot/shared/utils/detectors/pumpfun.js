@@ -0,0 +1,124 @@
+/**
+ * @fileoverview pump.fun bonding curve detector plugin
+ * Detects token launches through the pump.fun `create` instruction and
+ * completed curves being migrated through `withdraw` (to Raydium AMM v4)
+ * or `migrate` (to PumpSwap)
+ */
+
+const { POOL_TYPES, DEX_PROGRAM_IDS } = require('../dex-pool');
+const { SOLANA_ADDRESSES } = require('../../constants');
+const { anchorDiscriminator, hasDiscriminator } = require('../protocol-parser');
+
+const CREATE_DISCRIMINATOR = anchorDiscriminator('create');
+
+// Account positions in the `create` instruction
+const ACCOUNT_INDEXES = {
+  MINT: 0,
+  BONDING_CURVE: 2,
+  ASSOCIATED_BONDING_CURVE: 3,
+  USER: 7
+};
+
+// Migration instructions, with the venue the liquidity moves to
+const MIGRATIONS = [
+  {
+    // Legacy flow: the migration account withdraws the curve and seeds a
+    // Raydium pool in a later transaction, so the new pool is not known yet
+    discriminator: anchorDiscriminator('withdraw'),
+    poolType: POOL_TYPES.RAYDIUM_V4,
+    accounts: { MINT: 2, BONDING_CURVE: 3, NEW_POOL: null }
+  },
+  {
+    discriminator: anchorDiscriminator('migrate'),
+    poolType: POOL_TYPES.PUMPSWAP,
+    accounts: { MINT: 2, BONDING_CURVE: 3, NEW_POOL: 9 }
+  }
+];
+
+const CREATION_LOG = 'Program log: Instruction: Create';
+const MIGRATION_LOGS = ['Program log: Instruction: Withdraw', 'Program log: Instruction: Migrate'];
+
+/**
+ * Reads a borsh string (u32 length prefix + utf8 bytes)
+ * @param {Buffer} data - Source buffer
+ * @param {number} offset - Byte offset of the length prefix
+ * @returns {{value: string, next: number}} - Decoded string and the offset after it
+ */
+function readBorshString(data, offset) {
+  const length = data.readUInt32LE(offset);
+  const start = offset + 4;
+  return {
+    value: data.subarray(start, start + length).toString('utf8'),
+    next: start + length
+  };
+}
+
+module.exports = {
+  name: 'pumpfun',
+  poolType: POOL_TYPES.PUMPFUN_BONDING_CURVE,
+  programId: DEX_PROGRAM_IDS.PUMPFUN,
+  
+  /**
+   * Subscription filter
+   * @param {Array<string>} logs - Transaction log messages
+   * @returns {boolean} - True if the logs announce a token launch or migration
+   */
+  matchesLogs(logs) {
+    return logs.some(log => log === CREATION_LOG || MIGRATION_LOGS.includes(log));
+  },
+  
+  /**
+   * Decodes a `create`, `withdraw` or `migrate` instruction
+   * @param {Object} instruction - Flattened instruction
+   * @returns {Object|null} - Pool data, migration data or null
+   */
+  decode(instruction) {
+    const { accounts, data } = instruction;
+    const migration = MIGRATIONS.find(ix => hasDiscriminator(data, ix.discriminator));
+    
+    if (migration) {
+      const idx = migration.accounts;
+      
+      if (accounts.length <= Math.max(idx.BONDING_CURVE, idx.NEW_POOL || 0)) {
+        return null;
+      }
+      
+      return {
+        event: 'migration',
+        protocol: 'PUMPFUN',
+        baseMint: accounts[idx.MINT],
+        quoteMint: SOLANA_ADDRESSES.SOL_MINT.toString(),
+        fromPoolType: POOL_TYPES.PUMPFUN_BONDING_CURVE,
+        fromLpAddress: accounts[idx.BONDING_CURVE],
+        poolType: migration.poolType,
+        lpAddress: idx.NEW_POOL === null ? null : accounts[idx.NEW_POOL]
+      };
+    }
+    
+    if (!hasDiscriminator(data, CREATE_DISCRIMINATOR) || accounts.length <= ACCOUNT_INDEXES.USER) {
+      return null;
+    }
+    
+    // Data: discriminator, name, symbol, uri
+    let metadata = null;
+    try {
+      const name = readBorshString(data, CREATE_DISCRIMINATOR.length);
+      const symbol = readBorshString(data, name.next);
+      const uri = readBorshString(data, symbol.next);
+      metadata = { name: name.value, symbol: symbol.value, uri: uri.value };
+    } catch (error) {
+      // Metadata is informational only, the accounts are what matters
+    }
+    
+    return {
+      event: 'create',
+      protocol: 'PUMPFUN',
+      lpAddress: accounts[ACCOUNT_INDEXES.BONDING_CURVE],
+      baseMint: accounts[ACCOUNT_INDEXES.MINT],
+      quoteMint: SOLANA_ADDRESSES.SOL_MINT.toString(),
+      baseVault: accounts[ACCOUNT_INDEXES.ASSOCIATED_BONDING_CURVE],
+      creator: accounts[ACCOUNT_INDEXES.USER],
+      metadata
+    };
+  }
+};
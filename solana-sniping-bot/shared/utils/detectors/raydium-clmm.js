@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Raydium CLMM (concentrated liquidity) pool detector plugin
+ * Detects pools created through the CLMM `create_pool` instruction
+ */
+
+const { POOL_TYPES, DEX_PROGRAM_IDS } = require('../dex-pool');
+const { anchorDiscriminator, hasDiscriminator, orientPair } = require('../protocol-parser');
+
+const CREATE_POOL_DISCRIMINATOR = anchorDiscriminator('create_pool');
+
+// Account positions in the `create_pool` instruction
+const ACCOUNT_INDEXES = {
+  CREATOR: 0,
+  AMM_CONFIG: 1,
+  POOL_STATE: 2,
+  TOKEN_MINT_0: 3,
+  TOKEN_MINT_1: 4,
+  TOKEN_VAULT_0: 5,
+  TOKEN_VAULT_1: 6
+};
+
+module.exports = {
+  name: 'raydium-clmm',
+  poolType: POOL_TYPES.RAYDIUM_CLMM,
+  programId: DEX_PROGRAM_IDS.RAYDIUM_CLMM,
+  
+  /**
+   * Subscription filter
+   * @param {Array<string>} logs - Transaction log messages
+   * @returns {boolean} - True if the logs announce a pool creation
+   */
+  matchesLogs(logs) {
+    return logs.some(log => log === 'Program log: Instruction: CreatePool');
+  },
+  
+  /**
+   * Decodes a `create_pool` instruction
+   * @param {Object} instruction - Flattened instruction
+   * @returns {Object|null} - Pool data or null
+   */
+  decode(instruction) {
+    const { accounts, data } = instruction;
+    
+    if (!hasDiscriminator(data, CREATE_POOL_DISCRIMINATOR) || accounts.length <= ACCOUNT_INDEXES.TOKEN_VAULT_1) {
+      return null;
+    }
+    
+    const mint0 = accounts[ACCOUNT_INDEXES.TOKEN_MINT_0];
+    const mint1 = accounts[ACCOUNT_INDEXES.TOKEN_MINT_1];
+    const pair = orientPair(mint0, mint1);
+    const isMint0Base = pair.baseMint === mint0;
+    
+    return {
+      protocol: 'RAYDIUM_CLMM',
+      lpAddress: accounts[ACCOUNT_INDEXES.POOL_STATE],
+      ...pair,
+      baseVault: accounts[isMint0Base ? ACCOUNT_INDEXES.TOKEN_VAULT_0 : ACCOUNT_INDEXES.TOKEN_VAULT_1],
+      quoteVault: accounts[isMint0Base ? ACCOUNT_INDEXES.TOKEN_VAULT_1 : ACCOUNT_INDEXES.TOKEN_VAULT_0],
+      ammConfig: accounts[ACCOUNT_INDEXES.AMM_CONFIG],
+      creator: accounts[ACCOUNT_INDEXES.CREATOR]
+    };
+  }
+};
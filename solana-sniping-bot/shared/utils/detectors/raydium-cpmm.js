@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Raydium CPMM (constant product, Token-2022 aware) pool detector plugin
+ * Detects pools created through the CPMM `initialize` instruction
+ */
+
+const { POOL_TYPES, DEX_PROGRAM_IDS } = require('../dex-pool');
+const { anchorDiscriminator, hasDiscriminator, orientPair } = require('../protocol-parser');
+
+const INITIALIZE_DISCRIMINATOR = anchorDiscriminator('initialize');
+
+// Account positions in the `initialize` instruction
+const ACCOUNT_INDEXES = {
+  CREATOR: 0,
+  AMM_CONFIG: 1,
+  POOL_STATE: 3,
+  TOKEN_0_MINT: 4,
+  TOKEN_1_MINT: 5,
+  LP_MINT: 6,
+  TOKEN_0_VAULT: 10,
+  TOKEN_1_VAULT: 11
+};
+
+module.exports = {
+  name: 'raydium-cpmm',
+  poolType: POOL_TYPES.RAYDIUM_CPMM,
+  programId: DEX_PROGRAM_IDS.RAYDIUM_CPMM,
+  
+  /**
+   * Subscription filter
+   * @param {Array<string>} logs - Transaction log messages
+   * @returns {boolean} - True if the logs announce a pool creation
+   */
+  matchesLogs(logs) {
+    return logs.some(log => log === 'Program log: Instruction: Initialize');
+  },
+  
+  /**
+   * Decodes an `initialize` instruction
+   * @param {Object} instruction - Flattened instruction
+   * @returns {Object|null} - Pool data or null
+   */
+  decode(instruction) {
+    const { accounts, data } = instruction;
+    
+    if (!hasDiscriminator(data, INITIALIZE_DISCRIMINATOR) || accounts.length <= ACCOUNT_INDEXES.TOKEN_1_VAULT) {
+      return null;
+    }
+    
+    const mint0 = accounts[ACCOUNT_INDEXES.TOKEN_0_MINT];
+    const mint1 = accounts[ACCOUNT_INDEXES.TOKEN_1_MINT];
+    const pair = orientPair(mint0, mint1);
+    const isToken0Base = pair.baseMint === mint0;
+    
+    return {
+      protocol: 'RAYDIUM_CPMM',
+      lpAddress: accounts[ACCOUNT_INDEXES.POOL_STATE],
+      ...pair,
+      lpMint: accounts[ACCOUNT_INDEXES.LP_MINT],
+      baseVault: accounts[isToken0Base ? ACCOUNT_INDEXES.TOKEN_0_VAULT : ACCOUNT_INDEXES.TOKEN_1_VAULT],
+      quoteVault: accounts[isToken0Base ? ACCOUNT_INDEXES.TOKEN_1_VAULT : ACCOUNT_INDEXES.TOKEN_0_VAULT],
+      ammConfig: accounts[ACCOUNT_INDEXES.AMM_CONFIG],
+      creator: accounts[ACCOUNT_INDEXES.CREATOR]
+    };
+  }
+};
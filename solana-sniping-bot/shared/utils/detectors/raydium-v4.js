@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Raydium AMM v4 pool detector plugin
+ * Detects pools created through the AMM v4 initialize2 instruction
+ */
+
+const config = require('../../config').default;
+const { POOL_TYPES } = require('../dex-pool');
+const { isRaydiumInitializeLog, decodeRaydiumInitialize2 } = require('../protocol-parser');
+const { PUMPFUN_MIGRATION_AUTHORITY } = require('../pumpfun');
+
+module.exports = {
+  name: 'raydium-v4',
+  poolType: POOL_TYPES.RAYDIUM_V4,
+  programId: config.RAYDIUM_LP_V4_PROGRAM_ID,
+  
+  /**
+   * Subscription filter: only initialize2 logs are worth a transaction fetch
+   * @param {Array<string>} logs - Transaction log messages
+   * @returns {boolean} - True if the logs announce a pool creation
+   */
+  matchesLogs: isRaydiumInitializeLog,
+  
+  /**
+   * Decodes an initialize2 instruction
+   * @param {Object} instruction - Flattened instruction
+   * @returns {Object|null} - Pool data or null
+   */
+  decode(instruction) {
+    const poolData = decodeRaydiumInitialize2(instruction);
+    
+    if (!poolData) {
+      return null;
+    }
+    
+    // Pools seeded by the pump.fun migration account continue a bonding curve.
+    // The migration account signs every one of them, so it is not the
+    // deployer; token-filter attributes the pool to the curve's creator.
+    const migrated = poolData.creator === PUMPFUN_MIGRATION_AUTHORITY;
+    
+    return {
+      ...poolData,
+      creator: migrated ? null : poolData.creator,
+      migratedFrom: migrated ? POOL_TYPES.PUMPFUN_BONDING_CURVE : null,
+      baseVault: poolData.baseMint === poolData.coinMint ? poolData.coinVault : poolData.pcVault,
+      quoteVault: poolData.baseMint === poolData.coinMint ? poolData.pcVault : poolData.coinVault
+    };
+  }
+};
@@ -4,10 +4,44 @@
  * Supports multiple DEXes including Raydium, Orca, and others
  */
 
-const { PublicKey, Connection } = require('@solana/web3.js');
+const {
+  PublicKey,
+  Connection,
+  SystemProgram,
+  TransactionInstruction,
+  LAMPORTS_PER_SOL
+} = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createSyncNativeInstruction,
+  createCloseAccountInstruction
+} = require('@solana/spl-token');
 const { createLogger } = require('../logger');
 const { SOLANA_ADDRESSES } = require('../constants');
-const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const {
+  fetchRaydiumPoolKeys,
+  getRaydiumPoolReserves,
+  computeSwapAmountOut,
+  encodeSwapBaseInData
+} = require('./raydium-amm');
+const {
+  PUMPFUN_PROGRAM_ID,
+  PUMPFUN_FEE_PROGRAM_ID,
+  INSTRUCTION_DISCRIMINATORS: PUMPFUN_INSTRUCTIONS,
+  getGlobalAddress,
+  getEventAuthority,
+  getCreatorVaultAddress,
+  getVolumeAccumulators,
+  getFeeConfigAddress,
+  getAssociatedBondingCurveAddress,
+  getTotalFeeBasisPoints,
+  fetchBondingCurve,
+  computeBuyTokensOut,
+  computeSellSolOut,
+  encodeTradeData
+} = require('./pumpfun');
 
 // Initialize context-specific logger
 const logger = createLogger('dex-pool');
@@ -17,7 +51,12 @@ const logger = createLogger('dex-pool');
  */
 const POOL_TYPES = {
   RAYDIUM_V4: 'raydium_v4',
+  RAYDIUM_CPMM: 'raydium_cpmm',
+  RAYDIUM_CLMM: 'raydium_clmm',
   ORCA_WHIRLPOOL: 'orca_whirlpool',
+  METEORA_DLMM: 'meteora_dlmm',
+  PUMPFUN_BONDING_CURVE: 'pumpfun_bonding_curve',
+  PUMPSWAP: 'pumpswap',
   UNKNOWN: 'unknown'
 };
 
@@ -26,7 +65,12 @@ const POOL_TYPES = {
  */
 const DEX_PROGRAM_IDS = {
   RAYDIUM_V4: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
-  ORCA_WHIRLPOOL: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc'
+  RAYDIUM_CPMM: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
+  RAYDIUM_CLMM: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',
+  ORCA_WHIRLPOOL: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+  METEORA_DLMM: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
+  PUMPFUN: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+  PUMPSWAP: 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA'
 };
 
 /**
@@ -38,8 +82,18 @@ function identifyPoolType(programId) {
   switch (programId) {
     case DEX_PROGRAM_IDS.RAYDIUM_V4:
       return POOL_TYPES.RAYDIUM_V4;
+    case DEX_PROGRAM_IDS.RAYDIUM_CPMM:
+      return POOL_TYPES.RAYDIUM_CPMM;
+    case DEX_PROGRAM_IDS.RAYDIUM_CLMM:
+      return POOL_TYPES.RAYDIUM_CLMM;
     case DEX_PROGRAM_IDS.ORCA_WHIRLPOOL:
       return POOL_TYPES.ORCA_WHIRLPOOL;
+    case DEX_PROGRAM_IDS.METEORA_DLMM:
+      return POOL_TYPES.METEORA_DLMM;
+    case DEX_PROGRAM_IDS.PUMPFUN:
+      return POOL_TYPES.PUMPFUN_BONDING_CURVE;
+    case DEX_PROGRAM_IDS.PUMPSWAP:
+      return POOL_TYPES.PUMPSWAP;
     default:
       return POOL_TYPES.UNKNOWN;
   }
@@ -143,29 +197,106 @@ async function analyzePool(params) {
   }
 }
 
+/**
+ * Quotes an exact input swap against a Raydium AMM v4 pool from live reserves
+ * @param {Object} params - Quote parameters
+ * @param {Connection} params.connection - Solana RPC connection
+ * @param {string} params.lpAddress - Liquidity pool address
+ * @param {string} params.inputMint - Mint of the token being sold into the pool
+ * @param {bigint|number} params.amountIn - Raw input amount
+ * @param {number} params.slippageBps - Slippage tolerance in basis points
+ * @param {Object} [params.poolState] - Already decoded pool state
+ * @returns {Promise<{expectedAmountOut: bigint, minAmountOut: bigint, reserves: Object}>}
+ */
+async function quoteRaydiumSwap(params) {
+  const { connection, lpAddress, inputMint, amountIn, slippageBps, poolState } = params;
+  
+  const reserves = await getRaydiumPoolReserves(connection, new PublicKey(lpAddress), poolState);
+  const isBaseInput = reserves.baseMint === inputMint;
+  
+  const expectedAmountOut = computeSwapAmountOut({
+    amountIn: BigInt(amountIn),
+    reserveIn: isBaseInput ? reserves.baseReserve : reserves.quoteReserve,
+    reserveOut: isBaseInput ? reserves.quoteReserve : reserves.baseReserve,
+    feeNumerator: reserves.poolState.swapFeeNumerator,
+    feeDenominator: reserves.poolState.swapFeeDenominator
+  });
+  
+  const minAmountOut = expectedAmountOut * BigInt(10000 - slippageBps) / 10000n;
+  
+  logger.debug(`Raydium quote for ${lpAddress}: in=${amountIn}, expected out=${expectedAmountOut}, min out=${minAmountOut}`);
+  
+  return {
+    expectedAmountOut,
+    minAmountOut,
+    reserves
+  };
+}
+
+/**
+ * Quotes a trade against a pump.fun bonding curve from its virtual reserves
+ * @param {Object} params - Quote parameters
+ * @param {Connection} params.connection - Solana RPC connection
+ * @param {string} params.lpAddress - Bonding curve address
+ * @param {boolean} params.isBuyingTokens - True if buying tokens with SOL
+ * @param {bigint|number} params.amountIn - Lamports when buying, raw tokens when selling
+ * @param {number} params.slippageBps - Slippage tolerance in basis points
+ * @returns {Promise<{expectedAmountOut: bigint, minAmountOut: bigint, curve: Object, global: Object}>}
+ */
+async function quotePumpfunSwap(params) {
+  const { connection, lpAddress, isBuyingTokens, amountIn, slippageBps } = params;
+  
+  const { curve, global } = await fetchBondingCurve(connection, lpAddress);
+  
+  // A completed curve no longer trades, liquidity has moved to the migrated pool
+  if (curve.complete) {
+    throw new Error(`Bonding curve ${lpAddress} is complete`);
+  }
+  
+  const feeBasisPoints = getTotalFeeBasisPoints(global);
+  const expectedAmountOut = isBuyingTokens ?
+    computeBuyTokensOut(curve, BigInt(amountIn), feeBasisPoints) :
+    computeSellSolOut(curve, BigInt(amountIn), feeBasisPoints);
+  
+  const minAmountOut = expectedAmountOut * BigInt(10000 - slippageBps) / 10000n;
+  
+  logger.debug(`pump.fun quote for ${lpAddress}: in=${amountIn}, expected out=${expectedAmountOut}, min out=${minAmountOut}`);
+  
+  return {
+    expectedAmountOut,
+    minAmountOut,
+    curve,
+    global
+  };
+}
+
 /**
  * Builds swap instructions based on the pool type
  * This is a "routing" function that delegates to specific DEX implementations
  * @param {Object} params - Swap parameters
+ * @param {Connection} params.connection - Solana RPC connection
  * @param {string} params.poolType - Pool type identifier
  * @param {string} params.lpAddress - Liquidity pool address
  * @param {string} params.baseMint - Base token mint
  * @param {string} params.quoteMint - Quote token mint
  * @param {PublicKey} params.owner - Owner's public key
- * @param {PublicKey} params.baseTokenAccount - Base token account
- * @param {PublicKey} params.quoteTokenAccount - Quote token account
- * @param {number} params.amountIn - Input amount in lamports
- * @param {number} params.minAmountOut - Minimum output amount
+ * @param {PublicKey} [params.baseTokenAccount] - Base token account (owner's ATA if omitted)
+ * @param {PublicKey} [params.quoteTokenAccount] - Quote token account (owner's ATA if omitted)
+ * @param {bigint|number} params.amountIn - Raw input amount (lamports when buying)
+ * @param {bigint|number} params.minAmountOut - Raw minimum output amount
  * @param {boolean} params.isBuyingTokens - True if buying tokens (SOL→Token), false if selling
- * @returns {Object} - Swap instructions and accounts
+ * @returns {Promise<Object>} - Swap instructions and accounts
  */
-function buildSwapInstructions(params) {
+async function buildSwapInstructions(params) {
   const { poolType } = params;
   
   switch (poolType) {
     case POOL_TYPES.RAYDIUM_V4:
       return buildRaydiumSwapInstructions(params);
     
+    case POOL_TYPES.PUMPFUN_BONDING_CURVE:
+      return buildPumpfunSwapInstructions(params);
+    
     case POOL_TYPES.ORCA_WHIRLPOOL:
       throw new Error('Orca swap instructions not implemented');
     
@@ -175,45 +306,246 @@ function buildSwapInstructions(params) {
 }
 
 /**
- * Builds swap instructions for Raydium pools
- * @param {Object} params - Swap parameters
- * @returns {Object} - Raydium swap instructions and accounts
+ * Builds the swapBaseIn instruction for a Raydium AMM v4 pool from resolved pool keys
+ * @param {Object} poolKeys - Pool keys from fetchRaydiumPoolKeys
+ * @param {PublicKey} userSourceAccount - Token account the input is taken from
+ * @param {PublicKey} userDestinationAccount - Token account the output is paid to
+ * @param {PublicKey} owner - Owner and signer of the user token accounts
+ * @param {bigint|number} amountIn - Raw input amount
+ * @param {bigint|number} minAmountOut - Raw minimum output amount
+ * @returns {TransactionInstruction} - swapBaseIn instruction
+ */
+function buildRaydiumSwapBaseInInstruction(
+  poolKeys,
+  userSourceAccount,
+  userDestinationAccount,
+  owner,
+  amountIn,
+  minAmountOut
+) {
+  // Account order is fixed by the AMM program; the swap direction is derived
+  // on-chain from the mint of the source token account
+  const keys = [
+    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+    { pubkey: poolKeys.id, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.authority, isSigner: false, isWritable: false },
+    { pubkey: poolKeys.openOrders, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.targetOrders, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.baseVault, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.quoteVault, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.marketProgramId, isSigner: false, isWritable: false },
+    { pubkey: poolKeys.marketId, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.marketBids, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.marketAsks, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.marketEventQueue, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.marketBaseVault, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.marketQuoteVault, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.marketAuthority, isSigner: false, isWritable: false },
+    { pubkey: userSourceAccount, isSigner: false, isWritable: true },
+    { pubkey: userDestinationAccount, isSigner: false, isWritable: true },
+    { pubkey: owner, isSigner: true, isWritable: false }
+  ];
+  
+  return new TransactionInstruction({
+    programId: poolKeys.programId,
+    keys,
+    data: encodeSwapBaseInData(amountIn, minAmountOut)
+  });
+}
+
+/**
+ * Builds swap instructions for Raydium AMM v4 pools
+ * Resolves the pool, market and user accounts, creates the user ATAs if needed
+ * and wraps/unwraps SOL around the swap when one side is native SOL
+ * @param {Object} params - Swap parameters (see buildSwapInstructions)
+ * @param {Object} [params.poolKeys] - Pre-resolved pool keys, fetched if omitted
+ * @returns {Promise<Object>} - Instructions, resolved accounts and amounts
  */
-function buildRaydiumSwapInstructions(params) {
+async function buildRaydiumSwapInstructions(params) {
   const {
+    connection,
     lpAddress,
     baseMint,
     quoteMint,
     owner,
-    baseTokenAccount,
-    quoteTokenAccount,
     amountIn,
     minAmountOut,
     isBuyingTokens
   } = params;
   
-  // In a real implementation, this would use Raydium's SDK or construct
-  // the swap instruction with the correct accounts and data structure
-  
   logger.info(`Building Raydium swap: ${isBuyingTokens ? 'Buying' : 'Selling'} tokens, amount in: ${amountIn}, min out: ${minAmountOut}`);
   
-  // This is just a placeholder for demonstration - the actual implementation
-  // would include the proper Raydium swap instruction construction
+  const poolKeys = params.poolKeys ||
+    (await fetchRaydiumPoolKeys(connection, new PublicKey(lpAddress))).poolKeys;
+  
+  const baseMintPubkey = new PublicKey(baseMint);
+  const quoteMintPubkey = new PublicKey(quoteMint);
+  
+  const baseTokenAccount = params.baseTokenAccount ||
+    getAssociatedTokenAddressSync(baseMintPubkey, owner);
+  const quoteTokenAccount = params.quoteTokenAccount ||
+    getAssociatedTokenAddressSync(quoteMintPubkey, owner);
+  
+  const [sourceMint, sourceAccount, destinationMint, destinationAccount] = isBuyingTokens ?
+    [quoteMintPubkey, quoteTokenAccount, baseMintPubkey, baseTokenAccount] :
+    [baseMintPubkey, baseTokenAccount, quoteMintPubkey, quoteTokenAccount];
+  
+  const instructions = [];
+  
+  // Idempotent creation is a no-op when the accounts already exist
+  instructions.push(
+    createAssociatedTokenAccountIdempotentInstruction(owner, baseTokenAccount, owner, baseMintPubkey),
+    createAssociatedTokenAccountIdempotentInstruction(owner, quoteTokenAccount, owner, quoteMintPubkey)
+  );
+  
+  // Fund the wrapped SOL account with the input amount
+  if (isSOLMint(sourceMint.toString())) {
+    instructions.push(
+      SystemProgram.transfer({
+        fromPubkey: owner,
+        toPubkey: sourceAccount,
+        lamports: BigInt(amountIn)
+      }),
+      createSyncNativeInstruction(sourceAccount)
+    );
+  }
+  
+  instructions.push(buildRaydiumSwapBaseInInstruction(
+    poolKeys,
+    sourceAccount,
+    destinationAccount,
+    owner,
+    amountIn,
+    minAmountOut
+  ));
+  
+  // Close the wrapped SOL account to return proceeds/leftovers as native SOL
+  const wrappedSolAccount = isSOLMint(sourceMint.toString()) ? sourceAccount :
+    isSOLMint(destinationMint.toString()) ? destinationAccount : null;
+  
+  if (wrappedSolAccount) {
+    instructions.push(createCloseAccountInstruction(wrappedSolAccount, owner, owner));
+  }
+  
   return {
-    programId: new PublicKey(DEX_PROGRAM_IDS.RAYDIUM_V4),
+    instructions,
+    programId: poolKeys.programId,
+    poolKeys,
     accounts: {
-      pool: new PublicKey(lpAddress),
-      baseMint: new PublicKey(baseMint),
-      quoteMint: new PublicKey(quoteMint),
+      pool: poolKeys.id,
+      baseMint: baseMintPubkey,
+      quoteMint: quoteMintPubkey,
       baseTokenAccount,
       quoteTokenAccount,
+      sourceAccount,
+      destinationAccount,
       owner
     },
-    data: {
-      amountIn,
-      minAmountOut,
-      isBuyingTokens
-    }
+    amountIn,
+    minAmountOut
+  };
+}
+
+/**
+ * Builds buy/sell instructions against a pump.fun bonding curve
+ * The curve trades native SOL, so no wrapped SOL account is involved.
+ * Buys are exact-out: the program delivers minAmountOut tokens for at most
+ * amountIn lamports. Sells are exact-in with a minimum SOL output.
+ * @param {Object} params - Swap parameters (see buildSwapInstructions)
+ * @param {Object} [params.curveState] - Curve and global state from quotePumpfunSwap, fetched if omitted
+ * @returns {Promise<Object>} - Instructions, resolved accounts and amounts
+ */
+async function buildPumpfunSwapInstructions(params) {
+  const {
+    connection,
+    lpAddress,
+    baseMint,
+    owner,
+    amountIn,
+    minAmountOut,
+    isBuyingTokens
+  } = params;
+  
+  logger.info(`Building pump.fun swap: ${isBuyingTokens ? 'Buying' : 'Selling'} tokens, amount in: ${amountIn}, min out: ${minAmountOut}`);
+  
+  const { curve, global } = params.curveState ||
+    await fetchBondingCurve(connection, lpAddress);
+  
+  if (!curve.creator) {
+    throw new Error(`Bonding curve ${lpAddress} has no creator recorded`);
+  }
+  
+  const mint = new PublicKey(baseMint);
+  const bondingCurve = new PublicKey(lpAddress);
+  const associatedBondingCurve = getAssociatedBondingCurveAddress(mint, bondingCurve);
+  const baseTokenAccount = params.baseTokenAccount ||
+    getAssociatedTokenAddressSync(mint, owner);
+  
+  const instructions = [];
+  
+  if (isBuyingTokens) {
+    instructions.push(
+      createAssociatedTokenAccountIdempotentInstruction(owner, baseTokenAccount, owner, mint)
+    );
+  }
+  
+  const creatorVault = getCreatorVaultAddress(curve.creator);
+  const tokenProgram = { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false };
+  const creatorVaultKey = { pubkey: creatorVault, isSigner: false, isWritable: true };
+  
+  // Buy passes the token program before the creator vault, sell the reverse;
+  // buys also carry the volume accumulators
+  const keys = [
+    { pubkey: getGlobalAddress(), isSigner: false, isWritable: false },
+    { pubkey: global.feeRecipient, isSigner: false, isWritable: true },
+    { pubkey: mint, isSigner: false, isWritable: false },
+    { pubkey: bondingCurve, isSigner: false, isWritable: true },
+    { pubkey: associatedBondingCurve, isSigner: false, isWritable: true },
+    { pubkey: baseTokenAccount, isSigner: false, isWritable: true },
+    { pubkey: owner, isSigner: true, isWritable: true },
+    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+    ...(isBuyingTokens ? [tokenProgram, creatorVaultKey] : [creatorVaultKey, tokenProgram]),
+    { pubkey: getEventAuthority(), isSigner: false, isWritable: false },
+    { pubkey: PUMPFUN_PROGRAM_ID, isSigner: false, isWritable: false }
+  ];
+  
+  if (isBuyingTokens) {
+    const accumulators = getVolumeAccumulators(owner);
+    keys.push(
+      { pubkey: accumulators.global, isSigner: false, isWritable: false },
+      { pubkey: accumulators.user, isSigner: false, isWritable: true }
+    );
+  }
+  
+  keys.push(
+    { pubkey: getFeeConfigAddress(), isSigner: false, isWritable: false },
+    { pubkey: PUMPFUN_FEE_PROGRAM_ID, isSigner: false, isWritable: false }
+  );
+  
+  const data = isBuyingTokens ?
+    encodeTradeData(PUMPFUN_INSTRUCTIONS.BUY, minAmountOut, amountIn) :
+    encodeTradeData(PUMPFUN_INSTRUCTIONS.SELL, amountIn, minAmountOut);
+  
+  instructions.push(new TransactionInstruction({
+    programId: PUMPFUN_PROGRAM_ID,
+    keys,
+    data
+  }));
+  
+  return {
+    instructions,
+    programId: PUMPFUN_PROGRAM_ID,
+    accounts: {
+      pool: bondingCurve,
+      associatedBondingCurve,
+      baseMint: mint,
+      baseTokenAccount,
+      feeRecipient: global.feeRecipient,
+      creatorVault,
+      owner
+    },
+    amountIn,
+    minAmountOut
   };
 }
 
@@ -224,5 +556,10 @@ module.exports = {
   isSOLMint,
   calculatePoolSizeInSOL,
   analyzePool,
-  buildSwapInstructions
+  quoteRaydiumSwap,
+  quotePumpfunSwap,
+  buildSwapInstructions,
+  buildRaydiumSwapInstructions,
+  buildPumpfunSwapInstructions,
+  buildRaydiumSwapBaseInInstruction
 };
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Fill parsing utilities for Solana memecoin sniping bot
+ * Reads what a confirmed swap actually did to the wallet from the
+ * transaction's balance snapshots (preTokenBalances/postTokenBalances and
+ * preBalances/postBalances) instead of trusting the pre-trade quote.
+ */
+
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { SOLANA_ADDRESSES } = require('../constants');
+const { createLogger } = require('../logger');
+
+// Initialize logger
+const logger = createLogger('fill-parser');
+
+/**
+ * Fetches a confirmed transaction by signature, retrying while the RPC node
+ * has not indexed it yet
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string} signature - Transaction signature
+ * @param {number} maxAttempts - Maximum fetch attempts
+ * @returns {Promise<Object|null>} - Confirmed transaction or null if unavailable
+ */
+async function fetchConfirmedTransaction(connection, signature, maxAttempts = 8) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const transaction = await connection.getTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+
+    if (transaction && transaction.meta) {
+      return transaction;
+    }
+
+    const delay = Math.min(250 * attempt, 1000);
+    logger.debug(`Transaction ${signature} not available yet, retrying in ${delay}ms (attempt ${attempt}/${maxAttempts})`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  return null;
+}
+
+/**
+ * Sums an owner's raw token balance per mint from a token balance snapshot
+ * @param {Array<Object>} balances - meta.preTokenBalances or meta.postTokenBalances
+ * @param {string} owner - Wallet address
+ * @returns {Map<string, {amount: bigint, decimals: number}>} - Balances by mint
+ */
+function sumTokenBalances(balances, owner) {
+  const byMint = new Map();
+
+  for (const balance of balances || []) {
+    if (balance.owner !== owner) {
+      continue;
+    }
+
+    const entry = byMint.get(balance.mint) || {
+      amount: 0n,
+      decimals: balance.uiTokenAmount.decimals
+    };
+
+    entry.amount += BigInt(balance.uiTokenAmount.amount);
+    byMint.set(balance.mint, entry);
+  }
+
+  return byMint;
+}
+
+/**
+ * Extracts the wallet's fill from a confirmed swap transaction
+ * The SOL delta is net of everything the wallet paid: swap input, network and
+ * priority fees, and rent for accounts the transaction created (less rent
+ * refunded by accounts it closed). Wrapped SOL still held in a token account
+ * after the swap is counted as SOL.
+ * @param {Object} transaction - Transaction from connection.getTransaction
+ * @param {Object} params - Parse parameters
+ * @param {string} params.owner - Wallet address
+ * @param {string} params.mint - Traded token mint
+ * @returns {Object} - Fill ({ tokenDelta, tokenDecimals, solDeltaLamports, feeLamports, rentLamports })
+ * @throws {Error} - If the transaction has no balance metadata or the wallet is not part of it
+ */
+function parseSwapFill(transaction, { owner, mint }) {
+  const { meta } = transaction;
+
+  if (!meta || !meta.preBalances || !meta.postBalances) {
+    throw new Error('Transaction has no balance metadata');
+  }
+
+  const accountKeys = transaction.transaction.message.getAccountKeys({
+    accountKeysFromLookups: meta.loadedAddresses
+  });
+
+  // Signers are always static keys, so the wallet is found without lookups
+  let ownerIndex = -1;
+  for (let index = 0; index < accountKeys.length; index++) {
+    if (accountKeys.get(index).toString() === owner) {
+      ownerIndex = index;
+      break;
+    }
+  }
+
+  if (ownerIndex === -1) {
+    throw new Error(`Wallet ${owner} is not part of the transaction`);
+  }
+
+  const preTokens = sumTokenBalances(meta.preTokenBalances, owner);
+  const postTokens = sumTokenBalances(meta.postTokenBalances, owner);
+
+  const tokenBefore = preTokens.get(mint);
+  const tokenAfter = postTokens.get(mint);
+  const tokenDelta = (tokenAfter ? tokenAfter.amount : 0n) - (tokenBefore ? tokenBefore.amount : 0n);
+  const tokenDecimals = (tokenAfter || tokenBefore || { decimals: null }).decimals;
+
+  // Wrapped SOL left in the wallet's token accounts is still the wallet's SOL
+  const solMint = SOLANA_ADDRESSES.SOL_MINT.toString();
+  const wsolBefore = preTokens.has(solMint) ? preTokens.get(solMint).amount : 0n;
+  const wsolAfter = postTokens.has(solMint) ? postTokens.get(solMint).amount : 0n;
+
+  const lamportDelta = BigInt(meta.postBalances[ownerIndex]) - BigInt(meta.preBalances[ownerIndex]);
+  const solDeltaLamports = lamportDelta + (wsolAfter - wsolBefore);
+
+  // Rent locked into token accounts of the wallet that this transaction created
+  let rentLamports = 0n;
+  for (const balance of meta.postTokenBalances || []) {
+    if (balance.owner !== owner || meta.preBalances[balance.accountIndex] !== 0) {
+      continue;
+    }
+
+    // Wrapped SOL accounts hold the wrapped amount on top of their rent
+    const wrapped = balance.mint === solMint ? BigInt(balance.uiTokenAmount.amount) : 0n;
+    rentLamports += BigInt(meta.postBalances[balance.accountIndex]) - wrapped;
+  }
+
+  return {
+    tokenDelta,
+    tokenDecimals,
+    solDeltaLamports,
+    feeLamports: BigInt(meta.fee || 0),
+    rentLamports
+  };
+}
+
+/**
+ * Converts a raw swap fill into the trade figures stored on positions
+ * The realized price covers only what went through the pool (fees and rent
+ * excluded) so it stays comparable with pool prices; the SOL amount is all-in.
+ * @param {Object} fill - Result of parseSwapFill
+ * @param {boolean} isBuy - True for a buy (tokens in, SOL out)
+ * @returns {Object} - Trade figures ({ tokenAmount, tokenDecimals, solAmount, feeSol, rentSol, price })
+ */
+function summarizeFill(fill, isBuy) {
+  const tokenAmount = Number(isBuy ? fill.tokenDelta : -fill.tokenDelta);
+  const solAmount = Number(isBuy ? -fill.solDeltaLamports : fill.solDeltaLamports) / LAMPORTS_PER_SOL;
+  const feeSol = Number(fill.feeLamports) / LAMPORTS_PER_SOL;
+  const rentSol = Number(fill.rentLamports) / LAMPORTS_PER_SOL;
+
+  // Undo the fee and rent to get what the pool actually paid or charged
+  const swapSol = isBuy ? solAmount - feeSol - rentSol : solAmount + feeSol + rentSol;
+  const wholeTokens = fill.tokenDecimals === null ? 0 : tokenAmount / Math.pow(10, fill.tokenDecimals);
+
+  return {
+    tokenAmount,
+    tokenDecimals: fill.tokenDecimals,
+    solAmount,
+    feeSol,
+    rentSol,
+    price: wholeTokens > 0 ? swapSol / wholeTokens : 0
+  };
+}
+
+module.exports = {
+  fetchConfirmedTransaction,
+  parseSwapFill,
+  summarizeFill
+};
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Holder distribution utilities for Solana memecoin sniping bot
+ * Measures how concentrated a token's supply is in its largest accounts.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { createLogger } = require('../logger');
+
+// Initialize logger
+const logger = createLogger('holder-distribution');
+
+/**
+ * Converts a raw token amount into a percentage of supply (4 decimals)
+ * @param {bigint} amount - Raw token amount
+ * @param {bigint} supply - Raw total supply
+ * @returns {number} - Share in %
+ */
+function shareOf(amount, supply) {
+  return Number(amount * 1000000n / supply) / 10000;
+}
+
+/**
+ * Sums what a wallet holds of a mint across all its token accounts
+ * @param {Connection} connection - Solana RPC connection
+ * @param {PublicKey} mintPubkey - Token mint
+ * @param {string} owner - Wallet address
+ * @returns {Promise<bigint>} - Raw token amount
+ */
+async function fetchOwnerBalance(connection, mintPubkey, owner) {
+  const accounts = await connection.getParsedTokenAccountsByOwner(new PublicKey(owner), { mint: mintPubkey });
+
+  return accounts.value.reduce(
+    (sum, account) => sum + BigInt(account.account.data.parsed.info.tokenAmount.amount),
+    0n
+  );
+}
+
+/**
+ * Fetches the largest token accounts of a mint and their share of supply
+ * getTokenLargestAccounts returns at most 20 accounts, which bounds topN.
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string} mint - Token mint address
+ * @param {Object} [options] - Options
+ * @param {number} [options.topN=10] - Number of holders to sum
+ * @param {Array<string>} [options.excludeAccounts] - Token accounts left out (e.g. pool vaults)
+ * @param {string} [options.creator] - Creator wallet whose holdings are reported separately
+ * @returns {Promise<Object>} - Distribution ({ supply, topHolders, topShare, creatorShare? })
+ */
+async function fetchHolderDistribution(connection, mint, options = {}) {
+  const topN = options.topN || 10;
+  const excluded = new Set(options.excludeAccounts || []);
+  const mintPubkey = new PublicKey(mint);
+
+  const [largest, supply] = await Promise.all([
+    connection.getTokenLargestAccounts(mintPubkey),
+    connection.getTokenSupply(mintPubkey)
+  ]);
+
+  const totalSupply = BigInt(supply.value.amount);
+  if (totalSupply === 0n) {
+    throw new Error(`Token ${mint} has no supply`);
+  }
+
+  const topHolders = largest.value
+    .filter(account => !excluded.has(account.address.toString()))
+    .slice(0, topN)
+    .map(account => ({
+      address: account.address.toString(),
+      amount: account.amount,
+      share: shareOf(BigInt(account.amount), totalSupply)
+    }));
+
+  const topShare = topHolders.reduce((sum, holder) => sum + holder.share, 0);
+
+  logger.debug(`Top ${topHolders.length} holders of ${mint} hold ${topShare.toFixed(2)}% of supply`);
+
+  const distribution = {
+    supply: supply.value.amount,
+    topHolders,
+    topShare
+  };
+
+  // The creator may spread tokens over several accounts, so all of them count
+  if (options.creator) {
+    const creatorAmount = await fetchOwnerBalance(connection, mintPubkey, options.creator);
+    distribution.creator = options.creator;
+    distribution.creatorAmount = creatorAmount.toString();
+    distribution.creatorShare = shareOf(creatorAmount, totalSupply);
+  }
+
+  return distribution;
+}
+
+module.exports = {
+  fetchHolderDistribution
+};
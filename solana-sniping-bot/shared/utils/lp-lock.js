@@ -0,0 +1,153 @@
+/**
+ * @fileoverview LP burn/lock verification for Solana memecoin sniping bot
+ * Works out how much of a pool's LP supply can no longer be withdrawn
+ * (burned, sent to the incinerator or held by a locker program) and how much
+ * the deployer still holds and could pull at any time.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { createLogger } = require('../logger');
+const { SOLANA_ADDRESSES, LP_LOCKER_PROGRAMS } = require('../constants');
+const { POOL_TYPES } = require('./dex-pool');
+const { fetchLiquidityStateV4 } = require('./raydium-amm');
+
+// Initialize logger
+const logger = createLogger('lp-lock');
+
+/**
+ * Venues whose liquidity is not represented by a fungible LP token
+ * (concentrated liquidity positions are NFTs, bonding curves have no LP)
+ */
+const LP_LESS_POOL_TYPES = [
+  POOL_TYPES.RAYDIUM_CLMM,
+  POOL_TYPES.ORCA_WHIRLPOOL,
+  POOL_TYPES.METEORA_DLMM,
+  POOL_TYPES.PUMPFUN_BONDING_CURVE
+];
+
+/**
+ * Converts a raw LP amount into a percentage of what the pool issued
+ * @param {bigint} amount - Raw LP amount
+ * @param {bigint} issued - Raw LP issued
+ * @returns {number} - Share in % (2 decimals)
+ */
+function percentOf(amount, issued) {
+  return issued > 0n ? Number(amount * 10000n / issued) / 100 : 0;
+}
+
+/**
+ * Resolves the LP mint of a pool and the LP amount the pool has issued
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string} lpAddress - Pool address
+ * @param {string} poolType - Pool venue
+ * @returns {Promise<{lpMint: string, lpIssued: bigint|null}|null>} - Null if the venue has no LP token
+ * @throws {Error} - If the venue has LP tokens but cannot be decoded here
+ */
+async function resolveLpMint(connection, lpAddress, poolType) {
+  if (LP_LESS_POOL_TYPES.includes(poolType)) {
+    return null;
+  }
+
+  if (poolType === POOL_TYPES.RAYDIUM_V4) {
+    const state = await fetchLiquidityStateV4(connection, new PublicKey(lpAddress));
+
+    // lpReserve is what the AMM minted; burning LP directly lowers the mint
+    // supply but not this counter
+    return { lpMint: state.lpMint.toString(), lpIssued: state.lpReserve };
+  }
+
+  throw new Error(`LP mint resolution is not supported for ${poolType} pools`);
+}
+
+/**
+ * Analyzes who controls a pool's LP supply
+ * @param {Connection} connection - Solana RPC connection
+ * @param {Object} params - Analysis parameters
+ * @param {string} params.lpAddress - Pool address
+ * @param {string} params.poolType - Pool venue
+ * @param {string} [params.creator] - Deployer wallet
+ * @param {Array<string>} [params.lockerPrograms] - Locker programs on top of LP_LOCKER_PROGRAMS
+ * @returns {Promise<Object>} - Breakdown ({ applicable, lpMint, burnedPercent, lockedPercent, deployerPercent, securedPercent, lockers })
+ */
+async function analyzeLpLock(connection, params) {
+  const { lpAddress, poolType, creator } = params;
+  const lockerPrograms = new Set([...Object.keys(LP_LOCKER_PROGRAMS), ...(params.lockerPrograms || [])]);
+
+  const lp = await resolveLpMint(connection, lpAddress, poolType);
+  if (!lp) {
+    return { applicable: false, poolType };
+  }
+
+  const lpMintPubkey = new PublicKey(lp.lpMint);
+  const [supplyResult, largest] = await Promise.all([
+    connection.getTokenSupply(lpMintPubkey),
+    connection.getTokenLargestAccounts(lpMintPubkey)
+  ]);
+
+  const supply = BigInt(supplyResult.value.amount);
+  const issued = lp.lpIssued && lp.lpIssued > supply ? lp.lpIssued : supply;
+
+  // Owners of the largest LP accounts, then the programs owning those owners
+  const holderInfos = await connection.getMultipleParsedAccounts(largest.value.map(account => account.address));
+  const holders = largest.value.map((account, index) => {
+    const info = holderInfos.value[index];
+    return {
+      address: account.address.toString(),
+      amount: BigInt(account.amount),
+      owner: info && info.data.parsed ? info.data.parsed.info.owner : null
+    };
+  });
+
+  const owners = [...new Set(holders.map(holder => holder.owner).filter(Boolean))];
+  const ownerInfos = owners.length > 0 ?
+    await connection.getMultipleAccountsInfo(owners.map(owner => new PublicKey(owner))) :
+    [];
+  const ownerPrograms = new Map(owners.map((owner, index) => [
+    owner,
+    ownerInfos[index] ? ownerInfos[index].owner.toString() : null
+  ]));
+
+  const incinerator = SOLANA_ADDRESSES.INCINERATOR.toString();
+  let burned = issued - supply;
+  let locked = 0n;
+  let deployer = 0n;
+  const lockedByLocker = new Map();
+
+  for (const holder of holders) {
+    // Lockers hold LP under a PDA they own, or directly under their program id
+    const program = lockerPrograms.has(holder.owner) ? holder.owner : ownerPrograms.get(holder.owner);
+
+    if (holder.owner === incinerator) {
+      burned += holder.amount;
+    } else if (program && lockerPrograms.has(program)) {
+      const name = LP_LOCKER_PROGRAMS[program] || program;
+      locked += holder.amount;
+      lockedByLocker.set(name, (lockedByLocker.get(name) || 0n) + holder.amount);
+    } else if (creator && holder.owner === creator) {
+      deployer += holder.amount;
+    }
+  }
+
+  const breakdown = {
+    applicable: true,
+    poolType,
+    lpMint: lp.lpMint,
+    lpIssued: issued.toString(),
+    lpSupply: supply.toString(),
+    burnedPercent: percentOf(burned, issued),
+    lockedPercent: percentOf(locked, issued),
+    deployerPercent: percentOf(deployer, issued),
+    securedPercent: percentOf(burned + locked, issued),
+    lockers: Object.fromEntries([...lockedByLocker].map(([name, amount]) => [name, percentOf(amount, issued)]))
+  };
+
+  logger.debug(`LP of pool ${lpAddress}: ${breakdown.burnedPercent}% burned, ${breakdown.lockedPercent}% locked, ${breakdown.deployerPercent}% held by the deployer`);
+
+  return breakdown;
+}
+
+module.exports = {
+  LP_LESS_POOL_TYPES,
+  resolveLpMint,
+  analyzeLpLock
+};
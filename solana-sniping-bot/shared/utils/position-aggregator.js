@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Position aggregation utilities for Solana memecoin sniping bot
+ * Every buy opens its own lot (position ID); these helpers roll the lots held
+ * in one mint up into a single view with a weighted-average entry price.
+ */
+
+/**
+ * Aggregates the lots held in a single mint
+ * Lots without a known entry price count towards size and cost but are left
+ * out of the weighted average.
+ * @param {Array<Object>} lots - Lots ({ positionId, baseMint, tokenAmount, amountInSol, buyPrice, buyTimestamp })
+ * @returns {Object} - Aggregated view of the mint
+ */
+function aggregateLots(lots) {
+  let totalTokens = 0;
+  let totalCostSol = 0;
+  let pricedTokens = 0;
+  let pricedValue = 0;
+
+  for (const lot of lots) {
+    const tokens = Number(lot.tokenAmount) || 0;
+
+    totalTokens += tokens;
+    totalCostSol += Number(lot.amountInSol) || 0;
+
+    if (lot.buyPrice > 0 && tokens > 0) {
+      pricedTokens += tokens;
+      pricedValue += lot.buyPrice * tokens;
+    }
+  }
+
+  const timestamps = lots.map(lot => lot.buyTimestamp).filter(Boolean);
+
+  return {
+    baseMint: lots.length > 0 ? lots[0].baseMint : null,
+    lotCount: lots.length,
+    positionIds: lots.map(lot => lot.positionId),
+    totalTokens,
+    totalCostSol,
+    weightedAvgEntryPrice: pricedTokens > 0 ? pricedValue / pricedTokens : 0,
+    firstEntryAt: timestamps.length > 0 ? Math.min(...timestamps) : null,
+    lastEntryAt: timestamps.length > 0 ? Math.max(...timestamps) : null
+  };
+}
+
+/**
+ * Groups lots by mint and aggregates each group
+ * @param {Iterable<Object>} lots - Lots across any number of mints
+ * @returns {Object<string, Object>} - Aggregated view keyed by mint
+ */
+function aggregateLotsByMint(lots) {
+  const byMint = new Map();
+
+  for (const lot of lots) {
+    if (!byMint.has(lot.baseMint)) {
+      byMint.set(lot.baseMint, []);
+    }
+    byMint.get(lot.baseMint).push(lot);
+  }
+
+  const aggregates = {};
+  for (const [baseMint, mintLots] of byMint) {
+    aggregates[baseMint] = aggregateLots(mintLots);
+  }
+
+  return aggregates;
+}
+
+module.exports = {
+  aggregateLots,
+  aggregateLotsByMint
+};
@@ -1,11 +1,14 @@
 /**
  * @fileoverview Price calculation utilities for Solana memecoin sniping bot
  * Provides functions to calculate token prices from various pool types
- * Supports Raydium, Orca and Jupiter price calculations
+ * Supports Raydium, pump.fun bonding curve, Orca and Jupiter price calculations
  */
 
 const { PublicKey, Connection } = require('@solana/web3.js');
 const { createLogger } = require('../logger');
+const { SOLANA_ADDRESSES } = require('../constants');
+const { getRaydiumPoolReserves } = require('./raydium-amm');
+const { fetchBondingCurve, getBondingCurvePrice, PUMPFUN_TOKEN_DECIMALS } = require('./pumpfun');
 const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
 
 // Initialize context-specific logger
@@ -13,6 +16,7 @@ const logger = createLogger('price-calculator');
 
 /**
  * Calculates token price from Raydium V4 liquidity pool
+ * Price is expressed in quote tokens per whole base token (e.g. SOL per token)
  * @param {Connection} connection - Solana RPC connection
  * @param {string} lpAddress - Liquidity pool address
  * @param {string} baseMint - Base token mint address
@@ -23,41 +27,42 @@ async function calculateRaydiumPrice(connection, lpAddress, baseMint, quoteMint)
   try {
     logger.debug(`Calculating Raydium price for ${baseMint} in pool ${lpAddress}`);
     
-    // Convert addresses to PublicKeys
-    const lpPubkey = new PublicKey(lpAddress);
+    // Decode the pool state and read live reserves from its vaults
+    const reserves = await getRaydiumPoolReserves(connection, new PublicKey(lpAddress));
     
-    // Fetch pool account data
-    const accountInfo = await connection.getAccountInfo(lpPubkey);
-    if (!accountInfo) {
-      throw new Error('Pool account not found');
-    }
-    
-    // In a real implementation, this would parse the Raydium pool data structure
-    // For demonstration purposes, we're using a simplified approach
+    // The pool's own coin/pc orientation may be the reverse of what we asked for
+    const isInverted = reserves.baseMint !== baseMint && reserves.quoteMint === baseMint;
     
-    // The following would normally decode the pool state data to extract:
-    // - baseTokenAmount (token reserves)
-    // - quoteTokenAmount (SOL reserves)
+    const tokenReserve = isInverted ? reserves.quoteReserve : reserves.baseReserve;
+    const tokenDecimals = isInverted ? reserves.quoteDecimals : reserves.baseDecimals;
+    const quoteReserve = isInverted ? reserves.baseReserve : reserves.quoteReserve;
+    const quoteDecimals = isInverted ? reserves.baseDecimals : reserves.quoteDecimals;
     
-    // Simulate parsing account data (replace with actual Raydium data structure parsing)
-    const dataView = new DataView(accountInfo.data.buffer);
+    if (tokenReserve === 0n) {
+      throw new Error('Pool has no base token reserves');
+    }
     
-    // Example offsets for demonstration - real offsets depend on Raydium LP structure
-    // In production, use proper layout parsing or Raydium SDK
-    const baseReserves = Number(dataView.getBigUint64(64, true)); // Example offset
-    const quoteReserves = Number(dataView.getBigUint64(72, true)); // Example offset
+    // Convert raw reserves to whole-token amounts
+    const tokenAmount = Number(tokenReserve) / Math.pow(10, tokenDecimals);
+    const quoteAmount = Number(quoteReserve) / Math.pow(10, quoteDecimals);
     
     // Calculate price (quote / base)
-    const price = quoteReserves / baseReserves;
+    const price = quoteAmount / tokenAmount;
     
-    // Calculate SOL liquidity amount
-    const solLiquidity = quoteReserves / LAMPORTS_PER_SOL;
+    // Liquidity is only meaningful in SOL terms for SOL-quoted pools
+    const solLiquidity = quoteMint === SOLANA_ADDRESSES.SOL_MINT.toString() ?
+      Number(quoteReserve) / LAMPORTS_PER_SOL :
+      null;
     
     logger.debug(`Calculated price: ${price}, liquidity: ${solLiquidity} SOL`);
     
     return {
       price,
       liquidity: solLiquidity,
+      baseReserve: tokenReserve.toString(),
+      quoteReserve: quoteReserve.toString(),
+      baseDecimals: tokenDecimals,
+      quoteDecimals,
       source: 'raydium',
       poolAddress: lpAddress,
       baseMint,
@@ -69,6 +74,45 @@ async function calculateRaydiumPrice(connection, lpAddress, baseMint, quoteMint)
   }
 }
 
+/**
+ * Calculates token price from a pump.fun bonding curve's virtual reserves
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string} lpAddress - Bonding curve address
+ * @param {string} baseMint - Token mint address
+ * @param {string} quoteMint - Quote token mint address (always SOL)
+ * @returns {Promise<Object>} - Price data including price, liquidity and curve completion
+ */
+async function calculatePumpfunPrice(connection, lpAddress, baseMint, quoteMint) {
+  try {
+    logger.debug(`Calculating pump.fun price for ${baseMint} on curve ${lpAddress}`);
+    
+    const { curve } = await fetchBondingCurve(connection, lpAddress);
+    const price = getBondingCurvePrice(curve);
+    
+    // Real SOL reserves are what a seller can actually be paid from
+    const solLiquidity = Number(curve.realSolReserves) / LAMPORTS_PER_SOL;
+    
+    logger.debug(`Calculated price: ${price}, liquidity: ${solLiquidity} SOL, complete: ${curve.complete}`);
+    
+    return {
+      price,
+      liquidity: solLiquidity,
+      baseReserve: curve.virtualTokenReserves.toString(),
+      quoteReserve: curve.virtualSolReserves.toString(),
+      baseDecimals: PUMPFUN_TOKEN_DECIMALS,
+      quoteDecimals: 9,
+      complete: curve.complete,
+      source: 'pumpfun',
+      poolAddress: lpAddress,
+      baseMint,
+      quoteMint
+    };
+  } catch (error) {
+    logger.error(`Error calculating pump.fun price: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * Calculates price movement percentage from reference price
  * @param {number} currentPrice - Current token price
@@ -109,7 +153,7 @@ function estimateSlippage(poolLiquidity, txSizeSol) {
  * @param {string} params.baseMint - Base token mint address
  * @param {string} params.quoteMint - Quote token mint address
  * @param {string} params.lpAddress - Liquidity pool address
- * @param {string} params.source - Price source (raydium, orca, jupiter)
+ * @param {string} params.source - Price source (raydium, pumpfun, orca, jupiter)
  * @param {boolean} params.isDryRun - Whether this is a dry run simulation
  * @returns {Promise<Object>} - Token price data
  */
@@ -146,6 +190,9 @@ async function fetchTokenPrice(params) {
     case 'raydium':
       return calculateRaydiumPrice(connection, lpAddress, baseMint, quoteMint);
     
+    case 'pumpfun':
+      return calculatePumpfunPrice(connection, lpAddress, baseMint, quoteMint);
+    
     // Add other DEX price calculation functions as needed
     // case 'orca':
     //   return calculateOrcaPrice(connection, lpAddress, baseMint, quoteMint);
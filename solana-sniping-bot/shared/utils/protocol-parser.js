@@ -1,10 +1,13 @@
 /**
  * @fileoverview Protocol parsing utilities for Solana memecoin sniping bot
- * Detects and extracts data from various DEX protocols' logs and transactions
+ * Detects pool creations from DEX program logs and extracts the pool data
+ * from the creating instruction's accounts in the confirmed transaction
  */
 
-const { PublicKey } = require('@solana/web3.js');
+const crypto = require('crypto');
+const bs58 = require('bs58');
 const { createLogger } = require('../logger');
+const { SOLANA_ADDRESSES } = require('../constants');
 
 // Initialize context-specific logger
 const logger = createLogger('protocol-parser');
@@ -30,13 +33,35 @@ const PROTOCOLS = {
  * Common log patterns for identifying protocol actions
  */
 const LOG_PATTERNS = {
-  RAYDIUM_INITIALIZE: /Program log: Instruction: Initialize2/i,
-  RAYDIUM_POOL_CREATED: /Program log: pool address:.*?\s+(\w+)/i,
-  RAYDIUM_BASE_MINT: /Program log: base mint:.*?\s+(\w+)/i,
-  RAYDIUM_QUOTE_MINT: /Program log: quote mint:.*?\s+(\w+)/i,
+  RAYDIUM_INITIALIZE: /Program log: (Instruction: )?[Ii]nitialize2/,
   ORCA_WHIRLPOOL_INIT: /Program log: Instruction: InitializePool/i
 };
 
+/**
+ * Raydium AMM v4 initialize2 instruction layout
+ * Data: u8 instruction (1), u8 nonce, u64 openTime, u64 initPcAmount, u64 initCoinAmount
+ * Accounts are referenced by their position in the instruction's account list
+ */
+const RAYDIUM_INITIALIZE2 = {
+  DISCRIMINATOR: 1,
+  ACCOUNT_INDEXES: {
+    AMM: 4,
+    AMM_AUTHORITY: 5,
+    AMM_OPEN_ORDERS: 6,
+    LP_MINT: 7,
+    COIN_MINT: 8,
+    PC_MINT: 9,
+    POOL_COIN_VAULT: 10,
+    POOL_PC_VAULT: 11,
+    AMM_TARGET_ORDERS: 13,
+    MARKET_PROGRAM: 15,
+    MARKET: 16,
+    CREATOR: 17
+  },
+  MIN_ACCOUNTS: 18,
+  DATA_SIZE: 26
+};
+
 /**
  * Detects the DEX protocol from transaction logs
  * @param {Array<string>} logs - Transaction log messages
@@ -77,80 +102,180 @@ function detectProtocol(logs) {
 }
 
 /**
- * Parses Raydium LP initialization logs to extract pool information
+ * Checks whether transaction logs contain a Raydium initialize2 instruction
  * @param {Array<string>} logs - Transaction log messages
+ * @returns {boolean} - True if a pool was (probably) created
+ */
+function isRaydiumInitializeLog(logs) {
+  return Array.isArray(logs) && logs.some(log => LOG_PATTERNS.RAYDIUM_INITIALIZE.test(log));
+}
+
+/**
+ * Flattens a confirmed transaction into its top-level and inner instructions,
+ * with account indexes resolved to addresses (lookup tables included)
+ * @param {Object} transaction - Transaction from connection.getTransaction
+ * @returns {Array<{programId: string, accounts: string[], data: Buffer}>} - All instructions
+ */
+function getAllInstructions(transaction) {
+  const { message } = transaction.transaction;
+  const meta = transaction.meta || {};
+  
+  const accountKeys = message.getAccountKeys({
+    accountKeysFromLookups: meta.loadedAddresses
+  });
+  
+  const resolve = index => accountKeys.get(index).toString();
+  
+  const instructions = message.compiledInstructions.map(ix => ({
+    programId: resolve(ix.programIdIndex),
+    accounts: ix.accountKeyIndexes.map(resolve),
+    data: Buffer.from(ix.data)
+  }));
+  
+  // Inner instructions carry base58 data and plain account index arrays
+  for (const inner of meta.innerInstructions || []) {
+    for (const ix of inner.instructions) {
+      instructions.push({
+        programId: resolve(ix.programIdIndex),
+        accounts: ix.accounts.map(resolve),
+        data: Buffer.from(bs58.decode(ix.data))
+      });
+    }
+  }
+  
+  return instructions;
+}
+
+/**
+ * Computes the 8 byte Anchor instruction discriminator for an instruction name
+ * @param {string} name - Instruction name in snake_case (e.g. "initialize_pool")
+ * @returns {Buffer} - sha256("global:<name>")[0..8]
+ */
+function anchorDiscriminator(name) {
+  return crypto.createHash('sha256').update(`global:${name}`).digest().subarray(0, 8);
+}
+
+/**
+ * Checks whether instruction data starts with the given discriminator
+ * @param {Buffer} data - Instruction data
+ * @param {Buffer} discriminator - Expected discriminator
+ * @returns {boolean} - True if the data matches
+ */
+function hasDiscriminator(data, discriminator) {
+  return data.length >= discriminator.length &&
+    data.subarray(0, discriminator.length).equals(discriminator);
+}
+
+/**
+ * Orients a token pair so SOL (when present) is the quote side
+ * @param {string} mintA - First mint of the pair
+ * @param {string} mintB - Second mint of the pair
+ * @returns {{baseMint: string, quoteMint: string}} - Oriented pair
+ */
+function orientPair(mintA, mintB) {
+  const solMint = SOLANA_ADDRESSES.SOL_MINT.toString();
+  
+  return mintA === solMint ?
+    { baseMint: mintB, quoteMint: mintA } :
+    { baseMint: mintA, quoteMint: mintB };
+}
+
+/**
+ * Decodes a Raydium initialize2 instruction into pool data
+ * @param {Object} instruction - Flattened instruction from getAllInstructions
+ * @returns {Object|null} - Parsed pool data or null if not an initialize2 instruction
+ */
+function decodeRaydiumInitialize2(instruction) {
+  const { accounts, data } = instruction;
+  
+  if (data.length < RAYDIUM_INITIALIZE2.DATA_SIZE ||
+      data[0] !== RAYDIUM_INITIALIZE2.DISCRIMINATOR ||
+      accounts.length < RAYDIUM_INITIALIZE2.MIN_ACCOUNTS) {
+    return null;
+  }
+  
+  const idx = RAYDIUM_INITIALIZE2.ACCOUNT_INDEXES;
+  const coinMint = accounts[idx.COIN_MINT];
+  const pcMint = accounts[idx.PC_MINT];
+  
+  // The bot trades the non-SOL side, whichever slot the creator put it in
+  return {
+    protocol: 'RAYDIUM',
+    lpAddress: accounts[idx.AMM],
+    ...orientPair(coinMint, pcMint),
+    coinMint,
+    pcMint,
+    lpMint: accounts[idx.LP_MINT],
+    marketId: accounts[idx.MARKET],
+    marketProgramId: accounts[idx.MARKET_PROGRAM],
+    coinVault: accounts[idx.POOL_COIN_VAULT],
+    pcVault: accounts[idx.POOL_PC_VAULT],
+    creator: accounts[idx.CREATOR],
+    poolOpenTime: Number(data.readBigUInt64LE(2)),
+    initPcAmount: data.readBigUInt64LE(10).toString(),
+    initCoinAmount: data.readBigUInt64LE(18).toString()
+  };
+}
+
+/**
+ * Parses a confirmed Raydium pool creation transaction
+ * Reads the pool, mints, LP mint and market from the initialize2 instruction
+ * accounts, whether it was called directly or via CPI (inner instruction)
+ * @param {Object} transaction - Transaction from connection.getTransaction
+ * @param {string} programId - Raydium AMM v4 program ID
  * @returns {Object|null} - Parsed pool data or null if parsing failed
  */
-function parseRaydiumLpInitialization(logs) {
+function parseRaydiumInitialize2Transaction(transaction, programId = PROTOCOLS.RAYDIUM.V4_LP_PROGRAM_ID) {
   try {
-    let baseMint = null;
-    let quoteMint = null;
-    let lpAddress = null;
-    
-    // Extract pool information from logs
-    for (const log of logs) {
-      const baseMatch = log.match(LOG_PATTERNS.RAYDIUM_BASE_MINT);
-      if (baseMatch && baseMatch[1]) {
-        baseMint = baseMatch[1].trim();
-      }
-      
-      const quoteMatch = log.match(LOG_PATTERNS.RAYDIUM_QUOTE_MINT);
-      if (quoteMatch && quoteMatch[1]) {
-        quoteMint = quoteMatch[1].trim();
-      }
-      
-      const poolMatch = log.match(LOG_PATTERNS.RAYDIUM_POOL_CREATED);
-      if (poolMatch && poolMatch[1]) {
-        lpAddress = poolMatch[1].trim();
-      }
+    if (!transaction || !transaction.transaction) {
+      return null;
     }
     
-    // Validate extracted data
-    if (!baseMint || !quoteMint || !lpAddress) {
-      logger.debug('Missing required pool information in Raydium logs');
+    if (transaction.meta && transaction.meta.err) {
+      logger.debug('Skipping failed pool creation transaction');
       return null;
     }
     
-    // Validate addresses
-    try {
-      new PublicKey(baseMint);
-      new PublicKey(quoteMint);
-      new PublicKey(lpAddress);
-    } catch (e) {
-      logger.warn(`Invalid address format in detected pool: ${e.message}`);
-      return null;
+    const instructions = getAllInstructions(transaction);
+    
+    for (const instruction of instructions) {
+      if (instruction.programId !== programId) {
+        continue;
+      }
+      
+      const poolData = decodeRaydiumInitialize2(instruction);
+      if (poolData) {
+        return {
+          ...poolData,
+          signature: transaction.transaction.signatures[0],
+          slot: transaction.slot,
+          timestamp: Date.now(),
+          detectionMethod: 'instruction_parse'
+        };
+      }
     }
     
-    return {
-      protocol: 'RAYDIUM',
-      baseMint,
-      quoteMint,
-      lpAddress,
-      timestamp: Date.now(),
-      detectionMethod: 'log_parse'
-    };
+    logger.debug('No initialize2 instruction found in transaction');
+    return null;
   } catch (error) {
-    logger.error(`Error parsing Raydium LP logs: ${error.message}`);
+    logger.error(`Error parsing Raydium initialize2 transaction: ${error.message}`);
     return null;
   }
 }
 
 /**
- * Parses transaction logs to extract pool data based on detected protocol
- * @param {Object} logInfo - Log information object
- * @param {Array<string>} logInfo.logs - Transaction log messages
- * @param {string|null} logInfo.err - Transaction error or null if successful
- * @param {string|null} logInfo.signature - Transaction signature
+ * Parses a confirmed pool creation transaction based on the protocol detected in its logs
+ * @param {Object} transaction - Transaction from connection.getTransaction
  * @returns {Object|null} - Parsed pool data or null if parsing failed
  */
-function parsePoolCreationLogs(logInfo) {
+function parsePoolCreationTransaction(transaction) {
   try {
-    if (!logInfo || !logInfo.logs || logInfo.logs.length === 0) {
+    if (!transaction || !transaction.meta) {
       return null;
     }
     
     // Detect protocol
-    const protocol = detectProtocol(logInfo.logs);
+    const protocol = detectProtocol(transaction.meta.logMessages);
     
     if (!protocol) {
       return null;
@@ -159,63 +284,33 @@ function parsePoolCreationLogs(logInfo) {
     // Parse based on protocol
     switch (protocol) {
       case 'RAYDIUM':
-        return parseRaydiumLpInitialization(logInfo.logs);
+        return parseRaydiumInitialize2Transaction(transaction);
       
       // Add other protocol parsers as needed
       // case 'ORCA_WHIRLPOOL':
-      //   return parseOrcaWhirlpoolInitialization(logInfo.logs);
+      //   return parseOrcaWhirlpoolInitialization(transaction);
       
       default:
         logger.debug(`No parser implemented for protocol: ${protocol}`);
         return null;
     }
   } catch (error) {
-    logger.error(`Error parsing pool creation logs: ${error.message}`);
+    logger.error(`Error parsing pool creation transaction: ${error.message}`);
     return null;
   }
 }
 
-/**
- * Generates Raydium swap instructions
- * @param {Object} params - Swap parameters
- * @returns {Object} - Information needed to build the swap transaction
- */
-function generateRaydiumSwapParams(params) {
-  const {
-    owner,
-    tokenMint,
-    lpAddress,
-    amountIn,
-    minAmountOut,
-    isBaseInput,
-    useSOL = true
-  } = params;
-  
-  // In a real implementation, this would include the necessary
-  // accounts and instruction data for a Raydium swap.
-  // For now, returning a placeholder structure that would be completed
-  // in a full implementation
-  
-  return {
-    programId: new PublicKey(PROTOCOLS.RAYDIUM.SWAP_PROGRAM_ID),
-    accounts: {
-      pool: new PublicKey(lpAddress),
-      tokenMint: new PublicKey(tokenMint),
-      owner: new PublicKey(owner),
-      // Other required accounts would be added here
-    },
-    amountIn,
-    minAmountOut,
-    isBaseInput,
-    useSOL
-  };
-}
-
 module.exports = {
   PROTOCOLS,
   LOG_PATTERNS,
+  RAYDIUM_INITIALIZE2,
   detectProtocol,
-  parsePoolCreationLogs,
-  parseRaydiumLpInitialization,
-  generateRaydiumSwapParams
+  isRaydiumInitializeLog,
+  getAllInstructions,
+  anchorDiscriminator,
+  hasDiscriminator,
+  orientPair,
+  decodeRaydiumInitialize2,
+  parseRaydiumInitialize2Transaction,
+  parsePoolCreationTransaction
 };
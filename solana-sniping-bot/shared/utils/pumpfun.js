@@ -0,0 +1,332 @@
+/**
+ * @fileoverview pump.fun bonding curve utilities for Solana memecoin sniping bot
+ * Decodes the Global and BondingCurve accounts, prices and quotes trades from
+ * the curve's virtual reserves and encodes the program's buy/sell instructions
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { createLogger } = require('../logger');
+const { anchorDiscriminator } = require('./protocol-parser');
+
+// Initialize context-specific logger
+const logger = createLogger('pumpfun');
+
+/**
+ * pump.fun program, its fee program and the account that migrates completed curves
+ */
+const PUMPFUN_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+const PUMPFUN_FEE_PROGRAM_ID = new PublicKey('pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ');
+const PUMPFUN_MIGRATION_AUTHORITY = '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg';
+
+/**
+ * Every pump.fun token is minted with 6 decimals
+ */
+const PUMPFUN_TOKEN_DECIMALS = 6;
+
+/**
+ * Byte offsets of the BondingCurve account fields (after the 8 byte discriminator)
+ */
+const BONDING_CURVE_OFFSETS = {
+  virtualTokenReserves: 8,
+  virtualSolReserves: 16,
+  realTokenReserves: 24,
+  realSolReserves: 32,
+  tokenTotalSupply: 40,
+  complete: 48,
+  creator: 49
+};
+
+/**
+ * Byte offsets of the Global account fields (after the 8 byte discriminator)
+ */
+const GLOBAL_OFFSETS = {
+  initialized: 8,
+  authority: 9,
+  feeRecipient: 41,
+  initialVirtualTokenReserves: 73,
+  initialVirtualSolReserves: 81,
+  initialRealTokenReserves: 89,
+  tokenTotalSupply: 97,
+  feeBasisPoints: 105,
+  withdrawAuthority: 113,
+  enableMigrate: 145,
+  poolMigrationFee: 146,
+  creatorFeeBasisPoints: 154
+};
+
+/**
+ * Anchor instruction discriminators
+ */
+const INSTRUCTION_DISCRIMINATORS = {
+  BUY: anchorDiscriminator('buy'),
+  SELL: anchorDiscriminator('sell')
+};
+
+/**
+ * Derives the program's Global config account
+ * @returns {PublicKey} - Global account address
+ */
+function getGlobalAddress() {
+  return PublicKey.findProgramAddressSync([Buffer.from('global')], PUMPFUN_PROGRAM_ID)[0];
+}
+
+/**
+ * Derives the program's Anchor event authority
+ * @returns {PublicKey} - Event authority address
+ */
+function getEventAuthority() {
+  return PublicKey.findProgramAddressSync([Buffer.from('__event_authority')], PUMPFUN_PROGRAM_ID)[0];
+}
+
+/**
+ * Derives the vault collecting a token creator's trading fees
+ * @param {PublicKey} creator - Creator recorded on the bonding curve
+ * @returns {PublicKey} - Creator vault address
+ */
+function getCreatorVaultAddress(creator) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('creator-vault'), creator.toBuffer()],
+    PUMPFUN_PROGRAM_ID
+  )[0];
+}
+
+/**
+ * Derives the global and per-user volume accumulators required by buys
+ * @param {PublicKey} user - Buyer
+ * @returns {{global: PublicKey, user: PublicKey}} - Accumulator addresses
+ */
+function getVolumeAccumulators(user) {
+  return {
+    global: PublicKey.findProgramAddressSync(
+      [Buffer.from('global_volume_accumulator')],
+      PUMPFUN_PROGRAM_ID
+    )[0],
+    user: PublicKey.findProgramAddressSync(
+      [Buffer.from('user_volume_accumulator'), user.toBuffer()],
+      PUMPFUN_PROGRAM_ID
+    )[0]
+  };
+}
+
+/**
+ * Derives the fee config account of the pump.fun program
+ * @returns {PublicKey} - Fee config address
+ */
+function getFeeConfigAddress() {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('fee_config'), PUMPFUN_PROGRAM_ID.toBuffer()],
+    PUMPFUN_FEE_PROGRAM_ID
+  )[0];
+}
+
+/**
+ * Derives the bonding curve account of a mint
+ * @param {PublicKey} mint - Token mint
+ * @returns {PublicKey} - Bonding curve address
+ */
+function getBondingCurveAddress(mint) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('bonding-curve'), mint.toBuffer()],
+    PUMPFUN_PROGRAM_ID
+  )[0];
+}
+
+/**
+ * Derives the token account holding the curve's unsold supply
+ * @param {PublicKey} mint - Token mint
+ * @param {PublicKey} bondingCurve - Bonding curve address
+ * @returns {PublicKey} - Associated bonding curve token account
+ */
+function getAssociatedBondingCurveAddress(mint, bondingCurve) {
+  return getAssociatedTokenAddressSync(mint, bondingCurve, true);
+}
+
+/**
+ * Decodes a BondingCurve account
+ * @param {Buffer} data - Raw account data
+ * @returns {Object} - Decoded curve state (u64 fields as bigint)
+ */
+function decodeBondingCurve(data) {
+  if (data.length < BONDING_CURVE_OFFSETS.complete + 1) {
+    throw new Error(`Invalid bonding curve account size: ${data.length}`);
+  }
+
+  return {
+    virtualTokenReserves: data.readBigUInt64LE(BONDING_CURVE_OFFSETS.virtualTokenReserves),
+    virtualSolReserves: data.readBigUInt64LE(BONDING_CURVE_OFFSETS.virtualSolReserves),
+    realTokenReserves: data.readBigUInt64LE(BONDING_CURVE_OFFSETS.realTokenReserves),
+    realSolReserves: data.readBigUInt64LE(BONDING_CURVE_OFFSETS.realSolReserves),
+    tokenTotalSupply: data.readBigUInt64LE(BONDING_CURVE_OFFSETS.tokenTotalSupply),
+    complete: data.readUInt8(BONDING_CURVE_OFFSETS.complete) === 1,
+    // Curves created before creator fees have no creator field
+    creator: data.length >= BONDING_CURVE_OFFSETS.creator + 32 ?
+      new PublicKey(data.subarray(BONDING_CURVE_OFFSETS.creator, BONDING_CURVE_OFFSETS.creator + 32)) :
+      null
+  };
+}
+
+/**
+ * Decodes the Global config account
+ * @param {Buffer} data - Raw account data
+ * @returns {Object} - Decoded global state
+ */
+function decodeGlobal(data) {
+  if (data.length < GLOBAL_OFFSETS.creatorFeeBasisPoints + 8) {
+    throw new Error(`Invalid global account size: ${data.length}`);
+  }
+
+  return {
+    initialized: data.readUInt8(GLOBAL_OFFSETS.initialized) === 1,
+    authority: new PublicKey(data.subarray(GLOBAL_OFFSETS.authority, GLOBAL_OFFSETS.authority + 32)),
+    feeRecipient: new PublicKey(data.subarray(GLOBAL_OFFSETS.feeRecipient, GLOBAL_OFFSETS.feeRecipient + 32)),
+    initialVirtualTokenReserves: data.readBigUInt64LE(GLOBAL_OFFSETS.initialVirtualTokenReserves),
+    initialVirtualSolReserves: data.readBigUInt64LE(GLOBAL_OFFSETS.initialVirtualSolReserves),
+    initialRealTokenReserves: data.readBigUInt64LE(GLOBAL_OFFSETS.initialRealTokenReserves),
+    tokenTotalSupply: data.readBigUInt64LE(GLOBAL_OFFSETS.tokenTotalSupply),
+    feeBasisPoints: data.readBigUInt64LE(GLOBAL_OFFSETS.feeBasisPoints),
+    withdrawAuthority: new PublicKey(data.subarray(GLOBAL_OFFSETS.withdrawAuthority, GLOBAL_OFFSETS.withdrawAuthority + 32)),
+    enableMigrate: data.readUInt8(GLOBAL_OFFSETS.enableMigrate) === 1,
+    poolMigrationFee: data.readBigUInt64LE(GLOBAL_OFFSETS.poolMigrationFee),
+    creatorFeeBasisPoints: data.readBigUInt64LE(GLOBAL_OFFSETS.creatorFeeBasisPoints)
+  };
+}
+
+/**
+ * Total fee charged on a trade: protocol fee plus the creator fee
+ * @param {Object} global - Decoded global state
+ * @returns {bigint} - Fee in basis points
+ */
+function getTotalFeeBasisPoints(global) {
+  return global.feeBasisPoints + global.creatorFeeBasisPoints;
+}
+
+/**
+ * Fetches and decodes a bonding curve together with the Global config
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string|PublicKey} bondingCurve - Bonding curve address
+ * @returns {Promise<{curve: Object, global: Object}>} - Decoded curve and global state
+ */
+async function fetchBondingCurve(connection, bondingCurve) {
+  const curvePubkey = typeof bondingCurve === 'string' ?
+    new PublicKey(bondingCurve) : bondingCurve;
+
+  const [curveInfo, globalInfo] = await connection.getMultipleAccountsInfo([
+    curvePubkey,
+    getGlobalAddress()
+  ]);
+
+  if (!curveInfo) {
+    throw new Error(`Bonding curve account not found: ${curvePubkey.toString()}`);
+  }
+
+  if (!globalInfo) {
+    throw new Error('pump.fun global account not found');
+  }
+
+  const curve = decodeBondingCurve(curveInfo.data);
+  logger.debug(`Bonding curve ${curvePubkey.toString()}: virtual SOL=${curve.virtualSolReserves}, virtual tokens=${curve.virtualTokenReserves}, complete=${curve.complete}`);
+
+  return {
+    curve,
+    global: decodeGlobal(globalInfo.data)
+  };
+}
+
+/**
+ * Spot price of a curve in SOL per whole token
+ * @param {Object} curve - Decoded bonding curve
+ * @returns {number} - Price
+ */
+function getBondingCurvePrice(curve) {
+  if (curve.virtualTokenReserves === 0n) {
+    return 0;
+  }
+
+  const solAmount = Number(curve.virtualSolReserves) / 1e9;
+  const tokenAmount = Number(curve.virtualTokenReserves) / Math.pow(10, PUMPFUN_TOKEN_DECIMALS);
+
+  return solAmount / tokenAmount;
+}
+
+/**
+ * Computes the tokens bought for a SOL amount, the fee being charged on top
+ * of the SOL that enters the curve
+ * @param {Object} curve - Decoded bonding curve
+ * @param {bigint} solIn - Lamports spent including the fee
+ * @param {bigint} feeBasisPoints - Program fee in basis points
+ * @returns {bigint} - Raw token amount out
+ */
+function computeBuyTokensOut(curve, solIn, feeBasisPoints) {
+  if (solIn <= 0n || curve.complete) {
+    return 0n;
+  }
+
+  const solInAfterFee = (solIn * 10000n) / (10000n + feeBasisPoints);
+  const product = curve.virtualSolReserves * curve.virtualTokenReserves;
+  const newVirtualTokenReserves = product / (curve.virtualSolReserves + solInAfterFee) + 1n;
+  const tokensOut = curve.virtualTokenReserves - newVirtualTokenReserves;
+
+  return tokensOut < curve.realTokenReserves ? tokensOut : curve.realTokenReserves;
+}
+
+/**
+ * Computes the lamports received for selling tokens back to the curve, after fee
+ * @param {Object} curve - Decoded bonding curve
+ * @param {bigint} tokensIn - Raw token amount sold
+ * @param {bigint} feeBasisPoints - Program fee in basis points
+ * @returns {bigint} - Lamports out
+ */
+function computeSellSolOut(curve, tokensIn, feeBasisPoints) {
+  if (tokensIn <= 0n || curve.complete) {
+    return 0n;
+  }
+
+  const solOut = (tokensIn * curve.virtualSolReserves) / (curve.virtualTokenReserves + tokensIn);
+  const fee = (solOut * feeBasisPoints + 9999n) / 10000n;
+
+  return solOut > fee ? solOut - fee : 0n;
+}
+
+/**
+ * Encodes buy/sell instruction data
+ * Layout: 8 byte discriminator, u64 token amount, u64 SOL limit and, for buys,
+ * the `track_volume` OptionBool (left off)
+ * @param {Buffer} discriminator - Instruction discriminator
+ * @param {bigint|number} amount - Raw token amount
+ * @param {bigint|number} solLimit - Max SOL cost (buy) or min SOL output (sell)
+ * @returns {Buffer} - Instruction data
+ */
+function encodeTradeData(discriminator, amount, solLimit) {
+  const isBuy = discriminator.equals(INSTRUCTION_DISCRIMINATORS.BUY);
+  const data = Buffer.alloc(isBuy ? 25 : 24);
+  discriminator.copy(data, 0);
+  data.writeBigUInt64LE(BigInt(amount), 8);
+  data.writeBigUInt64LE(BigInt(solLimit), 16);
+  return data;
+}
+
+module.exports = {
+  PUMPFUN_PROGRAM_ID,
+  PUMPFUN_FEE_PROGRAM_ID,
+  PUMPFUN_MIGRATION_AUTHORITY,
+  PUMPFUN_TOKEN_DECIMALS,
+  BONDING_CURVE_OFFSETS,
+  GLOBAL_OFFSETS,
+  INSTRUCTION_DISCRIMINATORS,
+  getGlobalAddress,
+  getEventAuthority,
+  getCreatorVaultAddress,
+  getVolumeAccumulators,
+  getFeeConfigAddress,
+  getBondingCurveAddress,
+  getAssociatedBondingCurveAddress,
+  decodeBondingCurve,
+  decodeGlobal,
+  getTotalFeeBasisPoints,
+  fetchBondingCurve,
+  getBondingCurvePrice,
+  computeBuyTokensOut,
+  computeSellSolOut,
+  encodeTradeData
+};
@@ -0,0 +1,420 @@
+/**
+ * @fileoverview Raydium AMM v4 account utilities for Solana memecoin sniping bot
+ * Decodes the on-chain LiquidityStateV4 and OpenBook market layouts, resolves
+ * live pool reserves from the base/quote vault token accounts and the full
+ * account set needed to swap against a pool
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { AccountLayout } = require('@solana/spl-token');
+const { createLogger } = require('../logger');
+
+// Initialize context-specific logger
+const logger = createLogger('raydium-amm');
+
+/**
+ * Field sizes in bytes for the primitive types used by Raydium account layouts
+ */
+const FIELD_SIZES = {
+  u64: 8,
+  u128: 16,
+  publicKey: 32
+};
+
+/**
+ * Raydium AMM v4 LiquidityStateV4 layout, in on-chain field order
+ * Mirrors `AmmInfo` in raydium-amm/program/src/state.rs (752 bytes)
+ */
+const LIQUIDITY_STATE_V4_FIELDS = [
+  ['status', 'u64'],
+  ['nonce', 'u64'],
+  ['maxOrder', 'u64'],
+  ['depth', 'u64'],
+  ['baseDecimal', 'u64'],
+  ['quoteDecimal', 'u64'],
+  ['state', 'u64'],
+  ['resetFlag', 'u64'],
+  ['minSize', 'u64'],
+  ['volMaxCutRatio', 'u64'],
+  ['amountWaveRatio', 'u64'],
+  ['baseLotSize', 'u64'],
+  ['quoteLotSize', 'u64'],
+  ['minPriceMultiplier', 'u64'],
+  ['maxPriceMultiplier', 'u64'],
+  ['systemDecimalValue', 'u64'],
+  ['minSeparateNumerator', 'u64'],
+  ['minSeparateDenominator', 'u64'],
+  ['tradeFeeNumerator', 'u64'],
+  ['tradeFeeDenominator', 'u64'],
+  ['pnlNumerator', 'u64'],
+  ['pnlDenominator', 'u64'],
+  ['swapFeeNumerator', 'u64'],
+  ['swapFeeDenominator', 'u64'],
+  ['baseNeedTakePnl', 'u64'],
+  ['quoteNeedTakePnl', 'u64'],
+  ['quoteTotalPnl', 'u64'],
+  ['baseTotalPnl', 'u64'],
+  ['poolOpenTime', 'u64'],
+  ['punishPcAmount', 'u64'],
+  ['punishCoinAmount', 'u64'],
+  ['orderbookToInitTime', 'u64'],
+  ['swapBaseInAmount', 'u128'],
+  ['swapQuoteOutAmount', 'u128'],
+  ['swapBase2QuoteFee', 'u64'],
+  ['swapQuoteInAmount', 'u128'],
+  ['swapBaseOutAmount', 'u128'],
+  ['swapQuote2BaseFee', 'u64'],
+  ['baseVault', 'publicKey'],
+  ['quoteVault', 'publicKey'],
+  ['baseMint', 'publicKey'],
+  ['quoteMint', 'publicKey'],
+  ['lpMint', 'publicKey'],
+  ['openOrders', 'publicKey'],
+  ['marketId', 'publicKey'],
+  ['marketProgramId', 'publicKey'],
+  ['targetOrders', 'publicKey'],
+  ['withdrawQueue', 'publicKey'],
+  ['lpVault', 'publicKey'],
+  ['owner', 'publicKey'],
+  ['lpReserve', 'u64']
+  // Followed by 3 u64 padding slots
+];
+
+/**
+ * Byte offset of every LiquidityStateV4 field, derived from the layout above
+ */
+const LIQUIDITY_STATE_V4_OFFSETS = {};
+
+let layoutCursor = 0;
+for (const [name, type] of LIQUIDITY_STATE_V4_FIELDS) {
+  LIQUIDITY_STATE_V4_OFFSETS[name] = layoutCursor;
+  layoutCursor += FIELD_SIZES[type];
+}
+
+/**
+ * Total account size of a LiquidityStateV4 account (fields + 3 u64 padding)
+ */
+const LIQUIDITY_STATE_V4_SIZE = layoutCursor + (3 * FIELD_SIZES.u64);
+
+/**
+ * Byte offsets of the Serum/OpenBook MarketStateV3 fields the AMM swap needs
+ * (5 byte "serum" head padding, then account flags, own address, ...)
+ */
+const MARKET_STATE_V3_OFFSETS = {
+  vaultSignerNonce: 45,
+  baseMint: 53,
+  quoteMint: 85,
+  baseVault: 117,
+  quoteVault: 165,
+  requestQueue: 221,
+  eventQueue: 253,
+  bids: 285,
+  asks: 317
+};
+
+/**
+ * Total account size of a MarketStateV3 account
+ */
+const MARKET_STATE_V3_SIZE = 388;
+
+/**
+ * Seed used by the AMM program to derive its authority PDA
+ */
+const AMM_AUTHORITY_SEED = Buffer.from('amm authority');
+
+/**
+ * Instruction discriminator for swapBaseIn (exact input swap)
+ */
+const SWAP_BASE_IN_INSTRUCTION = 9;
+
+/**
+ * Reads a little-endian u128 from a buffer
+ * @param {Buffer} data - Source buffer
+ * @param {number} offset - Byte offset
+ * @returns {bigint} - Decoded value
+ */
+function readU128LE(data, offset) {
+  const low = data.readBigUInt64LE(offset);
+  const high = data.readBigUInt64LE(offset + 8);
+  return (high << 64n) + low;
+}
+
+/**
+ * Decodes a Raydium AMM v4 pool account
+ * Numeric fields are returned as bigint, key fields as PublicKey
+ * @param {Buffer|Uint8Array} data - Raw pool account data
+ * @returns {Object} - Decoded LiquidityStateV4
+ * @throws {Error} - If the data is too short to be a LiquidityStateV4 account
+ */
+function decodeLiquidityStateV4(data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+  if (buffer.length < LIQUIDITY_STATE_V4_SIZE) {
+    throw new Error(`Invalid LiquidityStateV4 size: ${buffer.length} bytes (expected ${LIQUIDITY_STATE_V4_SIZE})`);
+  }
+
+  const state = {};
+
+  for (const [name, type] of LIQUIDITY_STATE_V4_FIELDS) {
+    const offset = LIQUIDITY_STATE_V4_OFFSETS[name];
+
+    switch (type) {
+      case 'u64':
+        state[name] = buffer.readBigUInt64LE(offset);
+        break;
+      case 'u128':
+        state[name] = readU128LE(buffer, offset);
+        break;
+      case 'publicKey':
+        state[name] = new PublicKey(buffer.subarray(offset, offset + FIELD_SIZES.publicKey));
+        break;
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Decodes the market accounts of a Serum/OpenBook MarketStateV3 account
+ * @param {Buffer|Uint8Array} data - Raw market account data
+ * @returns {Object} - Decoded market accounts and vault signer nonce
+ * @throws {Error} - If the data is too short to be a MarketStateV3 account
+ */
+function decodeMarketStateV3(data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+  if (buffer.length < MARKET_STATE_V3_SIZE) {
+    throw new Error(`Invalid MarketStateV3 size: ${buffer.length} bytes (expected ${MARKET_STATE_V3_SIZE})`);
+  }
+
+  const readKey = offset => new PublicKey(buffer.subarray(offset, offset + FIELD_SIZES.publicKey));
+
+  return {
+    vaultSignerNonce: buffer.readBigUInt64LE(MARKET_STATE_V3_OFFSETS.vaultSignerNonce),
+    baseMint: readKey(MARKET_STATE_V3_OFFSETS.baseMint),
+    quoteMint: readKey(MARKET_STATE_V3_OFFSETS.quoteMint),
+    baseVault: readKey(MARKET_STATE_V3_OFFSETS.baseVault),
+    quoteVault: readKey(MARKET_STATE_V3_OFFSETS.quoteVault),
+    requestQueue: readKey(MARKET_STATE_V3_OFFSETS.requestQueue),
+    eventQueue: readKey(MARKET_STATE_V3_OFFSETS.eventQueue),
+    bids: readKey(MARKET_STATE_V3_OFFSETS.bids),
+    asks: readKey(MARKET_STATE_V3_OFFSETS.asks)
+  };
+}
+
+/**
+ * Derives the AMM authority PDA that owns every pool vault
+ * @param {PublicKey} programId - Raydium AMM v4 program ID
+ * @param {bigint|number} nonce - Pool nonce from LiquidityStateV4
+ * @returns {PublicKey} - AMM authority address
+ */
+function getAmmAuthority(programId, nonce) {
+  return PublicKey.createProgramAddressSync(
+    [AMM_AUTHORITY_SEED, Buffer.from([Number(nonce)])],
+    programId
+  );
+}
+
+/**
+ * Derives the market vault signer PDA
+ * @param {PublicKey} marketId - Market address
+ * @param {PublicKey} marketProgramId - Serum/OpenBook program ID
+ * @param {bigint|number} nonce - Vault signer nonce from MarketStateV3
+ * @returns {PublicKey} - Vault signer address
+ */
+function getMarketVaultSigner(marketId, marketProgramId, nonce) {
+  const nonceBuffer = Buffer.alloc(8);
+  nonceBuffer.writeBigUInt64LE(BigInt(nonce));
+
+  return PublicKey.createProgramAddressSync(
+    [marketId.toBuffer(), nonceBuffer],
+    marketProgramId
+  );
+}
+
+/**
+ * Builds the complete key set of a pool from its decoded state and market
+ * @param {PublicKey} poolId - AMM pool (LP) address
+ * @param {PublicKey} programId - Owner program of the pool account
+ * @param {Object} poolState - Decoded LiquidityStateV4
+ * @param {Object} marketState - Decoded MarketStateV3
+ * @returns {Object} - Every account a swap against the pool touches
+ */
+function buildPoolKeys(poolId, programId, poolState, marketState) {
+  return {
+    id: poolId,
+    programId,
+    authority: getAmmAuthority(programId, poolState.nonce),
+    openOrders: poolState.openOrders,
+    targetOrders: poolState.targetOrders,
+    baseVault: poolState.baseVault,
+    quoteVault: poolState.quoteVault,
+    baseMint: poolState.baseMint,
+    quoteMint: poolState.quoteMint,
+    lpMint: poolState.lpMint,
+    marketProgramId: poolState.marketProgramId,
+    marketId: poolState.marketId,
+    marketAuthority: getMarketVaultSigner(
+      poolState.marketId,
+      poolState.marketProgramId,
+      marketState.vaultSignerNonce
+    ),
+    marketBids: marketState.bids,
+    marketAsks: marketState.asks,
+    marketEventQueue: marketState.eventQueue,
+    marketBaseVault: marketState.baseVault,
+    marketQuoteVault: marketState.quoteVault
+  };
+}
+
+/**
+ * Fetches and decodes a Raydium AMM v4 pool account
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string|PublicKey} poolAddress - AMM pool (LP) address
+ * @returns {Promise<Object>} - Decoded LiquidityStateV4
+ */
+async function fetchLiquidityStateV4(connection, poolAddress) {
+  const poolPubkey = typeof poolAddress === 'string' ?
+    new PublicKey(poolAddress) : poolAddress;
+
+  const accountInfo = await connection.getAccountInfo(poolPubkey);
+  if (!accountInfo) {
+    throw new Error(`Pool account not found: ${poolPubkey.toString()}`);
+  }
+
+  return decodeLiquidityStateV4(accountInfo.data);
+}
+
+/**
+ * Resolves the tradeable reserves of a Raydium AMM v4 pool
+ * Reserves are the vault balances minus the PnL the AMM still owes itself,
+ * which is how the program prices swaps
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string|PublicKey} poolAddress - AMM pool (LP) address
+ * @param {Object} [poolState] - Already decoded pool state, fetched if omitted
+ * @returns {Promise<Object>} - Raw reserves (bigint), decimals, mints and the pool state
+ */
+async function getRaydiumPoolReserves(connection, poolAddress, poolState = null) {
+  const state = poolState || await fetchLiquidityStateV4(connection, poolAddress);
+
+  const [baseVaultInfo, quoteVaultInfo] = await connection.getMultipleAccountsInfo([
+    state.baseVault,
+    state.quoteVault
+  ]);
+
+  if (!baseVaultInfo || !quoteVaultInfo) {
+    throw new Error('Pool vault accounts not found');
+  }
+
+  const baseVaultBalance = AccountLayout.decode(baseVaultInfo.data).amount;
+  const quoteVaultBalance = AccountLayout.decode(quoteVaultInfo.data).amount;
+
+  const baseReserve = baseVaultBalance > state.baseNeedTakePnl ?
+    baseVaultBalance - state.baseNeedTakePnl : 0n;
+  const quoteReserve = quoteVaultBalance > state.quoteNeedTakePnl ?
+    quoteVaultBalance - state.quoteNeedTakePnl : 0n;
+
+  logger.debug(`Pool ${poolAddress.toString()} reserves: base=${baseReserve}, quote=${quoteReserve}`);
+
+  return {
+    baseReserve,
+    quoteReserve,
+    baseDecimals: Number(state.baseDecimal),
+    quoteDecimals: Number(state.quoteDecimal),
+    baseMint: state.baseMint.toString(),
+    quoteMint: state.quoteMint.toString(),
+    poolState: state
+  };
+}
+
+/**
+ * Fetches a pool and its market and resolves every account needed to swap
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string|PublicKey} poolAddress - AMM pool (LP) address
+ * @returns {Promise<{poolKeys: Object, poolState: Object}>} - Pool keys and decoded pool state
+ */
+async function fetchRaydiumPoolKeys(connection, poolAddress) {
+  const poolPubkey = typeof poolAddress === 'string' ?
+    new PublicKey(poolAddress) : poolAddress;
+
+  const poolAccount = await connection.getAccountInfo(poolPubkey);
+  if (!poolAccount) {
+    throw new Error(`Pool account not found: ${poolPubkey.toString()}`);
+  }
+
+  const poolState = decodeLiquidityStateV4(poolAccount.data);
+
+  const marketAccount = await connection.getAccountInfo(poolState.marketId);
+  if (!marketAccount) {
+    throw new Error(`Market account not found: ${poolState.marketId.toString()}`);
+  }
+
+  const marketState = decodeMarketStateV3(marketAccount.data);
+
+  return {
+    poolKeys: buildPoolKeys(poolPubkey, poolAccount.owner, poolState, marketState),
+    poolState
+  };
+}
+
+/**
+ * Computes the constant-product output of an exact input swap, after the
+ * pool's fee, the same way swapBaseIn does. The program charges
+ * swapFeeNumerator / swapFeeDenominator on the input (tradeFee is the share
+ * of it kept as PnL), so pass the swap fee fields here.
+ * @param {Object} params - Quote parameters
+ * @param {bigint} params.amountIn - Raw input amount
+ * @param {bigint} params.reserveIn - Raw reserve of the input token
+ * @param {bigint} params.reserveOut - Raw reserve of the output token
+ * @param {bigint} params.feeNumerator - Swap fee numerator
+ * @param {bigint} params.feeDenominator - Swap fee denominator
+ * @returns {bigint} - Raw expected output amount
+ */
+function computeSwapAmountOut(params) {
+  const { amountIn, reserveIn, reserveOut, feeNumerator, feeDenominator } = params;
+
+  if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) {
+    return 0n;
+  }
+
+  // Fee is rounded up in the pool's favour
+  const fee = feeDenominator > 0n ?
+    (amountIn * feeNumerator + feeDenominator - 1n) / feeDenominator : 0n;
+  const amountInAfterFee = amountIn - fee;
+
+  return (reserveOut * amountInAfterFee) / (reserveIn + amountInAfterFee);
+}
+
+/**
+ * Encodes swapBaseIn instruction data
+ * Layout: u8 instruction (9), u64 amountIn, u64 minimumAmountOut
+ * @param {bigint|number} amountIn - Raw input amount
+ * @param {bigint|number} minAmountOut - Raw minimum output amount
+ * @returns {Buffer} - Instruction data
+ */
+function encodeSwapBaseInData(amountIn, minAmountOut) {
+  const data = Buffer.alloc(17);
+  data.writeUInt8(SWAP_BASE_IN_INSTRUCTION, 0);
+  data.writeBigUInt64LE(BigInt(amountIn), 1);
+  data.writeBigUInt64LE(BigInt(minAmountOut), 9);
+  return data;
+}
+
+module.exports = {
+  LIQUIDITY_STATE_V4_FIELDS,
+  LIQUIDITY_STATE_V4_OFFSETS,
+  LIQUIDITY_STATE_V4_SIZE,
+  MARKET_STATE_V3_OFFSETS,
+  MARKET_STATE_V3_SIZE,
+  SWAP_BASE_IN_INSTRUCTION,
+  decodeLiquidityStateV4,
+  decodeMarketStateV3,
+  getAmmAuthority,
+  getMarketVaultSigner,
+  buildPoolKeys,
+  fetchLiquidityStateV4,
+  fetchRaydiumPoolKeys,
+  getRaydiumPoolReserves,
+  computeSwapAmountOut,
+  encodeSwapBaseInData
+};
@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Sell simulation for Solana memecoin sniping bot
+ * Proves a token can be sold by simulating a small buy followed by a sell in
+ * one transaction. Nothing is signed or sent; the simulation reports whether
+ * the sell leg goes through and what the round trip actually cost, which is
+ * compared with what the pool's fees and price impact alone would cost.
+ */
+
+const {
+  PublicKey,
+  ComputeBudgetProgram,
+  TransactionMessage,
+  VersionedTransaction
+} = require('@solana/web3.js');
+const { createLogger } = require('../logger');
+const { SOLANA_ADDRESSES } = require('../constants');
+const {
+  POOL_TYPES,
+  quoteRaydiumSwap,
+  quotePumpfunSwap,
+  buildSwapInstructions
+} = require('./dex-pool');
+const { fetchRaydiumPoolKeys, computeSwapAmountOut } = require('./raydium-amm');
+const {
+  getVolumeAccumulators,
+  getTotalFeeBasisPoints,
+  computeSellSolOut
+} = require('./pumpfun');
+
+// Initialize logger
+const logger = createLogger('sell-simulation');
+
+// Simulation only; keeps both swaps clear of the default per-instruction limit
+const SIMULATION_COMPUTE_UNITS = 1400000;
+
+/**
+ * Converts a lamport loss into a percentage of the amount spent
+ * @param {bigint} loss - Lamports lost
+ * @param {bigint} spent - Lamports spent
+ * @returns {number} - Loss in % (2 decimals)
+ */
+function lossPercent(loss, spent) {
+  return spent > 0n ? Number(loss * 10000n / spent) / 100 : 0;
+}
+
+/**
+ * Plans a Raydium AMM v4 round trip: buy with SOL, sell the guaranteed output
+ * @param {Object} params - Round trip parameters
+ * @returns {Promise<Object>} - Buy/sell instructions and the expected SOL back
+ */
+async function planRaydiumRoundTrip(params) {
+  const { connection, lpAddress, baseMint, quoteMint, owner, amountInLamports, slippageBps } = params;
+
+  const { poolKeys, poolState } = await fetchRaydiumPoolKeys(connection, new PublicKey(lpAddress));
+  const quote = await quoteRaydiumSwap({
+    connection,
+    lpAddress,
+    inputMint: quoteMint,
+    amountIn: amountInLamports,
+    slippageBps,
+    poolState
+  });
+
+  const swapParams = { connection, poolType: POOL_TYPES.RAYDIUM_V4, lpAddress, baseMint, quoteMint, owner, poolKeys };
+  const tokensIn = quote.minAmountOut;
+
+  const buy = await buildSwapInstructions({
+    ...swapParams,
+    amountIn: amountInLamports,
+    minAmountOut: tokensIn,
+    isBuyingTokens: true
+  });
+  const sell = await buildSwapInstructions({
+    ...swapParams,
+    amountIn: tokensIn,
+    minAmountOut: 0n,
+    isBuyingTokens: false
+  });
+
+  // Price the sell against the reserves the buy leaves behind
+  const { reserves } = quote;
+  const solIsBase = reserves.baseMint === quoteMint;
+  const solReserve = (solIsBase ? reserves.baseReserve : reserves.quoteReserve) + amountInLamports;
+  const tokenReserve = (solIsBase ? reserves.quoteReserve : reserves.baseReserve) - quote.expectedAmountOut;
+
+  const expectedSolBack = computeSwapAmountOut({
+    amountIn: tokensIn,
+    reserveIn: tokenReserve,
+    reserveOut: solReserve,
+    feeNumerator: poolState.swapFeeNumerator,
+    feeDenominator: poolState.swapFeeDenominator
+  });
+
+  return {
+    buyInstructions: buy.instructions,
+    sellInstructions: sell.instructions,
+    rentAccounts: [buy.accounts.baseTokenAccount, buy.accounts.quoteTokenAccount],
+    tokensIn,
+    expectedSolBack
+  };
+}
+
+/**
+ * Plans a pump.fun round trip: buy an exact token amount, sell all of it
+ * @param {Object} params - Round trip parameters
+ * @returns {Promise<Object>} - Buy/sell instructions and the expected SOL back
+ */
+async function planPumpfunRoundTrip(params) {
+  const { connection, lpAddress, baseMint, quoteMint, owner, amountInLamports, slippageBps } = params;
+
+  const quote = await quotePumpfunSwap({
+    connection,
+    lpAddress,
+    isBuyingTokens: true,
+    amountIn: amountInLamports,
+    slippageBps
+  });
+
+  const curveState = { curve: quote.curve, global: quote.global };
+  const swapParams = { connection, poolType: POOL_TYPES.PUMPFUN_BONDING_CURVE, lpAddress, baseMint, quoteMint, owner, curveState };
+  const tokensIn = quote.expectedAmountOut;
+
+  // Buys are exact-out; amountIn is the SOL cap
+  const buy = await buildSwapInstructions({
+    ...swapParams,
+    amountIn: amountInLamports * BigInt(10000 + slippageBps) / 10000n,
+    minAmountOut: tokensIn,
+    isBuyingTokens: true
+  });
+  const sell = await buildSwapInstructions({
+    ...swapParams,
+    amountIn: tokensIn,
+    minAmountOut: 0n,
+    isBuyingTokens: false
+  });
+
+  const feeBasisPoints = getTotalFeeBasisPoints(quote.global);
+  const solInAfterFee = (amountInLamports * 10000n) / (10000n + feeBasisPoints);
+  const curveAfterBuy = {
+    ...quote.curve,
+    virtualSolReserves: quote.curve.virtualSolReserves + solInAfterFee,
+    virtualTokenReserves: quote.curve.virtualTokenReserves - tokensIn
+  };
+
+  return {
+    buyInstructions: buy.instructions,
+    sellInstructions: sell.instructions,
+    // The buy opens the user's volume accumulator the first time
+    rentAccounts: [buy.accounts.baseTokenAccount, getVolumeAccumulators(owner).user],
+    tokensIn,
+    expectedSolBack: computeSellSolOut(curveAfterBuy, tokensIn, feeBasisPoints)
+  };
+}
+
+/**
+ * Simulates buying a token and selling it straight back
+ * The owner pays for nothing (signatures are not verified) but must hold the
+ * simulated amount for the buy leg to go through. Lamports parked as rent in
+ * accounts the round trip opens are not counted as a loss.
+ * @param {Connection} connection - Solana RPC connection
+ * @param {Object} params - Simulation parameters
+ * @param {string} params.lpAddress - Pool address
+ * @param {string} params.poolType - Pool venue (Raydium V4 or pump.fun bonding curve)
+ * @param {string} params.baseMint - Token mint
+ * @param {string} [params.quoteMint] - Quote mint (SOL only)
+ * @param {PublicKey} params.owner - Wallet the simulation trades from
+ * @param {bigint|number} params.amountInLamports - SOL spent on the buy leg
+ * @param {number} [params.slippageBps] - Slippage allowed on the buy leg
+ * @returns {Promise<Object>} - Result ({ conclusive, sellable, error, roundTripLossPercent, expectedLossPercent, effectiveTaxPercent })
+ * @throws {Error} - If the venue or quote mint cannot be simulated
+ */
+async function simulateRoundTrip(connection, params) {
+  const quoteMint = params.quoteMint || SOLANA_ADDRESSES.SOL_MINT.toString();
+  const amountInLamports = BigInt(params.amountInLamports);
+  const slippageBps = params.slippageBps === undefined ? 100 : params.slippageBps;
+
+  if (quoteMint !== SOLANA_ADDRESSES.SOL_MINT.toString()) {
+    throw new Error('Sell simulation only supports SOL-quoted pools');
+  }
+
+  const planParams = { ...params, connection, quoteMint, amountInLamports, slippageBps };
+  let plan;
+
+  switch (params.poolType) {
+    case POOL_TYPES.RAYDIUM_V4:
+      plan = await planRaydiumRoundTrip(planParams);
+      break;
+
+    case POOL_TYPES.PUMPFUN_BONDING_CURVE:
+      plan = await planPumpfunRoundTrip(planParams);
+      break;
+
+    default:
+      throw new Error(`Sell simulation is not supported for ${params.poolType} pools`);
+  }
+
+  const { owner } = params;
+  const trackedAccounts = [owner, ...plan.rentAccounts];
+  const sellStartIndex = 1 + plan.buyInstructions.length;
+
+  const { blockhash } = await connection.getLatestBlockhash();
+  const message = new TransactionMessage({
+    payerKey: owner,
+    recentBlockhash: blockhash,
+    instructions: [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: SIMULATION_COMPUTE_UNITS }),
+      ...plan.buyInstructions,
+      ...plan.sellInstructions
+    ]
+  }).compileToV0Message();
+
+  const [preInfos, simulation] = await Promise.all([
+    connection.getMultipleAccountsInfo(trackedAccounts),
+    connection.simulateTransaction(new VersionedTransaction(message), {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      accounts: {
+        encoding: 'base64',
+        addresses: trackedAccounts.map(account => account.toString())
+      }
+    })
+  ]);
+
+  const result = {
+    poolType: params.poolType,
+    amountInLamports: amountInLamports.toString(),
+    tokensIn: plan.tokensIn.toString(),
+    expectedSolBack: plan.expectedSolBack.toString()
+  };
+
+  const { err, logs, accounts } = simulation.value;
+
+  if (err) {
+    const failedIndex = err.InstructionError ? err.InstructionError[0] : null;
+    const sellFailed = failedIndex !== null && failedIndex >= sellStartIndex;
+
+    logger.debug(`Round trip simulation on ${params.lpAddress} failed in the ${sellFailed ? 'sell' : 'buy'} leg: ${JSON.stringify(err)}`);
+
+    // A failing buy says nothing about whether the token can be sold
+    return {
+      ...result,
+      conclusive: sellFailed,
+      sellable: false,
+      error: JSON.stringify(err),
+      logs: logs || []
+    };
+  }
+
+  const lamportsOf = infos => infos.reduce((total, info) => total + BigInt(info ? info.lamports : 0), 0n);
+  const loss = lamportsOf(preInfos) - lamportsOf(accounts || []);
+  const expectedLoss = amountInLamports - plan.expectedSolBack;
+
+  const roundTripLossPercent = lossPercent(loss, amountInLamports);
+  const expectedLossPercent = lossPercent(expectedLoss, amountInLamports);
+  const effectiveTaxPercent = Math.max(0, Number((roundTripLossPercent - expectedLossPercent).toFixed(2)));
+
+  logger.debug(`Round trip simulation on ${params.lpAddress}: lost ${roundTripLossPercent}% (pool fees and impact: ${expectedLossPercent}%)`);
+
+  return {
+    ...result,
+    conclusive: true,
+    sellable: true,
+    roundTripLossPercent,
+    expectedLossPercent,
+    effectiveTaxPercent
+  };
+}
+
+module.exports = {
+  simulateRoundTrip
+};
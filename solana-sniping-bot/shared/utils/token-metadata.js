@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Metaplex token metadata for Solana memecoin sniping bot
+ * Decodes the Metaplex Token Metadata account of a mint (name, symbol, URI,
+ * update authority, mutability), optionally fetches the off-chain JSON the
+ * URI points to, and checks the result for scam patterns: mutable metadata,
+ * empty or suspicious names and symbols impersonating KNOWN_TOKENS.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { createLogger } = require('../logger');
+const { SOLANA_ADDRESSES, KNOWN_TOKENS, PERFORMANCE_SETTINGS } = require('../constants');
+
+// Initialize logger
+const logger = createLogger('token-metadata');
+
+// Key byte of a MetadataV1 account
+const METADATA_V1_KEY = 4;
+
+// Off-chain JSON documents kept in memory, oldest evicted first
+const OFFCHAIN_CACHE_MAX_ENTRIES = 1000;
+
+// Maps URI -> { json, fetchedAt }; failed fetches are cached as null
+const offChainCache = new Map();
+
+/**
+ * Derives the Metaplex metadata PDA of a mint
+ * @param {string|PublicKey} mint - Token mint
+ * @returns {PublicKey} - Metadata account address
+ */
+function getMetadataAddress(mint) {
+  const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+  const programId = SOLANA_ADDRESSES.TOKEN_METADATA_PROGRAM;
+
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), programId.toBuffer(), mintPubkey.toBuffer()],
+    programId
+  )[0];
+}
+
+/**
+ * Decodes a Borsh string, dropping the NUL padding Metaplex stores
+ * @param {Buffer} data - Account data
+ * @param {number} offset - Offset of the u32 length prefix
+ * @returns {{value: string, offset: number}} - Decoded string and the next offset
+ */
+function readString(data, offset) {
+  const length = data.readUInt32LE(offset);
+  const start = offset + 4;
+
+  if (start + length > data.length) {
+    throw new Error(`String at offset ${offset} runs past the account data`);
+  }
+
+  return {
+    value: data.toString('utf8', start, start + length).replace(/\0/g, '').trim(),
+    offset: start + length
+  };
+}
+
+/**
+ * Decodes a Metaplex MetadataV1 account up to the mutability flag
+ * Layout: key, update authority, mint, name, symbol, uri, seller fee,
+ * Option<Vec<Creator>>, primary sale happened, is mutable
+ * @param {Buffer} data - Raw account data
+ * @returns {Object} - Decoded metadata
+ */
+function decodeMetadata(data) {
+  if (data.length < 65 || data.readUInt8(0) !== METADATA_V1_KEY) {
+    throw new Error('Not a Metaplex metadata account');
+  }
+
+  const updateAuthority = new PublicKey(data.subarray(1, 33)).toString();
+  const mint = new PublicKey(data.subarray(33, 65)).toString();
+
+  const name = readString(data, 65);
+  const symbol = readString(data, name.offset);
+  const uri = readString(data, symbol.offset);
+
+  let offset = uri.offset;
+  const sellerFeeBasisPoints = data.readUInt16LE(offset);
+  offset += 2;
+
+  const creators = [];
+  if (data.readUInt8(offset) === 1) {
+    const count = data.readUInt32LE(offset + 1);
+    offset += 5;
+
+    for (let i = 0; i < count; i++) {
+      creators.push({
+        address: new PublicKey(data.subarray(offset, offset + 32)).toString(),
+        verified: data.readUInt8(offset + 32) === 1,
+        share: data.readUInt8(offset + 33)
+      });
+      offset += 34;
+    }
+  } else {
+    offset += 1;
+  }
+
+  return {
+    updateAuthority,
+    mint,
+    name: name.value,
+    symbol: symbol.value,
+    uri: uri.value,
+    sellerFeeBasisPoints,
+    creators,
+    primarySaleHappened: data.readUInt8(offset) === 1,
+    isMutable: data.readUInt8(offset + 1) === 1
+  };
+}
+
+/**
+ * Fetches the off-chain JSON a metadata URI points to, through the cache
+ * @param {string} uri - Metadata URI
+ * @param {number} [timeoutMs] - Request timeout
+ * @returns {Promise<Object|null>} - Selected JSON fields or null if unavailable
+ */
+async function fetchOffChainMetadata(uri, timeoutMs = 5000) {
+  if (!/^https?:\/\//i.test(uri)) {
+    return null;
+  }
+
+  const cached = offChainCache.get(uri);
+  if (cached && Date.now() - cached.fetchedAt < PERFORMANCE_SETTINGS.OFFCHAIN_METADATA_CACHE_TTL_MS) {
+    return cached.json;
+  }
+
+  let json = null;
+  try {
+    const response = await fetch(uri, { signal: AbortSignal.timeout(timeoutMs) });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    const extensions = body.extensions || {};
+
+    json = {
+      name: typeof body.name === 'string' ? body.name.trim() : null,
+      symbol: typeof body.symbol === 'string' ? body.symbol.trim() : null,
+      description: typeof body.description === 'string' ? body.description : null,
+      image: typeof body.image === 'string' ? body.image : null,
+      website: body.website || extensions.website || null,
+      twitter: body.twitter || extensions.twitter || null,
+      telegram: body.telegram || extensions.telegram || null
+    };
+  } catch (error) {
+    logger.debug(`Could not fetch off-chain metadata from ${uri}: ${error.message}`);
+  }
+
+  offChainCache.delete(uri);
+  offChainCache.set(uri, { json, fetchedAt: Date.now() });
+
+  if (offChainCache.size > OFFCHAIN_CACHE_MAX_ENTRIES) {
+    offChainCache.delete(offChainCache.keys().next().value);
+  }
+
+  return json;
+}
+
+/**
+ * Fetches and decodes the Metaplex metadata of a mint
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string} mintAddress - Token mint
+ * @param {Object} [options] - Fetch options
+ * @param {boolean} [options.fetchOffChain] - Also fetch the JSON behind the URI
+ * @param {number} [options.timeoutMs] - Off-chain request timeout
+ * @returns {Promise<Object|null>} - Metadata, or null if the mint has no metadata account
+ */
+async function fetchTokenMetadata(connection, mintAddress, options = {}) {
+  const address = getMetadataAddress(mintAddress);
+  const account = await connection.getAccountInfo(address);
+
+  if (!account) {
+    return null;
+  }
+
+  if (!account.owner.equals(SOLANA_ADDRESSES.TOKEN_METADATA_PROGRAM)) {
+    throw new Error(`Metadata account ${address.toString()} is not owned by the Token Metadata program`);
+  }
+
+  const metadata = {
+    address: address.toString(),
+    ...decodeMetadata(account.data)
+  };
+
+  if (options.fetchOffChain && metadata.uri) {
+    metadata.offChain = await fetchOffChainMetadata(metadata.uri, options.timeoutMs);
+  }
+
+  return metadata;
+}
+
+/**
+ * Reduces a symbol to what it looks like: look-alike characters are folded
+ * into the letters they imitate and everything else but A-Z/0-9 is dropped
+ * @param {string} value - Symbol or name
+ * @returns {string} - Normalized form
+ */
+function normalizeSymbol(value) {
+  return value
+    .normalize('NFKC')
+    .toUpperCase()
+    .replace(/\$/g, 'S')
+    .replace(/0/g, 'O')
+    .replace(/[1|!]/g, 'I')
+    .replace(/5/g, 'S')
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Returns the KNOWN_TOKENS symbol a token imitates, if any
+ * Wrapped ("w") and dollar-prefixed variants count as imitations.
+ * @param {string} mintAddress - Token mint
+ * @param {string} symbol - Token symbol
+ * @returns {string|null} - Imitated symbol or null
+ */
+function findImpersonatedToken(mintAddress, symbol) {
+  const normalized = normalizeSymbol(symbol || '');
+
+  if (!normalized || KNOWN_TOKENS[mintAddress]) {
+    return null;
+  }
+
+  for (const known of Object.values(KNOWN_TOKENS)) {
+    const target = normalizeSymbol(known);
+    if (normalized === target || normalized === `W${target}` || normalized === `S${target}`) {
+      return known;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks decoded metadata against the metadata rules
+ * @param {string} mintAddress - Token mint
+ * @param {Object|null} metadata - Result of fetchTokenMetadata
+ * @param {Object} [rules] - Rule options
+ * @param {boolean} [rules.rejectMutable] - Reject metadata the update authority can still change
+ * @returns {{passed: boolean, reasons: Array<string>, warnings: Array<string>}} - Verdict
+ */
+function checkMetadataRules(mintAddress, metadata, rules = {}) {
+  const reasons = [];
+  const warnings = [];
+
+  // Token-2022 mints may carry their metadata in an extension instead
+  if (!metadata) {
+    warnings.push('No Metaplex metadata account');
+    return { passed: true, reasons, warnings };
+  }
+
+  if (metadata.isMutable) {
+    (rules.rejectMutable ? reasons : warnings).push(`Metadata is mutable (update authority ${metadata.updateAuthority})`);
+  }
+
+  if (!metadata.name || !metadata.symbol) {
+    reasons.push(`Empty ${!metadata.name ? 'name' : 'symbol'}`);
+  }
+
+  for (const [field, value] of [['name', metadata.name], ['symbol', metadata.symbol]]) {
+    if (!value) {
+      continue;
+    }
+
+    // Zero-width and control characters hide what the string really says
+    if (/[\u0000-\u001f\u007f\u200b-\u200f\u2060\ufeff]/.test(value)) {
+      reasons.push(`${field} contains invisible characters`);
+    }
+
+    if (/https?:\/\/|www\.|\.(com|io|xyz|net|org)\b/i.test(value)) {
+      reasons.push(`${field} contains a link`);
+    }
+  }
+
+  const impersonated = findImpersonatedToken(mintAddress, metadata.symbol) ||
+    findImpersonatedToken(mintAddress, metadata.name);
+  if (impersonated) {
+    reasons.push(`Impersonates ${impersonated}`);
+  }
+
+  const offChain = metadata.offChain;
+  if (offChain && offChain.symbol && metadata.symbol &&
+      normalizeSymbol(offChain.symbol) !== normalizeSymbol(metadata.symbol)) {
+    warnings.push(`Off-chain symbol ${offChain.symbol} differs from on-chain ${metadata.symbol}`);
+  }
+
+  return { passed: reasons.length === 0, reasons, warnings };
+}
+
+module.exports = {
+  getMetadataAddress,
+  decodeMetadata,
+  fetchOffChainMetadata,
+  fetchTokenMetadata,
+  findImpersonatedToken,
+  checkMetadataRules
+};
@@ -5,9 +5,23 @@
  */
 
 const { PublicKey, Connection } = require('@solana/web3.js');
-const { Account, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  AccountState,
+  ExtensionType,
+  unpackMint,
+  getExtensionTypes,
+  getTransferFeeConfig,
+  getTransferHook,
+  getPermanentDelegate,
+  getDefaultAccountState
+} = require('@solana/spl-token');
 const { createLogger } = require('../logger');
 const { KNOWN_TOKENS } = require('../constants');
+const { fetchHolderDistribution } = require('./holder-distribution');
+const { analyzeLpLock } = require('./lp-lock');
+const { simulateRoundTrip } = require('./sell-simulation');
 
 // Initialize context-specific logger
 const logger = createLogger('token-security');
@@ -19,6 +33,86 @@ const BLACKLISTED_AUTHORITIES = [
   // Add more known scam token creators
 ];
 
+/**
+ * Token-2022 mint extensions that let the issuer tax, block or take back
+ * holders' tokens. Each check returns a risk factor, or null if the extension
+ * is present but harmless.
+ */
+const RISKY_MINT_EXTENSIONS = {
+  [ExtensionType.TransferFeeConfig]: mint => {
+    const { newerTransferFee } = getTransferFeeConfig(mint);
+    return `Transfer fee extension (${newerTransferFee.transferFeeBasisPoints / 100}% per transfer)`;
+  },
+  [ExtensionType.TransferHook]: mint => {
+    const { programId } = getTransferHook(mint);
+    return programId.equals(PublicKey.default) ?
+      'Transfer hook extension (no program yet, its authority can set one)' :
+      `Transfer hook extension (program ${programId.toString()} runs on every transfer)`;
+  },
+  [ExtensionType.PermanentDelegate]: mint => {
+    const { delegate } = getPermanentDelegate(mint);
+    return `Permanent delegate extension (${delegate.toString()} can move or burn any holder's tokens)`;
+  },
+  [ExtensionType.NonTransferable]: () => 'Non-transferable extension (tokens cannot be sold)',
+  [ExtensionType.DefaultAccountState]: mint => {
+    const { state } = getDefaultAccountState(mint);
+    return state === AccountState.Frozen ?
+      'Default account state extension (new token accounts start frozen)' :
+      null;
+  }
+};
+
+/**
+ * Extensions that make the token unsellable or let the issuer take it back.
+ * Raising one of these is not one risk factor among others: the mint is rated
+ * 'extreme' and token-filter rejects it outright.
+ */
+const BLOCKING_MINT_EXTENSIONS = [
+  ExtensionType.NonTransferable,
+  ExtensionType.PermanentDelegate,
+  ExtensionType.DefaultAccountState
+];
+
+/**
+ * Decodes a mint account with the SPL Token (or Token-2022) mint layout
+ * @param {PublicKey} mintPubkey - Mint address
+ * @param {Object} accountInfo - Mint account info
+ * @returns {Object} - Decoded mint, its program and extension names
+ * @throws {Error} - If the account is not a mint of either token program
+ */
+function decodeMintAccount(mintPubkey, accountInfo) {
+  const isToken2022 = accountInfo.owner.equals(TOKEN_2022_PROGRAM_ID);
+  
+  if (!isToken2022 && !accountInfo.owner.equals(TOKEN_PROGRAM_ID)) {
+    throw new Error(`Mint is owned by ${accountInfo.owner.toString()}, not a token program`);
+  }
+  
+  const mint = unpackMint(mintPubkey, accountInfo, accountInfo.owner);
+  const extensionTypes = isToken2022 ? getExtensionTypes(mint.tlvData) : [];
+  
+  return {
+    mint,
+    isToken2022,
+    extensions: extensionTypes.map(type => ExtensionType[type] || `Unknown(${type})`),
+    extensionTypes
+  };
+}
+
+/**
+ * Lists the risk factors raised by a mint's Token-2022 extensions
+ * @param {Object} mint - Mint decoded by unpackMint
+ * @param {Array<number>} extensionTypes - Extension types present on the mint
+ * @param {Object} [options] - { blocking } true for only the factors of BLOCKING_MINT_EXTENSIONS
+ * @returns {Array<string>} - One risk factor per dangerous extension
+ */
+function getExtensionRiskFactors(mint, extensionTypes, options = {}) {
+  return extensionTypes
+    .filter(type => RISKY_MINT_EXTENSIONS[type])
+    .filter(type => !options.blocking || BLOCKING_MINT_EXTENSIONS.includes(type))
+    .map(type => RISKY_MINT_EXTENSIONS[type](mint))
+    .filter(Boolean);
+}
+
 /**
  * Validates that a string is a valid Solana address
  * @param {string} address - The address to validate
@@ -83,17 +177,12 @@ async function analyzeTokenRisk(connection, mintAddress) {
       };
     }
     
-    // Parse mint account data to extract risk factors
-    // This is simplified - in a real implementation, you'd use proper SPL Token layouts
-    const dataView = new DataView(mintAccountInfo.data.buffer);
-    
-    // Extract authorities from the data
-    // (Real implementation would use proper layout parsing)
-    const hasMintAuthority = !mintAccountInfo.data.slice(0, 32).every(byte => byte === 0);
-    const hasFreezeAuthority = mintAccountInfo.data[36] !== 0;
+    // Decode with the real mint layout; COption tags decide whether an authority is set
+    const { mint, isToken2022, extensions, extensionTypes } = decodeMintAccount(mintPubkey, mintAccountInfo);
     
-    // Calculate decimals
-    const decimals = mintAccountInfo.data[44];
+    const hasMintAuthority = mint.mintAuthority !== null;
+    const hasFreezeAuthority = mint.freezeAuthority !== null;
+    const { decimals } = mint;
     
     // Prepare risk assessment
     const riskFactors = [];
@@ -110,20 +199,24 @@ async function analyzeTokenRisk(connection, mintAddress) {
       riskFactors.push(`Low decimal places (${decimals}), may indicate non-standard token`);
     }
     
-    // Check blacklisted authorities (simplified)
-    const isBlacklisted = BLACKLISTED_AUTHORITIES.some(blacklisted => {
-      const authorityData = mintAccountInfo.data.slice(0, 32);
-      const authorityString = new PublicKey(authorityData).toString();
-      return authorityString === blacklisted;
-    });
+    // Every dangerous Token-2022 extension is a risk factor of its own
+    const extensionRiskFactors = getExtensionRiskFactors(mint, extensionTypes);
+    const blockingRiskFactors = getExtensionRiskFactors(mint, extensionTypes, { blocking: true });
+    riskFactors.push(...extensionRiskFactors);
+    
+    // Check blacklisted authorities
+    const authorities = [mint.mintAuthority, mint.freezeAuthority]
+      .filter(Boolean)
+      .map(authority => authority.toString());
+    const isBlacklisted = authorities.some(authority => BLACKLISTED_AUTHORITIES.includes(authority));
     
     if (isBlacklisted) {
-      riskFactors.push('Mint authority is blacklisted');
+      riskFactors.push('Mint or freeze authority is blacklisted');
     }
     
     // Determine overall risk level
     let riskLevel = 'low';
-    if (riskFactors.length > 2 || isBlacklisted) {
+    if (riskFactors.length > 2 || isBlacklisted || blockingRiskFactors.length > 0) {
       riskLevel = 'extreme';
     } else if (riskFactors.length > 1) {
       riskLevel = 'high';
@@ -138,7 +231,14 @@ async function analyzeTokenRisk(connection, mintAddress) {
       isTrusted: false,
       hasMintAuthority,
       hasFreezeAuthority,
-      decimals
+      mintAuthority: mint.mintAuthority ? mint.mintAuthority.toString() : null,
+      freezeAuthority: mint.freezeAuthority ? mint.freezeAuthority.toString() : null,
+      decimals,
+      supply: mint.supply.toString(),
+      isToken2022,
+      extensions,
+      riskyExtensionCount: extensionRiskFactors.length,
+      blockingRiskFactors
     };
   } catch (error) {
     logger.error(`Error analyzing token risk for ${mintAddress}: ${error.message}`);
@@ -158,9 +258,15 @@ async function analyzeTokenRisk(connection, mintAddress) {
  * @param {Connection} connection - Solana RPC connection
  * @param {string} mintAddress - Token mint address
  * @param {string} lpAddress - Liquidity pool address
+ * @param {Object} [options] - LP lock and sell simulation options
+ * @param {string} [options.poolType] - Pool venue; the LP lock and sell checks need it
+ * @param {string} [options.creator] - Deployer wallet
+ * @param {number} [options.minLpSecuredPercent] - Min % of LP burned or locked (0 only reports)
+ * @param {Array<string>} [options.lockerPrograms] - Additional LP locker programs
+ * @param {Object} [options.sellSimulation] - Simulate a buy and sell ({ owner, amountInLamports, maxTaxPercent, slippageBps })
  * @returns {Promise<Object>} - Honeypot detection results
  */
-async function detectHoneypot(connection, mintAddress, lpAddress) {
+async function detectHoneypot(connection, mintAddress, lpAddress, options = {}) {
   try {
     // This is a simplified implementation.
     // A real honeypot detector would:
@@ -168,6 +274,8 @@ async function detectHoneypot(connection, mintAddress, lpAddress) {
     // 2. Check if LP is locked or can be drained
     // 3. Analyze token transfer fees
     // 4. Check past transactions for successful sells
+    // Mint/freeze authorities, Token-2022 extensions, the LP lock and a
+    // simulated sell are covered
     
     const riskAssessment = await analyzeTokenRisk(connection, mintAddress);
     
@@ -194,14 +302,79 @@ async function detectHoneypot(connection, mintAddress, lpAddress) {
       };
     }
     
-    // In a full implementation, you would analyze the LP account data
-    // and check if the LP tokens are locked, if there are admin controls, etc.
+    // Unburned, unlocked LP can be withdrawn by whoever holds it
+    let lpLock = null;
+    if (options.poolType) {
+      lpLock = await analyzeLpLock(connection, {
+        lpAddress,
+        poolType: options.poolType,
+        creator: options.creator,
+        lockerPrograms: options.lockerPrograms
+      });
+      
+      if (lpLock.applicable && options.minLpSecuredPercent > 0 && lpLock.securedPercent < options.minLpSecuredPercent) {
+        return {
+          isPotentialHoneypot: true,
+          confidence: 'medium',
+          reasons: [
+            `Only ${lpLock.securedPercent}% of LP is burned or locked (min: ${options.minLpSecuredPercent}%)`,
+            ...(lpLock.deployerPercent > 0 ? [`Deployer holds ${lpLock.deployerPercent}% of LP`] : [])
+          ],
+          details: 'LP can be withdrawn',
+          lpLock
+        };
+      }
+    }
+    
+    // Prove the token can be sold back into the pool
+    let sellSimulation = null;
+    const riskFactors = [];
+    if (options.poolType && options.sellSimulation) {
+      const { maxTaxPercent, ...simulationParams } = options.sellSimulation;
+      
+      sellSimulation = await simulateRoundTrip(connection, {
+        ...simulationParams,
+        lpAddress,
+        poolType: options.poolType,
+        baseMint: mintAddress
+      });
+      
+      if (!sellSimulation.sellable) {
+        return {
+          isPotentialHoneypot: true,
+          confidence: sellSimulation.conclusive ? 'high' : 'low',
+          reasons: [sellSimulation.conclusive ?
+            `Simulated sell failed: ${sellSimulation.error}` :
+            `Could not simulate a buy to test selling: ${sellSimulation.error}`],
+          details: sellSimulation.conclusive ? 'Token cannot be sold' : 'Could not prove the token can be sold',
+          lpLock: lpLock || undefined,
+          sellSimulation
+        };
+      }
+      
+      riskFactors.push(`Simulated round trip loses ${sellSimulation.roundTripLossPercent}% (${sellSimulation.effectiveTaxPercent}% above pool fees and price impact)`);
+      
+      if (maxTaxPercent > 0 && sellSimulation.effectiveTaxPercent > maxTaxPercent) {
+        return {
+          isPotentialHoneypot: true,
+          confidence: 'high',
+          reasons: [`Effective sell tax of ${sellSimulation.effectiveTaxPercent}% (max: ${maxTaxPercent}%)`],
+          riskFactors,
+          details: 'Token taxes sells',
+          lpLock: lpLock || undefined,
+          sellSimulation
+        };
+      }
+    }
     
     return {
       isPotentialHoneypot: false,
-      confidence: 'medium',
+      confidence: sellSimulation ? 'high' : 'medium',
       reasons: [],
-      details: 'No obvious honeypot indicators found'
+      riskFactors,
+      details: 'No obvious honeypot indicators found',
+      lpLock: lpLock || undefined,
+      sellSimulation: sellSimulation || undefined
     };
   } catch (error) {
     logger.error(`Error detecting honeypot for ${mintAddress}: ${error.message}`);
@@ -214,6 +387,49 @@ async function detectHoneypot(connection, mintAddress, lpAddress) {
   }
 }
 
+/**
+ * Checks how concentrated a token's supply is outside its pool
+ * Pool vaults are excluded, otherwise the pool itself is always the top holder.
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string} mintAddress - Token mint address
+ * @param {Object} limits - Concentration limits
+ * @param {Array<string>} [limits.excludeAccounts] - Pool vault token accounts
+ * @param {string} [limits.creator] - Creator wallet of the pool or token
+ * @param {number} [limits.maxTopHolderShare] - Max % held by the top 10 holders (0 disables)
+ * @param {number} [limits.maxCreatorShare] - Max % held by the creator (0 disables)
+ * @returns {Promise<Object>} - Result ({ passed, reasons, breakdown })
+ */
+async function checkHolderConcentration(connection, mintAddress, limits = {}) {
+  const distribution = await fetchHolderDistribution(connection, mintAddress, {
+    topN: 10,
+    excludeAccounts: limits.excludeAccounts,
+    creator: limits.creator
+  });
+  
+  const reasons = [];
+  
+  if (limits.maxTopHolderShare > 0 && distribution.topShare > limits.maxTopHolderShare) {
+    reasons.push(`Top 10 holders own ${distribution.topShare.toFixed(2)}% (max: ${limits.maxTopHolderShare}%)`);
+  }
+  
+  if (limits.maxCreatorShare > 0 && distribution.creatorShare > limits.maxCreatorShare) {
+    reasons.push(`Creator owns ${distribution.creatorShare.toFixed(2)}% (max: ${limits.maxCreatorShare}%)`);
+  }
+  
+  return {
+    passed: reasons.length === 0,
+    reasons,
+    breakdown: {
+      topHolderShare: distribution.topShare,
+      creatorShare: distribution.creatorShare === undefined ? null : distribution.creatorShare,
+      creator: limits.creator || null,
+      topHolders: distribution.topHolders.map(holder => ({ address: holder.address, share: holder.share })),
+      excludedAccounts: limits.excludeAccounts || [],
+      supply: distribution.supply
+    }
+  };
+}
+
 /**
  * Performs comprehensive token validation including security checks
  * @param {Object} params - Validation parameters
@@ -221,6 +437,8 @@ async function detectHoneypot(connection, mintAddress, lpAddress) {
  * @param {string} params.mintAddress - Token mint address
  * @param {string} params.lpAddress - Liquidity pool address
  * @param {Object} params.options - Optional validation options
+ * @param {Object} [params.options.holderLimits] - Run checkHolderConcentration with these limits
+ * @param {Object} [params.options.honeypot] - LP lock and sell simulation options passed to detectHoneypot
  * @returns {Promise<Object>} - Validation results
  */
 async function validateToken(params) {
@@ -265,7 +483,13 @@ async function validateToken(params) {
     // Run honeypot detection if specified
     let honeypotAssessment = null;
     if (options.detectHoneypot) {
-      honeypotAssessment = await detectHoneypot(connection, mintAddress, lpAddress);
+      honeypotAssessment = await detectHoneypot(connection, mintAddress, lpAddress, options.honeypot);
+    }
+    
+    // Run the holder concentration check if limits were given
+    let holderCheck = null;
+    if (options.holderLimits) {
+      holderCheck = await checkHolderConcentration(connection, mintAddress, options.holderLimits);
     }
     
     // Combine all validations to determine overall validity
@@ -276,20 +500,30 @@ async function validateToken(params) {
     const isPotentialHoneypot = 
       honeypotAssessment && honeypotAssessment.isPotentialHoneypot;
     
+    const isConcentrated = holderCheck && !holderCheck.passed;
+    
     // If honeypot detection was requested and it's a potential honeypot, mark as invalid
-    const finalIsValid = isValid && (!options.detectHoneypot || !isPotentialHoneypot);
+    const finalIsValid = isValid && (!options.detectHoneypot || !isPotentialHoneypot) && !isConcentrated;
+    
+    let reason = null;
+    if (!isValid) {
+      reason = 'Token failed risk assessment';
+    } else if (options.detectHoneypot && isPotentialHoneypot) {
+      reason = 'Potential honeypot detected';
+    } else if (isConcentrated) {
+      reason = `Holder concentration too high: ${holderCheck.reasons.join('; ')}`;
+    }
     
     return {
       isValid: finalIsValid,
       isTrusted: riskAssessment.isTrusted,
-      reason: !finalIsValid ? 
-        (isPotentialHoneypot ? 'Potential honeypot detected' : 'Token failed risk assessment') : 
-        null,
+      reason,
       details: {
         validMint: true,
         validLp: true,
         riskAssessment,
-        honeypotAssessment: honeypotAssessment || undefined
+        honeypotAssessment: honeypotAssessment || undefined,
+        holderDistribution: holderCheck ? holderCheck.breakdown : undefined
       }
     };
   } catch (error) {
@@ -305,9 +539,15 @@ async function validateToken(params) {
 }
 
 module.exports = {
+  BLACKLISTED_AUTHORITIES,
+  RISKY_MINT_EXTENSIONS,
+  BLOCKING_MINT_EXTENSIONS,
   isValidSolanaAddress,
   isKnownToken,
+  decodeMintAccount,
+  getExtensionRiskFactors,
   analyzeTokenRisk,
   detectHoneypot,
+  checkHolderConcentration,
   validateToken
 };
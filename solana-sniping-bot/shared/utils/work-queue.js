@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Bounded work queue for Solana memecoin sniping bot
+ * Runs a worker over queued items with a concurrency limit. Items carry an
+ * idempotency key: a key already queued or running joins the existing job,
+ * and an optional claim hook lets the caller dedupe across processes. Items
+ * older than maxAgeMs since they were first seen are dropped instead of run.
+ */
+
+const { createLogger } = require('../logger');
+
+/**
+ * Raised when an item is pushed onto a full queue
+ */
+class QueueFullError extends Error {
+  /**
+   * @param {string} name - Queue name
+   * @param {number} maxSize - Queue capacity
+   */
+  constructor(name, maxSize) {
+    super(`${name} queue is full (${maxSize} items)`);
+    this.name = 'QueueFullError';
+  }
+}
+
+/**
+ * Creates a work queue
+ * @param {Object} options - Queue options
+ * @param {string} options.name - Queue name, used for logging
+ * @param {Function} options.worker - async (item) => void
+ * @param {Function} options.keyOf - (item) => idempotency key
+ * @param {number} [options.concurrency] - Items run at once (default 1)
+ * @param {number} [options.maxSize] - Items queued or running at most (default 100)
+ * @param {number} [options.maxAgeMs] - Items older than this are dropped (0 disables)
+ * @param {Function} [options.timestampOf] - (item) => ms timestamp the age is measured from
+ * @param {Function} [options.claim] - async (key, item, meta) => false if another run already owns the key
+ * @param {Function} [options.release] - async (key, item) => void, called when the worker fails so a retry can claim again
+ * @returns {Object} - Queue API ({ push, getStats })
+ */
+function createWorkQueue(options) {
+  const {
+    name,
+    worker,
+    keyOf,
+    concurrency = 1,
+    maxSize = 100,
+    maxAgeMs = 0,
+    timestampOf = () => Date.now(),
+    claim = async () => true,
+    release = async () => {}
+  } = options;
+  const queueLogger = createLogger(`${name}-queue`);
+
+  // Jobs waiting for a worker, oldest first
+  const waiting = [];
+
+  // Key -> promise of every job queued or running
+  const jobs = new Map();
+
+  let running = 0;
+
+  const counters = {
+    processed: 0,
+    failed: 0,
+    duplicates: 0,
+    expired: 0,
+    rejected: 0
+  };
+
+  // Wait between push and start of the last 100 jobs, for the average
+  const recentWaitsMs = [];
+
+  /**
+   * Returns how long ago an item was first seen
+   * @param {Object} item - Queued item
+   * @returns {number} - Age in ms
+   */
+  function ageOf(item) {
+    return Date.now() - timestampOf(item);
+  }
+
+  /**
+   * Checks an item against the age limit
+   * @param {Object} item - Queued item
+   * @returns {boolean} - True if the item should be dropped
+   */
+  function isExpired(item) {
+    return maxAgeMs > 0 && ageOf(item) > maxAgeMs;
+  }
+
+  /**
+   * Runs a job on a free worker
+   * @param {Object} job - { key, item, meta, queuedAt, resolve, reject }
+   */
+  async function run(job) {
+    const { key, item, meta } = job;
+
+    recentWaitsMs.push(Date.now() - job.queuedAt);
+    if (recentWaitsMs.length > 100) {
+      recentWaitsMs.shift();
+    }
+
+    try {
+      if (isExpired(item)) {
+        counters.expired++;
+        queueLogger.warn(`Dropped ${key}: ${Math.round(ageOf(item) / 1000)}s old (max ${maxAgeMs / 1000}s)`);
+        job.resolve({ status: 'expired' });
+        return;
+      }
+
+      if (!(await claim(key, item, meta))) {
+        counters.duplicates++;
+        queueLogger.debug(`Skipped ${key}: already processed`);
+        job.resolve({ status: 'duplicate' });
+        return;
+      }
+
+      try {
+        await worker(item);
+      } catch (error) {
+        await release(key, item);
+        throw error;
+      }
+
+      counters.processed++;
+      job.resolve({ status: 'processed' });
+    } catch (error) {
+      counters.failed++;
+      job.reject(error);
+    }
+  }
+
+  /**
+   * Starts waiting jobs while workers are free
+   */
+  function drain() {
+    while (running < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      running++;
+
+      run(job).finally(() => {
+        running--;
+        jobs.delete(job.key);
+        drain();
+      });
+    }
+  }
+
+  return {
+    /**
+     * Queues an item unless it is stale or its key is already queued
+     * @param {Object} item - Item for the worker
+     * @param {Object} [meta] - Passed to the claim hook (e.g. stream entry ID)
+     * @returns {Promise<{status: string}>} - Settles when the item was handled:
+     *   'processed', 'duplicate' or 'expired'; rejects if the worker failed
+     * @throws {QueueFullError} - If the queue is at capacity
+     */
+    push(item, meta = {}) {
+      const key = keyOf(item);
+
+      if (jobs.has(key)) {
+        counters.duplicates++;
+        return jobs.get(key);
+      }
+
+      if (isExpired(item)) {
+        counters.expired++;
+        queueLogger.warn(`Dropped ${key}: ${Math.round(ageOf(item) / 1000)}s old (max ${maxAgeMs / 1000}s)`);
+        return Promise.resolve({ status: 'expired' });
+      }
+
+      if (jobs.size >= maxSize) {
+        counters.rejected++;
+        return Promise.reject(new QueueFullError(name, maxSize));
+      }
+
+      const promise = new Promise((resolve, reject) => {
+        waiting.push({ key, item, meta, queuedAt: Date.now(), resolve, reject });
+      });
+
+      jobs.set(key, promise);
+      drain();
+
+      return promise;
+    },
+
+    /**
+     * Returns queue depth and lifetime counters
+     * @returns {Object} - Stats
+     */
+    getStats() {
+      const oldest = waiting[0];
+
+      return {
+        depth: waiting.length,
+        running,
+        concurrency,
+        maxSize,
+        oldestWaitingMs: oldest ? Date.now() - oldest.queuedAt : 0,
+        avgWaitMs: recentWaitsMs.length > 0 ?
+          Math.round(recentWaitsMs.reduce((sum, wait) => sum + wait, 0) / recentWaitsMs.length) :
+          0,
+        ...counters
+      };
+    }
+  };
+}
+
+module.exports = {
+  QueueFullError,
+  createWorkQueue
+};
@@ -2,6 +2,9 @@
  * @fileoverview WebSocket connection manager for Solana memecoin sniping bot
  * Provides a robust WebSocket connection with automatic reconnection,
  * subscription management, and health checks
+ *
+ * Subscriptions are identified by handles issued here rather than by the
+ * connection's own IDs, so a handle stays valid across reconnections.
  */
 
 const { Connection, PublicKey } = require('@solana/web3.js');
@@ -33,7 +36,8 @@ class WebSocketManager {
     this.maxReconnectAttempts = options.maxReconnectAttempts || 10;
     
     this.connection = null;
-    this.subscriptions = new Map(); // Maps subscription ID to subscription info
+    this.subscriptions = new Map(); // Maps subscription handle to subscription info
+    this.nextHandle = 1;
     this.isConnected = false;
     this.reconnectAttempt = 0;
     this.healthCheckIntervalId = null;
@@ -44,6 +48,7 @@ class WebSocketManager {
     this.checkHealth = this.checkHealth.bind(this);
     this.reconnect = this.reconnect.bind(this);
     this.subscribeToLogs = this.subscribeToLogs.bind(this);
+    this.subscribeToAccount = this.subscribeToAccount.bind(this);
     this.unsubscribe = this.unsubscribe.bind(this);
     this.close = this.close.bind(this);
   }
@@ -180,99 +185,146 @@ class WebSocketManager {
   
   /**
    * Restores all active subscriptions after a reconnection
+   * Each subscription keeps its handle; only the connection's ID changes.
    */
   async restoreSubscriptions() {
-    const subscriptionEntries = Array.from(this.subscriptions.entries());
-    
-    // Clear existing subscriptions since they're no longer valid
-    this.subscriptions.clear();
-    
-    // Restore each subscription
-    for (const [oldId, info] of subscriptionEntries) {
+    for (const [handle, info] of this.subscriptions.entries()) {
       try {
-        if (info.type === 'logs') {
-          const { programId, callback, commitment, filter } = info;
-          
-          logger.info(`Restoring logs subscription for program ${programId}`);
-          
-          const newId = await this.subscribeToLogs(programId, callback, {
-            commitment,
-            filter
-          });
-          
-          logger.info(`Restored subscription: ${oldId} → ${newId}`);
-        }
-        // Add other subscription types as needed
+        logger.info(`Restoring ${info.type} subscription for ${info.address}`);
+        
+        const oldId = info.subscriptionId;
+        info.subscriptionId = this.openSubscription(info);
+        
+        logger.info(`Restored subscription ${handle}: ${oldId} → ${info.subscriptionId}`);
       } catch (error) {
-        logger.error(`Failed to restore subscription ${oldId}: ${error.message}`);
+        logger.error(`Failed to restore subscription ${handle}: ${error.message}`);
       }
     }
   }
   
   /**
-   * Subscribes to program logs
-   * @param {string|PublicKey} programId - Program ID to subscribe to
-   * @param {Function} callback - Callback function to handle log notifications
-   * @param {Object} options - Subscription options
-   * @returns {Promise<number>} - Subscription ID
+   * Opens a subscription on the current connection
+   * @param {Object} info - Subscription info
+   * @returns {number} - Connection subscription ID
    */
-  async subscribeToLogs(programId, callback, options = {}) {
+  openSubscription(info) {
+    const pubkey = new PublicKey(info.address);
+    
+    if (info.type === 'account') {
+      return this.connection.onAccountChange(pubkey, info.callback, info.commitment);
+    }
+    
+    return this.connection.onLogs(pubkey, info.callback, info.commitment);
+  }
+  
+  /**
+   * Ensures a connection is available before subscribing
+   * @throws {Error} - If no connection can be established
+   */
+  async ensureConnected() {
     if (!this.isConnected) {
       const connected = await this.connect();
       if (!connected) {
         throw new Error('Failed to connect WebSocket');
       }
     }
+  }
+  
+  /**
+   * Registers a subscription and opens it
+   * @param {Object} info - Subscription info ({ type, address, callback, commitment })
+   * @returns {number} - Subscription handle
+   */
+  addSubscription(info) {
+    const handle = this.nextHandle++;
+    
+    info.subscriptionId = this.openSubscription(info);
+    info.timestamp = Date.now();
+    this.subscriptions.set(handle, info);
+    
+    return handle;
+  }
+  
+  /**
+   * Subscribes to program logs
+   * @param {string|PublicKey} programId - Program ID to subscribe to
+   * @param {Function} callback - Callback function to handle log notifications
+   * @param {Object} options - Subscription options
+   * @returns {Promise<number>} - Subscription handle
+   */
+  async subscribeToLogs(programId, callback, options = {}) {
+    await this.ensureConnected();
     
     try {
-      // Convert string to PublicKey if needed
-      const pubkey = typeof programId === 'string' ? 
-        new PublicKey(programId) : programId;
-      
-      // Subscribe to logs
-      const subscriptionId = this.connection.onLogs(
-        pubkey,
-        callback,
-        options.commitment || this.commitment
-      );
-      
-      // Store subscription info
-      this.subscriptions.set(subscriptionId, {
+      const handle = this.addSubscription({
         type: 'logs',
-        programId: pubkey.toString(),
+        address: programId.toString(),
         callback,
         commitment: options.commitment || this.commitment,
-        filter: options.filter,
-        timestamp: Date.now()
+        filter: options.filter
       });
       
-      logger.info(`Subscribed to logs for program ${pubkey.toString()}, id: ${subscriptionId}`);
+      logger.info(`Subscribed to logs for program ${programId.toString()}, handle: ${handle}`);
       
-      return subscriptionId;
+      return handle;
     } catch (error) {
       logger.error(`Failed to subscribe to logs: ${error.message}`);
       throw error;
     }
   }
   
+  /**
+   * Subscribes to changes of an account's data or lamports
+   * @param {string|PublicKey} address - Account to watch
+   * @param {Function} callback - Called with (accountInfo, context) on every change
+   * @param {Object} options - Subscription options
+   * @param {string} [options.commitment] - Commitment level of notifications
+   * @returns {Promise<number>} - Subscription handle
+   */
+  async subscribeToAccount(address, callback, options = {}) {
+    await this.ensureConnected();
+    
+    try {
+      const handle = this.addSubscription({
+        type: 'account',
+        address: address.toString(),
+        callback,
+        commitment: options.commitment || this.commitment
+      });
+      
+      logger.debug(`Subscribed to account ${address.toString()}, handle: ${handle}`);
+      
+      return handle;
+    } catch (error) {
+      logger.error(`Failed to subscribe to account ${address.toString()}: ${error.message}`);
+      throw error;
+    }
+  }
+  
   /**
    * Unsubscribes from a subscription
-   * @param {number} subscriptionId - Subscription ID to unsubscribe
+   * @param {number} handle - Subscription handle to unsubscribe
    * @returns {Promise<boolean>} - True if unsubscribed successfully
    */
-  async unsubscribe(subscriptionId) {
-    if (!this.connection || !this.subscriptions.has(subscriptionId)) {
+  async unsubscribe(handle) {
+    const info = this.subscriptions.get(handle);
+    
+    if (!this.connection || !info) {
       return false;
     }
     
     try {
-      await this.connection.removeOnLogsListener(subscriptionId);
-      this.subscriptions.delete(subscriptionId);
+      if (info.type === 'account') {
+        await this.connection.removeAccountChangeListener(info.subscriptionId);
+      } else {
+        await this.connection.removeOnLogsListener(info.subscriptionId);
+      }
+      this.subscriptions.delete(handle);
       
-      logger.info(`Unsubscribed from subscription ${subscriptionId}`);
+      logger.debug(`Unsubscribed from subscription ${handle}`);
       return true;
     } catch (error) {
-      logger.error(`Failed to unsubscribe from ${subscriptionId}: ${error.message}`);
+      logger.error(`Failed to unsubscribe from ${handle}: ${error.message}`);
       return false;
     }
   }